@@ -18,6 +18,14 @@ var wtsRouter = require('./routes/wt');
 var buildingsRouter = require('./routes/buildings');
 var billingsRouter = require('./routes/billings');
 var rocRouter = require('./routes/rateofchange');
+var tariffsRouter = require('./routes/tariffs');
+var penaltiesRouter = require('./routes/penalties');
+var paymentsRouter = require('./routes/payments');
+var reportsRouter = require('./routes/reports');
+var invoicesRouter = require('./routes/invoices');
+var readingCorrectionsRouter = require('./routes/readingCorrections');
+var memosRouter = require('./routes/memos');
+var recurringChargesRouter = require('./routes/recurringCharges');
 
 // Sequelize setup
 const sequelize = require('./models');
@@ -46,6 +54,14 @@ app.use('/wt', wtsRouter);
 app.use('/buildings', buildingsRouter);
 app.use('/billings', billingsRouter);
 app.use('/roc', rocRouter);
+app.use('/tariffs', tariffsRouter);
+app.use('/penalties', penaltiesRouter);
+app.use('/payments', paymentsRouter);
+app.use('/reports', reportsRouter);
+app.use('/invoices', invoicesRouter);
+app.use('/reading-corrections', readingCorrectionsRouter);
+app.use('/memos', memosRouter);
+app.use('/recurring-charges', recurringChargesRouter);
 
 
 // catch 404 and forward to error handler
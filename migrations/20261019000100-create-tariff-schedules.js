@@ -0,0 +1,65 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // 1 row = 1 building + 1 utility tariff schedule
+    await queryInterface.createTable('tariff_schedules', {
+      tariff_id:    { type: Sequelize.STRING(30), allowNull: false, primaryKey: true },
+      building_id:  { type: Sequelize.STRING(30), allowNull: false },
+      utility_type: { type: Sequelize.ENUM('electric', 'water', 'lpg'), allowNull: false },
+
+      // Optional lifeline: whole consumption priced at lifeline_rate when <= lifeline_limit
+      lifeline_limit: { type: Sequelize.DECIMAL(10, 2), allowNull: true },
+      lifeline_rate:  { type: Sequelize.DECIMAL(10, 2), allowNull: true },
+
+      last_updated: { type: Sequelize.DATE, allowNull: false },
+      updated_by:   { type: Sequelize.STRING(30), allowNull: false },
+    });
+
+    await queryInterface.addIndex('tariff_schedules', {
+      name: 'ux_tariff_schedules_building_utility',
+      unique: true,
+      fields: ['building_id', 'utility_type'],
+    });
+
+    await queryInterface.addConstraint('tariff_schedules', {
+      fields: ['building_id'],
+      type: 'foreign key',
+      name: 'fk_tariff_schedules_building',
+      references: { table: 'building_list', field: 'building_id' },
+      onDelete: 'NO ACTION',
+      onUpdate: 'NO ACTION',
+    });
+
+    // Ordered consumption blocks; max_units NULL = open-ended final block
+    await queryInterface.createTable('tariff_blocks', {
+      block_id:    { type: Sequelize.INTEGER, allowNull: false, primaryKey: true, autoIncrement: true },
+      tariff_id:   { type: Sequelize.STRING(30), allowNull: false },
+      block_order: { type: Sequelize.INTEGER, allowNull: false },
+      max_units:   { type: Sequelize.DECIMAL(10, 2), allowNull: true },
+      rate:        { type: Sequelize.DECIMAL(10, 2), allowNull: false, defaultValue: 0.00 },
+    });
+
+    await queryInterface.addIndex('tariff_blocks', {
+      name: 'ux_tariff_blocks_tariff_order',
+      unique: true,
+      fields: ['tariff_id', 'block_order'],
+    });
+
+    await queryInterface.addConstraint('tariff_blocks', {
+      fields: ['tariff_id'],
+      type: 'foreign key',
+      name: 'fk_tariff_blocks_tariff',
+      references: { table: 'tariff_schedules', field: 'tariff_id' },
+      onDelete: 'CASCADE',
+      onUpdate: 'NO ACTION',
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('tariff_blocks');
+    await queryInterface.dropTable('tariff_schedules');
+    try { await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_tariff_schedules_utility_type";'); } catch {}
+  }
+};
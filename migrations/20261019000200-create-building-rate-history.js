@@ -0,0 +1,55 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Append-only: 1 row = the full set of building base rates in force from effective_from
+    await queryInterface.createTable('building_rate_history', {
+      rate_history_id: { type: Sequelize.INTEGER, allowNull: false, primaryKey: true, autoIncrement: true },
+      building_id:     { type: Sequelize.STRING(30), allowNull: false },
+      effective_from:  { type: Sequelize.DATEONLY, allowNull: false },
+
+      erate_perKwH:  { type: Sequelize.DECIMAL(10,2), allowNull: false, defaultValue: 0.00 },
+      emin_con:      { type: Sequelize.DECIMAL(10,2), allowNull: false, defaultValue: 0.00 },
+      wrate_perCbM:  { type: Sequelize.DECIMAL(10,2), allowNull: false, defaultValue: 0.00 },
+      wmin_con:      { type: Sequelize.DECIMAL(10,2), allowNull: false, defaultValue: 0.00 },
+      lrate_perKg:   { type: Sequelize.DECIMAL(10,2), allowNull: false, defaultValue: 0.00 },
+      markup_rate:   { type: Sequelize.DECIMAL(10,2), allowNull: false, defaultValue: 0.00 },
+      penalty_rate:  { type: Sequelize.DECIMAL(10,2), allowNull: false, defaultValue: 0.00 },
+
+      changed_by:    { type: Sequelize.STRING(30), allowNull: false },
+      changed_at:    { type: Sequelize.DATE, allowNull: false },
+    });
+
+    await queryInterface.addIndex('building_rate_history', {
+      name: 'ix_building_rate_history_building_effective',
+      fields: ['building_id', 'effective_from'],
+    });
+
+    await queryInterface.addConstraint('building_rate_history', {
+      fields: ['building_id'],
+      type: 'foreign key',
+      name: 'fk_building_rate_history_building',
+      references: { table: 'building_list', field: 'building_id' },
+      onDelete: 'NO ACTION',
+      onUpdate: 'NO ACTION',
+    });
+
+    // Baseline: today's rates become the rates in force since the beginning of time,
+    // so re-billing an old period gives the same result as before this table existed.
+    await queryInterface.sequelize.query(`
+      INSERT INTO building_rate_history
+        (building_id, effective_from,
+         erate_perKwH, emin_con, wrate_perCbM, wmin_con, lrate_perKg, markup_rate, penalty_rate,
+         changed_by, changed_at)
+      SELECT building_id, '2000-01-01',
+             erate_perKwH, emin_con, wrate_perCbM, wmin_con, lrate_perKg, markup_rate, penalty_rate,
+             updated_by, last_updated
+      FROM building_list;
+    `);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('building_rate_history');
+  }
+};
@@ -0,0 +1,77 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Append-only: 1 row = VAT percentages in force for a code from effective_from
+    await queryInterface.createTable('vat_code_history', {
+      history_id:     { type: Sequelize.INTEGER, allowNull: false, primaryKey: true, autoIncrement: true },
+      tax_id:         { type: Sequelize.STRING(30), allowNull: false },
+      effective_from: { type: Sequelize.DATEONLY, allowNull: false },
+
+      // Percent points (e.g., 12.00 = 12%)
+      e_vat:          { type: Sequelize.DECIMAL(10,2), allowNull: false, defaultValue: 0.00 },
+      w_vat:          { type: Sequelize.DECIMAL(10,2), allowNull: false, defaultValue: 0.00 },
+      l_vat:          { type: Sequelize.DECIMAL(10,2), allowNull: false, defaultValue: 0.00 },
+
+      changed_by:     { type: Sequelize.STRING(30), allowNull: false },
+      changed_at:     { type: Sequelize.DATE, allowNull: false },
+    });
+
+    await queryInterface.addIndex('vat_code_history', {
+      name: 'ix_vat_code_history_tax_effective',
+      fields: ['tax_id', 'effective_from'],
+    });
+
+    await queryInterface.addConstraint('vat_code_history', {
+      fields: ['tax_id'],
+      type: 'foreign key',
+      name: 'fk_vat_code_history_tax',
+      references: { table: 'vat_codes', field: 'tax_id' },
+      onDelete: 'CASCADE',
+      onUpdate: 'NO ACTION',
+    });
+
+    // Same idea for withholding tax codes
+    await queryInterface.createTable('wt_code_history', {
+      history_id:     { type: Sequelize.INTEGER, allowNull: false, primaryKey: true, autoIncrement: true },
+      wt_id:          { type: Sequelize.STRING(30), allowNull: false },
+      effective_from: { type: Sequelize.DATEONLY, allowNull: false },
+
+      e_wt:           { type: Sequelize.DECIMAL(10,2), allowNull: false, defaultValue: 0.00 },
+      w_wt:           { type: Sequelize.DECIMAL(10,2), allowNull: false, defaultValue: 0.00 },
+      l_wt:           { type: Sequelize.DECIMAL(10,2), allowNull: false, defaultValue: 0.00 },
+
+      changed_by:     { type: Sequelize.STRING(30), allowNull: false },
+      changed_at:     { type: Sequelize.DATE, allowNull: false },
+    });
+
+    await queryInterface.addIndex('wt_code_history', {
+      name: 'ix_wt_code_history_wt_effective',
+      fields: ['wt_id', 'effective_from'],
+    });
+
+    await queryInterface.addConstraint('wt_code_history', {
+      fields: ['wt_id'],
+      type: 'foreign key',
+      name: 'fk_wt_code_history_wt',
+      references: { table: 'wt_codes', field: 'wt_id' },
+      onDelete: 'CASCADE',
+      onUpdate: 'NO ACTION',
+    });
+
+    // Baseline: current percentages apply to every past period
+    await queryInterface.sequelize.query(`
+      INSERT INTO vat_code_history (tax_id, effective_from, e_vat, w_vat, l_vat, changed_by, changed_at)
+      SELECT tax_id, '2000-01-01', e_vat, w_vat, l_vat, updated_by, last_updated FROM vat_codes;
+
+      INSERT INTO wt_code_history (wt_id, effective_from, e_wt, w_wt, l_wt, changed_by, changed_at)
+      SELECT wt_id, '2000-01-01', e_wt, w_wt, l_wt, updated_by, last_updated FROM wt_codes;
+    `);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('wt_code_history');
+    await queryInterface.dropTable('vat_code_history');
+  }
+};
@@ -0,0 +1,18 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Register size of the meter: the first value it cannot display
+    // (a 5-digit register wraps 99999 → 00000, so rollover_value = 100000).
+    // NULL = unknown; a backwards read is then flagged as suspicious.
+    await queryInterface.addColumn('meter_list', 'rollover_value', {
+      type: Sequelize.DECIMAL(14, 2),
+      allowNull: true,
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('meter_list', 'rollover_value');
+  }
+};
@@ -0,0 +1,53 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // 1 row = one meter swap on a stall: outgoing meter closes at old_final_index,
+    // incoming meter opens at new_initial_index, both on swap_date.
+    await queryInterface.createTable('meter_replacements', {
+      replacement_id:    { type: Sequelize.STRING(30), allowNull: false, primaryKey: true },
+      old_meter_id:      { type: Sequelize.STRING(30), allowNull: false },
+      new_meter_id:      { type: Sequelize.STRING(30), allowNull: false },
+      swap_date:         { type: Sequelize.DATEONLY, allowNull: false },
+      old_final_index:   { type: Sequelize.DECIMAL(30,2), allowNull: false },
+      new_initial_index: { type: Sequelize.DECIMAL(30,2), allowNull: false, defaultValue: 0.00 },
+      remarks:           { type: Sequelize.TEXT, allowNull: true },
+      last_updated:      { type: Sequelize.DATE, allowNull: false },
+      updated_by:        { type: Sequelize.STRING(30), allowNull: false },
+    });
+
+    // A meter is replaced at most once and installed by at most one swap
+    await queryInterface.addIndex('meter_replacements', {
+      name: 'ux_meter_replacements_old_meter',
+      unique: true,
+      fields: ['old_meter_id'],
+    });
+    await queryInterface.addIndex('meter_replacements', {
+      name: 'ux_meter_replacements_new_meter',
+      unique: true,
+      fields: ['new_meter_id'],
+    });
+
+    await queryInterface.addConstraint('meter_replacements', {
+      fields: ['old_meter_id'],
+      type: 'foreign key',
+      name: 'fk_meter_replacements_old_meter',
+      references: { table: 'meter_list', field: 'meter_id' },
+      onDelete: 'NO ACTION',
+      onUpdate: 'NO ACTION',
+    });
+    await queryInterface.addConstraint('meter_replacements', {
+      fields: ['new_meter_id'],
+      type: 'foreign key',
+      name: 'fk_meter_replacements_new_meter',
+      references: { table: 'meter_list', field: 'meter_id' },
+      onDelete: 'NO ACTION',
+      onUpdate: 'NO ACTION',
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('meter_replacements');
+  }
+};
@@ -0,0 +1,76 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // 1 row = the indices one meter was billed on inside a stored building billing.
+    // Continuity billing opens each meter at the closing_index of its last row.
+    await queryInterface.createTable('billing_meter_index', {
+      index_id:            { type: Sequelize.INTEGER, allowNull: false, primaryKey: true, autoIncrement: true },
+      building_billing_id: { type: Sequelize.STRING(80), allowNull: false },
+      meter_id:            { type: Sequelize.STRING(30), allowNull: false },
+      period_start:        { type: Sequelize.DATEONLY, allowNull: false },
+      period_end:          { type: Sequelize.DATEONLY, allowNull: false },
+      opening_index:       { type: Sequelize.DECIMAL(30,2), allowNull: false, defaultValue: 0.00 },
+      closing_index:       { type: Sequelize.DECIMAL(30,2), allowNull: false, defaultValue: 0.00 },
+      consumption:         { type: Sequelize.DECIMAL(30,4), allowNull: false, defaultValue: 0 },
+      opening_mode:        { type: Sequelize.STRING(20), allowNull: false, defaultValue: 'calendar' },
+    });
+
+    await queryInterface.addIndex('billing_meter_index', {
+      name: 'ix_billing_meter_index_meter_period',
+      fields: ['meter_id', 'period_end'],
+    });
+
+    await queryInterface.addIndex('billing_meter_index', {
+      name: 'ux_billing_meter_index_billing_meter',
+      unique: true,
+      fields: ['building_billing_id', 'meter_id'],
+    });
+
+    await queryInterface.addConstraint('billing_meter_index', {
+      fields: ['building_billing_id'],
+      type: 'foreign key',
+      name: 'fk_billing_meter_index_billing',
+      references: { table: 'billing_list', field: 'building_billing_id' },
+      onDelete: 'CASCADE',
+      onUpdate: 'NO ACTION',
+    });
+
+    // Backfill from the rows already stored in billing_list.payload_json
+    const [billings] = await queryInterface.sequelize.query(
+      'SELECT building_billing_id, period_start, period_end, payload_json FROM billing_list'
+    );
+    const toYMD = (v) => (v instanceof Date ? v.toISOString().slice(0, 10) : String(v).slice(0, 10));
+
+    const rows = [];
+    for (const b of billings) {
+      let payload = null;
+      try { payload = JSON.parse(b.payload_json); } catch { payload = null; }
+      const seen = new Set();
+      for (const t of payload?.tenants || []) {
+        for (const r of t?.rows || []) {
+          if (!r?.meter_id || seen.has(r.meter_id)) continue;
+          seen.add(r.meter_id);
+          rows.push({
+            building_billing_id: b.building_billing_id,
+            meter_id: r.meter_id,
+            period_start: toYMD(b.period_start),
+            period_end: toYMD(b.period_end),
+            opening_index: Number(r.reading_previous) || 0,
+            closing_index: Number(r.reading_present) || 0,
+            consumption: Number(r.consumed_kwh) || 0,
+            opening_mode: 'calendar',
+          });
+        }
+      }
+    }
+    if (rows.length) {
+      await queryInterface.bulkInsert('billing_meter_index', rows);
+    }
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('billing_meter_index');
+  }
+};
@@ -0,0 +1,24 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // closing_index was estimated (no actual reading) — the next bill opens from it
+    // and trues it up against the first actual reading.
+    await queryInterface.addColumn('billing_meter_index', 'is_estimated', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    });
+    // 'interpolated' | 'average_daily' | 'average_daily_backfill'
+    await queryInterface.addColumn('billing_meter_index', 'estimate_method', {
+      type: Sequelize.STRING(30),
+      allowNull: true,
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('billing_meter_index', 'estimate_method');
+    await queryInterface.removeColumn('billing_meter_index', 'is_estimated');
+  }
+};
@@ -0,0 +1,31 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Reading taken when the meter was installed. A meter with no earlier reading
+    // (and no stored billing) opens its first bill at install_index.
+    await queryInterface.addColumn('meter_list', 'install_index', {
+      type: Sequelize.DECIMAL(30, 2),
+      allowNull: true,
+    });
+    await queryInterface.addColumn('meter_list', 'install_date', {
+      type: Sequelize.DATEONLY,
+      allowNull: true,
+    });
+
+    // Meters that came in through a replacement were installed at their initial index
+    await queryInterface.sequelize.query(`
+      UPDATE m
+         SET m.install_index = r.new_initial_index,
+             m.install_date  = r.swap_date
+        FROM meter_list m
+        JOIN meter_replacements r ON r.new_meter_id = m.meter_id;
+    `);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('meter_list', 'install_date');
+    await queryInterface.removeColumn('meter_list', 'install_index');
+  }
+};
@@ -0,0 +1,39 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // How a VAT code is applied to the billed amount:
+    //   exclusive  — VAT = base × rate, added on top (previous behaviour)
+    //   inclusive  — billed amount already contains VAT; base = amount / (1 + rate)
+    //   exempt     — no VAT; amount reported as VAT-exempt sales
+    //   zero_rated — no VAT; amount reported as zero-rated sales
+    await queryInterface.addColumn('vat_codes', 'vat_mode', {
+      type: Sequelize.STRING(20),
+      allowNull: false,
+      defaultValue: 'exclusive',
+    });
+
+    // What withholding is computed on: 'vat' (WT = VAT × rate, previous behaviour) or 'base'
+    await queryInterface.addColumn('wt_codes', 'wt_base', {
+      type: Sequelize.STRING(10),
+      allowNull: false,
+      defaultValue: 'vat',
+    });
+
+    // Codes that were only distinguishable by their description so far
+    await queryInterface.sequelize.query(`
+      UPDATE vat_codes SET vat_mode = 'zero_rated'
+       WHERE e_vat = 0 AND w_vat = 0 AND l_vat = 0 AND LOWER(vat_description) LIKE '%zero%';
+    `);
+    await queryInterface.sequelize.query(`
+      UPDATE vat_codes SET vat_mode = 'exempt'
+       WHERE e_vat = 0 AND w_vat = 0 AND l_vat = 0 AND LOWER(vat_description) LIKE '%exempt%';
+    `);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('wt_codes', 'wt_base');
+    await queryInterface.removeColumn('vat_codes', 'vat_mode');
+  }
+};
@@ -0,0 +1,80 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Per-building payment terms
+    await queryInterface.addColumn('building_list', 'payment_term_days', {
+      type: Sequelize.INTEGER, allowNull: false, defaultValue: 15,
+    });
+    await queryInterface.addColumn('building_list', 'grace_period_days', {
+      type: Sequelize.INTEGER, allowNull: false, defaultValue: 0,
+    });
+    // 'one_time' (single charge on the unpaid balance) | 'monthly_compound' (interest every month)
+    await queryInterface.addColumn('building_list', 'penalty_method', {
+      type: Sequelize.STRING(20), allowNull: false, defaultValue: 'one_time',
+    });
+
+    // Terms copied onto each stored billing when it is saved
+    await queryInterface.addColumn('billing_list', 'due_date', {
+      type: Sequelize.DATEONLY, allowNull: true,
+    });
+    await queryInterface.addColumn('billing_list', 'grace_period_days', {
+      type: Sequelize.INTEGER, allowNull: false, defaultValue: 0,
+    });
+    await queryInterface.addColumn('billing_list', 'penalty_method', {
+      type: Sequelize.STRING(20), allowNull: false, defaultValue: 'one_time',
+    });
+
+    // Existing billings fall due with the default term
+    await queryInterface.sequelize.query(`
+      UPDATE billing_list SET due_date = DATEADD(day, 15, period_end) WHERE due_date IS NULL;
+    `);
+
+    // 1 row = one late-payment penalty posted against a tenant's share of a stored billing
+    await queryInterface.createTable('penalty_charges', {
+      penalty_id:          { type: Sequelize.STRING(30), allowNull: false, primaryKey: true },
+      building_billing_id: { type: Sequelize.STRING(80), allowNull: false },
+      building_id:         { type: Sequelize.STRING(30), allowNull: false },
+      tenant_id:           { type: Sequelize.STRING(30), allowNull: false },
+      sequence_no:         { type: Sequelize.INTEGER, allowNull: false, defaultValue: 1 },
+      assessed_on:         { type: Sequelize.DATEONLY, allowNull: false },
+      method:              { type: Sequelize.STRING(20), allowNull: false },
+      basis_amount:        { type: Sequelize.DECIMAL(14,2), allowNull: false },
+      penalty_rate_pct:    { type: Sequelize.DECIMAL(10,4), allowNull: false },
+      amount:              { type: Sequelize.DECIMAL(14,2), allowNull: false },
+      last_updated:        { type: Sequelize.DATE, allowNull: false },
+      updated_by:          { type: Sequelize.STRING(30), allowNull: false },
+    });
+
+    // One charge per billing + tenant + month (one_time only ever has sequence 1)
+    await queryInterface.addIndex('penalty_charges', {
+      name: 'ux_penalty_charges_billing_tenant_seq',
+      unique: true,
+      fields: ['building_billing_id', 'tenant_id', 'sequence_no'],
+    });
+    await queryInterface.addIndex('penalty_charges', {
+      name: 'ix_penalty_charges_tenant',
+      fields: ['tenant_id', 'assessed_on'],
+    });
+
+    await queryInterface.addConstraint('penalty_charges', {
+      fields: ['building_billing_id'],
+      type: 'foreign key',
+      name: 'fk_penalty_charges_billing',
+      references: { table: 'billing_list', field: 'building_billing_id' },
+      onDelete: 'CASCADE',
+      onUpdate: 'NO ACTION',
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('penalty_charges');
+    await queryInterface.removeColumn('billing_list', 'penalty_method');
+    await queryInterface.removeColumn('billing_list', 'grace_period_days');
+    await queryInterface.removeColumn('billing_list', 'due_date');
+    await queryInterface.removeColumn('building_list', 'penalty_method');
+    await queryInterface.removeColumn('building_list', 'grace_period_days');
+    await queryInterface.removeColumn('building_list', 'payment_term_days');
+  }
+};
@@ -0,0 +1,69 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // 1 row = money received from a tenant (a receipt)
+    await queryInterface.createTable('payments', {
+      payment_id:   { type: Sequelize.STRING(30), allowNull: false, primaryKey: true },
+      tenant_id:    { type: Sequelize.STRING(30), allowNull: false },
+      building_id:  { type: Sequelize.STRING(30), allowNull: false },
+      payment_date: { type: Sequelize.DATEONLY, allowNull: false },
+      amount:       { type: Sequelize.DECIMAL(14,2), allowNull: false },
+      // 'cash' | 'check' | 'bank_transfer' | 'online' | 'other'
+      method:       { type: Sequelize.STRING(20), allowNull: false },
+      reference:    { type: Sequelize.STRING(100), allowNull: true },
+      notes:        { type: Sequelize.STRING(255), allowNull: true },
+      last_updated: { type: Sequelize.DATE, allowNull: false },
+      updated_by:   { type: Sequelize.STRING(30), allowNull: false },
+    });
+
+    await queryInterface.addIndex('payments', {
+      name: 'ix_payments_tenant_date',
+      fields: ['tenant_id', 'payment_date'],
+    });
+
+    // 1 row = part of a payment applied to a tenant's share of a stored billing
+    await queryInterface.createTable('payment_allocations', {
+      allocation_id:       { type: Sequelize.INTEGER, allowNull: false, primaryKey: true, autoIncrement: true },
+      payment_id:          { type: Sequelize.STRING(30), allowNull: false },
+      building_billing_id: { type: Sequelize.STRING(80), allowNull: false },
+      tenant_id:           { type: Sequelize.STRING(30), allowNull: false },
+      amount:              { type: Sequelize.DECIMAL(14,2), allowNull: false },
+      last_updated:        { type: Sequelize.DATE, allowNull: false },
+      updated_by:          { type: Sequelize.STRING(30), allowNull: false },
+    });
+
+    await queryInterface.addIndex('payment_allocations', {
+      name: 'ix_payment_allocations_billing_tenant',
+      fields: ['building_billing_id', 'tenant_id'],
+    });
+    await queryInterface.addIndex('payment_allocations', {
+      name: 'ix_payment_allocations_payment',
+      fields: ['payment_id'],
+    });
+
+    await queryInterface.addConstraint('payment_allocations', {
+      fields: ['payment_id'],
+      type: 'foreign key',
+      name: 'fk_payment_allocations_payment',
+      references: { table: 'payments', field: 'payment_id' },
+      onDelete: 'CASCADE',
+      onUpdate: 'NO ACTION',
+    });
+    // A billing with payments against it cannot be deleted
+    await queryInterface.addConstraint('payment_allocations', {
+      fields: ['building_billing_id'],
+      type: 'foreign key',
+      name: 'fk_payment_allocations_billing',
+      references: { table: 'billing_list', field: 'building_billing_id' },
+      onDelete: 'NO ACTION',
+      onUpdate: 'NO ACTION',
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('payment_allocations');
+    await queryInterface.dropTable('payments');
+  }
+};
@@ -0,0 +1,118 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // 1 row = one tenant's bill inside a stored building billing (child of billing_list)
+    await queryInterface.createTable('tenant_bill_list', {
+      tenant_bill_id:      { type: Sequelize.STRING(30), allowNull: false, primaryKey: true },
+      building_billing_id: { type: Sequelize.STRING(80), allowNull: false },
+      building_id:         { type: Sequelize.STRING(30), allowNull: false },
+      tenant_id:           { type: Sequelize.STRING(30), allowNull: false },
+      tenant_name:         { type: Sequelize.STRING(100), allowNull: true },
+      period_start:        { type: Sequelize.DATEONLY, allowNull: false },
+      period_end:          { type: Sequelize.DATEONLY, allowNull: false },
+      due_date:            { type: Sequelize.DATEONLY, allowNull: true },
+      meter_count:         { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+      total_consumption:   { type: Sequelize.DECIMAL(30,4), allowNull: false, defaultValue: 0 },
+      total_amount:        { type: Sequelize.DECIMAL(14,2), allowNull: false, defaultValue: 0 },
+      for_penalty:         { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: false },
+      penalty_amount:      { type: Sequelize.DECIMAL(14,2), allowNull: false, defaultValue: 0 },
+      amount_paid:         { type: Sequelize.DECIMAL(14,2), allowNull: false, defaultValue: 0 },
+      balance:             { type: Sequelize.DECIMAL(14,2), allowNull: false, defaultValue: 0 },
+      // 'unpaid' | 'partially_paid' | 'paid'
+      status:              { type: Sequelize.STRING(20), allowNull: false, defaultValue: 'unpaid' },
+      generated_at:        { type: Sequelize.DATE, allowNull: false },
+      last_updated:        { type: Sequelize.DATE, allowNull: false },
+      updated_by:          { type: Sequelize.STRING(30), allowNull: false },
+    });
+
+    await queryInterface.addIndex('tenant_bill_list', {
+      name: 'ux_tenant_bill_list_billing_tenant',
+      unique: true,
+      fields: ['building_billing_id', 'tenant_id'],
+    });
+    await queryInterface.addIndex('tenant_bill_list', {
+      name: 'ix_tenant_bill_list_tenant_period',
+      fields: ['tenant_id', 'period_end'],
+    });
+
+    await queryInterface.addConstraint('tenant_bill_list', {
+      fields: ['building_billing_id'],
+      type: 'foreign key',
+      name: 'fk_tenant_bill_list_billing',
+      references: { table: 'billing_list', field: 'building_billing_id' },
+      onDelete: 'CASCADE',
+      onUpdate: 'NO ACTION',
+    });
+
+    // Backfill from the tenants already stored in billing_list.payload_json
+    const [billings] = await queryInterface.sequelize.query(`
+      SELECT building_billing_id, building_id, period_start, period_end, due_date,
+             payload_json, generated_at, last_updated, updated_by
+      FROM billing_list
+      ORDER BY period_end ASC, building_billing_id ASC
+    `);
+    const [penalties] = await queryInterface.sequelize.query(
+      'SELECT building_billing_id, tenant_id, amount FROM penalty_charges'
+    );
+    const [allocations] = await queryInterface.sequelize.query(
+      'SELECT building_billing_id, tenant_id, amount FROM payment_allocations'
+    );
+    const toYMD = (v) => (v instanceof Date ? v.toISOString().slice(0, 10) : (v ? String(v).slice(0, 10) : null));
+    const cents = (v) => Math.round((Number(v) || 0) * 100);
+    const sumCents = (list) => {
+      const out = new Map();
+      for (const r of list) {
+        const k = `${r.building_billing_id}::${r.tenant_id}`;
+        out.set(k, (out.get(k) || 0) + cents(r.amount));
+      }
+      return out;
+    };
+    const penaltyBy = sumCents(penalties);
+    const paidBy = sumCents(allocations);
+
+    const rows = [];
+    for (const b of billings) {
+      let payload = null;
+      try { payload = JSON.parse(b.payload_json); } catch { payload = null; }
+      for (const t of payload?.tenants || []) {
+        if (!t?.tenant_id) continue;
+        const lines = t.rows || [];
+        const k = `${b.building_billing_id}::${t.tenant_id}`;
+        const billed = lines.reduce((acc, r) => acc + cents(r.total_amount), 0);
+        const penalty = penaltyBy.get(k) || 0;
+        const paid = paidBy.get(k) || 0;
+        const balance = billed + penalty - paid;
+        rows.push({
+          tenant_bill_id: `TB-${rows.length + 1}`,
+          building_billing_id: b.building_billing_id,
+          building_id: b.building_id,
+          tenant_id: t.tenant_id,
+          tenant_name: t.tenant_name ?? null,
+          period_start: toYMD(b.period_start),
+          period_end: toYMD(b.period_end),
+          due_date: toYMD(b.due_date),
+          meter_count: lines.length,
+          total_consumption: lines.reduce((acc, r) => acc + (Number(r.consumed_kwh) || 0), 0),
+          total_amount: billed / 100,
+          for_penalty: lines.some(r => r.for_penalty),
+          penalty_amount: penalty / 100,
+          amount_paid: paid / 100,
+          balance: balance / 100,
+          status: balance <= 0 ? 'paid' : (paid > 0 ? 'partially_paid' : 'unpaid'),
+          generated_at: b.generated_at,
+          last_updated: b.last_updated,
+          updated_by: b.updated_by,
+        });
+      }
+    }
+    if (rows.length) {
+      await queryInterface.bulkInsert('tenant_bill_list', rows);
+    }
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('tenant_bill_list');
+  }
+};
@@ -0,0 +1,91 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // 1 row = one invoice number sequence (per building, or shared when building_id is NULL)
+    await queryInterface.createTable('invoice_series', {
+      series_id:    { type: Sequelize.STRING(30), allowNull: false, primaryKey: true },
+      building_id:  { type: Sequelize.STRING(30), allowNull: true },
+      prefix:       { type: Sequelize.STRING(20), allowNull: false },
+      pad_length:   { type: Sequelize.INTEGER, allowNull: false, defaultValue: 6 },
+      // Number the next finalized invoice will get; only ever moves forward
+      next_number:  { type: Sequelize.INTEGER, allowNull: false, defaultValue: 1 },
+      is_default:   { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: false },
+      description:  { type: Sequelize.STRING(100), allowNull: true },
+      last_updated: { type: Sequelize.DATE, allowNull: false },
+      updated_by:   { type: Sequelize.STRING(30), allowNull: false },
+    });
+
+    await queryInterface.addIndex('invoice_series', {
+      name: 'ux_invoice_series_prefix',
+      unique: true,
+      fields: ['prefix'],
+    });
+
+    // Invoice fields on the tenant bills
+    // invoice_status: 'draft' (no number yet) | 'finalized' | 'void' (keeps its number)
+    await queryInterface.addColumn('tenant_bill_list', 'invoice_status', {
+      type: Sequelize.STRING(20), allowNull: false, defaultValue: 'draft',
+    });
+    await queryInterface.addColumn('tenant_bill_list', 'series_id',    { type: Sequelize.STRING(30), allowNull: true });
+    await queryInterface.addColumn('tenant_bill_list', 'invoice_seq',  { type: Sequelize.INTEGER, allowNull: true });
+    await queryInterface.addColumn('tenant_bill_list', 'invoice_no',   { type: Sequelize.STRING(40), allowNull: true });
+    await queryInterface.addColumn('tenant_bill_list', 'finalized_at', { type: Sequelize.DATE, allowNull: true });
+    await queryInterface.addColumn('tenant_bill_list', 'finalized_by', { type: Sequelize.STRING(30), allowNull: true });
+    await queryInterface.addColumn('tenant_bill_list', 'voided_at',    { type: Sequelize.DATE, allowNull: true });
+    await queryInterface.addColumn('tenant_bill_list', 'voided_by',    { type: Sequelize.STRING(30), allowNull: true });
+    await queryInterface.addColumn('tenant_bill_list', 'void_reason',  { type: Sequelize.STRING(255), allowNull: true });
+
+    // A number is never handed out twice (filtered: drafts have none)
+    await queryInterface.sequelize.query(`
+      CREATE UNIQUE INDEX ux_tenant_bill_list_series_seq
+        ON tenant_bill_list (series_id, invoice_seq)
+        WHERE series_id IS NOT NULL AND invoice_seq IS NOT NULL;
+    `);
+    await queryInterface.sequelize.query(`
+      CREATE UNIQUE INDEX ux_tenant_bill_list_invoice_no
+        ON tenant_bill_list (invoice_no)
+        WHERE invoice_no IS NOT NULL;
+    `);
+
+    await queryInterface.addConstraint('tenant_bill_list', {
+      fields: ['series_id'],
+      type: 'foreign key',
+      name: 'fk_tenant_bill_list_series',
+      references: { table: 'invoice_series', field: 'series_id' },
+      onDelete: 'NO ACTION',
+      onUpdate: 'NO ACTION',
+    });
+
+    // A default series for every existing building: <building_id>-000001, ...
+    const [buildings] = await queryInterface.sequelize.query(
+      'SELECT building_id FROM building_list ORDER BY building_id'
+    );
+    if (buildings.length) {
+      const now = new Date();
+      await queryInterface.bulkInsert('invoice_series', buildings.map((b, i) => ({
+        series_id: `INVS-${i + 1}`,
+        building_id: b.building_id,
+        prefix: `${b.building_id}-`,
+        pad_length: 6,
+        next_number: 1,
+        is_default: true,
+        description: 'Default series',
+        last_updated: now,
+        updated_by: 'system',
+      })));
+    }
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeConstraint('tenant_bill_list', 'fk_tenant_bill_list_series');
+    await queryInterface.sequelize.query('DROP INDEX ux_tenant_bill_list_invoice_no ON tenant_bill_list;');
+    await queryInterface.sequelize.query('DROP INDEX ux_tenant_bill_list_series_seq ON tenant_bill_list;');
+    for (const col of ['void_reason', 'voided_by', 'voided_at', 'finalized_by', 'finalized_at',
+      'invoice_no', 'invoice_seq', 'series_id', 'invoice_status']) {
+      await queryInterface.removeColumn('tenant_bill_list', col);
+    }
+    await queryInterface.dropTable('invoice_series');
+  }
+};
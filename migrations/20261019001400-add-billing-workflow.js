@@ -0,0 +1,47 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Workflow: 'draft' → 'reviewed' → 'approved' → 'posted' → 'void' (voided with a reason)
+    await queryInterface.addColumn('billing_list', 'billing_status', {
+      type: Sequelize.STRING(20), allowNull: false, defaultValue: 'draft',
+    });
+    await queryInterface.addColumn('billing_list', 'reviewed_at', { type: Sequelize.DATE, allowNull: true });
+    await queryInterface.addColumn('billing_list', 'reviewed_by', { type: Sequelize.STRING(30), allowNull: true });
+    await queryInterface.addColumn('billing_list', 'approved_at', { type: Sequelize.DATE, allowNull: true });
+    await queryInterface.addColumn('billing_list', 'approved_by', { type: Sequelize.STRING(30), allowNull: true });
+    await queryInterface.addColumn('billing_list', 'posted_at',   { type: Sequelize.DATE, allowNull: true });
+    await queryInterface.addColumn('billing_list', 'posted_by',   { type: Sequelize.STRING(30), allowNull: true });
+    await queryInterface.addColumn('billing_list', 'voided_at',   { type: Sequelize.DATE, allowNull: true });
+    await queryInterface.addColumn('billing_list', 'voided_by',   { type: Sequelize.STRING(30), allowNull: true });
+    await queryInterface.addColumn('billing_list', 'void_reason', { type: Sequelize.STRING(255), allowNull: true });
+
+    // Billings saved before the workflow existed were final when saved: they stay posted
+    await queryInterface.sequelize.query(`
+      UPDATE billing_list
+         SET billing_status = 'posted', posted_at = generated_at, posted_by = updated_by;
+    `);
+
+    // A void billing keeps its period; only one live billing per building+period
+    await queryInterface.removeIndex('billing_list', 'ix_building_billing_building_period');
+    await queryInterface.sequelize.query(`
+      CREATE UNIQUE INDEX ix_building_billing_building_period
+        ON billing_list (building_id, period_start, period_end)
+        WHERE billing_status <> 'void';
+    `);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.query('DROP INDEX ix_building_billing_building_period ON billing_list;');
+    await queryInterface.addIndex('billing_list', {
+      name: 'ix_building_billing_building_period',
+      unique: true,
+      fields: ['building_id', 'period_start', 'period_end'],
+    });
+    for (const col of ['void_reason', 'voided_by', 'voided_at', 'posted_by', 'posted_at',
+      'approved_by', 'approved_at', 'reviewed_by', 'reviewed_at', 'billing_status']) {
+      await queryInterface.removeColumn('billing_list', col);
+    }
+  }
+};
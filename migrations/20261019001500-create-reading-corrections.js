@@ -0,0 +1,90 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // 1 row = a requested change to a reading locked by a posted billing (approved by an admin)
+    await queryInterface.createTable('reading_corrections', {
+      correction_id:       { type: Sequelize.STRING(30), allowNull: false, primaryKey: true },
+      reading_id:          { type: Sequelize.STRING(30), allowNull: false },
+      meter_id:            { type: Sequelize.STRING(30), allowNull: false },
+      building_id:         { type: Sequelize.STRING(30), allowNull: false },
+      // the posted billing whose window locks the reading
+      building_billing_id: { type: Sequelize.STRING(80), allowNull: false },
+      // 'update' (new reading_value) | 'delete'
+      action:              { type: Sequelize.STRING(10), allowNull: false },
+      reading_date:        { type: Sequelize.DATEONLY, allowNull: false },
+      original_value:      { type: Sequelize.DECIMAL(30, 2), allowNull: false },
+      new_value:           { type: Sequelize.DECIMAL(30, 2), allowNull: true },
+      reason:              { type: Sequelize.STRING(255), allowNull: false },
+      // 'pending' | 'approved' | 'rejected'
+      status:              { type: Sequelize.STRING(20), allowNull: false, defaultValue: 'pending' },
+      requested_by:        { type: Sequelize.STRING(30), allowNull: false },
+      requested_at:        { type: Sequelize.DATE, allowNull: false },
+      reviewed_by:         { type: Sequelize.STRING(30), allowNull: true },
+      reviewed_at:         { type: Sequelize.DATE, allowNull: true },
+      review_note:         { type: Sequelize.STRING(255), allowNull: true },
+      adjustment_id:       { type: Sequelize.STRING(30), allowNull: true },
+      last_updated:        { type: Sequelize.DATE, allowNull: false },
+      updated_by:          { type: Sequelize.STRING(30), allowNull: false },
+    });
+
+    await queryInterface.addIndex('reading_corrections', {
+      name: 'ix_reading_corrections_reading',
+      fields: ['reading_id', 'status'],
+    });
+    await queryInterface.addConstraint('reading_corrections', {
+      fields: ['building_billing_id'],
+      type: 'foreign key',
+      name: 'fk_reading_corrections_billing',
+      references: { table: 'billing_list', field: 'building_billing_id' },
+      onDelete: 'NO ACTION',
+      onUpdate: 'NO ACTION',
+    });
+
+    // 1 row = an amount carried to a tenant's next bill (e.g. from an approved reading correction)
+    await queryInterface.createTable('billing_adjustments', {
+      adjustment_id:       { type: Sequelize.STRING(30), allowNull: false, primaryKey: true },
+      building_id:         { type: Sequelize.STRING(30), allowNull: false },
+      tenant_id:           { type: Sequelize.STRING(30), allowNull: true },
+      tenant_name:         { type: Sequelize.STRING(100), allowNull: true },
+      meter_id:            { type: Sequelize.STRING(30), allowNull: true },
+      source_type:         { type: Sequelize.STRING(30), allowNull: false },
+      source_id:           { type: Sequelize.STRING(30), allowNull: true },
+      // billing the correction applies to, and the end of its period
+      original_billing_id: { type: Sequelize.STRING(80), allowNull: true },
+      original_period_end: { type: Sequelize.DATEONLY, allowNull: true },
+      consumption_delta:   { type: Sequelize.DECIMAL(30, 4), allowNull: false, defaultValue: 0 },
+      rate:                { type: Sequelize.DECIMAL(18, 6), allowNull: true },
+      amount:              { type: Sequelize.DECIMAL(14, 2), allowNull: false },
+      description:         { type: Sequelize.STRING(255), allowNull: true },
+      // 'pending' (waiting for the next bill) | 'applied' | 'cancelled'
+      status:              { type: Sequelize.STRING(20), allowNull: false, defaultValue: 'pending' },
+      applied_billing_id:  { type: Sequelize.STRING(80), allowNull: true },
+      applied_at:          { type: Sequelize.DATE, allowNull: true },
+      last_updated:        { type: Sequelize.DATE, allowNull: false },
+      updated_by:          { type: Sequelize.STRING(30), allowNull: false },
+    });
+
+    await queryInterface.addIndex('billing_adjustments', {
+      name: 'ix_billing_adjustments_building_status',
+      fields: ['building_id', 'status'],
+    });
+    await queryInterface.addIndex('billing_adjustments', {
+      name: 'ix_billing_adjustments_applied_billing',
+      fields: ['applied_billing_id'],
+    });
+
+    // Adjustments carried onto a tenant bill (already included in total_amount)
+    await queryInterface.addColumn('tenant_bill_list', 'adjustment_amount', {
+      type: Sequelize.DECIMAL(14, 2), allowNull: false, defaultValue: 0,
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('tenant_bill_list', 'adjustment_amount');
+    await queryInterface.dropTable('billing_adjustments');
+    await queryInterface.removeConstraint('reading_corrections', 'fk_reading_corrections_billing');
+    await queryInterface.dropTable('reading_corrections');
+  }
+};
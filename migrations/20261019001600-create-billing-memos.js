@@ -0,0 +1,80 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // 1 row = a credit or debit memo against one tenant bill (approved before it counts)
+    await queryInterface.createTable('billing_memos', {
+      memo_id:             { type: Sequelize.STRING(30), allowNull: false, primaryKey: true },
+      // 'credit' (lowers what the tenant owes) | 'debit' (raises it)
+      memo_type:           { type: Sequelize.STRING(10), allowNull: false },
+      tenant_bill_id:      { type: Sequelize.STRING(30), allowNull: false },
+      building_billing_id: { type: Sequelize.STRING(80), allowNull: false },
+      building_id:         { type: Sequelize.STRING(30), allowNull: false },
+      tenant_id:           { type: Sequelize.STRING(30), allowNull: false },
+      // period end of the memo's billing; the first billing starting after it prints the memo
+      original_period_end: { type: Sequelize.DATEONLY, allowNull: false },
+      reason_code:         { type: Sequelize.STRING(30), allowNull: false },
+      description:         { type: Sequelize.STRING(255), allowNull: true },
+
+      // 'amount' (net amount given) | 'units' (units × unit_rate of a meter on the bill)
+      basis:               { type: Sequelize.STRING(10), allowNull: false },
+      meter_id:            { type: Sequelize.STRING(30), allowNull: true },
+      units:               { type: Sequelize.DECIMAL(30, 4), allowNull: true },
+      unit_rate:           { type: Sequelize.DECIMAL(18, 6), allowNull: true },
+
+      // 'exclusive' | 'inclusive' | 'exempt' | 'zero_rated' (same modes as VAT codes)
+      tax_treatment:       { type: Sequelize.STRING(20), allowNull: false },
+      vat_rate:            { type: Sequelize.DECIMAL(10, 6), allowNull: false, defaultValue: 0 },
+      wt_rate:             { type: Sequelize.DECIMAL(10, 6), allowNull: false, defaultValue: 0 },
+      net_amount:          { type: Sequelize.DECIMAL(14, 2), allowNull: false },
+      vat_amount:          { type: Sequelize.DECIMAL(14, 2), allowNull: false, defaultValue: 0 },
+      wt_amount:           { type: Sequelize.DECIMAL(14, 2), allowNull: false, defaultValue: 0 },
+      // Always positive; memo_type gives the direction
+      total_amount:        { type: Sequelize.DECIMAL(14, 2), allowNull: false },
+
+      // 'pending' | 'approved' | 'rejected'
+      status:              { type: Sequelize.STRING(20), allowNull: false, defaultValue: 'pending' },
+      requested_by:        { type: Sequelize.STRING(30), allowNull: false },
+      requested_at:        { type: Sequelize.DATE, allowNull: false },
+      approved_by:         { type: Sequelize.STRING(30), allowNull: true },
+      approved_at:         { type: Sequelize.DATE, allowNull: true },
+      review_note:         { type: Sequelize.STRING(255), allowNull: true },
+      // Day the memo counts from (balance, ledger, penalties); set on approval
+      memo_date:           { type: Sequelize.DATEONLY, allowNull: true },
+      // Building billing whose statement shows the memo (the tenant's next one)
+      statement_billing_id: { type: Sequelize.STRING(80), allowNull: true },
+
+      last_updated:        { type: Sequelize.DATE, allowNull: false },
+      updated_by:          { type: Sequelize.STRING(30), allowNull: false },
+    });
+
+    await queryInterface.addIndex('billing_memos', {
+      name: 'ix_billing_memos_billing_tenant',
+      fields: ['building_billing_id', 'tenant_id'],
+    });
+    await queryInterface.addIndex('billing_memos', {
+      name: 'ix_billing_memos_tenant_status',
+      fields: ['tenant_id', 'status'],
+    });
+    await queryInterface.addConstraint('billing_memos', {
+      fields: ['tenant_bill_id'],
+      type: 'foreign key',
+      name: 'fk_billing_memos_tenant_bill',
+      references: { table: 'tenant_bill_list', field: 'tenant_bill_id' },
+      onDelete: 'NO ACTION',
+      onUpdate: 'NO ACTION',
+    });
+
+    // Net of approved memos on a tenant bill (debit − credit), part of its balance
+    await queryInterface.addColumn('tenant_bill_list', 'memo_amount', {
+      type: Sequelize.DECIMAL(14, 2), allowNull: false, defaultValue: 0,
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('tenant_bill_list', 'memo_amount');
+    await queryInterface.removeConstraint('billing_memos', 'fk_billing_memos_tenant_bill');
+    await queryInterface.dropTable('billing_memos');
+  }
+};
@@ -0,0 +1,57 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Leasable area of a stall (m²), for charges billed per square meter
+    await queryInterface.addColumn('stall_list', 'floor_area', {
+      type: Sequelize.DECIMAL(12, 2), allowNull: true,
+    });
+
+    // 1 row = a fixed monthly charge of a building (every tenant) or of one tenant
+    await queryInterface.createTable('recurring_charges', {
+      charge_id:      { type: Sequelize.STRING(30), allowNull: false, primaryKey: true },
+      building_id:    { type: Sequelize.STRING(30), allowNull: false },
+      // null = every tenant of the building; a tenant row replaces the building row with the same code
+      tenant_id:      { type: Sequelize.STRING(30), allowNull: true },
+      charge_code:    { type: Sequelize.STRING(30), allowNull: false }, // e.g. CAM, GARBAGE, RENT, METER_RENTAL
+      description:    { type: Sequelize.STRING(100), allowNull: false },
+
+      // 'fixed' (amount per bill) | 'per_sqm' (× floor area of the tenant's stalls)
+      // | 'per_meter' (× number of the tenant's meters, optionally of one meter_type)
+      charge_type:    { type: Sequelize.STRING(20), allowNull: false, defaultValue: 'fixed' },
+      meter_type:     { type: Sequelize.STRING(20), allowNull: true },
+      amount:         { type: Sequelize.DECIMAL(14, 4), allowNull: false },
+
+      // Own tax treatment, independent of the tenant's utility tax codes
+      vat_mode:       { type: Sequelize.STRING(20), allowNull: false, defaultValue: 'exclusive' },
+      vat_rate:       { type: Sequelize.DECIMAL(10, 2), allowNull: false, defaultValue: 0 },
+      wt_base:        { type: Sequelize.STRING(10), allowNull: false, defaultValue: 'vat' },
+      wt_rate:        { type: Sequelize.DECIMAL(10, 2), allowNull: false, defaultValue: 0 },
+
+      // Billed on runs whose period end falls in [effective_from, effective_to]
+      effective_from: { type: Sequelize.DATEONLY, allowNull: false },
+      effective_to:   { type: Sequelize.DATEONLY, allowNull: true },
+      is_active:      { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: true },
+
+      last_updated:   { type: Sequelize.DATE, allowNull: false },
+      updated_by:     { type: Sequelize.STRING(30), allowNull: false },
+    });
+
+    await queryInterface.addIndex('recurring_charges', {
+      name: 'ix_recurring_charges_building_tenant',
+      fields: ['building_id', 'tenant_id'],
+    });
+
+    // Recurring charges on a tenant bill (part of total_amount)
+    await queryInterface.addColumn('tenant_bill_list', 'charge_amount', {
+      type: Sequelize.DECIMAL(14, 2), allowNull: false, defaultValue: 0,
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('tenant_bill_list', 'charge_amount');
+    await queryInterface.dropTable('recurring_charges');
+    await queryInterface.removeColumn('stall_list', 'floor_area');
+  }
+};
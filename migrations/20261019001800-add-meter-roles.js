@@ -0,0 +1,51 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // 'tenant' (sub-meter on a stall, billed as before) | 'master' (supplier meter of the
+    // building) | 'common' (common-area meter). Master / common meters hang off the
+    // building instead of a stall.
+    await queryInterface.addColumn('meter_list', 'meter_role', {
+      type: Sequelize.STRING(10),
+      allowNull: false,
+      defaultValue: 'tenant',
+    });
+    await queryInterface.addColumn('meter_list', 'building_id', {
+      type: Sequelize.STRING(30),
+      allowNull: true,
+    });
+    // How the common-area units are shared among tenants:
+    // 'floor_area' | 'consumption' | 'equal' (master / common meters only)
+    await queryInterface.addColumn('meter_list', 'allocation_key', {
+      type: Sequelize.STRING(20),
+      allowNull: true,
+    });
+    await queryInterface.changeColumn('meter_list', 'stall_id', {
+      type: Sequelize.STRING(30),
+      allowNull: true,
+    });
+    await queryInterface.addIndex('meter_list', {
+      name: 'ix_meter_list_building_role',
+      fields: ['building_id', 'meter_role'],
+    });
+
+    // Common-area share on a tenant bill (part of total_amount)
+    await queryInterface.addColumn('tenant_bill_list', 'allocation_amount', {
+      type: Sequelize.DECIMAL(14, 2), allowNull: false, defaultValue: 0,
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('tenant_bill_list', 'allocation_amount');
+    await queryInterface.removeIndex('meter_list', 'ix_meter_list_building_role');
+    // master / common meters (no stall) must be removed before this can run
+    await queryInterface.changeColumn('meter_list', 'stall_id', {
+      type: Sequelize.STRING(30),
+      allowNull: false,
+    });
+    await queryInterface.removeColumn('meter_list', 'allocation_key');
+    await queryInterface.removeColumn('meter_list', 'building_id');
+    await queryInterface.removeColumn('meter_list', 'meter_role');
+  }
+};
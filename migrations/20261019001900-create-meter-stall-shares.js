@@ -0,0 +1,31 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // 1 row = the share of a meter's consumption billed to one stall. A meter with rows here
+    // is billed per share (the shares sum to 100); meter_list.stall_id stays its home stall.
+    await queryInterface.createTable('meter_stall_shares', {
+      share_id:     { type: Sequelize.INTEGER, allowNull: false, primaryKey: true, autoIncrement: true },
+      meter_id:     { type: Sequelize.STRING(30), allowNull: false },
+      stall_id:     { type: Sequelize.STRING(30), allowNull: false },
+      share_pct:    { type: Sequelize.DECIMAL(7, 4), allowNull: false }, // 33.3333 = 33.3333%
+      last_updated: { type: Sequelize.DATE, allowNull: false },
+      updated_by:   { type: Sequelize.STRING(30), allowNull: false },
+    });
+
+    await queryInterface.addIndex('meter_stall_shares', {
+      name: 'ux_meter_stall_shares_meter_stall',
+      unique: true,
+      fields: ['meter_id', 'stall_id'],
+    });
+    await queryInterface.addIndex('meter_stall_shares', {
+      name: 'ix_meter_stall_shares_stall',
+      fields: ['stall_id'],
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('meter_stall_shares');
+  }
+};
@@ -0,0 +1,30 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // 1 row = how one tenant is billed where it differs from its building. Every column is
+    // optional: NULL follows the building rate / minimum and the markup of the billing run.
+    await queryInterface.createTable('tenant_billing_profiles', {
+      tenant_id:      { type: Sequelize.STRING(30), allowNull: false, primaryKey: true },
+      // negotiated per-unit rates (replace the building rate and any block tariff)
+      erate_perKwH:   { type: Sequelize.DECIMAL(10, 2), allowNull: true },
+      wrate_perCbM:   { type: Sequelize.DECIMAL(10, 2), allowNull: true },
+      lrate_perKg:    { type: Sequelize.DECIMAL(10, 2), allowNull: true },
+      // true = always marked up, false = never, NULL = as the run (with-markup endpoints)
+      apply_markup:   { type: Sequelize.BOOLEAN, allowNull: true },
+      // minimum consumption per utility
+      emin_con:       { type: Sequelize.DECIMAL(10, 2), allowNull: true },
+      wmin_con:       { type: Sequelize.DECIMAL(10, 2), allowNull: true },
+      lmin_con:       { type: Sequelize.DECIMAL(10, 2), allowNull: true },
+      // never charged late-payment penalties, whatever tenant_list.for_penalty says
+      penalty_exempt: { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: false },
+      last_updated:   { type: Sequelize.DATE, allowNull: false },
+      updated_by:     { type: Sequelize.STRING(30), allowNull: false },
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('tenant_billing_profiles');
+  }
+};
@@ -0,0 +1,50 @@
+'use strict';
+
+const UTILITY_PREFIXES = ['e', 'w', 'l']; // electric, water, LPG
+const RATE_TABLES = ['building_list', 'building_rate_history'];
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Markup and penalty per utility, on the building and in every rate history row:
+    //   <u>markup_type  'fixed' (amount per unit) | 'percent' (of the utility rate)
+    //   <u>markup_rate  the amount or percentage
+    //   <u>penalty_rate late-payment rate of what is owed on that utility
+    // markup_rate / penalty_rate stay as the building-wide values (recurring charges, headers).
+    for (const table of RATE_TABLES) {
+      for (const u of UTILITY_PREFIXES) {
+        await queryInterface.addColumn(table, `${u}markup_rate`, {
+          type: Sequelize.DECIMAL(10, 2), allowNull: false, defaultValue: 0,
+        });
+        await queryInterface.addColumn(table, `${u}markup_type`, {
+          type: Sequelize.STRING(10), allowNull: false, defaultValue: 'fixed',
+        });
+        await queryInterface.addColumn(table, `${u}penalty_rate`, {
+          type: Sequelize.DECIMAL(10, 2), allowNull: false, defaultValue: 0,
+        });
+      }
+      // every utility starts from the shared rates
+      await queryInterface.sequelize.query(`
+        UPDATE ${table}
+           SET emarkup_rate = markup_rate, wmarkup_rate = markup_rate, lmarkup_rate = markup_rate,
+               epenalty_rate = penalty_rate, wpenalty_rate = penalty_rate, lpenalty_rate = penalty_rate;
+      `);
+    }
+
+    // Penalty rate of a tenant bill (percent points): its utilities' rates weighted by amount
+    await queryInterface.addColumn('tenant_bill_list', 'penalty_rate_pct', {
+      type: Sequelize.DECIMAL(10, 4), allowNull: true,
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('tenant_bill_list', 'penalty_rate_pct');
+    for (const table of RATE_TABLES) {
+      for (const u of UTILITY_PREFIXES) {
+        await queryInterface.removeColumn(table, `${u}penalty_rate`);
+        await queryInterface.removeColumn(table, `${u}markup_type`);
+        await queryInterface.removeColumn(table, `${u}markup_rate`);
+      }
+    }
+  }
+};
@@ -0,0 +1,70 @@
+'use strict';
+
+const PROFILE_COLUMNS = [
+  'tenant_id', 'erate_perKwH', 'wrate_perCbM', 'lrate_perKg', 'apply_markup',
+  'emin_con', 'wmin_con', 'lmin_con', 'penalty_exempt', 'last_updated', 'updated_by',
+].join(', ');
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.renameTable('tenant_billing_profiles', 'tenant_billing_profiles_old');
+
+    // Append-only: 1 row = a tenant's billing terms in force from effective_from through
+    // effective_to (NULL = until further notice). A change closes the open row and adds one.
+    await queryInterface.createTable('tenant_billing_profiles', {
+      profile_id:     { type: Sequelize.INTEGER, allowNull: false, primaryKey: true, autoIncrement: true },
+      tenant_id:      { type: Sequelize.STRING(30), allowNull: false },
+      effective_from: { type: Sequelize.DATEONLY, allowNull: false },
+      effective_to:   { type: Sequelize.DATEONLY, allowNull: true },
+      erate_perKwH:   { type: Sequelize.DECIMAL(10, 2), allowNull: true },
+      wrate_perCbM:   { type: Sequelize.DECIMAL(10, 2), allowNull: true },
+      lrate_perKg:    { type: Sequelize.DECIMAL(10, 2), allowNull: true },
+      apply_markup:   { type: Sequelize.BOOLEAN, allowNull: true },
+      emin_con:       { type: Sequelize.DECIMAL(10, 2), allowNull: true },
+      wmin_con:       { type: Sequelize.DECIMAL(10, 2), allowNull: true },
+      lmin_con:       { type: Sequelize.DECIMAL(10, 2), allowNull: true },
+      penalty_exempt: { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: false },
+      last_updated:   { type: Sequelize.DATE, allowNull: false },
+      updated_by:     { type: Sequelize.STRING(30), allowNull: false },
+    });
+
+    await queryInterface.addIndex('tenant_billing_profiles', {
+      name: 'ix_tenant_billing_profiles_tenant_effective',
+      fields: ['tenant_id', 'effective_from'],
+    });
+
+    // Existing profiles have always applied: seed them as in force since 2000-01-01
+    await queryInterface.sequelize.query(`
+      INSERT INTO tenant_billing_profiles (${PROFILE_COLUMNS}, effective_from, effective_to)
+      SELECT ${PROFILE_COLUMNS}, '2000-01-01', NULL
+        FROM tenant_billing_profiles_old;
+    `);
+    await queryInterface.dropTable('tenant_billing_profiles_old');
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.renameTable('tenant_billing_profiles', 'tenant_billing_profiles_new');
+    await queryInterface.createTable('tenant_billing_profiles', {
+      tenant_id:      { type: Sequelize.STRING(30), allowNull: false, primaryKey: true },
+      erate_perKwH:   { type: Sequelize.DECIMAL(10, 2), allowNull: true },
+      wrate_perCbM:   { type: Sequelize.DECIMAL(10, 2), allowNull: true },
+      lrate_perKg:    { type: Sequelize.DECIMAL(10, 2), allowNull: true },
+      apply_markup:   { type: Sequelize.BOOLEAN, allowNull: true },
+      emin_con:       { type: Sequelize.DECIMAL(10, 2), allowNull: true },
+      wmin_con:       { type: Sequelize.DECIMAL(10, 2), allowNull: true },
+      lmin_con:       { type: Sequelize.DECIMAL(10, 2), allowNull: true },
+      penalty_exempt: { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: false },
+      last_updated:   { type: Sequelize.DATE, allowNull: false },
+      updated_by:     { type: Sequelize.STRING(30), allowNull: false },
+    });
+    // keep each tenant's open version (the terms in force today)
+    await queryInterface.sequelize.query(`
+      INSERT INTO tenant_billing_profiles (${PROFILE_COLUMNS})
+      SELECT ${PROFILE_COLUMNS}
+        FROM tenant_billing_profiles_new
+       WHERE effective_to IS NULL;
+    `);
+    await queryInterface.dropTable('tenant_billing_profiles_new');
+  }
+};
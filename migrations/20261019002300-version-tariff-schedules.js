@@ -0,0 +1,41 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // A building + utility now keeps every schedule it has had: 1 row = the blocks in force
+    // from effective_from through effective_to (NULL = until further notice).
+    await queryInterface.removeIndex('tariff_schedules', 'ux_tariff_schedules_building_utility');
+
+    // existing schedules have always applied
+    await queryInterface.addColumn('tariff_schedules', 'effective_from', {
+      type: Sequelize.DATEONLY, allowNull: false, defaultValue: '2000-01-01',
+    });
+    await queryInterface.addColumn('tariff_schedules', 'effective_to', {
+      type: Sequelize.DATEONLY, allowNull: true,
+    });
+
+    await queryInterface.addIndex('tariff_schedules', {
+      name: 'ix_tariff_schedules_building_utility_effective',
+      fields: ['building_id', 'utility_type', 'effective_from'],
+    });
+  },
+
+  async down(queryInterface) {
+    // only the open schedule of each building + utility survives
+    await queryInterface.sequelize.query(`
+      DELETE FROM tariff_blocks
+       WHERE tariff_id IN (SELECT tariff_id FROM tariff_schedules WHERE effective_to IS NOT NULL);
+    `);
+    await queryInterface.sequelize.query('DELETE FROM tariff_schedules WHERE effective_to IS NOT NULL;');
+
+    await queryInterface.removeIndex('tariff_schedules', 'ix_tariff_schedules_building_utility_effective');
+    await queryInterface.removeColumn('tariff_schedules', 'effective_to');
+    await queryInterface.removeColumn('tariff_schedules', 'effective_from');
+    await queryInterface.addIndex('tariff_schedules', {
+      name: 'ux_tariff_schedules_building_utility',
+      unique: true,
+      fields: ['building_id', 'utility_type'],
+    });
+  }
+};
@@ -1,5 +1,5 @@
 // models/Billing.js
-const { DataTypes } = require('sequelize');
+const { DataTypes, Op } = require('sequelize');
 const sequelize = require('./index');
 
 /**
@@ -10,6 +10,8 @@ const sequelize = require('./index');
  * - period_start, period_end
  * - totals (total_consumed_kwh, total_amount)
  * - penalty_rate_pct
+ * - due_date, grace_period_days, penalty_method (late-payment terms)
+ * - billing_status and who reviewed / approved / posted / voided it (see utils/billingWorkflow)
  * - full JSON payload snapshot (payload_json) from the API output
  */
 const Billing = sequelize.define(
@@ -62,6 +64,41 @@ const Billing = sequelize.define(
       validate: { min: 0 },
     },
 
+    // Payment terms copied from the building when the billing was saved
+    due_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: true,
+    },
+
+    grace_period_days: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+
+    penalty_method: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'one_time',
+    },
+
+    // Workflow: draft → reviewed → approved → posted → void
+    billing_status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'draft',
+      validate: { isIn: [['draft', 'reviewed', 'approved', 'posted', 'void']] },
+    },
+    reviewed_at: { type: DataTypes.DATE, allowNull: true },
+    reviewed_by: { type: DataTypes.STRING(30), allowNull: true },
+    approved_at: { type: DataTypes.DATE, allowNull: true },
+    approved_by: { type: DataTypes.STRING(30), allowNull: true },
+    posted_at:   { type: DataTypes.DATE, allowNull: true },
+    posted_by:   { type: DataTypes.STRING(30), allowNull: true },
+    voided_at:   { type: DataTypes.DATE, allowNull: true },
+    voided_by:   { type: DataTypes.STRING(30), allowNull: true },
+    void_reason: { type: DataTypes.STRING(255), allowNull: true },
+
     // Raw JSON string; we add virtual getters/setters below
     payload_json: {
       type: DataTypes.TEXT,
@@ -107,6 +144,7 @@ const Billing = sequelize.define(
         name: 'ix_building_billing_building_period',
         unique: true,
         fields: ['building_id', 'period_start', 'period_end'],
+        where: { billing_status: { [Op.ne]: 'void' } }, // a void billing keeps its period
       },
     ],
   }
@@ -0,0 +1,51 @@
+// models/BillingAdjustment.js
+const { DataTypes } = require('sequelize');
+const sequelize = require('./index');
+
+/**
+ * An amount carried to a tenant's next building billing, e.g. the difference an
+ * approved reading correction makes to a posted bill. It waits as 'pending' until
+ * the next billing of the building is saved, which takes it in ('applied').
+ */
+const BillingAdjustment = sequelize.define('BillingAdjustment', {
+  adjustment_id: { type: DataTypes.STRING(30), primaryKey: true },
+  building_id:   { type: DataTypes.STRING(30), allowNull: false },
+  tenant_id:     { type: DataTypes.STRING(30), allowNull: true },
+  tenant_name:   { type: DataTypes.STRING(100), allowNull: true },
+  meter_id:      { type: DataTypes.STRING(30), allowNull: true },
+
+  // e.g. 'reading_correction' + its correction_id
+  source_type: { type: DataTypes.STRING(30), allowNull: false },
+  source_id:   { type: DataTypes.STRING(30), allowNull: true },
+
+  original_billing_id: { type: DataTypes.STRING(80), allowNull: true },
+  original_period_end: { type: DataTypes.DATEONLY, allowNull: true },
+
+  consumption_delta: { type: DataTypes.DECIMAL(30, 4), allowNull: false, defaultValue: 0 },
+  rate:              { type: DataTypes.DECIMAL(18, 6), allowNull: true },
+  // Negative = credit to the tenant
+  amount:            { type: DataTypes.DECIMAL(14, 2), allowNull: false },
+  description:       { type: DataTypes.STRING(255), allowNull: true },
+
+  // 'pending' | 'applied' | 'cancelled'
+  status: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'pending',
+    validate: { isIn: [['pending', 'applied', 'cancelled']] },
+  },
+  applied_billing_id: { type: DataTypes.STRING(80), allowNull: true },
+  applied_at:         { type: DataTypes.DATE, allowNull: true },
+
+  last_updated: { type: DataTypes.DATE, allowNull: false },
+  updated_by:   { type: DataTypes.STRING(30), allowNull: false },
+}, {
+  tableName: 'billing_adjustments',
+  timestamps: false,
+  indexes: [
+    { fields: ['building_id', 'status'], name: 'ix_billing_adjustments_building_status' },
+    { fields: ['applied_billing_id'], name: 'ix_billing_adjustments_applied_billing' },
+  ],
+});
+
+module.exports = BillingAdjustment;
@@ -0,0 +1,77 @@
+// models/BillingMemo.js
+const { DataTypes } = require('sequelize');
+const sequelize = require('./index');
+
+/**
+ * A credit or debit memo against one tenant bill of a posted billing, e.g. to correct
+ * a reading or rate error without regenerating the building billing. Once approved it
+ * counts toward the bill's balance (memo_amount on tenant_bill_list) and is printed on
+ * the tenant's next statement (statement_billing_id).
+ */
+const BillingMemo = sequelize.define('BillingMemo', {
+  memo_id: { type: DataTypes.STRING(30), primaryKey: true },
+
+  // 'credit' (lowers what the tenant owes) | 'debit' (raises it)
+  memo_type: {
+    type: DataTypes.STRING(10),
+    allowNull: false,
+    validate: { isIn: [['credit', 'debit']] },
+  },
+  tenant_bill_id:      { type: DataTypes.STRING(30), allowNull: false },
+  building_billing_id: { type: DataTypes.STRING(80), allowNull: false },
+  building_id:         { type: DataTypes.STRING(30), allowNull: false },
+  tenant_id:           { type: DataTypes.STRING(30), allowNull: false },
+  original_period_end: { type: DataTypes.DATEONLY, allowNull: false },
+  reason_code:         { type: DataTypes.STRING(30), allowNull: false },
+  description:         { type: DataTypes.STRING(255), allowNull: true },
+
+  // 'amount' (net amount given) | 'units' (units × unit_rate of a meter on the bill)
+  basis: {
+    type: DataTypes.STRING(10),
+    allowNull: false,
+    validate: { isIn: [['amount', 'units']] },
+  },
+  meter_id:  { type: DataTypes.STRING(30), allowNull: true },
+  units:     { type: DataTypes.DECIMAL(30, 4), allowNull: true },
+  unit_rate: { type: DataTypes.DECIMAL(18, 6), allowNull: true },
+
+  tax_treatment: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    validate: { isIn: [['exclusive', 'inclusive', 'exempt', 'zero_rated']] },
+  },
+  vat_rate:     { type: DataTypes.DECIMAL(10, 6), allowNull: false, defaultValue: 0 },
+  wt_rate:      { type: DataTypes.DECIMAL(10, 6), allowNull: false, defaultValue: 0 },
+  net_amount:   { type: DataTypes.DECIMAL(14, 2), allowNull: false },
+  vat_amount:   { type: DataTypes.DECIMAL(14, 2), allowNull: false, defaultValue: 0 },
+  wt_amount:    { type: DataTypes.DECIMAL(14, 2), allowNull: false, defaultValue: 0 },
+  // Always positive; memo_type gives the direction
+  total_amount: { type: DataTypes.DECIMAL(14, 2), allowNull: false, validate: { min: 0 } },
+
+  // 'pending' | 'approved' | 'rejected'
+  status: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'pending',
+    validate: { isIn: [['pending', 'approved', 'rejected']] },
+  },
+  requested_by: { type: DataTypes.STRING(30), allowNull: false },
+  requested_at: { type: DataTypes.DATE, allowNull: false },
+  approved_by:  { type: DataTypes.STRING(30), allowNull: true },
+  approved_at:  { type: DataTypes.DATE, allowNull: true },
+  review_note:  { type: DataTypes.STRING(255), allowNull: true },
+  memo_date:    { type: DataTypes.DATEONLY, allowNull: true },
+  statement_billing_id: { type: DataTypes.STRING(80), allowNull: true },
+
+  last_updated: { type: DataTypes.DATE, allowNull: false },
+  updated_by:   { type: DataTypes.STRING(30), allowNull: false },
+}, {
+  tableName: 'billing_memos',
+  timestamps: false,
+  indexes: [
+    { fields: ['building_billing_id', 'tenant_id'], name: 'ix_billing_memos_billing_tenant' },
+    { fields: ['tenant_id', 'status'], name: 'ix_billing_memos_tenant_status' },
+  ],
+});
+
+module.exports = BillingMemo;
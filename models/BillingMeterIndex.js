@@ -0,0 +1,36 @@
+// models/BillingMeterIndex.js
+const { DataTypes } = require('sequelize');
+const sequelize = require('./index');
+
+/**
+ * Per-meter indices of a stored building billing (child of billing_list).
+ * Used to open the next period at the last billed index ("continuity")
+ * and to reject stored billings whose windows overlap for the same meter.
+ */
+const BillingMeterIndex = sequelize.define('BillingMeterIndex', {
+  index_id:            { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+  building_billing_id: { type: DataTypes.STRING(80), allowNull: false },
+  meter_id:            { type: DataTypes.STRING(30), allowNull: false },
+  period_start:        { type: DataTypes.DATEONLY, allowNull: false },
+  period_end:          { type: DataTypes.DATEONLY, allowNull: false },
+
+  opening_index: { type: DataTypes.DECIMAL(30, 2), allowNull: false, defaultValue: 0.00 },
+  closing_index: { type: DataTypes.DECIMAL(30, 2), allowNull: false, defaultValue: 0.00 },
+  consumption:   { type: DataTypes.DECIMAL(30, 4), allowNull: false, defaultValue: 0 },
+
+  // 'calendar' | 'continuity' | 'installation' — how opening_index was resolved
+  opening_mode:  { type: DataTypes.STRING(20), allowNull: false, defaultValue: 'calendar' },
+
+  // closing_index was estimated; the next bill trues it up against an actual reading
+  is_estimated:    { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+  estimate_method: { type: DataTypes.STRING(30), allowNull: true },
+}, {
+  tableName: 'billing_meter_index',
+  timestamps: false,
+  indexes: [
+    { fields: ['meter_id', 'period_end'], name: 'ix_billing_meter_index_meter_period' },
+    { unique: true, fields: ['building_billing_id', 'meter_id'], name: 'ux_billing_meter_index_billing_meter' },
+  ],
+});
+
+module.exports = BillingMeterIndex;
@@ -52,6 +52,30 @@ const Building = sequelize.define('Building', {
     validate: { min: 0 }
   },
 
+  // Per-utility markup: 'fixed' = amount per unit, 'percent' = % of the utility rate
+  emarkup_rate: { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0.00, validate: { min: 0 } },
+  emarkup_type: { type: DataTypes.STRING(10), allowNull: false, defaultValue: 'fixed', validate: { isIn: [['fixed', 'percent']] } },
+  wmarkup_rate: { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0.00, validate: { min: 0 } },
+  wmarkup_type: { type: DataTypes.STRING(10), allowNull: false, defaultValue: 'fixed', validate: { isIn: [['fixed', 'percent']] } },
+  lmarkup_rate: { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0.00, validate: { min: 0 } },
+  lmarkup_type: { type: DataTypes.STRING(10), allowNull: false, defaultValue: 'fixed', validate: { isIn: [['fixed', 'percent']] } },
+
+  // Per-utility late-payment rates (penalty_rate covers recurring charges and adjustments)
+  epenalty_rate: { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0.00, validate: { min: 0 } },
+  wpenalty_rate: { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0.00, validate: { min: 0 } },
+  lpenalty_rate: { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0.00, validate: { min: 0 } },
+
+  // Payment terms: due date = period_end + payment_term_days; penalties start after the grace period
+  payment_term_days: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 15, validate: { min: 0 } },
+  grace_period_days: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0, validate: { min: 0 } },
+  // 'one_time' | 'monthly_compound'
+  penalty_method: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'one_time',
+    validate: { isIn: [['one_time', 'monthly_compound']] }
+  },
+
   last_updated:  { type: DataTypes.DATE, allowNull: false },
   updated_by:    { type: DataTypes.STRING(30), allowNull: false },
   }, {
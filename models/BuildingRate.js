@@ -0,0 +1,43 @@
+// models/BuildingRate.js
+const { DataTypes } = require('sequelize');
+const sequelize = require('./index');
+
+/**
+ * Append-only history of building base rates.
+ * One row = the full rate set in force from effective_from until the next row.
+ * building_list keeps the rates in force today (for display / backwards compat).
+ */
+const BuildingRate = sequelize.define('BuildingRate', {
+  rate_history_id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+  building_id:     { type: DataTypes.STRING(30), allowNull: false },
+  effective_from:  { type: DataTypes.DATEONLY, allowNull: false },
+
+  erate_perKwH: { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0.00, validate: { min: 0 } },
+  emin_con:     { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0.00, validate: { min: 0 } },
+  wrate_perCbM: { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0.00, validate: { min: 0 } },
+  wmin_con:     { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0.00, validate: { min: 0 } },
+  lrate_perKg:  { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0.00, validate: { min: 0 } },
+  markup_rate:  { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0.00, validate: { min: 0 } },
+  penalty_rate: { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0.00, validate: { min: 0 } },
+  // per utility: markup amount or percentage (markup_type fixed | percent) and penalty rate
+  emarkup_rate:  { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0.00, validate: { min: 0 } },
+  emarkup_type:  { type: DataTypes.STRING(10), allowNull: false, defaultValue: 'fixed' },
+  wmarkup_rate:  { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0.00, validate: { min: 0 } },
+  wmarkup_type:  { type: DataTypes.STRING(10), allowNull: false, defaultValue: 'fixed' },
+  lmarkup_rate:  { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0.00, validate: { min: 0 } },
+  lmarkup_type:  { type: DataTypes.STRING(10), allowNull: false, defaultValue: 'fixed' },
+  epenalty_rate: { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0.00, validate: { min: 0 } },
+  wpenalty_rate: { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0.00, validate: { min: 0 } },
+  lpenalty_rate: { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0.00, validate: { min: 0 } },
+
+  changed_by: { type: DataTypes.STRING(30), allowNull: false },
+  changed_at: { type: DataTypes.DATE, allowNull: false },
+}, {
+  tableName: 'building_rate_history',
+  timestamps: false,
+  indexes: [
+    { fields: ['building_id', 'effective_from'], name: 'ix_building_rate_history_building_effective' },
+  ],
+});
+
+module.exports = BuildingRate;
@@ -0,0 +1,26 @@
+// models/InvoiceSeries.js
+const { DataTypes } = require('sequelize');
+const sequelize = require('./index');
+
+/**
+ * An invoice number sequence. Tenant bills take the next number when they are
+ * finalized (utils/invoiceNumbering); next_number only ever moves forward, so the
+ * numbers of a series have no gaps. building_id NULL = a series any building may use.
+ */
+const InvoiceSeries = sequelize.define('InvoiceSeries', {
+  series_id:   { type: DataTypes.STRING(30), primaryKey: true },
+  building_id: { type: DataTypes.STRING(30), allowNull: true },
+  prefix:      { type: DataTypes.STRING(20), allowNull: false, unique: true },
+  pad_length:  { type: DataTypes.INTEGER, allowNull: false, defaultValue: 6, validate: { min: 1, max: 12 } },
+  next_number: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 1, validate: { min: 1 } },
+  is_default:  { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+  description: { type: DataTypes.STRING(100), allowNull: true },
+
+  last_updated: { type: DataTypes.DATE, allowNull: false },
+  updated_by:   { type: DataTypes.STRING(30), allowNull: false },
+}, {
+  tableName: 'invoice_series',
+  timestamps: false,
+});
+
+module.exports = InvoiceSeries;
@@ -27,9 +27,44 @@ const Meter = sequelize.define('Meter', {
     allowNull: false,
     defaultValue: 'inactive'
   },
+  // First value the register cannot display (5 digits → 100000); NULL = unknown
+  rollover_value: {
+    type: DataTypes.DECIMAL(14, 2),
+    allowNull: true,
+    validate: { min: 0 }
+  },
+  // Installation reading: opening index of the first bill when no earlier reading exists
+  install_index: {
+    type: DataTypes.DECIMAL(30, 2),
+    allowNull: true,
+    validate: { min: 0 }
+  },
+  install_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: true
+  },
+  // Stall of a tenant sub-meter; null for master / common-area meters
   stall_id: {
     type: DataTypes.STRING(30),
-    allowNull: false
+    allowNull: true
+  },
+  // 'tenant' | 'master' (supplier meter of the building) | 'common' (common-area meter)
+  meter_role: {
+    type: DataTypes.STRING(10),
+    allowNull: false,
+    defaultValue: 'tenant',
+    validate: { isIn: [['tenant', 'master', 'common']] }
+  },
+  // Building of a master / common-area meter (tenant meters go through their stall)
+  building_id: {
+    type: DataTypes.STRING(30),
+    allowNull: true
+  },
+  // Master / common meters: how the common-area units are shared among tenants
+  allocation_key: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    validate: { isIn: [['floor_area', 'consumption', 'equal']] }
   },
   last_updated: {
     type: DataTypes.DATE,
@@ -0,0 +1,60 @@
+// models/MeterReplacement.js
+const { DataTypes } = require('sequelize');
+const sequelize = require('./index');
+
+/**
+ * Links an outgoing meter to the meter that replaced it on the same stall.
+ * Billing uses the two indices to count consumption on both sides of the swap.
+ */
+const MeterReplacement = sequelize.define('MeterReplacement', {
+  replacement_id: {
+    type: DataTypes.STRING(30),
+    primaryKey: true
+  },
+  old_meter_id: {
+    type: DataTypes.STRING(30),
+    allowNull: false
+  },
+  new_meter_id: {
+    type: DataTypes.STRING(30),
+    allowNull: false
+  },
+  swap_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  // Last index shown by the outgoing meter
+  old_final_index: {
+    type: DataTypes.DECIMAL(30, 2),
+    allowNull: false,
+    validate: { min: 0 }
+  },
+  // First index shown by the incoming meter
+  new_initial_index: {
+    type: DataTypes.DECIMAL(30, 2),
+    allowNull: false,
+    defaultValue: 0.00,
+    validate: { min: 0 }
+  },
+  remarks: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  last_updated: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  updated_by: {
+    type: DataTypes.STRING(30),
+    allowNull: false
+  }
+}, {
+  tableName: 'meter_replacements',
+  timestamps: false,
+  indexes: [
+    { unique: true, fields: ['old_meter_id'], name: 'ux_meter_replacements_old_meter' },
+    { unique: true, fields: ['new_meter_id'], name: 'ux_meter_replacements_new_meter' },
+  ],
+});
+
+module.exports = MeterReplacement;
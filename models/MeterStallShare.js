@@ -0,0 +1,27 @@
+// models/MeterStallShare.js
+const { DataTypes } = require('sequelize');
+const sequelize = require('./index');
+
+/**
+ * Share of a meter's consumption billed to one stall, for a meter feeding adjoining stalls.
+ * A meter with share rows is billed once per share (see utils/meterShares); the shares of
+ * a meter sum to 100 and include its home stall (meter_list.stall_id).
+ */
+const MeterStallShare = sequelize.define('MeterStallShare', {
+  share_id:  { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+  meter_id:  { type: DataTypes.STRING(30), allowNull: false },
+  stall_id:  { type: DataTypes.STRING(30), allowNull: false },
+  share_pct: { type: DataTypes.DECIMAL(7, 4), allowNull: false, validate: { min: 0, max: 100 } },
+
+  last_updated: { type: DataTypes.DATE, allowNull: false },
+  updated_by:   { type: DataTypes.STRING(30), allowNull: false },
+}, {
+  tableName: 'meter_stall_shares',
+  timestamps: false,
+  indexes: [
+    { unique: true, fields: ['meter_id', 'stall_id'], name: 'ux_meter_stall_shares_meter_stall' },
+    { fields: ['stall_id'], name: 'ix_meter_stall_shares_stall' },
+  ],
+});
+
+module.exports = MeterStallShare;
@@ -0,0 +1,36 @@
+// models/Payment.js
+const { DataTypes } = require('sequelize');
+const sequelize = require('./index');
+
+/**
+ * Money received from a tenant (doubles as the receipt).
+ * How it is applied to billings lives in payment_allocations; whatever is
+ * not allocated stays on the tenant's account as a credit.
+ */
+const Payment = sequelize.define('Payment', {
+  payment_id:   { type: DataTypes.STRING(30), primaryKey: true },
+  tenant_id:    { type: DataTypes.STRING(30), allowNull: false },
+  building_id:  { type: DataTypes.STRING(30), allowNull: false },
+  payment_date: { type: DataTypes.DATEONLY, allowNull: false },
+  amount:       { type: DataTypes.DECIMAL(14, 2), allowNull: false, validate: { min: 0.01 } },
+
+  // 'cash' | 'check' | 'bank_transfer' | 'online' | 'other'
+  method: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    validate: { isIn: [['cash', 'check', 'bank_transfer', 'online', 'other']] },
+  },
+  reference: { type: DataTypes.STRING(100), allowNull: true },
+  notes:     { type: DataTypes.STRING(255), allowNull: true },
+
+  last_updated: { type: DataTypes.DATE, allowNull: false },
+  updated_by:   { type: DataTypes.STRING(30), allowNull: false },
+}, {
+  tableName: 'payments',
+  timestamps: false,
+  indexes: [
+    { fields: ['tenant_id', 'payment_date'], name: 'ix_payments_tenant_date' },
+  ],
+});
+
+module.exports = Payment;
@@ -0,0 +1,33 @@
+// models/PaymentAllocation.js
+const { DataTypes } = require('sequelize');
+const sequelize = require('./index');
+
+/**
+ * Part of a payment applied to a tenant's share of a stored billing
+ * (the billed utility lines plus any penalties posted against them).
+ */
+const PaymentAllocation = sequelize.define('PaymentAllocation', {
+  allocation_id:       { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+  payment_id:          { type: DataTypes.STRING(30), allowNull: false },
+  building_billing_id: { type: DataTypes.STRING(80), allowNull: false },
+  tenant_id:           { type: DataTypes.STRING(30), allowNull: false },
+  amount:              { type: DataTypes.DECIMAL(14, 2), allowNull: false, validate: { min: 0.01 } },
+
+  last_updated: { type: DataTypes.DATE, allowNull: false },
+  updated_by:   { type: DataTypes.STRING(30), allowNull: false },
+}, {
+  tableName: 'payment_allocations',
+  timestamps: false,
+  indexes: [
+    { fields: ['building_billing_id', 'tenant_id'], name: 'ix_payment_allocations_billing_tenant' },
+    { fields: ['payment_id'], name: 'ix_payment_allocations_payment' },
+  ],
+});
+
+module.exports = PaymentAllocation;
+
+// ------------ Associations ------------
+const Payment = require('./Payment');
+
+Payment.hasMany(PaymentAllocation, { foreignKey: 'payment_id', as: 'allocations' });
+PaymentAllocation.belongsTo(Payment, { foreignKey: 'payment_id', as: 'payment' });
@@ -0,0 +1,36 @@
+// models/PenaltyCharge.js
+const { DataTypes } = require('sequelize');
+const sequelize = require('./index');
+
+/**
+ * A late-payment penalty posted against a tenant's share of a stored billing.
+ * Posted by utils/penaltyEngine once the due date + grace period has passed;
+ * monthly compounding posts one row per month (sequence_no 1, 2, ...).
+ */
+const PenaltyCharge = sequelize.define('PenaltyCharge', {
+  penalty_id:          { type: DataTypes.STRING(30), primaryKey: true },
+  building_billing_id: { type: DataTypes.STRING(80), allowNull: false },
+  building_id:         { type: DataTypes.STRING(30), allowNull: false },
+  tenant_id:           { type: DataTypes.STRING(30), allowNull: false },
+  sequence_no:         { type: DataTypes.INTEGER, allowNull: false, defaultValue: 1 },
+  assessed_on:         { type: DataTypes.DATEONLY, allowNull: false },
+
+  // 'one_time' | 'monthly_compound'
+  method:           { type: DataTypes.STRING(20), allowNull: false },
+  // Unpaid amount the rate was applied to
+  basis_amount:     { type: DataTypes.DECIMAL(14, 2), allowNull: false, validate: { min: 0 } },
+  penalty_rate_pct: { type: DataTypes.DECIMAL(10, 4), allowNull: false, validate: { min: 0 } },
+  amount:           { type: DataTypes.DECIMAL(14, 2), allowNull: false, validate: { min: 0 } },
+
+  last_updated: { type: DataTypes.DATE, allowNull: false },
+  updated_by:   { type: DataTypes.STRING(30), allowNull: false },
+}, {
+  tableName: 'penalty_charges',
+  timestamps: false,
+  indexes: [
+    { unique: true, fields: ['building_billing_id', 'tenant_id', 'sequence_no'], name: 'ux_penalty_charges_billing_tenant_seq' },
+    { fields: ['tenant_id', 'assessed_on'], name: 'ix_penalty_charges_tenant' },
+  ],
+});
+
+module.exports = PenaltyCharge;
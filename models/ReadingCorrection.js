@@ -0,0 +1,53 @@
+// models/ReadingCorrection.js
+const { DataTypes } = require('sequelize');
+const sequelize = require('./index');
+
+/**
+ * A requested change to a reading that a posted billing already used
+ * (its date falls inside the billing window, so the reading is locked).
+ * An admin approves or rejects it; approval applies the change and carries
+ * the billed difference to the tenant's next bill (utils/readingCorrections).
+ */
+const ReadingCorrection = sequelize.define('ReadingCorrection', {
+  correction_id:       { type: DataTypes.STRING(30), primaryKey: true },
+  reading_id:          { type: DataTypes.STRING(30), allowNull: false },
+  meter_id:            { type: DataTypes.STRING(30), allowNull: false },
+  building_id:         { type: DataTypes.STRING(30), allowNull: false },
+  building_billing_id: { type: DataTypes.STRING(80), allowNull: false },
+
+  // 'update' (new_value) | 'delete'
+  action: {
+    type: DataTypes.STRING(10),
+    allowNull: false,
+    validate: { isIn: [['update', 'delete']] },
+  },
+  reading_date:   { type: DataTypes.DATEONLY, allowNull: false },
+  original_value: { type: DataTypes.DECIMAL(30, 2), allowNull: false },
+  new_value:      { type: DataTypes.DECIMAL(30, 2), allowNull: true, validate: { min: 0 } },
+  reason:         { type: DataTypes.STRING(255), allowNull: false },
+
+  // 'pending' | 'approved' | 'rejected'
+  status: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'pending',
+    validate: { isIn: [['pending', 'approved', 'rejected']] },
+  },
+  requested_by:  { type: DataTypes.STRING(30), allowNull: false },
+  requested_at:  { type: DataTypes.DATE, allowNull: false },
+  reviewed_by:   { type: DataTypes.STRING(30), allowNull: true },
+  reviewed_at:   { type: DataTypes.DATE, allowNull: true },
+  review_note:   { type: DataTypes.STRING(255), allowNull: true },
+  adjustment_id: { type: DataTypes.STRING(30), allowNull: true },
+
+  last_updated: { type: DataTypes.DATE, allowNull: false },
+  updated_by:   { type: DataTypes.STRING(30), allowNull: false },
+}, {
+  tableName: 'reading_corrections',
+  timestamps: false,
+  indexes: [
+    { fields: ['reading_id', 'status'], name: 'ix_reading_corrections_reading' },
+  ],
+});
+
+module.exports = ReadingCorrection;
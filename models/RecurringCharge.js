@@ -0,0 +1,64 @@
+// models/RecurringCharge.js
+const { DataTypes } = require('sequelize');
+const sequelize = require('./index');
+
+/**
+ * A fixed charge added to every bill of a building's tenants (tenant_id null) or of
+ * one tenant: common-area maintenance, garbage fees, rent per m², meter rental...
+ * A tenant-level charge replaces the building-level one with the same charge_code.
+ * Priced and taxed by the billing engine (see utils/recurringCharges).
+ */
+const RecurringCharge = sequelize.define('RecurringCharge', {
+  charge_id:   { type: DataTypes.STRING(30), primaryKey: true },
+  building_id: { type: DataTypes.STRING(30), allowNull: false },
+  tenant_id:   { type: DataTypes.STRING(30), allowNull: true },
+  charge_code: { type: DataTypes.STRING(30), allowNull: false },
+  description: { type: DataTypes.STRING(100), allowNull: false },
+
+  // 'fixed' | 'per_sqm' (× stall floor area) | 'per_meter' (× meter count)
+  charge_type: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'fixed',
+    validate: { isIn: [['fixed', 'per_sqm', 'per_meter']] },
+  },
+  // per_meter only: count meters of this type (null = every meter)
+  meter_type: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    validate: { isIn: [['electric', 'water', 'lpg']] },
+  },
+  amount: { type: DataTypes.DECIMAL(14, 4), allowNull: false, validate: { min: 0 } },
+
+  // 'exclusive' | 'inclusive' | 'exempt' | 'zero_rated'
+  vat_mode: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'exclusive',
+    validate: { isIn: [['exclusive', 'inclusive', 'exempt', 'zero_rated']] },
+  },
+  vat_rate: { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0, validate: { min: 0 } },
+  // 'vat' (WT on the VAT) | 'base' (WT on the amount net of VAT)
+  wt_base: {
+    type: DataTypes.STRING(10),
+    allowNull: false,
+    defaultValue: 'vat',
+    validate: { isIn: [['vat', 'base']] },
+  },
+  wt_rate: { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0, validate: { min: 0 } },
+
+  effective_from: { type: DataTypes.DATEONLY, allowNull: false },
+  effective_to:   { type: DataTypes.DATEONLY, allowNull: true },
+  is_active:      { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: true },
+
+  last_updated: { type: DataTypes.DATE, allowNull: false },
+  updated_by:   { type: DataTypes.STRING(30), allowNull: false },
+}, {
+  tableName: 'recurring_charges',
+  timestamps: false,
+  indexes: [
+    { fields: ['building_id', 'tenant_id'], name: 'ix_recurring_charges_building_tenant' },
+  ],
+});
+
+module.exports = RecurringCharge;
@@ -24,6 +24,12 @@ const Stall = sequelize.define('Stall', {
     allowNull: false,
     defaultValue: 'available',
   },
+  // Leasable area in m² (charges per square meter)
+  floor_area: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: true,
+    validate: { min: 0 },
+  },
   last_updated: {
     type: DataTypes.DATE, // DATETIME in SQL
     allowNull: false,
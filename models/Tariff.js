@@ -0,0 +1,50 @@
+// models/Tariff.js
+const { DataTypes } = require('sequelize');
+const sequelize = require('./index');
+
+/**
+ * One row = one tariff schedule for a building + utility, in force from effective_from
+ * through effective_to (NULL = until further notice). A change closes the open schedule
+ * and adds a new one, so past periods keep the blocks they were priced with.
+ * Within its dates, the billing engine prices consumption per block
+ * instead of using the flat building rate.
+ */
+const Tariff = sequelize.define('Tariff', {
+  tariff_id:    { type: DataTypes.STRING(30), primaryKey: true },
+  building_id:  { type: DataTypes.STRING(30), allowNull: false },
+  utility_type: { type: DataTypes.ENUM('electric', 'water', 'lpg'), allowNull: false },
+
+  effective_from: { type: DataTypes.DATEONLY, allowNull: false },
+  effective_to:   { type: DataTypes.DATEONLY, allowNull: true },
+
+  lifeline_limit: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    validate: { min: 0 }
+  },
+  lifeline_rate: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    validate: { min: 0 }
+  },
+
+  last_updated: { type: DataTypes.DATE, allowNull: false },
+  updated_by:   { type: DataTypes.STRING(30), allowNull: false },
+}, {
+  tableName: 'tariff_schedules',
+  timestamps: false,
+  indexes: [
+    { fields: ['building_id', 'utility_type', 'effective_from'], name: 'ix_tariff_schedules_building_utility_effective' },
+  ],
+});
+
+module.exports = Tariff;
+
+// ------------ Associations ------------
+const TariffBlock = require('./TariffBlock');
+
+Tariff.hasMany(TariffBlock, {
+  foreignKey: 'tariff_id',
+  sourceKey: 'tariff_id',
+  as: 'blocks',
+});
@@ -0,0 +1,41 @@
+// models/TariffBlock.js
+const { DataTypes } = require('sequelize');
+const sequelize = require('./index');
+
+const TariffBlock = sequelize.define('TariffBlock', {
+  block_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  tariff_id: {
+    type: DataTypes.STRING(30),
+    allowNull: false
+  },
+  // 1-based position; blocks are priced in this order
+  block_order: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: { min: 1 }
+  },
+  // Upper bound (inclusive) of this block in consumption units; NULL = open-ended
+  max_units: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    validate: { min: 0 }
+  },
+  rate: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0.00,
+    validate: { min: 0 }
+  }
+}, {
+  tableName: 'tariff_blocks',
+  timestamps: false,
+  indexes: [
+    { unique: true, fields: ['tariff_id', 'block_order'], name: 'ux_tariff_blocks_tariff_order' },
+  ],
+});
+
+module.exports = TariffBlock;
@@ -0,0 +1,84 @@
+// models/TenantBill.js
+const { DataTypes } = require('sequelize');
+const sequelize = require('./index');
+
+/**
+ * One tenant's bill inside a stored building billing (child of billing_list).
+ * Written with the building header; penalty_amount, memo_amount, amount_paid, balance
+ * and status are refreshed whenever a penalty is posted, a memo is approved or a
+ * payment is allocated.
+ * The invoice number is assigned when the bill is finalized (utils/invoiceNumbering).
+ */
+const TenantBill = sequelize.define('TenantBill', {
+  tenant_bill_id:      { type: DataTypes.STRING(30), primaryKey: true },
+  building_billing_id: { type: DataTypes.STRING(80), allowNull: false },
+  building_id:         { type: DataTypes.STRING(30), allowNull: false },
+  tenant_id:           { type: DataTypes.STRING(30), allowNull: false },
+  tenant_name:         { type: DataTypes.STRING(100), allowNull: true },
+  period_start:        { type: DataTypes.DATEONLY, allowNull: false },
+  period_end:          { type: DataTypes.DATEONLY, allowNull: false },
+  due_date:            { type: DataTypes.DATEONLY, allowNull: true },
+
+  meter_count:       { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+  total_consumption: { type: DataTypes.DECIMAL(30, 4), allowNull: false, defaultValue: 0 },
+  // May be negative when a true-up credits the tenant
+  total_amount:      { type: DataTypes.DECIMAL(14, 2), allowNull: false, defaultValue: 0 },
+  for_penalty:       { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+  // Billing adjustments carried onto this bill (already part of total_amount)
+  adjustment_amount: { type: DataTypes.DECIMAL(14, 2), allowNull: false, defaultValue: 0 },
+  // Recurring charges (CAM, garbage, rent per m²...) on this bill (part of total_amount)
+  charge_amount:     { type: DataTypes.DECIMAL(14, 2), allowNull: false, defaultValue: 0 },
+  // Share of the master / common-area meter difference on this bill (part of total_amount)
+  allocation_amount: { type: DataTypes.DECIMAL(14, 2), allowNull: false, defaultValue: 0 },
+  // Approved credit/debit memos against this bill, debit − credit (not part of total_amount)
+  memo_amount:       { type: DataTypes.DECIMAL(14, 2), allowNull: false, defaultValue: 0 },
+
+  // Late-payment rate of this bill in percent points (utility rates weighted by amount);
+  // null on bills stored before per-utility rates: the header's penalty_rate_pct applies
+  penalty_rate_pct: { type: DataTypes.DECIMAL(10, 4), allowNull: true },
+  penalty_amount: { type: DataTypes.DECIMAL(14, 2), allowNull: false, defaultValue: 0 },
+  amount_paid:    { type: DataTypes.DECIMAL(14, 2), allowNull: false, defaultValue: 0 },
+  balance:        { type: DataTypes.DECIMAL(14, 2), allowNull: false, defaultValue: 0 },
+
+  // 'unpaid' | 'partially_paid' | 'paid'
+  status: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'unpaid',
+    validate: { isIn: [['unpaid', 'partially_paid', 'paid']] },
+  },
+
+  // Invoice: 'draft' (no number yet) | 'finalized' | 'void' (keeps its number)
+  invoice_status: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'draft',
+    validate: { isIn: [['draft', 'finalized', 'void']] },
+  },
+  series_id:    { type: DataTypes.STRING(30), allowNull: true },
+  invoice_seq:  { type: DataTypes.INTEGER, allowNull: true },
+  invoice_no:   { type: DataTypes.STRING(40), allowNull: true },
+  finalized_at: { type: DataTypes.DATE, allowNull: true },
+  finalized_by: { type: DataTypes.STRING(30), allowNull: true },
+  voided_at:    { type: DataTypes.DATE, allowNull: true },
+  voided_by:    { type: DataTypes.STRING(30), allowNull: true },
+  void_reason:  { type: DataTypes.STRING(255), allowNull: true },
+
+  generated_at: { type: DataTypes.DATE, allowNull: false },
+  last_updated: { type: DataTypes.DATE, allowNull: false },
+  updated_by:   { type: DataTypes.STRING(30), allowNull: false },
+}, {
+  tableName: 'tenant_bill_list',
+  timestamps: false,
+  indexes: [
+    { unique: true, fields: ['building_billing_id', 'tenant_id'], name: 'ux_tenant_bill_list_billing_tenant' },
+    { fields: ['tenant_id', 'period_end'], name: 'ix_tenant_bill_list_tenant_period' },
+  ],
+});
+
+module.exports = TenantBill;
+
+// ------------ Associations ------------
+const Billing = require('./Billing');
+
+TenantBill.belongsTo(Billing, { foreignKey: 'building_billing_id', as: 'billing' });
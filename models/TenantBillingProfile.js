@@ -0,0 +1,43 @@
+// models/TenantBillingProfile.js
+const { DataTypes } = require('sequelize');
+const sequelize = require('./index');
+
+/**
+ * Per-tenant billing terms that override the building's (see utils/tenantProfiles).
+ * NULL columns follow the building rates / minimums and the markup mode of the run.
+ * Append-only: one row = the terms in force from effective_from through effective_to
+ * (NULL = until further notice); a change closes the open row and adds a new one.
+ */
+const TenantBillingProfile = sequelize.define('TenantBillingProfile', {
+  profile_id:     { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+  tenant_id:      { type: DataTypes.STRING(30), allowNull: false },
+  effective_from: { type: DataTypes.DATEONLY, allowNull: false },
+  effective_to:   { type: DataTypes.DATEONLY, allowNull: true },
+
+  // Negotiated rates; a rate here replaces the building rate and block tariff of that utility
+  erate_perKwH: { type: DataTypes.DECIMAL(10, 2), allowNull: true, validate: { min: 0 } },
+  wrate_perCbM: { type: DataTypes.DECIMAL(10, 2), allowNull: true, validate: { min: 0 } },
+  lrate_perKg:  { type: DataTypes.DECIMAL(10, 2), allowNull: true, validate: { min: 0 } },
+
+  // true = always marked up, false = never, null = as the billing run
+  apply_markup: { type: DataTypes.BOOLEAN, allowNull: true },
+
+  // Minimum consumption per utility
+  emin_con: { type: DataTypes.DECIMAL(10, 2), allowNull: true, validate: { min: 0 } },
+  wmin_con: { type: DataTypes.DECIMAL(10, 2), allowNull: true, validate: { min: 0 } },
+  lmin_con: { type: DataTypes.DECIMAL(10, 2), allowNull: true, validate: { min: 0 } },
+
+  // Never penalized, even when tenant_list.for_penalty is set
+  penalty_exempt: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+
+  last_updated: { type: DataTypes.DATE, allowNull: false },
+  updated_by:   { type: DataTypes.STRING(30), allowNull: false },
+}, {
+  tableName: 'tenant_billing_profiles',
+  timestamps: false,
+  indexes: [
+    { fields: ['tenant_id', 'effective_from'], name: 'ix_tenant_billing_profiles_tenant_effective' },
+  ],
+});
+
+module.exports = TenantBillingProfile;
@@ -37,7 +37,14 @@ const VAT = sequelize.define('VAT', {
     defaultValue: 0.00,
     validate: { min: 0 }
   },
-  
+  // exclusive | inclusive | exempt | zero_rated (see utils/taxHistory VAT_MODES)
+  vat_mode: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'exclusive',
+    validate: { isIn: [['exclusive', 'inclusive', 'exempt', 'zero_rated']] },
+  },
+
   last_updated: { type: DataTypes.DATE, allowNull: false },
   updated_by:   { type: DataTypes.STRING(30), allowNull: false },
 }, {
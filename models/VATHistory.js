@@ -0,0 +1,28 @@
+// models/VATHistory.js
+const { DataTypes } = require('sequelize');
+const sequelize = require('./index');
+
+/**
+ * Append-only history of VAT percentages per code.
+ * vat_codes keeps the percentages in force today.
+ */
+const VATHistory = sequelize.define('VATHistory', {
+  history_id:     { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+  tax_id:         { type: DataTypes.STRING(30), allowNull: false },
+  effective_from: { type: DataTypes.DATEONLY, allowNull: false },
+
+  e_vat: { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0.00, validate: { min: 0, max: 100 } },
+  w_vat: { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0.00, validate: { min: 0, max: 100 } },
+  l_vat: { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0.00, validate: { min: 0, max: 100 } },
+
+  changed_by: { type: DataTypes.STRING(30), allowNull: false },
+  changed_at: { type: DataTypes.DATE, allowNull: false },
+}, {
+  tableName: 'vat_code_history',
+  timestamps: false,
+  indexes: [
+    { fields: ['tax_id', 'effective_from'], name: 'ix_vat_code_history_tax_effective' },
+  ],
+});
+
+module.exports = VATHistory;
@@ -38,6 +38,13 @@ const WT = sequelize.define('WT', {
     defaultValue: 1.00,
     validate: { min: 0, max: 100 },
   },
+  // What withholding is computed on: 'vat' (VAT amount) | 'base' (amount net of VAT)
+  wt_base: {
+    type: DataTypes.STRING(10),
+    allowNull: false,
+    defaultValue: 'vat',
+    validate: { isIn: [['vat', 'base']] },
+  },
   last_updated: { 
     type: DataTypes.DATE, 
     allowNull: false,
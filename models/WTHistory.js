@@ -0,0 +1,28 @@
+// models/WTHistory.js
+const { DataTypes } = require('sequelize');
+const sequelize = require('./index');
+
+/**
+ * Append-only history of withholding tax percentages per code.
+ * wt_codes keeps the percentages in force today.
+ */
+const WTHistory = sequelize.define('WTHistory', {
+  history_id:     { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+  wt_id:          { type: DataTypes.STRING(30), allowNull: false },
+  effective_from: { type: DataTypes.DATEONLY, allowNull: false },
+
+  e_wt: { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0.00, validate: { min: 0, max: 100 } },
+  w_wt: { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0.00, validate: { min: 0, max: 100 } },
+  l_wt: { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0.00, validate: { min: 0, max: 100 } },
+
+  changed_by: { type: DataTypes.STRING(30), allowNull: false },
+  changed_at: { type: DataTypes.DATE, allowNull: false },
+}, {
+  tableName: 'wt_code_history',
+  timestamps: false,
+  indexes: [
+    { fields: ['wt_id', 'effective_from'], name: 'ix_wt_code_history_wt_effective' },
+  ],
+});
+
+module.exports = WTHistory;
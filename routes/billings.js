@@ -16,8 +16,16 @@ const {
 // Models used to resolve a record's building_id
 const Meter = require('../models/Meter');
 const Stall = require('../models/Stall');
+const Tenant = require('../models/Tenant');
 const Billing = require('../models/Billing');
 const Building = require('../models/Building');
+const BillingMeterIndex = require('../models/BillingMeterIndex');
+const PenaltyCharge = require('../models/PenaltyCharge');
+const PaymentAllocation = require('../models/PaymentAllocation');
+const TenantBill = require('../models/TenantBill');
+const BillingAdjustment = require('../models/BillingAdjustment');
+const sequelize = require('../models');
+const { Op } = require('sequelize');
 
 // Utils
 const getCurrentDateTime = require('../utils/getCurrentDateTime');
@@ -30,10 +38,41 @@ const {
   computeBillingForMeterWithMarkup,
   computeBillingForTenantWithMarkup,
   computeBillingForBuildingWithMarkup,
+  normalizePct,
 } = require('../utils/billingEngine');
 
 // ROC util (used to append percent rate-of-change per meter)
 const { computeROCForMeter } = require('../utils/rocUtils');
+const { getRatesInForce } = require('../utils/rateHistory');
+const { ROUNDING, dec, roundNum, sum } = require('../utils/money');
+const { computeDueDate } = require('../utils/penaltyEngine');
+const { summarizeBillingPayments } = require('../utils/tenantLedger');
+const {
+  presentAdjustment,
+  claimAdjustments,
+  releaseAdjustments,
+  adjustmentsByTenant,
+  adjustmentTotal,
+} = require('../utils/billingAdjustments');
+const { claimMemosForStatement, releaseMemos } = require('../utils/billingMemos');
+const {
+  BILLING_STATUSES,
+  BILLING_APPROVER_ROLES,
+  reviewBilling,
+  approveBilling,
+  postBilling,
+  reopenBilling,
+  voidBilling,
+  assertDraft,
+  presentWorkflow,
+} = require('../utils/billingWorkflow');
+const {
+  statementFromMeters,
+  statementsFromStoredBilling,
+  writeStatementsPdf,
+  writeStatementsZip,
+  statementFileName,
+} = require('../utils/statementPdf');
 
 // Require auth for all billing routes
 router.use(authenticateToken);
@@ -63,10 +102,660 @@ async function resolveBuildingFromParam(req) {
   return req.params?.building_id ? String(req.params.building_id) : null;
 }
 
+/**
+ * ?opening=calendar (default) | continuity
+ *  calendar:   opening index = latest reading of the previous calendar month
+ *  continuity: opening index = closing index of the meter's last stored billing
+ */
+function parseOpeningMode(req) {
+  const mode = String(req.query?.opening || 'calendar').toLowerCase();
+  if (mode !== 'calendar' && mode !== 'continuity') {
+    const err = new Error('opening must be one of: calendar, continuity');
+    err.status = 400;
+    throw err;
+  }
+  return mode;
+}
+
+/**
+ * ?estimate=true fills a missing index from the meter's average daily usage
+ * (or interpolates between surrounding readings). Lines are marked estimated.
+ */
+function parseEstimateFlag(req) {
+  const v = String(req.query?.estimate ?? '').toLowerCase();
+  return v === 'true' || v === '1' || v === 'yes';
+}
+
+/** ?allow_partial=true saves a building run even when some meters could not be billed */
+function parseAllowPartial(req) {
+  const v = String(req.query?.allow_partial ?? '').toLowerCase();
+  return v === 'true' || v === '1' || v === 'yes';
+}
+
+/** 422 for a run with failed meters, unless the caller explicitly accepts a partial save */
+function assertCompleteRun(req, errors) {
+  if (!errors.length || parseAllowPartial(req)) return;
+  const err = new Error(
+    `${errors.length} meter(s) could not be billed. Fix them or resend with ?allow_partial=true to save the rest.`
+  );
+  err.status = 422;
+  err.meterErrors = errors; // not `errors`: Sequelize validation errors carry one too
+  throw err;
+}
+
+/** Stored meter windows that overlap [startDate, endDate] for any of the given meters */
+async function findOverlappingMeterBillings(meterIds, startDate, endDate) {
+  if (!meterIds.length) return [];
+  return BillingMeterIndex.findAll({
+    where: {
+      meter_id: { [Op.in]: meterIds },
+      period_start: { [Op.lte]: endDate },
+      period_end: { [Op.gte]: startDate },
+    },
+    attributes: ['building_billing_id', 'meter_id', 'period_start', 'period_end'],
+    order: [['meter_id', 'ASC'], ['period_start', 'ASC']],
+    raw: true,
+  });
+}
+
+/**
+ * Recompute a stored building billing with the options it was saved with (payload.run)
+ * and compare each meter line and the run totals against the snapshot.
+ */
+async function verifyStoredBilling(header, restrictToBuildingIds) {
+  const snapshot = header.payload_json || {};
+  const run = snapshot.run || {};
+  const compute = run.with_markup ? computeBillingForBuildingWithMarkup : computeBillingForBuilding;
+  const { meters, charge_totals, allocation_totals, grand_totals } = await compute({
+    buildingId: header.building_id,
+    startDate: header.period_start,
+    endDate: header.period_end,
+    restrictToBuildingIds,
+    opening: run.opening || 'calendar',
+    estimate: !!run.estimate,
+  });
+
+  const differences = [];
+  const compare = (meter_id, field, stored, recomputed) => {
+    if (!dec(stored).eq(dec(recomputed))) differences.push({ meter_id, field, stored, recomputed });
+  };
+
+  // a shared meter has one line per stall
+  const lineKey = (meterId, stallId) => `${meterId}@${stallId ?? ''}`;
+  const byMeter = new Map(meters.map(m => [lineKey(m.meter.meter_id, m.stall?.stall_id), m]));
+  const storedRows = (snapshot.tenants || []).flatMap(t => t.rows || []);
+  for (const r of storedRows) {
+    const key = lineKey(r.meter_id, r.stall_no);
+    const m = byMeter.get(key);
+    if (!m) {
+      differences.push({ meter_id: r.meter_id, field: 'line', stored: 'present', recomputed: 'missing' });
+      continue;
+    }
+    compare(r.meter_id, 'consumed_kwh', r.consumed_kwh, m.totals.consumption);
+    compare(r.meter_id, 'total_amount', r.total_amount, m.totals.total);
+    byMeter.delete(key);
+  }
+  for (const m of byMeter.values()) {
+    differences.push({ meter_id: m.meter.meter_id, field: 'line', stored: 'missing', recomputed: 'present' });
+  }
+
+  const storedTotals = snapshot.totals || {
+    total_consumed_kwh: header.total_consumed_kwh,
+    total_amount: header.total_amount,
+  };
+  compare(null, 'total_consumed_kwh', storedTotals.total_consumed_kwh,
+    roundNum(sum(meters.map(m => m.totals.consumption))));
+  if (storedTotals.charge_amount !== undefined) {
+    compare(null, 'charge_amount', storedTotals.charge_amount, charge_totals.total);
+  }
+  if (storedTotals.allocation_amount !== undefined) {
+    compare(null, 'allocation_amount', storedTotals.allocation_amount, allocation_totals.total);
+  }
+  compare(null, 'total_amount', storedTotals.total_amount, grand_totals.total);
+
+  return {
+    building_billing_id: header.building_billing_id,
+    matches: differences.length === 0,
+    rounding: { stored: run.rounding || null, current: ROUNDING },
+    differences,
+  };
+}
+
+/** Generate the next TB-<n> ids for a save (cross-dialect scan, then increment locally) */
+async function makeTenantBillIdGenerator(t) {
+  const rows = await TenantBill.findAll({
+    where: { tenant_bill_id: { [Op.like]: 'TB-%' } },
+    attributes: ['tenant_bill_id'],
+    transaction: t,
+    raw: true,
+  });
+  let maxNum = rows.reduce((max, r) => {
+    const m = String(r.tenant_bill_id).match(/^TB-(\d+)$/);
+    return m ? Math.max(max, Number(m[1])) : max;
+  }, 0);
+  return () => `TB-${++maxNum}`;
+}
+
+/**
+ * Late-payment rate of a tenant bill in percent points: each meter line and common-area
+ * share at its utility's penalty rate, charges and adjustments (`other`) at the building
+ * rate of the header, weighted by amount. A bill owing nothing takes the building rate.
+ */
+function tenantPenaltyRatePct(header, lines, allocations, other) {
+  const buildingRate = dec(normalizePct(header.penalty_rate_pct));
+  const parts = [
+    ...lines.map(r => [dec(r.total_amount), r.penalty_rate]),
+    ...allocations.map(a => [dec(a.total_amount), a.penalty_rate]),
+    [dec(other), null],
+  ].map(([amount, rate]) => [amount, rate === null || rate === undefined ? buildingRate : dec(rate)]);
+  const total = sum(parts.map(([amount]) => amount));
+  if (total.lte(0)) return roundNum(buildingRate.times(100), 4);
+  const weighted = parts.reduce((acc, [amount, rate]) => acc.plus(amount.times(rate)), dec(0));
+  return roundNum(weighted.div(total).times(100), 4);
+}
+
+/**
+ * One tenant_bill_list row per tenant on the billing, totals summed from its lines,
+ * recurring charges (payload tenants[].charges) and common-area shares (tenants[].allocations)
+ * plus the adjustments carried onto it (a tenant may have charges or adjustments only).
+ */
+function buildTenantBills(header, rows, nextId, adjustments = []) {
+  const byTenant = new Map();
+  for (const r of rows) {
+    if (!r.tenant_id) continue;
+    if (!byTenant.has(r.tenant_id)) byTenant.set(r.tenant_id, []);
+    byTenant.get(r.tenant_id).push(r);
+  }
+  const chargesOf = new Map();
+  const allocationsOf = new Map();
+  for (const t of header.payload_json?.tenants || []) {
+    if (!t.tenant_id || !(t.charges?.length || t.allocations?.length)) continue;
+    chargesOf.set(t.tenant_id, t.charges || []);
+    allocationsOf.set(t.tenant_id, t.allocations || []);
+    if (!byTenant.has(t.tenant_id)) byTenant.set(t.tenant_id, []);
+  }
+  const adjustmentOf = adjustmentsByTenant(adjustments);
+  for (const a of adjustments) {
+    if (a.tenant_id && !byTenant.has(a.tenant_id)) byTenant.set(a.tenant_id, []);
+  }
+  return Array.from(byTenant, ([tenantId, lines]) => {
+    const charges = chargesOf.get(tenantId) || [];
+    const charged = sum(charges.map(c => c.total_amount));
+    const allocations = allocationsOf.get(tenantId) || [];
+    const allocated = sum(allocations.map(a => a.total_amount));
+    const adjustment = adjustmentOf.get(tenantId) || dec(0);
+    const total = roundNum(sum(lines.map(r => r.total_amount)).plus(charged).plus(allocated).plus(adjustment));
+    return {
+      tenant_bill_id: nextId(),
+      building_billing_id: header.building_billing_id,
+      building_id: header.building_id,
+      tenant_id: tenantId,
+      tenant_name: lines[0]?.tenant_name
+        ?? header.payload_json?.tenants?.find(t => t.tenant_id === tenantId)?.tenant_name
+        ?? adjustments.find(a => a.tenant_id === tenantId)?.tenant_name
+        ?? null,
+      period_start: header.period_start,
+      period_end: header.period_end,
+      due_date: header.due_date || null,
+      meter_count: lines.length,
+      total_consumption: roundNum(sum(lines.map(r => r.consumed_kwh)), 4),
+      total_amount: total,
+      for_penalty: lines.some(r => r.for_penalty) || charges.some(c => c.for_penalty)
+        || allocations.some(a => a.for_penalty),
+      charge_amount: roundNum(charged),
+      allocation_amount: roundNum(allocated),
+      adjustment_amount: roundNum(adjustment),
+      penalty_rate_pct: tenantPenaltyRatePct(header, lines, allocations, charged.plus(adjustment)),
+      penalty_amount: 0,
+      amount_paid: 0,
+      balance: total,
+      status: total > 0 ? 'unpaid' : 'paid',
+      generated_at: header.generated_at,
+      last_updated: header.last_updated,
+      updated_by: header.updated_by,
+    };
+  });
+}
+
+/** building_billing_id of a new billing; a void billing keeps its id, so a re-bill of its period gets -R<n> */
+async function nextBuildingBillingId(buildingId, startDate, endDate) {
+  const base = `${buildingId}-${startDate}-${endDate}`;
+  const rows = await Billing.findAll({
+    where: { building_billing_id: { [Op.like]: `${base}%` } },
+    attributes: ['building_billing_id'],
+    raw: true,
+  });
+  const taken = new Set(rows.map(r => r.building_billing_id));
+  if (!taken.has(base)) return base;
+  let n = 2;
+  while (taken.has(`${base}-R${n}`)) n++;
+  return `${base}-R${n}`;
+}
+
+/** Stored meter line (payload_json tenants[].rows[]) from one engine meter entry */
+async function storedRowFromEntry(entry, startDate, endDate) {
+  const meterId = entry?.meter?.meter_id;
+
+  let rate_of_change_pct = null;
+  let prev_consumed_kwh  = null;
+  try {
+    // same custom window for ROC
+    const roc = await computeROCForMeter({ meterId, startDate, endDate });
+    rate_of_change_pct = roc?.rate_of_change ?? null;
+    prev_consumed_kwh  = roc?.previous_consumption ?? null;
+  } catch {}
+
+  const consumed  = Number(entry?.totals?.consumption ?? 0);
+  const base      = Number(entry?.totals?.base ?? 0);
+  const vat       = Number(entry?.billing?.vat ?? 0);
+  const wt        = Number(entry?.billing?.wt ?? 0);
+
+  return {
+    stall_no: entry?.stall?.stall_id ?? null,
+    stall_sn: entry?.stall?.stall_sn ?? null,
+    share_pct: entry?.share?.share_pct ?? null, // shared meter: this stall's % of the consumption
+    tenant_id: entry?.tenant?.tenant_id ?? null,
+    tenant_sn: entry?.tenant?.tenant_sn ?? null,
+    tenant_name: entry?.tenant?.tenant_name ?? null,
+    meter_no: entry?.meter?.meter_sn ?? null,
+    meter_id: meterId,
+    mult: Number(entry?.meter?.meter_mult ?? 1),
+    reading_previous: Number(entry?.indices?.prev_index ?? 0),
+    reading_present: Number(entry?.indices?.curr_index ?? 0),
+    consumed_kwh: consumed,
+    utility_rate: entry?.billing?.rates?.utility_rate ?? null,
+    markup_rate: entry?.billing?.rates?.markup_rate ?? null,
+    system_rate: entry?.billing?.rates?.system_rate ?? (consumed > 0 ? +(base / consumed).toFixed(6) : null),
+    vat_rate: base > 0 ? +(vat / base).toFixed(4) : null,
+    wt_rate: entry?.billing?.rates?.wt_rate ?? null,
+    penalty_rate: entry?.billing?.rates?.penalty_rate ?? null,
+    total_amount: Number(entry?.totals?.total ?? 0),
+    base_amount: base, // line amounts, so a stored bill can be printed as billed
+    vat_amount: vat,
+    wt_amount: wt,
+    penalty_amount: Number(entry?.totals?.penalty ?? 0),
+    prev_consumed_kwh: prev_consumed_kwh,
+    rate_of_change_pct: rate_of_change_pct,
+    tax_code: entry?.tenant?.vat_code ?? null,
+    whtax_code: entry?.tenant?.wt_code ?? null,
+    for_penalty: !!entry?.tenant?.for_penalty,
+    meter_type: entry?.meter?.meter_type ?? null,
+    tariff_type: entry?.billing?.tariff_type ?? 'flat',
+    blocks: entry?.billing?.blocks ?? [], // one line per tariff block
+    segments: entry?.billing?.segments ?? [], // one line per rate in force (mid-period change)
+    reading_flags: entry?.billing?.reading_flags ?? null, // register rollover / suspicious read
+    tax_breakdown: entry?.billing?.tax_breakdown ?? null, // vat_mode / wt_base and sales buckets
+    replacement: entry?.replacement ?? null, // meter swapped inside the period
+    legs: entry?.billing?.legs ?? [], // outgoing + incoming meter legs when swapped
+    opening_mode: entry?.opening?.mode ?? 'calendar', // calendar | continuity | installation
+    estimated: !!entry?.estimated, // an index was estimated (missing reading)
+    estimate_method: entry?.estimation?.method ?? null,
+    closing_estimated: !!entry?.estimation?.closing,
+    true_up: entry?.true_up ?? null, // previous estimate corrected by this actual reading
+  };
+}
+
+/** A recurring charge line of the engine, as stored on a tenant of the snapshot */
+function storedChargeFromLine(c) {
+  return {
+    charge_id: c.charge_id,
+    charge_code: c.charge_code,
+    description: c.description,
+    charge_type: c.charge_type,
+    quantity: c.quantity,
+    unit_amount: c.unit_amount,
+    base_amount: c.base,
+    vat_amount: c.vat,
+    wt_amount: c.wt,
+    total_amount: c.total,
+    tax_breakdown: c.tax_breakdown,
+    for_penalty: c.for_penalty,
+  };
+}
+
+/** A common-area share of the engine (master / common meters), as stored on a tenant of the snapshot */
+function storedAllocationFromLine(a) {
+  return {
+    meter_type: a.meter_type,
+    allocation_key: a.allocation_key,
+    share_pct: a.share_pct,
+    units: a.units,
+    utility_rate: a.utility_rate,
+    markup_rate: a.markup_rate,
+    system_rate: a.system_rate,
+    penalty_rate: a.penalty_rate,
+    base_amount: a.base,
+    vat_amount: a.vat,
+    wt_amount: a.wt,
+    total_amount: a.total,
+    tax_breakdown: a.tax_breakdown,
+    for_penalty: a.for_penalty,
+  };
+}
+
+/**
+ * Group meter rows, recurring charge lines and common-area shares by tenant:
+ *   [{ tenant_id, tenant_sn, tenant_name, rows: [...], charges: [...], allocations: [...] }]
+ * A tenant with charges or a share but no billed meter still gets an entry.
+ */
+function groupByTenant(rows, charges = [], allocations = []) {
+  const tenantsMap = new Map();
+  const entryOf = (r) => {
+    const tkey = `${r.tenant_name ?? 'UNKNOWN'}::${r.tenant_id ?? 'NA'}`;
+    if (!tenantsMap.has(tkey)) {
+      tenantsMap.set(tkey, {
+        tenant_id:   r.tenant_id ?? null,
+        tenant_sn:   r.tenant_sn ?? null,
+        tenant_name: r.tenant_name ?? null,
+        rows: [],
+        charges: [],
+        allocations: [],
+      });
+    }
+    return tenantsMap.get(tkey);
+  };
+  for (const r of rows) entryOf(r).rows.push(r);
+  for (const c of charges) entryOf(c).charges.push(storedChargeFromLine(c));
+  for (const a of allocations) entryOf(a).allocations.push(storedAllocationFromLine(a));
+  return Array.from(tenantsMap.values());
+}
+
+/**
+ * Compute a building run and shape it as stored: the meter lines and the
+ * payload_json snapshot. `run` = { with_markup, opening, estimate } is kept in the
+ * snapshot so it can be recomputed exactly (see /verify and /recompute).
+ * A run with failed meters is rejected unless ?allow_partial=true.
+ */
+async function computeBuildingSnapshot(req, { building, buildingId, startDate, endDate, run }) {
+  const compute = run.with_markup ? computeBillingForBuildingWithMarkup : computeBillingForBuilding;
+  const {
+    meters, charges, allocations, errors, charge_totals, allocation_totals, common_areas, grand_totals,
+  } = await compute({
+    buildingId,
+    startDate,
+    endDate,
+    restrictToBuildingIds: req.restrictToBuildingIds ?? null,
+    opening: run.opening,
+    estimate: run.estimate,
+  });
+  assertCompleteRun(req, errors);
+
+  const rows = [];
+  for (const entry of meters) {
+    if (entry?.error) continue;
+    rows.push(await storedRowFromEntry(entry, startDate, endDate));
+  }
+
+  // exact sums: consumption from the rows, amount from the engine's unrounded meter,
+  // recurring charge and common-area totals
+  const totals = {
+    total_consumed_kwh: roundNum(sum(rows.map(r => r.consumed_kwh))),
+    charge_amount:      charge_totals.total,
+    allocation_amount:  allocation_totals.total,
+    total_amount:       grand_totals.total,
+  };
+
+  const payload = {
+    building_id: buildingId,
+    period: { start: startDate, end: endDate },
+    due_date: computeDueDate(endDate, building.payment_term_days),
+    tenants: groupByTenant(rows, charges, allocations),
+    common_areas, // master / common meter readings and the pool shared per utility
+    totals,
+    errors, // meters left out of a partial run (?allow_partial=true)
+    // options needed to recompute this snapshot exactly (see /verify)
+    run: {
+      with_markup: !!run.with_markup,
+      opening: run.opening,
+      estimate: !!run.estimate,
+      rounding: ROUNDING,
+    },
+    generated_at: getCurrentDateTime(),
+  };
+  return { rows, payload };
+}
+
+/** Header columns that follow from a snapshot: totals and the terms in force at period end */
+async function snapshotHeaderFields(building, payload) {
+  const ratesAtEnd = await getRatesInForce(payload.building_id, payload.period.end);
+  return {
+    building_name: building.building_name || null,
+    total_consumed_kwh: payload.totals.total_consumed_kwh,
+    total_amount: payload.totals.total_amount,
+    penalty_rate_pct: Number(ratesAtEnd?.penalty_rate ?? building.penalty_rate) || 0,
+    due_date: payload.due_date,
+    grace_period_days: Number(building.grace_period_days) || 0,
+    penalty_method: building.penalty_method || 'one_time',
+    payload_json: payload, // model setter will JSON.stringify
+  };
+}
+
+const BILLING_TERM_ATTRIBUTES = [
+  'building_name', 'penalty_rate', 'payment_term_days', 'grace_period_days', 'penalty_method',
+];
+
+/**
+ * Take the building's pending adjustments onto a header about to be written: they are
+ * listed in the snapshot (payload.adjustments) and added to total_amount; the snapshot's
+ * totals.total_amount stays the metered amount (see /verify).
+ */
+async function withAdjustments(header, t) {
+  const adjustments = await claimAdjustments(header, { updatedBy: header.updated_by, transaction: t });
+  const payload = header.payload_json || {};
+  const { adjustments: _, ...snapshot } = payload;
+  const total = adjustmentTotal(adjustments);
+  return {
+    adjustments,
+    header: {
+      ...header,
+      total_amount: roundNum(dec(payload.totals?.total_amount ?? header.total_amount).plus(total)),
+      payload_json: adjustments.length
+        ? {
+            ...snapshot,
+            adjustments: adjustments.map(presentAdjustment),
+            totals: { ...snapshot.totals, adjustment_amount: roundNum(total) },
+          }
+        : snapshot,
+    },
+  };
+}
+
+/**
+ * Per-meter indices and per-tenant bills of a header, written inside the caller's transaction.
+ * A shared meter has one line per stall but one index row, with the consumption of every share.
+ */
+async function writeBillingLines(header, rows, t, adjustments = []) {
+  const seen = new Map();
+  const indexRows = [];
+  for (const r of rows) {
+    if (!r.meter_id) continue;
+    if (seen.has(r.meter_id)) {
+      const idx = seen.get(r.meter_id);
+      idx.consumption = roundNum(dec(idx.consumption).plus(dec(r.consumed_kwh)), 4);
+      continue;
+    }
+    const idx = {
+      building_billing_id: header.building_billing_id,
+      meter_id: r.meter_id,
+      period_start: header.period_start,
+      period_end: header.period_end,
+      opening_index: Number(r.reading_previous) || 0,
+      closing_index: Number(r.reading_present) || 0,
+      consumption: Number(r.consumed_kwh) || 0,
+      opening_mode: r.opening_mode || 'calendar',
+      is_estimated: !!r.closing_estimated,
+      estimate_method: r.closing_estimated ? (r.estimate_method || null) : null,
+    };
+    seen.set(r.meter_id, idx);
+    indexRows.push(idx);
+  }
+  if (indexRows.length) {
+    await BillingMeterIndex.bulkCreate(indexRows, { transaction: t });
+  }
+
+  const tenantBills = buildTenantBills(header, rows, await makeTenantBillIdGenerator(t), adjustments);
+  if (tenantBills.length) {
+    await TenantBill.bulkCreate(tenantBills, { transaction: t });
+  }
+  return tenantBills;
+}
+
+/** 409 (with `overlaps`) when another stored billing holds any of the meters in the window */
+async function assertNoOverlap(rows, startDate, endDate, ignoreBillingId = null) {
+  const meterIds = [...new Set(rows.map(r => r.meter_id).filter(Boolean))];
+  const overlaps = (await findOverlappingMeterBillings(meterIds, startDate, endDate))
+    .filter(o => o.building_billing_id !== ignoreBillingId);
+  if (overlaps.length) {
+    const err = new Error('Billing window overlaps a stored billing for the same meter(s).');
+    err.status = 409;
+    err.overlaps = overlaps;
+    throw err;
+  }
+}
+
+/**
+ * Save a new (draft) building billing header + its tenant bills and per-meter indices,
+ * taking in pending adjustments and the approved memos its statements will show
+ * (rejects overlapping meter windows).
+ * Returns { created, tenantBills }.
+ */
+async function saveBuildingBilling({ header, rows }) {
+  await assertNoOverlap(rows, header.period_start, header.period_end);
+
+  return sequelize.transaction(async (t) => {
+    const adjusted = await withAdjustments(header, t);
+    const created = await Billing.create({ ...adjusted.header, billing_status: 'draft' }, { transaction: t });
+    const tenantBills = await writeBillingLines(adjusted.header, rows, t, adjusted.adjustments);
+    await claimMemosForStatement(adjusted.header, { updatedBy: header.updated_by, transaction: t });
+    return { created, tenantBills };
+  });
+}
+
+/**
+ * Shared handler of the two building CREATE routes (standard / with markup):
+ * compute, snapshot and save the run as a draft billing.
+ */
+function createBuildingBilling({ withMarkup, label }) {
+  return async (req, res) => {
+    try {
+      const { building_id, startDate, endDate } = req.params;
+
+      const isYMD = (s) => typeof s === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(s);
+      if (!isYMD(startDate) || !isYMD(endDate)) {
+        return res.status(400).json({ error: 'Invalid date(s). Use YYYY-MM-DD.' });
+      }
+
+      // Get building to retrieve penalty_rate and payment terms
+      const building = await Building.findOne({
+        where: { building_id },
+        attributes: BILLING_TERM_ATTRIBUTES,
+        raw: true,
+      });
+      if (!building) {
+        return res.status(404).json({ error: 'Building not found.' });
+      }
+
+      // uniqueness check: only one live header per building+period (void ones stay on record)
+      const existing = await Billing.findOne({
+        where: {
+          building_id,
+          period_start: startDate,
+          period_end: endDate,
+          billing_status: { [Op.ne]: 'void' },
+        },
+      });
+      if (existing) {
+        return res.status(409).json({
+          error: 'Billing already exists for this building and period.',
+          building_billing_id: existing.building_billing_id,
+        });
+      }
+
+      const { rows, payload } = await computeBuildingSnapshot(req, {
+        building,
+        buildingId: building_id,
+        startDate,
+        endDate,
+        run: { with_markup: withMarkup, opening: parseOpeningMode(req), estimate: parseEstimateFlag(req) },
+      });
+
+      // ---- SAVE HEADER TO billing_list (one live row per building+period) ----
+      const building_billing_id = await nextBuildingBillingId(building_id, startDate, endDate);
+      const now = new Date();
+
+      const { created, tenantBills } = await saveBuildingBilling({ rows, header: {
+        building_billing_id,
+        building_id,
+        period_start: startDate,
+        period_end: endDate,
+        ...(await snapshotHeaderFields(building, payload)),
+        generated_at: now,     // DB datetime
+        last_updated: now,
+        updated_by: req.user?.user_id || req.user?.username || 'system',
+      } });
+
+      // ---- RESPONSE ----
+      res.status(201).json({
+        ...created.payload_json, // snapshot incl. adjustments taken in
+        building_billing_id,
+        billing_status: created.billing_status,
+        saved_header: created,
+        tenant_bills: tenantBills,
+      });
+    } catch (err) {
+      if (err.overlaps) {
+        return res.status(409).json({ error: err.message, overlaps: err.overlaps });
+      }
+      if (err.meterErrors) {
+        return res.status(422).json({ error: err.message, errors: err.meterErrors });
+      }
+      console.error(`Billing (${label}, create) error:`, err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  };
+}
+
+
+/* =============================================================================
+ * Billing adjustments (e.g. from approved reading corrections)
+ *   GET /billings/adjustments?building_id=&tenant_id=&status=pending|applied|cancelled
+ *   Pending ones are taken onto the building's next billing when it is saved.
+ * ========================================================================== */
+router.get(
+  '/adjustments',
+  authorizeRole('admin', 'operator', 'biller'),
+  attachBuildingScope(),
+  async (req, res) => {
+    try {
+      const { building_id, tenant_id, status } = req.query;
+      const where = { ...req.buildingWhere('building_id') };
+      if (building_id) {
+        const allowed = req.restrictToBuildingIds;
+        if (allowed && !allowed.includes(String(building_id))) {
+          return res.status(403).json({ error: 'No access to this building' });
+        }
+        where.building_id = String(building_id);
+      }
+      if (tenant_id) where.tenant_id = String(tenant_id);
+      if (status) where.status = String(status);
+
+      const rows = await BillingAdjustment.findAll({
+        where,
+        order: [['building_id', 'ASC'], ['adjustment_id', 'ASC']],
+        raw: true,
+      });
+      res.json(rows);
+    } catch (err) {
+      console.error('Billing (adjustments) error:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
 
 /* =============================================================================
  * BUILDING — list all stored building billings (grouped by id)
- *   GET /billings/buildings
+ *   GET /billings/buildings?status=draft|reviewed|approved|posted|void
  * ========================================================================== */
 router.get(
   '/buildings',
@@ -82,6 +771,14 @@ router.get(
         where.building_id = allowedBuildings;
       }
 
+      if (req.query.status) {
+        const status = String(req.query.status).toLowerCase();
+        if (!BILLING_STATUSES.includes(status)) {
+          return res.status(400).json({ error: `status must be one of: ${BILLING_STATUSES.join(', ')}` });
+        }
+        where.billing_status = status;
+      }
+
       const billings = await Billing.findAll({
         where,
         order: [
@@ -90,6 +787,8 @@ router.get(
         ],
       });
 
+      const payments = await summarizeBillingPayments(billings);
+
       // First build normalized items (same as before)
       const items = billings.map((row) => {
         const snapshot = row.payload_json || {}; // parsed JSON via model getter
@@ -116,6 +815,10 @@ router.get(
           period: { start: period_start, end: period_end },
           totals,
           penalty_rate_pct: Number(row.penalty_rate_pct ?? 0),
+          due_date: row.due_date || null,
+          billing_status: row.billing_status,
+          payment_status: payments.get(row.building_billing_id).payment_status,
+          amount_outstanding: payments.get(row.building_billing_id).outstanding,
           generated_at,
           // full snapshot from when the billing was generated
           payload: snapshot,
@@ -183,6 +886,18 @@ router.get(
 
       const tenants = snapshot.tenants || [];
 
+      const penalties = await PenaltyCharge.findAll({
+        where: { building_billing_id: header.building_billing_id },
+        order: [['tenant_id', 'ASC'], ['sequence_no', 'ASC']],
+        raw: true,
+      });
+      const tenantBills = await TenantBill.findAll({
+        where: { building_billing_id: header.building_billing_id },
+        order: [['tenant_id', 'ASC']],
+        raw: true,
+      });
+      const payment = (await summarizeBillingPayments([header])).get(header.building_billing_id);
+
       // Prefer the original generated_at in snapshot; otherwise use DB value
       const generated_at =
         snapshot.generated_at ||
@@ -198,7 +913,16 @@ router.get(
         period: { start: period_start, end: period_end },
         tenants,
         totals,
+        adjustments: snapshot.adjustments || [], // carried from earlier billings (reading corrections)
         penalty_rate_pct: Number(header.penalty_rate_pct ?? 0),
+        due_date: header.due_date || null,
+        grace_period_days: Number(header.grace_period_days ?? 0),
+        penalty_method: header.penalty_method || 'one_time',
+        ...presentWorkflow(header), // billing_status and who reviewed / approved / posted / voided it
+        tenant_bills: tenantBills, // one bill per tenant (tenant_bill_list)
+        penalties, // late-payment charges posted against this billing
+        payment_status: payment.payment_status, // unpaid | partially_paid | paid
+        payment, // billed / penalties / paid / outstanding, overall and per tenant
         generated_at,
       });
     } catch (err) {
@@ -208,194 +932,34 @@ router.get(
   }
 );
 
-
-
 /* =============================================================================
- * BUILDING (standard) — CREATE building billing header (per building+period)
- *   POST /billings/buildings/:building_id/period-start/:startDate/period-end/:endDate
+ * BUILDING verify a stored billing
+ *   GET /billings/buildings/:building_billing_id/verify
+ *   Recomputes the period with the stored options and lists any amount that differs.
  * ========================================================================== */
-router.post(
-  '/buildings/:building_id/period-start/:startDate/period-end/:endDate',
+router.get(
+  '/buildings/:building_billing_id/verify',
   authorizeRole('admin', 'operator', 'biller'),
   attachBuildingScope(),
-  enforceRecordBuilding(resolveBuildingFromParam),
   async (req, res) => {
     try {
-      const { building_id, startDate, endDate } = req.params;
-
-      const isYMD = (s) => typeof s === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(s);
-      if (!isYMD(startDate) || !isYMD(endDate)) {
-        return res.status(400).json({ error: 'Invalid date(s). Use YYYY-MM-DD.' });
-      }
-
-      // Get building to retrieve penalty_rate
-      const building = await Building.findOne({
-        where: { building_id },
-        attributes: ['building_name', 'penalty_rate'],
-        raw: true,
-      });
-      if (!building) {
-        return res.status(404).json({ error: 'Building not found.' });
-      }
-
-      const buildingName = building?.building_name || null;
-      const penaltyRatePct = Number(building.penalty_rate) || 0;
-
-      // ---- SAME COMPUTE LOGIC AS YOUR GET ----
-      const { meters } = await computeBillingForBuilding({
-        buildingId: building_id,
-        startDate,
-        endDate,
-        restrictToBuildingIds: req.restrictToBuildingIds ?? null,
-      });
-
-      const rows = [];
-      for (const entry of meters) {
-        if (entry?.error) continue;
-
-        const meterId    = entry?.meter?.meter_id;
-        const meterSN    = entry?.meter?.meter_sn ?? null;
-        const mult       = Number(entry?.meter?.meter_mult ?? 1);
-        const stallNo    = entry?.stall?.stall_id ?? null;
-        const stallSn    = entry?.stall?.stall_sn ?? null;
-        const tenantId   = entry?.tenant?.tenant_id ?? null;
-        const tenantName = entry?.tenant?.tenant_name ?? null;
-        const tenantSn   = entry?.tenant?.tenant_sn ?? null;
-
-        let rate_of_change_pct = null;
-        let prev_consumed_kwh  = null;
-        try {
-          // same custom window for ROC
-          const roc = await computeROCForMeter({ meterId, startDate, endDate });
-          rate_of_change_pct = roc?.rate_of_change ?? null;
-          prev_consumed_kwh  = roc?.previous_consumption ?? null;
-        } catch {}
-
-        const prevIdx   = Number(entry?.indices?.prev_index ?? 0);
-        const currIdx   = Number(entry?.indices?.curr_index ?? 0);
-        const consumed  = Number(entry?.totals?.consumption ?? 0);
-        const base      = Number(entry?.totals?.base ?? 0);
-        const vat       = Number(entry?.billing?.vat ?? 0);
-        const wt        = Number(entry?.billing?.wt ?? 0);
-        const totalAmt  = Number(entry?.totals?.total ?? 0);
-
-        const utilityRate = entry?.billing?.rates?.utility_rate ?? null;
-        const markupRate  = entry?.billing?.rates?.markup_rate ?? null;
-        const systemRate  = entry?.billing?.rates?.system_rate ?? (consumed > 0 ? +(base / consumed).toFixed(6) : null);
-        const vatRate     = base > 0 ? +(vat / base).toFixed(4) : null;
-        const wtRate      = entry?.billing?.rates?.wt_rate ?? null; // ADD wt_rate
-        const penaltyRate = entry?.billing?.rates?.penalty_rate ?? null; // ADD penalty_rate
-
-        rows.push({
-          stall_no: stallNo,
-          stall_sn: stallSn,
-          tenant_id: tenantId,
-          tenant_sn: tenantSn,
-          tenant_name: tenantName,
-          meter_no: meterSN,
-          meter_id: meterId,
-          mult: mult,
-          reading_previous: prevIdx,
-          reading_present: currIdx,
-          consumed_kwh: consumed,
-          utility_rate: utilityRate,
-          markup_rate: markupRate,
-          system_rate: systemRate,
-          vat_rate: vatRate,
-          wt_rate: wtRate, // ADD wt_rate to output
-          penalty_rate: penaltyRate, // ADD penalty_rate to output
-          total_amount: totalAmt,
-          prev_consumed_kwh: prev_consumed_kwh,
-          rate_of_change_pct: rate_of_change_pct,
-          tax_code: entry?.tenant?.vat_code ?? null,
-          whtax_code: entry?.tenant?.wt_code ?? null,
-          for_penalty: !!entry?.tenant?.for_penalty,
-          meter_type: entry?.meter?.meter_type ?? null,
-        });
-      }
-
-      // ---- group by tenant (same as GET) ----
-      const tenantsMap = new Map();
-      for (const r of rows) {
-        const tkey = `${r.tenant_name ?? 'UNKNOWN'}::${r.tenant_id ?? 'NA'}`;
-        if (!tenantsMap.has(tkey)) {
-          tenantsMap.set(tkey, {
-            tenant_id:   r.tenant_id ?? null,
-            tenant_name: r.tenant_name ?? null,
-            rows: [],
-          });
-        }
-        tenantsMap.get(tkey).rows.push(r);
+      const header = await Billing.findOne({ where: { building_billing_id: req.params.building_billing_id } });
+      if (!header) {
+        return res.status(404).json({ error: 'Building billing not found.' });
       }
-      const tenants = Array.from(tenantsMap.values());
 
-      const totals = rows.reduce(
-        (acc, r) => {
-          acc.total_consumed_kwh += Number(r.consumed_kwh) || 0;
-          acc.total_amount       += Number(r.total_amount) || 0;
-          return acc;
-        },
-        { total_consumed_kwh: 0, total_amount: 0 }
-      );
-
-      totals.total_consumed_kwh = +totals.total_consumed_kwh.toFixed(2);
-      totals.total_amount       = +totals.total_amount.toFixed(2);
-
-      const generated_at = getCurrentDateTime(); // for API output (string is fine)
-
-      // This matches your Postman output shape
-      const payload = {
-        building_id,
-        period: { start: startDate, end: endDate },
-        tenants,
-        totals,
-        generated_at,
-      };
-
-      // ---- SAVE HEADER TO billing_list (one row per building+period) ----
-      const building_billing_id = `${building_id}-${startDate}-${endDate}`;
-
-      // uniqueness check
-      const existing = await Billing.findOne({
-        where: {
-          building_id,
-          period_start: startDate,
-          period_end: endDate,
-        },
-      });
-
-      if (existing) {
-        return res.status(409).json({
-          error: 'Billing already exists for this building and period.',
-          building_billing_id: existing.building_billing_id,
-        });
+      const allowedBuildings = req.restrictToBuildingIds ?? null;
+      if (
+        Array.isArray(allowedBuildings) &&
+        allowedBuildings.length > 0 &&
+        !allowedBuildings.includes(header.building_id)
+      ) {
+        return res.status(403).json({ error: 'Not allowed to view this building billing.' });
       }
 
-      const now = new Date();
-
-      const created = await Billing.create({
-        building_billing_id,
-        building_id,
-        building_name: buildingName,
-        period_start: startDate,
-        period_end: endDate,
-        total_consumed_kwh: totals.total_consumed_kwh,
-        total_amount: totals.total_amount,
-        penalty_rate_pct: penaltyRatePct,
-        payload_json: payload, // model setter will JSON.stringify
-        generated_at: now,     // DB datetime
-        last_updated: now,
-        updated_by: req.user?.user_id || req.user?.username || 'system',
-      });
-
-      // ---- RESPONSE ----
-      res.status(201).json({
-        ...payload,
-        building_billing_id,
-        saved_header: created,
-      });
+      res.json(await verifyStoredBilling(header, req.restrictToBuildingIds ?? null));
     } catch (err) {
-      console.error('Billing (building, create) error:', err);
+      console.error('Billing (building, verify) error:', err);
       res.status(err.status || 500).json({ error: err.message });
     }
   }
@@ -403,6 +967,25 @@ router.post(
 
 
 
+/* =============================================================================
+ * BUILDING (standard) — CREATE building billing header (per building+period)
+ *   POST /billings/buildings/:building_id/period-start/:startDate/period-end/:endDate
+ *   Saved as a draft: review → approve → post it (see the workflow routes below).
+ *   ?opening=continuity opens each meter at its last stored closing index;
+ *   ?estimate=true estimates missing indices (trued up on the next stored bill);
+ *   a run with failed meters is rejected (422, with `errors`) unless ?allow_partial=true;
+ *   rejected (409) when a meter's window overlaps one already stored.
+ * ========================================================================== */
+router.post(
+  '/buildings/:building_id/period-start/:startDate/period-end/:endDate',
+  authorizeRole('admin', 'operator', 'biller'),
+  attachBuildingScope(),
+  enforceRecordBuilding(resolveBuildingFromParam),
+  createBuildingBilling({ withMarkup: false, label: 'building' })
+);
+
+
+
 
 /* =============================================================================
  * BUILDING (with markup) — grouped by tenant; show system_rate & markup_rate
@@ -420,108 +1003,42 @@ router.get(
         return res.status(400).json({ error: 'Invalid date(s). Use YYYY-MM-DD.' });
       }
 
-      const { meters } = await computeBillingForBuildingWithMarkup({
+      const {
+        meters, charges, allocations, errors, charge_totals, allocation_totals, common_areas, grand_totals,
+      } = await computeBillingForBuildingWithMarkup({
         buildingId: building_id,
         startDate,
         endDate,
         restrictToBuildingIds: req.restrictToBuildingIds ?? null,
+        opening: parseOpeningMode(req),
+        estimate: parseEstimateFlag(req),
       });
 
+      // same row shape as the stored snapshot (storedRowFromEntry)
       const rows = [];
       for (const entry of meters) {
         if (entry?.error) continue;
-
-        const meterId    = entry?.meter?.meter_id;
-        const meterSN    = entry?.meter?.meter_sn ?? null;
-        const mult       = Number(entry?.meter?.meter_mult ?? 1);
-        const stallNo    = entry?.stall?.stall_id ?? null;
-        const stallSN    = entry?.stall?.stall_sn ?? null;           // <- NEW
-        const tenantId   = entry?.tenant?.tenant_id ?? null;
-        const tenantSN   = entry?.tenant?.tenant_sn ?? null;         // <- NEW
-        const tenantName = entry?.tenant?.tenant_name ?? null;
-
-        let rate_of_change_pct = null;
-        let prev_consumed_kwh  = null;
-        try {
-          // mirror the same window for ROC
-          const roc = await computeROCForMeter({ meterId, startDate, endDate });
-          rate_of_change_pct = roc?.rate_of_change ?? null;
-          prev_consumed_kwh  = roc?.previous_consumption ?? null;
-        } catch {}
-
-        const prevIdx   = Number(entry?.indices?.prev_index ?? 0);
-        const currIdx   = Number(entry?.indices?.curr_index ?? 0);
-        const consumed  = Number(entry?.totals?.consumption ?? 0);
-        const base      = Number(entry?.totals?.base ?? 0);
-        const vat       = Number(entry?.billing?.vat ?? 0);
-        const wt        = Number(entry?.billing?.wt ?? 0);
-        const totalAmt  = Number(entry?.totals?.total ?? 0);
-
-        const utilityRate = entry?.billing?.rates?.utility_rate ?? null;
-        const markupRate  = entry?.billing?.rates?.markup_rate ?? null;
-        const systemRate  = entry?.billing?.rates?.system_rate ?? (consumed > 0 ? +(base / consumed).toFixed(6) : null);
-        const vatRate     = base > 0 ? +(vat / base).toFixed(4) : null;
-        const wtRate      = entry?.billing?.rates?.wt_rate ?? null; // ADD wt_rate
-        const penaltyRate = entry?.billing?.rates?.penalty_rate ?? null; // ADD penalty_rate
-
-        rows.push({
-          stall_no: stallNo,
-          stall_sn: stallSN,               // <- NEW
-          tenant_id: tenantId,
-          tenant_sn: tenantSN,             // <- NEW
-          tenant_name: tenantName,
-          meter_no: meterSN,
-          meter_id: meterId,
-          mult: mult,
-          reading_previous: prevIdx,
-          reading_present: currIdx,
-          consumed_kwh: consumed,
-          utility_rate: utilityRate,
-          markup_rate: markupRate,
-          system_rate: systemRate,
-          vat_rate: vatRate,
-          wt_rate: wtRate, // ADD wt_rate to output
-          penalty_rate: penaltyRate, // ADD penalty_rate to output
-          total_amount: totalAmt,
-          prev_consumed_kwh: prev_consumed_kwh,
-          rate_of_change_pct: rate_of_change_pct,
-          tax_code: entry?.tenant?.vat_code ?? null,
-          whtax_code: entry?.tenant?.wt_code ?? null,
-          for_penalty: !!entry?.tenant?.for_penalty,
-          meter_type: entry?.meter?.meter_type ?? null,
-        });
-      }
-
-      // group by tenant (include tenant_sn)
-      const tenantsMap = new Map();
-      for (const r of rows) {
-        const tkey = `${r.tenant_name ?? 'UNKNOWN'}::${r.tenant_id ?? 'NA'}`;
-        if (!tenantsMap.has(tkey)) {
-          tenantsMap.set(tkey, {
-            tenant_id: r.tenant_id ?? null,
-            tenant_sn: r.tenant_sn ?? null,   // <- NEW
-            tenant_name: r.tenant_name ?? null,
-            rows: []
-          });
-        }
-        tenantsMap.get(tkey).rows.push(r);
+        rows.push(await storedRowFromEntry(entry, startDate, endDate));
       }
-      const tenants = Array.from(tenantsMap.values());
 
-      const totals = rows.reduce((acc, r) => {
-        acc.total_consumed_kwh += Number(r.consumed_kwh) || 0;
-        acc.total_amount       += Number(r.total_amount) || 0;
-        return acc;
-      }, { total_consumed_kwh: 0, total_amount: 0 });
+      // group by tenant (include tenant_sn), with their recurring charges and common-area shares
+      const tenants = groupByTenant(rows, charges, allocations);
 
-      totals.total_consumed_kwh = +totals.total_consumed_kwh.toFixed(2);
-      totals.total_amount       = +totals.total_amount.toFixed(2);
+      // exact sums: consumption from the rows, amount from the engine's unrounded totals
+      const totals = {
+        total_consumed_kwh: roundNum(sum(rows.map(r => r.consumed_kwh))),
+        charge_amount:      charge_totals.total,
+        allocation_amount:  allocation_totals.total,
+        total_amount:       grand_totals.total,
+      };
 
       res.json({
         building_id,
         period: { start: startDate, end: endDate },
         tenants,
+        common_areas,
         totals,
+        errors,
         generated_at: getCurrentDateTime(),
       });
     } catch (err) {
@@ -534,190 +1051,190 @@ router.get(
 /* =============================================================================
  * BUILDING (with markup) — CREATE building billing header (per building+period)
  *   POST /billings/with-markup/buildings/:building_id/period-start/:startDate/period-end/:endDate
+ *   Saved as a draft, with the same options and checks as the standard route.
  * ========================================================================== */
 router.post(
   '/with-markup/buildings/:building_id/period-start/:startDate/period-end/:endDate',
   authorizeRole('admin', 'operator', 'biller'),
   attachBuildingScope(),
   enforceRecordBuilding(resolveBuildingFromParam),
+  createBuildingBilling({ withMarkup: true, label: 'building + markup' })
+);
+
+
+/* =============================================================================
+ * BUILDING workflow — draft → reviewed → approved → posted → void
+ *   POST /billings/buildings/:building_billing_id/review
+ *   POST /billings/buildings/:building_billing_id/approve   (BILLING_APPROVER_ROLES, default admin)
+ *   POST /billings/buildings/:building_billing_id/post
+ *   POST /billings/buildings/:building_billing_id/reopen    reviewed | approved → draft
+ *   POST /billings/buildings/:building_billing_id/void      { void_reason } posted only
+ *   Only posted billings count toward balances, penalties, invoices and reports.
+ * ========================================================================== */
+const workflowUser = (req) => req.user?.user_id || req.user?.username || 'system';
+
+router.post(
+  '/buildings/:building_billing_id/review',
+  authorizeRole('admin', 'biller'),
+  attachBuildingScope(),
   async (req, res) => {
     try {
-      const { building_id, startDate, endDate } = req.params;
-      const isYMD = (s) => typeof s === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(s);
-      if (!isYMD(startDate) || !isYMD(endDate)) {
-        return res.status(400).json({ error: 'Invalid date(s). Use YYYY-MM-DD.' });
-      }
+      await loadStoredBillingInScope(req, req.params.building_billing_id);
+      const header = await reviewBilling(req.params.building_billing_id, { updatedBy: workflowUser(req) });
+      res.json({ building_billing_id: header.building_billing_id, ...presentWorkflow(header) });
+    } catch (err) {
+      console.error('Billing (building, review) error:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+router.post(
+  '/buildings/:building_billing_id/approve',
+  authorizeRole(...BILLING_APPROVER_ROLES),
+  attachBuildingScope(),
+  async (req, res) => {
+    try {
+      await loadStoredBillingInScope(req, req.params.building_billing_id);
+      const header = await approveBilling(req.params.building_billing_id, { updatedBy: workflowUser(req) });
+      res.json({ building_billing_id: header.building_billing_id, ...presentWorkflow(header) });
+    } catch (err) {
+      console.error('Billing (building, approve) error:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+router.post(
+  '/buildings/:building_billing_id/post',
+  authorizeRole('admin', 'biller'),
+  attachBuildingScope(),
+  async (req, res) => {
+    try {
+      await loadStoredBillingInScope(req, req.params.building_billing_id);
+      const header = await postBilling(req.params.building_billing_id, { updatedBy: workflowUser(req) });
+      res.json({ building_billing_id: header.building_billing_id, ...presentWorkflow(header) });
+    } catch (err) {
+      console.error('Billing (building, post) error:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+router.post(
+  '/buildings/:building_billing_id/reopen',
+  authorizeRole('admin', 'biller'),
+  attachBuildingScope(),
+  async (req, res) => {
+    try {
+      await loadStoredBillingInScope(req, req.params.building_billing_id);
+      const header = await reopenBilling(req.params.building_billing_id, { updatedBy: workflowUser(req) });
+      res.json({ building_billing_id: header.building_billing_id, ...presentWorkflow(header) });
+    } catch (err) {
+      console.error('Billing (building, reopen) error:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+router.post(
+  '/buildings/:building_billing_id/void',
+  authorizeRole('admin', 'biller'),
+  attachBuildingScope(),
+  async (req, res) => {
+    try {
+      await loadStoredBillingInScope(req, req.params.building_billing_id);
+      const header = await voidBilling(req.params.building_billing_id, {
+        reason: req.body?.void_reason ?? req.body?.reason,
+        updatedBy: workflowUser(req),
+      });
+      res.json({ building_billing_id: header.building_billing_id, ...presentWorkflow(header) });
+    } catch (err) {
+      console.error('Billing (building, void) error:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+/* =============================================================================
+ * BUILDING recompute a draft billing
+ *   POST /billings/buildings/:building_billing_id/recompute
+ *   Reruns the period with the options it was saved with (payload.run) against the
+ *   current readings and rates, and replaces the snapshot, tenant bills and meter indices.
+ *   ?allow_partial=true as on create.
+ * ========================================================================== */
+router.post(
+  '/buildings/:building_billing_id/recompute',
+  authorizeRole('admin', 'operator', 'biller'),
+  attachBuildingScope(),
+  async (req, res) => {
+    try {
+      const { building_billing_id } = req.params;
+      const header = await loadStoredBillingInScope(req, building_billing_id);
+      assertDraft(header);
 
-      // Get building to retrieve penalty_rate
       const building = await Building.findOne({
-        where: { building_id },
-        attributes: ['building_name', 'penalty_rate'],
+        where: { building_id: header.building_id },
+        attributes: BILLING_TERM_ATTRIBUTES,
         raw: true,
       });
       if (!building) {
         return res.status(404).json({ error: 'Building not found.' });
       }
 
-      const buildingName = building?.building_name || null;
-      const penaltyRatePct = Number(building.penalty_rate) || 0;
-
-      // ---- SAME COMPUTE LOGIC AS YOUR GET (but with markup) ----
-      const { meters } = await computeBillingForBuildingWithMarkup({
-        buildingId: building_id,
-        startDate,
-        endDate,
-        restrictToBuildingIds: req.restrictToBuildingIds ?? null,
+      const run = header.payload_json?.run || {};
+      const { rows, payload } = await computeBuildingSnapshot(req, {
+        building,
+        buildingId: header.building_id,
+        startDate: header.period_start,
+        endDate: header.period_end,
+        run: { with_markup: !!run.with_markup, opening: run.opening || 'calendar', estimate: !!run.estimate },
       });
-
-      const rows = [];
-      for (const entry of meters) {
-        if (entry?.error) continue;
-
-        const meterId    = entry?.meter?.meter_id;
-        const meterSN    = entry?.meter?.meter_sn ?? null;
-        const mult       = Number(entry?.meter?.meter_mult ?? 1);
-        const stallNo    = entry?.stall?.stall_id ?? null;
-        const stallSN    = entry?.stall?.stall_sn ?? null;
-        const tenantId   = entry?.tenant?.tenant_id ?? null;
-        const tenantSN   = entry?.tenant?.tenant_sn ?? null;
-        const tenantName = entry?.tenant?.tenant_name ?? null;
-
-        let rate_of_change_pct = null;
-        let prev_consumed_kwh  = null;
-        try {
-          // mirror the same window for ROC
-          const roc = await computeROCForMeter({ meterId, startDate, endDate });
-          rate_of_change_pct = roc?.rate_of_change ?? null;
-          prev_consumed_kwh  = roc?.previous_consumption ?? null;
-        } catch {}
-
-        const prevIdx   = Number(entry?.indices?.prev_index ?? 0);
-        const currIdx   = Number(entry?.indices?.curr_index ?? 0);
-        const consumed  = Number(entry?.totals?.consumption ?? 0);
-        const base      = Number(entry?.totals?.base ?? 0);
-        const vat       = Number(entry?.billing?.vat ?? 0);
-        const wt        = Number(entry?.billing?.wt ?? 0);
-        const totalAmt  = Number(entry?.totals?.total ?? 0);
-
-        const utilityRate = entry?.billing?.rates?.utility_rate ?? null;
-        const markupRate  = entry?.billing?.rates?.markup_rate ?? null;
-        const systemRate  = entry?.billing?.rates?.system_rate
-          ?? (consumed > 0 ? +(base / consumed).toFixed(6) : null);
-        const vatRate     = base > 0 ? +(vat / base).toFixed(4) : null;
-        const wtRate      = entry?.billing?.rates?.wt_rate ?? null; // ADD wt_rate
-        const penaltyRate = entry?.billing?.rates?.penalty_rate ?? null; // ADD penalty_rate
-
-        rows.push({
-          stall_no: stallNo,
-          stall_sn: stallSN,
-          tenant_id: tenantId,
-          tenant_sn: tenantSN,
-          tenant_name: tenantName,
-          meter_no: meterSN,
-          meter_id: meterId,
-          mult: mult,
-          reading_previous: prevIdx,
-          reading_present: currIdx,
-          consumed_kwh: consumed,
-          utility_rate: utilityRate,
-          markup_rate: markupRate,
-          system_rate: systemRate,
-          vat_rate: vatRate,
-          wt_rate: wtRate, // ADD wt_rate to output
-          penalty_rate: penaltyRate, // ADD penalty_rate to output
-          total_amount: totalAmt,
-          prev_consumed_kwh: prev_consumed_kwh,
-          rate_of_change_pct: rate_of_change_pct,
-          tax_code: entry?.tenant?.vat_code ?? null,
-          whtax_code: entry?.tenant?.wt_code ?? null,
-          for_penalty: !!entry?.tenant?.for_penalty,
-          meter_type: entry?.meter?.meter_type ?? null,
+      await assertNoOverlap(rows, header.period_start, header.period_end, building_billing_id);
+
+      const { tenantBills, stored } = await sequelize.transaction(async (t) => {
+        const adjusted = await withAdjustments({
+          ...header.get({ plain: true }),
+          ...(await snapshotHeaderFields(building, payload)),
+          last_updated: new Date(),
+          updated_by: workflowUser(req),
+        }, t);
+        // key and status stay as they are
+        const { building_billing_id: _id, billing_status: _status, ...fields } = adjusted.header;
+
+        // still a draft? (the status is part of the WHERE)
+        const [count] = await Billing.update(fields, {
+          where: { building_billing_id, billing_status: 'draft' },
+          transaction: t,
         });
-      }
-
-      // ---- group by tenant (same as GET, with tenant_sn) ----
-      const tenantsMap = new Map();
-      for (const r of rows) {
-        const tkey = `${r.tenant_name ?? 'UNKNOWN'}::${r.tenant_id ?? 'NA'}`;
-        if (!tenantsMap.has(tkey)) {
-          tenantsMap.set(tkey, {
-            tenant_id:   r.tenant_id ?? null,
-            tenant_sn:   r.tenant_sn ?? null,
-            tenant_name: r.tenant_name ?? null,
-            rows: [],
-          });
+        if (!count) {
+          const err = new Error('Building billing was changed by another request.');
+          err.status = 409;
+          throw err;
         }
-        tenantsMap.get(tkey).rows.push(r);
-      }
-      const tenants = Array.from(tenantsMap.values());
-
-      const totals = rows.reduce(
-        (acc, r) => {
-          acc.total_consumed_kwh += Number(r.consumed_kwh) || 0;
-          acc.total_amount       += Number(r.total_amount) || 0;
-          return acc;
-        },
-        { total_consumed_kwh: 0, total_amount: 0 }
-      );
-
-      totals.total_consumed_kwh = +totals.total_consumed_kwh.toFixed(2);
-      totals.total_amount       = +totals.total_amount.toFixed(2);
-
-      const generated_at = getCurrentDateTime();
-
-      // This matches the shape of your with-markup building response
-      const payload = {
-        building_id,
-        period: { start: startDate, end: endDate },
-        tenants,
-        totals,
-        generated_at,
-      };
-
-      // ---- SAVE HEADER TO billing_list (one row per building+period) ----
-      const building_billing_id = `${building_id}-${startDate}-${endDate}`;
-
-      // uniqueness check: only one header per building+period in billing_list
-      const existing = await Billing.findOne({
-        where: {
-          building_id,
-          period_start: startDate,
-          period_end: endDate,
-        },
-      });
-
-      if (existing) {
-        return res.status(409).json({
-          error: 'Billing already exists for this building and period.',
-          building_billing_id: existing.building_billing_id,
-        });
-      }
-
-      const now = new Date();
-
-      const created = await Billing.create({
-        building_billing_id,
-        building_id,
-        building_name: buildingName,
-        period_start: startDate,
-        period_end: endDate,
-        total_consumed_kwh: totals.total_consumed_kwh,
-        total_amount: totals.total_amount,
-        penalty_rate_pct: penaltyRatePct,
-        payload_json: payload, // model setter will JSON.stringify
-        generated_at: now,
-        last_updated: now,
-        updated_by: req.user?.user_id || req.user?.username || 'system',
+        await BillingMeterIndex.destroy({ where: { building_billing_id }, transaction: t });
+        await TenantBill.destroy({ where: { building_billing_id }, transaction: t });
+        await claimMemosForStatement(adjusted.header, { updatedBy: workflowUser(req), transaction: t });
+        return {
+          stored: adjusted.header,
+          tenantBills: await writeBillingLines(adjusted.header, rows, t, adjusted.adjustments),
+        };
       });
 
-      // ---- RESPONSE ----
-      res.status(201).json({
-        ...payload,
+      res.json({
+        ...stored.payload_json,
         building_billing_id,
-        saved_header: created,
+        billing_status: 'draft',
+        tenant_bills: tenantBills,
       });
     } catch (err) {
-      console.error('Billing (building + markup, create) error:', err);
+      if (err.overlaps) {
+        return res.status(409).json({ error: err.message, overlaps: err.overlaps });
+      }
+      if (err.meterErrors) {
+        return res.status(422).json({ error: err.message, errors: err.meterErrors });
+      }
+      console.error('Billing (building, recompute) error:', err);
       res.status(err.status || 500).json({ error: err.message });
     }
   }
@@ -727,6 +1244,7 @@ router.post(
 /* =============================================================================
  * BUILDING (standard) — delete stored billing by header ID
  *   DELETE /billings/buildings/:building_billing_id
+ *   Only until it is posted; a posted billing is voided instead and kept on record.
  * ========================================================================== */
 router.delete(
   '/buildings/:building_billing_id',
@@ -752,10 +1270,40 @@ router.delete(
         return res.status(403).json({ error: 'Not allowed to delete this building billing.' });
       }
 
-      // 3) Delete
-      await header.destroy();
+      // 3) Posted billings are voided, not deleted; void ones stay on record
+      if (header.billing_status === 'posted' || header.billing_status === 'void') {
+        return res.status(409).json({
+          error: header.billing_status === 'posted'
+            ? 'Building billing is posted; void it instead.'
+            : 'Building billing is void; it stays on record.',
+        });
+      }
+
+      // 4) Payments allocated to it must be moved off first
+      const allocated = await PaymentAllocation.count({ where: { building_billing_id } });
+      if (allocated > 0) {
+        return res.status(409).json({ error: 'Payments are allocated to this building billing; it cannot be deleted.' });
+      }
+
+      // 5) Invoice numbers must never disappear from their series
+      const numbered = await TenantBill.count({
+        where: { building_billing_id, invoice_no: { [Op.ne]: null } },
+      });
+      if (numbered > 0) {
+        return res.status(409).json({ error: 'Tenant bills of this building billing have invoice numbers; void them instead.' });
+      }
+
+      // 6) Delete (with its per-meter indices)
+      await sequelize.transaction(async (t) => {
+        await BillingMeterIndex.destroy({ where: { building_billing_id }, transaction: t });
+        await TenantBill.destroy({ where: { building_billing_id }, transaction: t });
+        const updatedBy = req.user?.user_id || req.user?.username || 'system';
+        await releaseAdjustments(building_billing_id, { updatedBy, transaction: t });
+        await releaseMemos(building_billing_id, { updatedBy, transaction: t });
+        await header.destroy({ transaction: t });
+      });
 
-      // 4) Response
+      // 7) Response
       return res.status(200).json({
         message: 'Building billing deleted successfully.',
         building_billing_id,
@@ -771,6 +1319,7 @@ router.delete(
 
 /* =============================================================================
  * METER (standard) — requires period-start + period-end
+ *   ?stall_id= bills one stall's share of a shared meter (default: its own stall)
  * ========================================================================== */
 router.get(
   '/meters/:meter_id/period-start/:startDate/period-end/:endDate',
@@ -792,6 +1341,9 @@ router.get(
         startDate,
         endDate,
         restrictToBuildingIds: req.restrictToBuildingIds ?? null,
+        opening: parseOpeningMode(req),
+        estimate: parseEstimateFlag(req),
+        stallId: req.query.stall_id ? String(req.query.stall_id) : null,
       });
 
       // keep ROC in sync with same custom window
@@ -820,7 +1372,9 @@ router.get(
         vat_code: result?.tenant?.vat_code || null,
         wt_code:  result?.tenant?.wt_code  || null,
         vat_rate,
-        wt_rate: wt_rate_calculated
+        wt_rate: wt_rate_calculated,
+        vat_mode: result?.billing?.tax_breakdown?.vat_mode ?? 'exclusive',
+        wt_base:  result?.billing?.tax_breakdown?.wt_base ?? 'vat',
       };
 
       const consumption_breakdown = {
@@ -848,6 +1402,7 @@ router.get(
 
 /* =============================================================================
  * METER (with markup) — requires period-start + period-end
+ *   ?stall_id= bills one stall's share of a shared meter (default: its own stall)
  * ========================================================================== */
 router.get(
   '/with-markup/meters/:meter_id/period-start/:startDate/period-end/:endDate',
@@ -869,6 +1424,9 @@ router.get(
         startDate,
         endDate,
         restrictToBuildingIds: req.restrictToBuildingIds ?? null,
+        opening: parseOpeningMode(req),
+        estimate: parseEstimateFlag(req),
+        stallId: req.query.stall_id ? String(req.query.stall_id) : null,
       });
 
       // ---- Derive convenience fields (same style as GET) ----
@@ -895,7 +1453,9 @@ router.get(
         vat_code: result?.tenant?.vat_code || null,
         wt_code:  result?.tenant?.wt_code  || null,
         vat_rate,
-        wt_rate: wt_rate_calculated
+        wt_rate: wt_rate_calculated,
+        vat_mode: result?.billing?.tax_breakdown?.vat_mode ?? 'exclusive',
+        wt_base:  result?.billing?.tax_breakdown?.wt_base ?? 'vat',
       };
 
       const rate_of_change_percent = result?.rate_of_change_percent ?? null;
@@ -923,6 +1483,68 @@ router.get(
 );
 
 
+/* =============================================================================
+ * TENANT stored bill history (tenant_bill_list), newest period first
+ *   GET /billings/tenants/:tenant_id/history?from=&to=&status=
+ *   from / to filter on period_end; status = unpaid | partially_paid | paid
+ *   Each bill carries its billing_status; totals count posted billings only.
+ * ========================================================================== */
+router.get(
+  '/tenants/:tenant_id/history',
+  authorizeRole('admin', 'operator', 'biller'),
+  attachBuildingScope(),
+  async (req, res) => {
+    try {
+      const { tenant_id } = req.params;
+      const { from, to, status } = req.query;
+      const isYMD = (s) => typeof s === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(s);
+      if ((from && !isYMD(from)) || (to && !isYMD(to))) {
+        return res.status(400).json({ error: 'Invalid date(s). Use YYYY-MM-DD.' });
+      }
+
+      const tenant = await Tenant.findOne({
+        where: { tenant_id },
+        attributes: ['tenant_id', 'tenant_name', 'building_id'],
+        raw: true,
+      });
+      if (!tenant) return res.status(404).json({ error: 'Tenant not found.' });
+
+      const where = { tenant_id, ...req.buildingWhere('building_id') };
+      if (from || to) {
+        where.period_end = {};
+        if (from) where.period_end[Op.gte] = from;
+        if (to) where.period_end[Op.lte] = to;
+      }
+      if (status) where.status = String(status);
+
+      const bills = (await TenantBill.findAll({
+        where,
+        include: [{ model: Billing, as: 'billing', attributes: ['billing_status'] }],
+        order: [['period_end', 'DESC'], ['building_billing_id', 'DESC']],
+        raw: true,
+        nest: true,
+      })).map(({ billing, ...b }) => ({ ...b, billing_status: billing.billing_status }));
+      const posted = bills.filter(b => b.billing_status === 'posted');
+
+      res.json({
+        tenant_id,
+        tenant_name: tenant.tenant_name,
+        bills,
+        totals: {
+          total_amount: roundNum(sum(posted.map(b => b.total_amount))),
+          penalty_amount: roundNum(sum(posted.map(b => b.penalty_amount))),
+          amount_paid: roundNum(sum(posted.map(b => b.amount_paid))),
+          balance: roundNum(sum(posted.map(b => b.balance))),
+        },
+      });
+    } catch (err) {
+      console.error('Billing (tenant, history) error:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+
 /* =============================================================================
  * TENANT (standard, no markup) — requires period-start + period-end
  * ========================================================================== */
@@ -938,11 +1560,13 @@ router.get(
         return res.status(400).json({ error: 'Invalid date(s). Use YYYY-MM-DD.' });
       }
 
-      const { meters, totals_by_type, grand_totals } = await computeBillingForTenant({
+      const { meters, charges, errors, totals_by_type, charge_totals, grand_totals } = await computeBillingForTenant({
         tenantId: tenant_id,
         startDate,
         endDate,
         restrictToBuildingIds: req.restrictToBuildingIds ?? null,
+        opening: parseOpeningMode(req),
+        estimate: parseEstimateFlag(req),
       });
 
       // Attach ROC per meter using the SAME window (best-effort)
@@ -976,7 +1600,10 @@ router.get(
         tenant_id,
         period: { start: startDate, end: endDate },
         meters: metersWithROC,
+        charges, // recurring charges (CAM, garbage, rent per m²...), part of grand_totals
+        errors, // meters that could not be billed: { meter_id, stall_id, code, message }
         totals_by_type,
+        charge_totals,
         grand_totals,
         generated_at: getCurrentDateTime(),
       });
@@ -1005,11 +1632,13 @@ router.get(
         return res.status(400).json({ error: 'Invalid date(s). Use YYYY-MM-DD.' });
       }
 
-      const { meters, totals_by_type, grand_totals } = await computeBillingForTenantWithMarkup({
+      const { meters, charges, errors, totals_by_type, charge_totals, grand_totals } = await computeBillingForTenantWithMarkup({
         tenantId: tenant_id,
         startDate,
         endDate,
         restrictToBuildingIds: req.restrictToBuildingIds ?? null,
+        opening: parseOpeningMode(req),
+        estimate: parseEstimateFlag(req),
       });
 
       // attach ROC per meter using the same window (best-effort)
@@ -1043,7 +1672,10 @@ router.get(
         tenant_id,
         period: { start: startDate, end: endDate },
         meters: metersWithROC,
+        charges, // recurring charges (CAM, garbage, rent per m²...), part of grand_totals
+        errors, // meters that could not be billed: { meter_id, stall_id, code, message }
         totals_by_type,
+        charge_totals,
         grand_totals,
         generated_at: getCurrentDateTime(),
       });
@@ -1054,4 +1686,155 @@ router.get(
   }
 );
 
+
+/* =============================================================================
+ * STATEMENTS OF ACCOUNT (PDF)
+ * ========================================================================== */
+
+/** Send a single PDF (inline) built from statements */
+function sendStatementsPdf(res, statements, filename) {
+  res.set('Content-Type', 'application/pdf');
+  res.set('Content-Disposition', `inline; filename="${filename}"`);
+  writeStatementsPdf(statements, res);
+}
+
+/** Stored header the caller may see; throws 404 / 403 */
+async function loadStoredBillingInScope(req, buildingBillingId) {
+  const header = await Billing.findOne({ where: { building_billing_id: buildingBillingId } });
+  if (!header) {
+    const err = new Error('Building billing not found.');
+    err.status = 404;
+    throw err;
+  }
+  const allowedBuildings = req.restrictToBuildingIds ?? null;
+  if (Array.isArray(allowedBuildings) && !allowedBuildings.includes(header.building_id)) {
+    const err = new Error('Not allowed to view this building billing.');
+    err.status = 403;
+    throw err;
+  }
+  return header;
+}
+
+/**
+ * TENANT (with markup) statement computed live for a period
+ *   GET /billings/with-markup/tenants/:tenant_id/period-start/:startDate/period-end/:endDate/statement
+ *   Same options as the JSON route (?opening=, ?estimate=).
+ */
+router.get(
+  '/with-markup/tenants/:tenant_id/period-start/:startDate/period-end/:endDate/statement',
+  authorizeRole('admin', 'operator', 'biller'),
+  attachBuildingScope(),
+  async (req, res) => {
+    try {
+      const { tenant_id, startDate, endDate } = req.params;
+      const isYMD = (s) => typeof s === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(s);
+      if (!isYMD(startDate) || !isYMD(endDate)) {
+        return res.status(400).json({ error: 'Invalid date(s). Use YYYY-MM-DD.' });
+      }
+
+      const tenant = await Tenant.findOne({
+        where: { tenant_id },
+        attributes: ['tenant_id', 'tenant_sn', 'tenant_name', 'building_id', 'vat_code', 'wt_code'],
+        raw: true,
+      });
+      if (!tenant) return res.status(404).json({ error: 'Tenant not found.' });
+      const building = await Building.findOne({
+        where: { building_id: tenant.building_id },
+        attributes: ['building_id', 'building_name'],
+        raw: true,
+      });
+
+      const { meters, charges } = await computeBillingForTenantWithMarkup({
+        tenantId: tenant_id,
+        startDate,
+        endDate,
+        restrictToBuildingIds: req.restrictToBuildingIds ?? null,
+        opening: parseOpeningMode(req),
+        estimate: parseEstimateFlag(req),
+      });
+
+      // ROC per meter over the same window (best-effort, as in the JSON route)
+      for (const entry of meters) {
+        if (entry?.error) continue;
+        try {
+          const roc = await computeROCForMeter({ meterId: entry.meter.meter_id, startDate, endDate });
+          entry.rate_of_change_percent = roc?.rate_of_change ?? null;
+        } catch { entry.rate_of_change_percent = null; }
+      }
+
+      const statement = statementFromMeters({
+        tenant,
+        building,
+        period: { start: startDate, end: endDate },
+        meters,
+        charges,
+      });
+      sendStatementsPdf(res, [statement], `statement_${tenant_id}_${startDate}_${endDate}.pdf`);
+    } catch (err) {
+      console.error('Billing (tenant statement) error:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * Stored billing: one tenant's statement
+ *   GET /billings/buildings/:building_billing_id/tenants/:tenant_id/statement
+ */
+router.get(
+  '/buildings/:building_billing_id/tenants/:tenant_id/statement',
+  authorizeRole('admin', 'operator', 'biller'),
+  attachBuildingScope(),
+  async (req, res) => {
+    try {
+      const { building_billing_id, tenant_id } = req.params;
+      const header = await loadStoredBillingInScope(req, building_billing_id);
+
+      const [statement] = await statementsFromStoredBilling(header, { tenantIds: [tenant_id] });
+      if (!statement) return res.status(404).json({ error: 'Tenant is not on this building billing.' });
+
+      sendStatementsPdf(res, [statement], statementFileName(statement));
+    } catch (err) {
+      console.error('Billing (stored tenant statement) error:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * Stored billing: statements of every tenant
+ *   GET /billings/buildings/:building_billing_id/statements?format=pdf|zip
+ *   pdf (default) = one combined PDF, a new page per tenant; zip = one PDF per tenant
+ */
+router.get(
+  '/buildings/:building_billing_id/statements',
+  authorizeRole('admin', 'operator', 'biller'),
+  attachBuildingScope(),
+  async (req, res) => {
+    try {
+      const { building_billing_id } = req.params;
+      const format = String(req.query.format || 'pdf').toLowerCase();
+      if (!['pdf', 'zip'].includes(format)) {
+        return res.status(400).json({ error: 'format must be pdf or zip' });
+      }
+
+      const header = await loadStoredBillingInScope(req, building_billing_id);
+      const statements = await statementsFromStoredBilling(header);
+      if (!statements.length) return res.status(404).json({ error: 'No tenant bills on this building billing.' });
+
+      const base = `statements_${String(building_billing_id).replace(/[^A-Za-z0-9._-]+/g, '_')}`;
+      if (format === 'zip') {
+        res.set('Content-Type', 'application/zip');
+        res.set('Content-Disposition', `attachment; filename="${base}.zip"`);
+        return await writeStatementsZip(statements, res);
+      }
+      sendStatementsPdf(res, statements, `${base}.pdf`);
+    } catch (err) {
+      console.error('Billing (stored statements) error:', err);
+      if (res.headersSent) return res.end();
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
 module.exports = router;
\ No newline at end of file
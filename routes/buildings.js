@@ -3,7 +3,9 @@ const router = express.Router();
 
 const { Op } = require('sequelize');
 // Models
+const sequelize = require('../models');
 const Building = require('../models/Building');
+const BuildingRate = require('../models/BuildingRate');
 
 // Auth/middlewares
 const authenticateToken = require('../middleware/authenticateToken');
@@ -16,6 +18,15 @@ const {
 
 // Utils
 const { getCurrentDateTime } = require('../utils/getCurrentDateTime');
+const {
+  MARKUP_TYPES,
+  MARKUP_TYPE_FIELDS,
+  todayYMD,
+  recordRateChange,
+  syncCurrentRates
+} = require('../utils/rateHistory');
+const { PENALTY_METHODS } = require('../utils/penaltyEngine');
+const { createDefaultSeries } = require('../utils/invoiceNumbering');
 
 // ---------- config / helpers ----------
 
@@ -27,7 +38,31 @@ const NUM_FIELDS = [
   'wmin_con',      // water min consumption
   'lrate_perKg',   // LPG rate / kg
   'markup_rate',   // markup rate (0+)
-  'penalty_rate'   // NEW: penalty rate (0+)
+  'penalty_rate',  // NEW: penalty rate (0+)
+  'emarkup_rate',  // electric markup: amount / kWh, or % (emarkup_type)
+  'wmarkup_rate',  // water markup
+  'lmarkup_rate',  // LPG markup
+  'epenalty_rate', // electric penalty rate
+  'wpenalty_rate', // water penalty rate
+  'lpenalty_rate'  // LPG penalty rate
+];
+
+// Per-utility markup / penalty fields (admin only, like markup_rate and penalty_rate)
+const UTILITY_MARKUP_FIELDS  = ['emarkup_rate', 'wmarkup_rate', 'lmarkup_rate'];
+const UTILITY_PENALTY_FIELDS = ['epenalty_rate', 'wpenalty_rate', 'lpenalty_rate'];
+
+// Fields of the base-rate view (GET / PUT /:id/base-rates)
+const BASE_RATE_ATTRIBUTES = [
+  'building_id',
+  'erate_perKwH', 'emin_con',
+  'wrate_perCbM', 'wmin_con',
+  'lrate_perKg',
+  'markup_rate',
+  'penalty_rate',
+  'emarkup_rate', 'emarkup_type',
+  'wmarkup_rate', 'wmarkup_type',
+  'lmarkup_rate', 'lmarkup_type',
+  'epenalty_rate', 'wpenalty_rate', 'lpenalty_rate',
 ];
 
 // Optional aliases accepted in payloads
@@ -55,6 +90,17 @@ const KEY_MAP = new Map([
   // penalty rate aliases
   ['penaltyrate', 'penalty_rate'],
   ['penalty', 'penalty_rate'],
+
+  // per-utility markup / penalty aliases
+  ['electric_markup', 'emarkup_rate'],
+  ['water_markup', 'wmarkup_rate'],
+  ['lpg_markup', 'lmarkup_rate'],
+  ['electric_markup_type', 'emarkup_type'],
+  ['water_markup_type', 'wmarkup_type'],
+  ['lpg_markup_type', 'lmarkup_type'],
+  ['electric_penalty', 'epenalty_rate'],
+  ['water_penalty', 'wpenalty_rate'],
+  ['lpg_penalty', 'lpenalty_rate'],
 ]);
 
 function normalizeKey(k) {
@@ -83,12 +129,105 @@ function coerceRateNumbers(candidate) {
   return out;
 }
 
+/** emarkup_type / wmarkup_type / lmarkup_type: 'fixed' | 'percent'; throws 400 when invalid */
+function coerceMarkupTypes(candidate) {
+  const out = {};
+  for (const f of MARKUP_TYPE_FIELDS) {
+    const v = candidate[f];
+    if (v === undefined || v === null || v === '') continue;
+    const type = String(v).trim().toLowerCase();
+    if (!MARKUP_TYPES.includes(type)) {
+      const err = new Error(`${f} must be one of: ${MARKUP_TYPES.join(', ')}`);
+      err.status = 400;
+      throw err;
+    }
+    out[f] = type;
+  }
+  return out;
+}
+
+/**
+ * markup_rate / penalty_rate set every utility at once: a shared rate in the payload
+ * is copied to the per-utility fields the payload does not set itself.
+ */
+function spreadSharedRates(rates) {
+  const out = { ...rates };
+  for (const [shared, fields] of [['markup_rate', UTILITY_MARKUP_FIELDS], ['penalty_rate', UTILITY_PENALTY_FIELDS]]) {
+    if (out[shared] === undefined) continue;
+    for (const f of fields) if (out[f] === undefined) out[f] = out[shared];
+  }
+  return out;
+}
+
+/** Versioned rate changes of a payload: numbers, markup types, shared rates spread per utility */
+function coerceRates(candidate) {
+  return spreadSharedRates({ ...coerceRateNumbers(candidate), ...coerceMarkupTypes(candidate) });
+}
+
+// Payment terms: plain building settings (not versioned like the rates)
+const TERM_FIELDS = ['payment_term_days', 'grace_period_days'];
+
+/** payment_term_days / grace_period_days (whole days, 0+) and penalty_method; throws 400 when invalid */
+function coerceBillingTerms(candidate) {
+  const out = {};
+  for (const f of TERM_FIELDS) {
+    const v = candidate[f];
+    if (v === undefined || v === null || v === '') continue;
+    const num = Number(v);
+    if (!Number.isInteger(num) || num < 0) {
+      const err = new Error(`Invalid value for ${f}: must be a whole number of days (0+)`);
+      err.status = 400;
+      throw err;
+    }
+    out[f] = num;
+  }
+  if (candidate.penalty_method !== undefined && candidate.penalty_method !== null && candidate.penalty_method !== '') {
+    const method = String(candidate.penalty_method).trim().toLowerCase();
+    if (!PENALTY_METHODS.includes(method)) {
+      const err = new Error(`penalty_method must be one of: ${PENALTY_METHODS.join(', ')}`);
+      err.status = 400;
+      throw err;
+    }
+    out.penalty_method = method;
+  }
+  return out;
+}
+
 function pick(obj, keys) {
   const o = {};
   for (const k of keys) if (obj[k] !== undefined) o[k] = obj[k];
   return o;
 }
 
+/** effective_from from the payload (defaults to today); throws 400 when malformed */
+function resolveEffectiveFrom(body) {
+  const v = body?.effective_from;
+  if (v === undefined || v === null || v === '') return todayYMD();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(v))) {
+    const err = new Error('Invalid effective_from. Use YYYY-MM-DD.');
+    err.status = 400;
+    throw err;
+  }
+  return String(v);
+}
+
+/**
+ * Append the rate change to building_rate_history, then refresh the
+ * "current" columns on building_list from whatever is in force today.
+ */
+async function applyRateChange(buildingId, rates, effectiveFrom, updatedBy) {
+  await sequelize.transaction(async (t) => {
+    await recordRateChange({
+      buildingId,
+      effectiveFrom,
+      changes: rates,
+      changedBy: updatedBy,
+      transaction: t
+    });
+    await syncCurrentRates(buildingId, { updatedBy, transaction: t });
+  });
+}
+
 function hasAnyRole(user, roles) {
   const r = Array.isArray(user?.user_roles) ? user.user_roles.map(x => String(x).toLowerCase()) : [];
   return roles.some(role => r.includes(String(role).toLowerCase()));
@@ -149,7 +288,9 @@ router.get(
  * POST /buildings
  * Create a building.
  * Write access: admin only
- * Body may include any of NUM_FIELDS, including markup_rate and penalty_rate.
+ * Body may include any of NUM_FIELDS, including markup_rate and penalty_rate,
+ * the per-utility markup types (<e|w|l>markup_type: fixed | percent),
+ * plus payment_term_days, grace_period_days and penalty_method (one_time | monthly_compound).
  */
 router.post(
   '/',
@@ -168,7 +309,7 @@ router.post(
       const candidate = {
         building_name: canonical.building_name?.trim()
       };
-      for (const f of NUM_FIELDS) {
+      for (const f of [...NUM_FIELDS, ...MARKUP_TYPE_FIELDS]) {
         if (canonical[f] !== undefined) candidate[f] = canonical[f];
       }
 
@@ -188,17 +329,33 @@ router.post(
       }, 0);
       const newId = `BLDG-${maxNum + 1}`;
 
-      const rates = coerceRateNumbers(candidate);
+      const rates = coerceRates(candidate);
+      const terms = coerceBillingTerms(canonical);
 
       const now = getCurrentDateTime ? getCurrentDateTime() : new Date().toISOString();
       const updatedBy = req.user?.user_fullname || req.user?.user_id || 'system';
 
-      const created = await Building.create({
-        building_id: newId,
-        building_name: candidate.building_name,
-        ...rates,
-        last_updated: now,
-        updated_by: updatedBy
+      const created = await sequelize.transaction(async (t) => {
+        const row = await Building.create({
+          building_id: newId,
+          building_name: candidate.building_name,
+          ...rates,
+          ...terms,
+          last_updated: now,
+          updated_by: updatedBy
+        }, { transaction: t });
+
+        // Opening entry of the rate history
+        await recordRateChange({
+          buildingId: newId,
+          effectiveFrom: resolveEffectiveFrom(body),
+          changes: rates,
+          changedBy: updatedBy,
+          transaction: t
+        });
+        // Invoice numbers for its tenant bills
+        await createDefaultSeries(newId, { updatedBy, transaction: t });
+        return row;
       });
 
       res.status(201).json(created);
@@ -212,7 +369,7 @@ router.post(
 
 /**
  * PUT /buildings/:id
- * Update building name and/or any rates.
+ * Update building name, payment terms and/or any rates.
  * Write access: admin only (use /:id/base-rates for biller utility edits)
  */
 router.put(
@@ -238,21 +395,31 @@ router.put(
         updates.building_name = name;
       }
 
-      for (const f of NUM_FIELDS) {
+      for (const f of [...NUM_FIELDS, ...MARKUP_TYPE_FIELDS]) {
         if (canonical[f] !== undefined) updates[f] = canonical[f];
       }
 
-      const rates = coerceRateNumbers(updates);
+      const rates = coerceRates(updates);
+      const terms = coerceBillingTerms(canonical);
+      const effectiveFrom = resolveEffectiveFrom(body);
 
       const now = getCurrentDateTime ? getCurrentDateTime() : new Date().toISOString();
       const updatedBy = req.user?.user_fullname || req.user?.user_id || 'system';
 
-      await b.update({
-        ...('building_name' in updates ? { building_name: updates.building_name } : {}),
-        ...rates,
-        last_updated: now,
-        updated_by: updatedBy
-      });
+      if ('building_name' in updates || Object.keys(terms).length) {
+        await b.update({
+          ...pick(updates, ['building_name']),
+          ...terms,
+          last_updated: now,
+          updated_by: updatedBy
+        });
+      }
+
+      // Rates are never overwritten in place: they go through the history
+      if (Object.keys(rates).length) {
+        await applyRateChange(b.building_id, rates, effectiveFrom, updatedBy);
+        await b.reload();
+      }
 
       res.json(b);
     } catch (err) {
@@ -265,7 +432,8 @@ router.put(
 
 /**
  * GET /buildings/:id/base-rates
- * Read the set of base rates (includes markup_rate and penalty_rate).
+ * Read the set of base rates (includes markup_rate and penalty_rate, and the
+ * per-utility markup amount / type and penalty rates).
  * Read access: admin, biller, operator, reader
  */
 router.get(
@@ -302,16 +470,7 @@ router.get(
 
       const building = await Building.findOne({
         where: { building_id: buildingId },
-        attributes: [
-          "building_id",
-          "erate_perKwH",
-          "emin_con",
-          "wrate_perCbM",
-          "wmin_con",
-          "lrate_perKg",
-          "markup_rate",
-          "penalty_rate",
-        ],
+        attributes: BASE_RATE_ATTRIBUTES,
       });
 
       if (!building) {
@@ -329,8 +488,12 @@ router.get(
 /**
  * PUT /buildings/:id/base-rates
  * Update base rates.
- * - Admin: can update ALL rate fields, including markup_rate and penalty_rate.
- * - Biller: can update utility-specific fields only (no markup_rate, no penalty_rate).
+ * - Admin: can update ALL rate fields, including markup_rate and penalty_rate and the
+ *   per-utility <e|w|l>markup_rate, <e|w|l>markup_type (fixed | percent) and <e|w|l>penalty_rate.
+ *   markup_rate / penalty_rate set all three utilities unless the payload sets one itself.
+ * - Biller: can update utility-specific fields only (no markup or penalty fields).
+ * Optional effective_from (YYYY-MM-DD, default today); the change is appended
+ * to building_rate_history rather than overwriting the old rates.
  */
 router.put(
   '/:id/base-rates',
@@ -355,9 +518,9 @@ router.put(
       let allowed = [];
       if (isAdmin) {
         // Admins can edit everything
-        allowed = [...NUM_FIELDS];
+        allowed = [...NUM_FIELDS, ...MARKUP_TYPE_FIELDS];
       } else if (isBiller) {
-        // Billers: only utility rates, not markup_rate or penalty_rate
+        // Billers: only utility rates, no markup or penalty field (shared or per utility)
         allowed = ['erate_perKwH', 'emin_con', 'wrate_perCbM', 'wmin_con', 'lrate_perKg'];
       } else {
         return res.status(403).json({ error: 'Forbidden: role cannot edit base rates' });
@@ -370,32 +533,21 @@ router.put(
         return res.status(400).json({ error: 'No editable fields provided' });
       }
 
-      const rates = coerceRateNumbers(candidate);
+      const rates = coerceRates(candidate);
+      const effectiveFrom = resolveEffectiveFrom(body);
 
-      const now = getCurrentDateTime ? getCurrentDateTime() : new Date().toISOString();
       const updatedBy = req.user?.user_fullname || req.user?.user_id || 'system';
 
-      await building.update({
-        ...rates,
-        last_updated: now,
-        updated_by: updatedBy
-      });
+      // Append to the rate history (old periods keep billing at their own rates)
+      await applyRateChange(building.building_id, rates, effectiveFrom, updatedBy);
 
       // return the full base-rate view
       const refreshed = await Building.findOne({
         where: { building_id: req.params.id },
-        attributes: [
-          'building_id',
-          'erate_perKwH', 'emin_con',
-          'wrate_perCbM', 'wmin_con',
-          'lrate_perKg',
-          'markup_rate',
-          'penalty_rate', // include penalty_rate
-          'last_updated', 'updated_by'
-        ]
+        attributes: [...BASE_RATE_ATTRIBUTES, 'last_updated', 'updated_by']
       });
 
-      res.json(refreshed);
+      res.json({ ...refreshed.toJSON(), effective_from: effectiveFrom });
     } catch (err) {
       const status = err.status || 500;
       console.error('PUT /buildings/:id/base-rates error:', err);
@@ -404,4 +556,45 @@ router.put(
   }
 );
 
+/**
+ * GET /buildings/:id/base-rates/history
+ * Full, append-only rate history (newest first), incl. who changed what and when.
+ * Read access: same as GET /:id/base-rates
+ */
+router.get(
+  '/:id/base-rates/history',
+  authorizeRole('admin', 'biller', 'operator', 'reader'),
+  async (req, res) => {
+    try {
+      const buildingId = String(req.params.id);
+
+      const roles = (Array.isArray(req.user?.user_roles) ? req.user.user_roles : [])
+        .map((r) => String(r).toLowerCase());
+      const isAdmin = roles.includes('admin');
+      const isBiller = roles.includes('biller');
+
+      const allowedBuildings = Array.isArray(req.user?.building_ids)
+        ? req.user.building_ids.map((id) => String(id))
+        : [];
+
+      if (!isAdmin && !isBiller && !allowedBuildings.includes(buildingId)) {
+        return res.status(403).json({ error: 'Not allowed to view base rates for this building.' });
+      }
+
+      const building = await Building.findOne({ where: { building_id: buildingId }, attributes: ['building_id'] });
+      if (!building) return res.status(404).json({ message: 'Building not found' });
+
+      const history = await BuildingRate.findAll({
+        where: { building_id: buildingId },
+        order: [['effective_from', 'DESC'], ['rate_history_id', 'DESC']]
+      });
+
+      res.json({ building_id: buildingId, history });
+    } catch (err) {
+      console.error('GET /buildings/:id/base-rates/history error:', err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
 module.exports = router;
\ No newline at end of file
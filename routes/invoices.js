@@ -0,0 +1,348 @@
+// routes/invoices.js
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+const { Op } = require('sequelize');
+
+const getCurrentDateTime = require('../utils/getCurrentDateTime');
+const authenticateToken = require('../middleware/authenticateToken');
+const authorizeRole = require('../middleware/authorizeRole');
+const { attachBuildingScope } = require('../middleware/authorizeBuilding');
+
+const sequelize = require('../models');
+const Building = require('../models/Building');
+const Billing = require('../models/Billing');
+const TenantBill = require('../models/TenantBill');
+const InvoiceSeries = require('../models/InvoiceSeries');
+const {
+  INVOICE_STATUSES,
+  generateSeriesId,
+  finalizeTenantBills,
+  voidTenantBill,
+} = require('../utils/invoiceNumbering');
+
+// All routes require login
+router.use(authenticateToken);
+
+function httpError(status, msg) {
+  const err = new Error(msg);
+  err.status = status;
+  return err;
+}
+
+/** 403 unless the caller's building scope covers buildingId (null = shared, admins only) */
+function assertInScope(req, buildingId) {
+  const allowed = req.restrictToBuildingIds;
+  if (allowed && (!buildingId || !allowed.includes(String(buildingId)))) {
+    throw httpError(403, 'No access to this building');
+  }
+}
+
+/** Optional integer in [min, max] → Number | undefined; throws 400 on bad input */
+function optionalInt(v, field, min, max) {
+  if (v === undefined || v === null || v === '') return undefined;
+  const n = Number(v);
+  if (!Number.isInteger(n) || n < min || n > max) {
+    throw httpError(400, `${field} must be a whole number between ${min} and ${max}`);
+  }
+  return n;
+}
+
+function parsePrefix(v) {
+  const prefix = String(v ?? '').trim();
+  if (!prefix || prefix.length > 20 || !/^[A-Za-z0-9._\-/]+$/.test(prefix)) {
+    throw httpError(400, 'prefix is required (max 20 characters: letters, digits, . _ - /)');
+  }
+  return prefix;
+}
+
+const updatedByOf = (req) => req.user?.user_id || req.user?.username || 'system';
+
+/* =============================================================================
+ * Invoice series
+ * ========================================================================== */
+
+/** GET /invoices/series?building_id= — series visible to the caller (plus shared ones) */
+router.get(
+  '/series',
+  authorizeRole('admin', 'operator', 'biller'),
+  attachBuildingScope(),
+  async (req, res) => {
+    try {
+      const where = {};
+      const allowed = req.restrictToBuildingIds;
+      if (req.query.building_id) {
+        assertInScope(req, req.query.building_id);
+        where.building_id = { [Op.or]: [String(req.query.building_id), null] };
+      } else if (allowed) {
+        where.building_id = { [Op.or]: [{ [Op.in]: allowed }, null] };
+      }
+      const rows = await InvoiceSeries.findAll({ where, order: [['series_id', 'ASC']], raw: true });
+      res.json(rows);
+    } catch (err) {
+      console.error('GET /invoices/series error:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * POST /invoices/series
+ * Body: { prefix, building_id?, pad_length?, start_number?, is_default?, description? }
+ * building_id omitted = a shared series any building may number from. Admin only.
+ */
+router.post(
+  '/series',
+  authorizeRole('admin'),
+  async (req, res) => {
+    try {
+      const body = req.body || {};
+      const prefix = parsePrefix(body.prefix);
+      const padLength = optionalInt(body.pad_length, 'pad_length', 1, 12) ?? 6;
+      const startNumber = optionalInt(body.start_number, 'start_number', 1, 2147483647) ?? 1;
+      const buildingId = body.building_id ? String(body.building_id) : null;
+      const isDefault = buildingId ? body.is_default === true || body.is_default === 'true' : false;
+
+      if (buildingId) {
+        const b = await Building.findOne({ where: { building_id: buildingId }, attributes: ['building_id'], raw: true });
+        if (!b) return res.status(404).json({ error: 'Building not found' });
+      }
+      const dup = await InvoiceSeries.findOne({ where: { prefix }, attributes: ['series_id'], raw: true });
+      if (dup) return res.status(409).json({ error: `prefix is already used by ${dup.series_id}` });
+
+      const updatedBy = updatedByOf(req);
+      const now = getCurrentDateTime();
+      const created = await sequelize.transaction(async (t) => {
+        // One default per building
+        if (isDefault) {
+          await InvoiceSeries.update(
+            { is_default: false, last_updated: now, updated_by: updatedBy },
+            { where: { building_id: buildingId, is_default: true }, transaction: t }
+          );
+        }
+        return InvoiceSeries.create({
+          series_id: await generateSeriesId(t),
+          building_id: buildingId,
+          prefix,
+          pad_length: padLength,
+          next_number: startNumber,
+          is_default: isDefault,
+          description: body.description ? String(body.description).trim().slice(0, 100) : null,
+          last_updated: now,
+          updated_by: updatedBy,
+        }, { transaction: t });
+      });
+      res.status(201).json(created);
+    } catch (err) {
+      console.error('POST /invoices/series error:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * PUT /invoices/series/:series_id
+ * Body: { description?, is_default?, prefix?, pad_length? }
+ * prefix / pad_length can only change while the series has not numbered anything;
+ * next_number is never editable so the series stays gap-free. Admin only.
+ */
+router.put(
+  '/series/:series_id',
+  authorizeRole('admin'),
+  async (req, res) => {
+    try {
+      const series = await InvoiceSeries.findOne({ where: { series_id: req.params.series_id } });
+      if (!series) return res.status(404).json({ error: 'Invoice series not found' });
+
+      const body = req.body || {};
+      if (body.next_number !== undefined || body.start_number !== undefined) {
+        return res.status(400).json({ error: 'next_number cannot be changed' });
+      }
+
+      const updates = {};
+      if (body.description !== undefined) {
+        updates.description = body.description ? String(body.description).trim().slice(0, 100) : null;
+      }
+      if (body.prefix !== undefined || body.pad_length !== undefined) {
+        const used = await TenantBill.count({ where: { series_id: series.series_id } });
+        if (used > 0) return res.status(409).json({ error: 'Series has issued invoices; prefix and pad_length are fixed' });
+        if (body.prefix !== undefined) {
+          updates.prefix = parsePrefix(body.prefix);
+          const dup = await InvoiceSeries.findOne({
+            where: { prefix: updates.prefix, series_id: { [Op.ne]: series.series_id } },
+            attributes: ['series_id'],
+            raw: true,
+          });
+          if (dup) return res.status(409).json({ error: `prefix is already used by ${dup.series_id}` });
+        }
+        const pad = optionalInt(body.pad_length, 'pad_length', 1, 12);
+        if (pad !== undefined) updates.pad_length = pad;
+      }
+      const makeDefault = body.is_default === true || body.is_default === 'true';
+      if (makeDefault && !series.building_id) {
+        return res.status(400).json({ error: 'A shared series cannot be a building default' });
+      }
+
+      const updatedBy = updatedByOf(req);
+      const now = getCurrentDateTime();
+      await sequelize.transaction(async (t) => {
+        if (makeDefault) {
+          await InvoiceSeries.update(
+            { is_default: false, last_updated: now, updated_by: updatedBy },
+            { where: { building_id: series.building_id, is_default: true }, transaction: t }
+          );
+          updates.is_default = true;
+        } else if (body.is_default === false || body.is_default === 'false') {
+          updates.is_default = false;
+        }
+        await series.update({ ...updates, last_updated: now, updated_by: updatedBy }, { transaction: t });
+      });
+      res.json(series);
+    } catch (err) {
+      console.error('PUT /invoices/series/:series_id error:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+/* =============================================================================
+ * Invoices (tenant bills)
+ * ========================================================================== */
+
+/**
+ * GET /invoices?building_id=&series_id=&tenant_id=&invoice_status=
+ * Invoice register: numbered tenant bills (finalized and void) in number order.
+ */
+router.get(
+  '/',
+  authorizeRole('admin', 'operator', 'biller'),
+  attachBuildingScope(),
+  async (req, res) => {
+    try {
+      const { building_id, series_id, tenant_id, invoice_status } = req.query;
+      const where = { ...req.buildingWhere('building_id'), invoice_no: { [Op.ne]: null } };
+      if (building_id) {
+        assertInScope(req, building_id);
+        where.building_id = String(building_id);
+      }
+      if (series_id) where.series_id = String(series_id);
+      if (tenant_id) where.tenant_id = String(tenant_id);
+      if (invoice_status) {
+        if (!INVOICE_STATUSES.includes(String(invoice_status))) {
+          return res.status(400).json({ error: `invoice_status must be one of: ${INVOICE_STATUSES.join(', ')}` });
+        }
+        where.invoice_status = String(invoice_status);
+      }
+
+      const rows = await TenantBill.findAll({
+        where,
+        order: [['series_id', 'ASC'], ['invoice_seq', 'ASC']],
+        raw: true,
+      });
+      res.json(rows);
+    } catch (err) {
+      console.error('GET /invoices error:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * POST /invoices/tenant-bills/:tenant_bill_id/finalize
+ * Body: { series_id? } — defaults to the building's default series.
+ */
+router.post(
+  '/tenant-bills/:tenant_bill_id/finalize',
+  authorizeRole('admin', 'biller'),
+  attachBuildingScope(),
+  async (req, res) => {
+    try {
+      const bill = await TenantBill.findOne({ where: { tenant_bill_id: req.params.tenant_bill_id }, raw: true });
+      if (!bill) return res.status(404).json({ error: 'Tenant bill not found' });
+      assertInScope(req, bill.building_id);
+      if (bill.invoice_status !== 'draft') {
+        return res.status(409).json({ error: `Tenant bill is already ${bill.invoice_status} (${bill.invoice_no})` });
+      }
+
+      const [numbered] = await finalizeTenantBills([bill.tenant_bill_id], {
+        seriesId: req.body?.series_id ? String(req.body.series_id) : null,
+        updatedBy: updatedByOf(req),
+      });
+      if (!numbered) return res.status(409).json({ error: 'Tenant bill was finalized by another request' });
+      res.json(numbered);
+    } catch (err) {
+      console.error('POST /invoices/tenant-bills/:tenant_bill_id/finalize error:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * POST /invoices/buildings/:building_billing_id/finalize
+ * Number every draft tenant bill of a stored building billing in one go.
+ * Body: { series_id? }
+ */
+router.post(
+  '/buildings/:building_billing_id/finalize',
+  authorizeRole('admin', 'biller'),
+  attachBuildingScope(),
+  async (req, res) => {
+    try {
+      const { building_billing_id } = req.params;
+      const header = await Billing.findOne({
+        where: { building_billing_id },
+        attributes: ['building_billing_id', 'building_id'],
+        raw: true,
+      });
+      if (!header) return res.status(404).json({ error: 'Building billing not found.' });
+      assertInScope(req, header.building_id);
+
+      const drafts = await TenantBill.findAll({
+        where: { building_billing_id, invoice_status: 'draft' },
+        attributes: ['tenant_bill_id'],
+        raw: true,
+      });
+      const numbered = await finalizeTenantBills(drafts.map(d => d.tenant_bill_id), {
+        seriesId: req.body?.series_id ? String(req.body.series_id) : null,
+        updatedBy: updatedByOf(req),
+      });
+      res.json({ building_billing_id, finalized: numbered.length, invoices: numbered });
+    } catch (err) {
+      console.error('POST /invoices/buildings/:building_billing_id/finalize error:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * POST /invoices/tenant-bills/:tenant_bill_id/void
+ * Body: { void_reason } — the invoice keeps its number.
+ */
+router.post(
+  '/tenant-bills/:tenant_bill_id/void',
+  authorizeRole('admin', 'biller'),
+  attachBuildingScope(),
+  async (req, res) => {
+    try {
+      const bill = await TenantBill.findOne({
+        where: { tenant_bill_id: req.params.tenant_bill_id },
+        attributes: ['building_id'],
+        raw: true,
+      });
+      if (!bill) return res.status(404).json({ error: 'Tenant bill not found' });
+      assertInScope(req, bill.building_id);
+
+      const voided = await voidTenantBill(req.params.tenant_bill_id, {
+        reason: req.body?.void_reason ?? req.body?.reason,
+        updatedBy: updatedByOf(req),
+      });
+      res.json(voided);
+    } catch (err) {
+      console.error('POST /invoices/tenant-bills/:tenant_bill_id/void error:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,184 @@
+// routes/memos.js
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+
+const authenticateToken = require('../middleware/authenticateToken');
+const authorizeRole = require('../middleware/authorizeRole');
+const { attachBuildingScope } = require('../middleware/authorizeBuilding');
+
+const TenantBill = require('../models/TenantBill');
+const BillingMemo = require('../models/BillingMemo');
+const { BILLING_APPROVER_ROLES } = require('../utils/billingWorkflow');
+const {
+  MEMO_TYPES,
+  MEMO_STATUSES,
+  presentMemo,
+  requestMemo,
+  approveMemo,
+  rejectMemo,
+} = require('../utils/billingMemos');
+
+// All routes require login
+router.use(authenticateToken);
+
+const updatedByOf = (req) => req.user?.user_id || req.user?.username || 'system';
+
+/** 403 unless the caller's building scope covers buildingId */
+function assertInScope(req, buildingId) {
+  const allowed = req.restrictToBuildingIds;
+  if (allowed && !allowed.includes(String(buildingId))) {
+    const err = new Error('No access to this building');
+    err.status = 403;
+    throw err;
+  }
+}
+
+/** The memo, after checking the caller may see its building (404 / 403) */
+async function findMemoInScope(req, memoId) {
+  const memo = await BillingMemo.findOne({ where: { memo_id: memoId }, attributes: ['building_id'], raw: true });
+  if (!memo) {
+    const err = new Error('Memo not found');
+    err.status = 404;
+    throw err;
+  }
+  assertInScope(req, memo.building_id);
+  return memo;
+}
+
+/**
+ * GET /memos?status=&memo_type=&building_id=&tenant_id=&building_billing_id=&tenant_bill_id=
+ * Credit/debit memos, newest first.
+ */
+router.get(
+  '/',
+  authorizeRole('admin', 'operator', 'biller'),
+  attachBuildingScope(),
+  async (req, res) => {
+    try {
+      const { status, memo_type, building_id, tenant_id, building_billing_id, tenant_bill_id } = req.query;
+      const where = { ...req.buildingWhere('building_id') };
+      if (status) {
+        if (!MEMO_STATUSES.includes(String(status))) {
+          return res.status(400).json({ error: `status must be one of: ${MEMO_STATUSES.join(', ')}` });
+        }
+        where.status = String(status);
+      }
+      if (memo_type) {
+        if (!MEMO_TYPES.includes(String(memo_type))) {
+          return res.status(400).json({ error: `memo_type must be one of: ${MEMO_TYPES.join(', ')}` });
+        }
+        where.memo_type = String(memo_type);
+      }
+      if (building_id) {
+        assertInScope(req, building_id);
+        where.building_id = String(building_id);
+      }
+      if (tenant_id) where.tenant_id = String(tenant_id);
+      if (building_billing_id) where.building_billing_id = String(building_billing_id);
+      if (tenant_bill_id) where.tenant_bill_id = String(tenant_bill_id);
+
+      const rows = await BillingMemo.findAll({
+        where,
+        order: [['requested_at', 'DESC'], ['memo_id', 'DESC']],
+        raw: true,
+      });
+      res.json(rows.map(presentMemo));
+    } catch (err) {
+      console.error('GET /memos error:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * POST /memos
+ * Body: { tenant_bill_id, memo_type: 'credit' | 'debit', reason_code, description?,
+ *         amount + (meter_id | utility) | units + meter_id, tax_treatment? }
+ * Raised as pending; it counts once approved.
+ */
+router.post(
+  '/',
+  authorizeRole('admin', 'operator', 'biller'),
+  attachBuildingScope(),
+  async (req, res) => {
+    try {
+      const {
+        tenant_bill_id, memo_type, reason_code, description, amount, units, meter_id, utility, tax_treatment,
+      } = req.body || {};
+      if (!tenant_bill_id) return res.status(400).json({ error: 'tenant_bill_id is required' });
+
+      const bill = await TenantBill.findOne({
+        where: { tenant_bill_id: String(tenant_bill_id) },
+        attributes: ['building_id'],
+        raw: true,
+      });
+      if (!bill) return res.status(404).json({ error: 'Tenant bill not found' });
+      assertInScope(req, bill.building_id);
+
+      const memo = await requestMemo({
+        tenantBillId: String(tenant_bill_id),
+        memoType: String(memo_type || '').toLowerCase(),
+        reasonCode: String(reason_code || '').toLowerCase(),
+        description,
+        amount,
+        units,
+        meterId: meter_id,
+        utility,
+        taxTreatment: tax_treatment ? String(tax_treatment).toLowerCase() : null,
+        requestedBy: updatedByOf(req),
+      });
+      res.status(201).json(memo);
+    } catch (err) {
+      console.error('POST /memos error:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * POST /memos/:memo_id/approve  { note? }
+ * Billing approvers only; the memo then counts toward the tenant's balance and
+ * is printed on the next statement.
+ */
+router.post(
+  '/:memo_id/approve',
+  authorizeRole(...BILLING_APPROVER_ROLES),
+  attachBuildingScope(),
+  async (req, res) => {
+    try {
+      await findMemoInScope(req, req.params.memo_id);
+      const memo = await approveMemo(req.params.memo_id, {
+        note: req.body?.note,
+        updatedBy: updatedByOf(req),
+      });
+      res.json(memo);
+    } catch (err) {
+      console.error('POST /memos/:memo_id/approve error:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+/** POST /memos/:memo_id/reject  { note? } */
+router.post(
+  '/:memo_id/reject',
+  authorizeRole(...BILLING_APPROVER_ROLES),
+  attachBuildingScope(),
+  async (req, res) => {
+    try {
+      await findMemoInScope(req, req.params.memo_id);
+      const memo = await rejectMemo(req.params.memo_id, {
+        note: req.body?.note,
+        updatedBy: updatedByOf(req),
+      });
+      res.json(memo);
+    } catch (err) {
+      console.error('POST /memos/:memo_id/reject error:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+module.exports = router;
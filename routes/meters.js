@@ -15,14 +15,147 @@ const { Op } = require('sequelize');
 
 const Meter = require('../models/Meter');
 const Stall = require('../models/Stall');
+const Building = require('../models/Building');
 const Reading = require('../models/Reading');
 const Tenant = require('../models/Tenant'); // <-- NEW
+const MeterReplacement = require('../models/MeterReplacement');
+const MeterStallShare = require('../models/MeterStallShare');
+const sequelize = require('../models');
+const { resolveIndexDelta } = require('../utils/rocUtils');
+const { loadMeterShares, replaceMeterShares } = require('../utils/meterShares');
 
 // All routes require a valid token
 router.use(authenticateToken);
 
 const ALLOWED_TYPES = new Set(['electric', 'water', 'lpg']);
 const ALLOWED_STATUS = new Set(['active', 'inactive']);
+const ALLOWED_ROLES = new Set(['tenant', 'master', 'common']);
+const ALLOWED_ALLOCATION_KEYS = new Set(['floor_area', 'consumption', 'equal']);
+
+/** Generate next MTR-<n> (cross-dialect scan + increment) */
+async function generateMeterId(t) {
+  const rows = await Meter.findAll({
+    where: { meter_id: { [Op.like]: 'MTR-%' } },
+    attributes: ['meter_id'],
+    transaction: t,
+    raw: true
+  });
+  const maxNum = rows.reduce((max, r) => {
+    const m = String(r.meter_id).match(/^MTR-(\d+)$/);
+    return m ? Math.max(max, Number(m[1])) : max;
+  }, 0);
+  return `MTR-${maxNum + 1}`;
+}
+
+/** Generate next MRP-<n> for meter_replacements */
+async function generateReplacementId(t) {
+  const rows = await MeterReplacement.findAll({
+    where: { replacement_id: { [Op.like]: 'MRP-%' } },
+    attributes: ['replacement_id'],
+    transaction: t,
+    raw: true
+  });
+  const maxNum = rows.reduce((max, r) => {
+    const m = String(r.replacement_id).match(/^MRP-(\d+)$/);
+    return m ? Math.max(max, Number(m[1])) : max;
+  }, 0);
+  return `MRP-${maxNum + 1}`;
+}
+
+/** Building of a meter: its own building_id (master / common meters) or stall → building */
+async function getMeterBuildingId(meterId) {
+  const meter = await Meter.findOne({
+    where: { meter_id: meterId },
+    attributes: ['stall_id', 'building_id'],
+    raw: true
+  });
+  if (!meter) return null;
+  if (meter.building_id) return meter.building_id;
+  if (!meter.stall_id) return null;
+
+  const stall = await Stall.findOne({
+    where: { stall_id: meter.stall_id },
+    attributes: ['building_id'],
+    raw: true
+  });
+  return stall?.building_id || null;
+}
+
+/**
+ * Register size from the payload: rollover_value (e.g. 100000) or meter_digits (5 → 100000).
+ * Returns { provided: false } when neither is sent; null/'' clears it (unknown register).
+ */
+function parseRollover(body) {
+  const { rollover_value, meter_digits } = body || {};
+  if (meter_digits !== undefined) {
+    if (meter_digits === null || meter_digits === '') return { provided: true, value: null };
+    const d = Number(meter_digits);
+    if (!Number.isInteger(d) || d < 1 || d > 12) {
+      return { provided: true, error: 'meter_digits must be a whole number from 1 to 12' };
+    }
+    return { provided: true, value: 10 ** d };
+  }
+  if (rollover_value !== undefined) {
+    if (rollover_value === null || rollover_value === '') return { provided: true, value: null };
+    const n = Number(rollover_value);
+    if (!Number.isFinite(n) || n <= 0) {
+      return { provided: true, error: 'rollover_value must be a positive number' };
+    }
+    return { provided: true, value: Math.round(n * 100) / 100 };
+  }
+  return { provided: false };
+}
+
+/**
+ * Installation reading from the payload: install_index (opening index of the first bill)
+ * and install_date (YYYY-MM-DD). Each is { provided, value }; null/'' clears it.
+ */
+function parseInstall(body) {
+  const { install_index, install_date } = body || {};
+  const out = { index: { provided: false }, date: { provided: false } };
+  if (install_index !== undefined) {
+    if (install_index === null || install_index === '') {
+      out.index = { provided: true, value: null };
+    } else {
+      const n = Number(install_index);
+      if (!Number.isFinite(n) || n < 0) return { error: 'install_index must be a non-negative number' };
+      out.index = { provided: true, value: Math.round(n * 100) / 100 };
+    }
+  }
+  if (install_date !== undefined) {
+    if (install_date === null || install_date === '') {
+      out.date = { provided: true, value: null };
+    } else {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(String(install_date))) {
+        return { error: 'Invalid install_date. Use YYYY-MM-DD.' };
+      }
+      out.date = { provided: true, value: String(install_date) };
+    }
+  }
+  return out;
+}
+
+/**
+ * Allocation key of a master / common meter: 'floor_area' | 'consumption' | 'equal'.
+ * Returns { provided: false } when not sent.
+ */
+function parseAllocationKey(body) {
+  const { allocation_key } = body || {};
+  if (allocation_key === undefined) return { provided: false };
+  const key = String(allocation_key || '').toLowerCase();
+  if (!ALLOWED_ALLOCATION_KEYS.has(key)) {
+    return { provided: true, error: 'allocation_key must be one of: floor_area, consumption, equal' };
+  }
+  return { provided: true, value: key };
+}
+
+/** 409 message when the building already has a master meter of this type (other than exceptId) */
+async function masterMeterConflict(buildingId, meterType, exceptId = null) {
+  const where = { building_id: buildingId, meter_role: 'master', meter_type: meterType };
+  if (exceptId) where.meter_id = { [Op.ne]: exceptId };
+  const other = await Meter.findOne({ where, attributes: ['meter_id'], raw: true });
+  return other ? `Building ${buildingId} already has a ${meterType} master meter (${other.meter_id})` : null;
+}
 
 /**
  * GET /meters
@@ -76,12 +209,14 @@ router.get('/',
           stallRows.map(s => s.stall_id).filter(Boolean)
         )];
 
-        if (!stallIds.length) {
-          return res.json([]);
-        }
-
+        // tenant sub-meters on the building's stalls, plus its master / common meters
         meters = await Meter.findAll({
-          where: { stall_id: stallIds },
+          where: {
+            [Op.or]: [
+              ...(stallIds.length ? [{ stall_id: stallIds }] : []),
+              { building_id: req.restrictToBuildingId },
+            ]
+          },
           raw: true
         });
 
@@ -152,21 +287,7 @@ router.get('/',
  */
 router.get('/:id',
   authorizeRole('admin', 'operator'),
-  enforceRecordBuilding(async (req) => {
-    const meter = await Meter.findOne({
-      where: { meter_id: req.params.id },
-      attributes: ['stall_id'],
-      raw: true
-    });
-    if (!meter) return null;
-
-    const stall = await Stall.findOne({
-      where: { stall_id: meter.stall_id },
-      attributes: ['building_id'],
-      raw: true
-    });
-    return stall?.building_id || null;
-  }),
+  enforceRecordBuilding((req) => getMeterBuildingId(req.params.id)),
   async (req, res) => {
     try {
       const meter = await Meter.findOne({ where: { meter_id: req.params.id } });
@@ -184,15 +305,32 @@ router.get('/:id',
  * - admin: any building
  * - operator: only inside their building (checks stall.building_id)
  * - defaults meter_mult: water -> 93.00, others -> 1 (if not provided)
+ * - optional rollover_value or meter_digits (register size, for 99999 → 00000 wraps)
+ * - optional install_index / install_date: opening index of the meter's first bill
+ * - meter_role: 'tenant' (default, on stall_id) | 'master' | 'common' (on building_id, no stall),
+ *   with allocation_key 'floor_area' (default) | 'consumption' | 'equal'; one master per building and type
  */
 router.post('/',
   authorizeRole('admin', 'operator'),
   authorizeBuildingParam(), // if body.building_id is sent, ensures it matches operator’s building (admin bypass)
+  attachBuildingScope(),
   async (req, res) => {
-    let { meter_type, meter_sn, meter_mult, stall_id, meter_status } = req.body || {};
+    let { meter_type, meter_sn, meter_mult, stall_id, meter_status, meter_role, building_id } = req.body || {};
 
-    if (!meter_type || !meter_sn || !stall_id || !meter_status) {
-      return res.status(400).json({ error: 'meter_type, meter_sn, stall_id, and meter_status are required' });
+    meter_role = String(meter_role || 'tenant').toLowerCase();
+    if (!ALLOWED_ROLES.has(meter_role)) {
+      return res.status(400).json({ error: 'meter_role must be one of: tenant, master, common' });
+    }
+    const onBuilding = meter_role !== 'tenant';
+    if (!meter_type || !meter_sn || !meter_status || (onBuilding ? !building_id : !stall_id)) {
+      return res.status(400).json({
+        error: onBuilding
+          ? 'meter_type, meter_sn, building_id, and meter_status are required'
+          : 'meter_type, meter_sn, stall_id, and meter_status are required'
+      });
+    }
+    if (onBuilding && stall_id) {
+      return res.status(400).json({ error: `A ${meter_role} meter belongs to the building, not to a stall` });
     }
     meter_type = String(meter_type).toLowerCase();
     meter_status = String(meter_status).toLowerCase();
@@ -202,32 +340,42 @@ router.post('/',
     if (!ALLOWED_STATUS.has(meter_status)) {
       return res.status(400).json({ error: 'meter_status must be one of: active, inactive' });
     }
+    const rollover = parseRollover(req.body);
+    if (rollover.error) return res.status(400).json({ error: rollover.error });
+    const install = parseInstall(req.body);
+    if (install.error) return res.status(400).json({ error: install.error });
+    const allocation = parseAllocationKey(req.body);
+    if (allocation.error) return res.status(400).json({ error: allocation.error });
 
     try {
       // unique meter_sn
       const dup = await Meter.findOne({ where: { meter_sn } });
       if (dup) return res.status(409).json({ error: 'meter_sn already exists' });
 
-      // stall must exist (and be in user’s building if operator)
-      const stall = await Stall.findOne({ where: { stall_id }, attributes: ['building_id'], raw: true });
-      if (!stall) return res.status(400).json({ error: 'Invalid stall_id: Stall does not exist.' });
-
       const isAdmin = (req.user?.user_level || '').toLowerCase() === 'admin';
-      if (!isAdmin && stall.building_id !== req.user.building_id) {
-        return res.status(403).json({ error: 'No access: Stall not under your assigned building.' });
+      if (onBuilding) {
+        // master / common meter: building must exist and be in the caller's scope
+        if (req.restrictToBuildingIds && !req.restrictToBuildingIds.includes(String(building_id))) {
+          return res.status(403).json({ error: 'No access: Building not under your assigned buildings.' });
+        }
+        const building = await Building.findOne({ where: { building_id }, attributes: ['building_id'], raw: true });
+        if (!building) return res.status(400).json({ error: 'Invalid building_id: Building does not exist.' });
+        if (meter_role === 'master') {
+          const conflict = await masterMeterConflict(building_id, meter_type);
+          if (conflict) return res.status(409).json({ error: conflict });
+        }
+      } else {
+        // stall must exist (and be in user’s building if operator)
+        const stall = await Stall.findOne({ where: { stall_id }, attributes: ['building_id'], raw: true });
+        if (!stall) return res.status(400).json({ error: 'Invalid stall_id: Stall does not exist.' });
+
+        if (!isAdmin && stall.building_id !== req.user.building_id) {
+          return res.status(403).json({ error: 'No access: Stall not under your assigned building.' });
+        }
       }
 
       // Generate new meter_id (MTR-<n>) — cross-dialect scan + increment
-      const rows = await Meter.findAll({
-        where: { meter_id: { [Op.like]: 'MTR-%' } },
-        attributes: ['meter_id'],
-        raw: true
-      });
-      const maxNum = rows.reduce((max, r) => {
-        const m = String(r.meter_id).match(/^MTR-(\d+)$/);
-        return m ? Math.max(max, Number(m[1])) : max;
-      }, 0);
-      const newMeterId = `MTR-${maxNum + 1}`;
+      const newMeterId = await generateMeterId();
 
       // Default multiplier if not provided
       if (meter_mult === undefined || meter_mult === null || meter_mult === '') {
@@ -245,7 +393,13 @@ router.post('/',
         meter_type,
         meter_sn,
         meter_mult,
-        stall_id,
+        rollover_value: rollover.provided ? rollover.value : null,
+        install_index: install.index.provided ? install.index.value : null,
+        install_date: install.date.provided ? install.date.value : null,
+        stall_id: onBuilding ? null : stall_id,
+        meter_role,
+        building_id: onBuilding ? building_id : null,
+        allocation_key: onBuilding ? (allocation.provided ? allocation.value : 'floor_area') : null,
         meter_status,
         last_updated: getCurrentDateTime(),
         updated_by: req.user.user_fullname
@@ -264,28 +418,18 @@ router.post('/',
  * - admin: unrestricted
  * - operator: only if meter is under their building; if moving to a new stall, that stall must also be under their building
  * - if meter_type changes and meter_mult not provided, assign default (water->93 else 1)
+ * - rollover_value / meter_digits update the register size (null clears it)
+ * - install_index / install_date update the installation reading (null clears it)
+ * - allocation_key updates a master / common meter's key (its role and building are fixed;
+ *   only tenant meters move between stalls)
  */
 router.put(
   '/:id',
   authorizeRole('admin', 'operator'),
   // Populate req.restrictToBuildingIds (null for admin, string[] for operators)
   attachBuildingScope(),
-  // Authorize the CURRENT meter’s building via its stall -> building
-  enforceRecordBuilding(async (req) => {
-    const m = await Meter.findOne({
-      where: { meter_id: req.params.id },
-      attributes: ['meter_id', 'stall_id'],
-      raw: true
-    });
-    if (!m) return null; // -> middleware will 400/404 appropriately
-
-    const s = await Stall.findOne({
-      where: { stall_id: m.stall_id },
-      attributes: ['building_id'],
-      raw: true
-    });
-    return s?.building_id; // undefined/null -> treated as unresolved
-  }),
+  // Authorize the CURRENT meter’s building (its own, or via its stall -> building)
+  enforceRecordBuilding((req) => getMeterBuildingId(req.params.id)),
   async (req, res) => {
     const meterId = req.params.id;
     let { meter_type, meter_sn, stall_id, meter_status, meter_mult } = req.body || {};
@@ -294,8 +438,22 @@ router.put(
       const meter = await Meter.findOne({ where: { meter_id: meterId } });
       if (!meter) return res.status(404).json({ error: 'Meter not found' });
 
+      const onBuilding = (meter.meter_role || 'tenant') !== 'tenant';
+      if (onBuilding && stall_id) {
+        return res.status(400).json({ error: `A ${meter.meter_role} meter belongs to the building, not to a stall` });
+      }
+      const allocation = parseAllocationKey(req.body);
+      if (allocation.error) return res.status(400).json({ error: allocation.error });
+      if (allocation.provided && !onBuilding) {
+        return res.status(400).json({ error: 'allocation_key only applies to master / common meters' });
+      }
+
       // If changing stall, ensure it exists and (if operator) is within their buildings
       if (stall_id && stall_id !== meter.stall_id) {
+        const shared = await MeterStallShare.count({ where: { meter_id: meterId } });
+        if (shared) {
+          return res.status(409).json({ error: 'Meter is shared between stalls; clear its shares before moving it' });
+        }
         const target = await Stall.findOne({
           where: { stall_id },
           attributes: ['stall_id', 'building_id'],
@@ -329,6 +487,10 @@ router.put(
         if (!ALLOWED_TYPES.has(meter_type)) {
           return res.status(400).json({ error: 'meter_type must be one of: electric, water, lpg' });
         }
+        if (meter.meter_role === 'master' && meter_type !== meter.meter_type) {
+          const conflict = await masterMeterConflict(meter.building_id, meter_type, meterId);
+          if (conflict) return res.status(409).json({ error: conflict });
+        }
       }
       if (meter_status !== undefined) {
         meter_status = String(meter_status).toLowerCase();
@@ -337,6 +499,11 @@ router.put(
         }
       }
 
+      const rollover = parseRollover(req.body);
+      if (rollover.error) return res.status(400).json({ error: rollover.error });
+      const install = parseInstall(req.body);
+      if (install.error) return res.status(400).json({ error: install.error });
+
       // Derive final multiplier
       let finalMult = (meter_mult !== undefined) ? meter_mult : meter.meter_mult;
       if (meter_mult !== undefined) {
@@ -356,6 +523,10 @@ router.put(
         stall_id: stall_id ?? meter.stall_id,
         meter_status: meter_status ?? meter.meter_status,
         meter_mult: finalMult,
+        rollover_value: rollover.provided ? rollover.value : meter.rollover_value,
+        install_index: install.index.provided ? install.index.value : meter.install_index,
+        install_date: install.date.provided ? install.date.value : meter.install_date,
+        allocation_key: allocation.provided ? allocation.value : meter.allocation_key,
         last_updated: getCurrentDateTime(),
         updated_by: req.user?.user_fullname || 'system'
       });
@@ -368,6 +539,210 @@ router.put(
   }
 );
 
+/**
+ * GET /meters/:id/shares
+ * Stall shares of a meter: [{ stall_id, share_pct }] (empty = billed whole on its stall)
+ */
+router.get('/:id/shares',
+  authorizeRole('admin', 'operator', 'biller'),
+  attachBuildingScope(),
+  enforceRecordBuilding((req) => getMeterBuildingId(req.params.id)),
+  async (req, res) => {
+    try {
+      const meter = await Meter.findOne({ where: { meter_id: req.params.id }, attributes: ['meter_id'], raw: true });
+      if (!meter) return res.status(404).json({ error: 'Meter not found' });
+      const shares = (await loadMeterShares([meter.meter_id])).get(meter.meter_id) || [];
+      res.json({ meter_id: meter.meter_id, shares });
+    } catch (err) {
+      console.error('Error in GET /meters/:id/shares:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * PUT /meters/:id/shares
+ * Body: { shares: [{ stall_id, share_pct }] } — a meter feeding adjoining stalls.
+ * Two or more stalls of the meter's building, shares summing to 100 and including the
+ * meter's own stall; each stall's tenant is billed that share (the minimum consumption applies to the whole meter, then is split).
+ * { shares: [] } bills the meter whole on its stall again.
+ */
+router.put('/:id/shares',
+  authorizeRole('admin', 'operator'),
+  attachBuildingScope(),
+  enforceRecordBuilding((req) => getMeterBuildingId(req.params.id)),
+  async (req, res) => {
+    try {
+      const shares = await replaceMeterShares(req.params.id, req.body?.shares, {
+        updatedBy: req.user?.user_fullname || 'system',
+      });
+      res.json({ meter_id: req.params.id, shares });
+    } catch (err) {
+      console.error('Error in PUT /meters/:id/shares:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * POST /meters/:id/replace
+ * Swap a meter on its stall for a new one:
+ *   body: { meter_sn, meter_mult?, rollover_value? | meter_digits?,
+ *           final_reading, initial_reading?, swap_date (YYYY-MM-DD), remarks? }
+ * - outgoing meter is set inactive and closes at final_reading on swap_date
+ * - incoming meter (same type & stall) is created active and opens at initial_reading (default 0)
+ * - a meter shared between stalls passes its shares on to the incoming meter
+ * - billing for the incoming meter counts both sides of the swap in the same period
+ */
+router.post('/:id/replace',
+  authorizeRole('admin', 'operator'),
+  attachBuildingScope(),
+  enforceRecordBuilding((req) => getMeterBuildingId(req.params.id)),
+  async (req, res) => {
+    const oldMeterId = req.params.id;
+    const body = req.body || {};
+    const { meter_sn, swap_date, remarks } = body;
+
+    if (!meter_sn || body.final_reading === undefined || !swap_date) {
+      return res.status(400).json({ error: 'meter_sn, final_reading, and swap_date are required' });
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(swap_date))) {
+      return res.status(400).json({ error: 'Invalid swap_date. Use YYYY-MM-DD.' });
+    }
+    const finalIdx = Number(body.final_reading);
+    const initialIdx = (body.initial_reading === undefined || body.initial_reading === null || body.initial_reading === '')
+      ? 0
+      : Number(body.initial_reading);
+    if (!Number.isFinite(finalIdx) || finalIdx < 0 || !Number.isFinite(initialIdx) || initialIdx < 0) {
+      return res.status(400).json({ error: 'final_reading and initial_reading must be non-negative numbers' });
+    }
+    const rollover = parseRollover(body);
+    if (rollover.error) return res.status(400).json({ error: rollover.error });
+
+    try {
+      const oldMeter = await Meter.findOne({ where: { meter_id: oldMeterId }, raw: true });
+      if (!oldMeter) return res.status(404).json({ error: 'Meter not found' });
+
+      const already = await MeterReplacement.findOne({
+        where: { old_meter_id: oldMeterId },
+        attributes: ['replacement_id', 'new_meter_id'],
+        raw: true
+      });
+      if (already) {
+        return res.status(409).json({
+          error: `Meter ${oldMeterId} was already replaced by ${already.new_meter_id} (${already.replacement_id})`
+        });
+      }
+
+      const dup = await Meter.findOne({ where: { meter_sn }, attributes: ['meter_id'], raw: true });
+      if (dup) return res.status(409).json({ error: 'meter_sn already exists' });
+
+      // Nothing may be read on the outgoing meter after it was removed
+      const later = await Reading.findOne({
+        where: { meter_id: oldMeterId, lastread_date: { [Op.gt]: swap_date } },
+        attributes: ['reading_id', 'lastread_date'],
+        raw: true
+      });
+      if (later) {
+        return res.status(409).json({
+          error: `Meter ${oldMeterId} has a reading on ${later.lastread_date}, after swap_date ${swap_date}`
+        });
+      }
+
+      // The final index must follow the last recorded reading (or a register rollover)
+      const last = await Reading.findOne({
+        where: { meter_id: oldMeterId, lastread_date: { [Op.lte]: swap_date } },
+        order: [['lastread_date', 'DESC']],
+        attributes: ['reading_value', 'lastread_date'],
+        raw: true
+      });
+      if (last) {
+        const check = resolveIndexDelta(last.reading_value, finalIdx, oldMeter.rollover_value);
+        if (check.suspicious) {
+          return res.status(400).json({ error: `final_reading rejected: ${check.reason}` });
+        }
+      }
+
+      let meterMult;
+      if (body.meter_mult === undefined || body.meter_mult === null || body.meter_mult === '') {
+        meterMult = Number(oldMeter.meter_mult) || ((oldMeter.meter_type === 'water') ? 93.00 : 1);
+      } else {
+        const asNum = Number(body.meter_mult);
+        if (!Number.isFinite(asNum)) {
+          return res.status(400).json({ error: 'meter_mult must be a valid number' });
+        }
+        meterMult = Math.round(asNum * 100) / 100;
+      }
+
+      const now = getCurrentDateTime();
+      const updatedBy = req.user?.user_fullname || 'system';
+
+      const result = await sequelize.transaction(async (t) => {
+        const newMeterId = await generateMeterId(t);
+        await Meter.create({
+          meter_id: newMeterId,
+          meter_type: oldMeter.meter_type,
+          meter_sn,
+          meter_mult: meterMult,
+          rollover_value: rollover.provided ? rollover.value : oldMeter.rollover_value,
+          install_index: Math.round(initialIdx * 100) / 100,
+          install_date: swap_date,
+          stall_id: oldMeter.stall_id,
+          meter_role: oldMeter.meter_role || 'tenant',
+          building_id: oldMeter.building_id ?? null,
+          allocation_key: oldMeter.allocation_key ?? null,
+          meter_status: 'active',
+          last_updated: now,
+          updated_by: updatedBy
+        }, { transaction: t });
+
+        // a meter split across stalls stays split: the incoming meter takes over its shares
+        const shares = (await loadMeterShares([oldMeterId], { transaction: t })).get(oldMeterId) || [];
+        if (shares.length) {
+          await MeterStallShare.bulkCreate(shares.map(sh => ({
+            meter_id: newMeterId,
+            stall_id: sh.stall_id,
+            share_pct: sh.share_pct,
+            last_updated: now,
+            updated_by: updatedBy
+          })), { transaction: t });
+        }
+
+        await Meter.update({
+          meter_status: 'inactive',
+          last_updated: now,
+          updated_by: updatedBy
+        }, { where: { meter_id: oldMeterId }, transaction: t });
+
+        const replacementId = await generateReplacementId(t);
+        await MeterReplacement.create({
+          replacement_id: replacementId,
+          old_meter_id: oldMeterId,
+          new_meter_id: newMeterId,
+          swap_date,
+          old_final_index: Math.round(finalIdx * 100) / 100,
+          new_initial_index: Math.round(initialIdx * 100) / 100,
+          remarks: remarks ?? null,
+          last_updated: now,
+          updated_by: updatedBy
+        }, { transaction: t });
+
+        return { replacementId, newMeterId };
+      });
+
+      res.status(201).json({
+        message: `Meter ${oldMeterId} replaced by ${result.newMeterId}`,
+        replacementId: result.replacementId,
+        oldMeterId,
+        newMeterId: result.newMeterId
+      });
+    } catch (err) {
+      console.error('Error in POST /meters/:id/replace:', err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
 /**
  * DELETE /meters/:id
  * - admin: unrestricted
@@ -384,14 +759,26 @@ router.delete('/:id',
       // operator scope check
       const isAdmin = (req.user?.user_level || '').toLowerCase() === 'admin';
       if (!isAdmin) {
-        const meter = await Meter.findOne({ where: { meter_id: meterId }, attributes: ['stall_id'], raw: true });
+        const meter = await Meter.findOne({ where: { meter_id: meterId }, attributes: ['meter_id'], raw: true });
         if (!meter) return res.status(404).json({ error: 'Meter not found' });
-        const stall = await Stall.findOne({ where: { stall_id: meter.stall_id }, attributes: ['building_id'], raw: true });
-        if (!stall || stall.building_id !== req.user.building_id) {
+        const meterBuildingId = await getMeterBuildingId(meterId);
+        if (!meterBuildingId || meterBuildingId !== req.user.building_id) {
           return res.status(403).json({ error: 'No access: Meter not under your assigned building.' });
         }
       }
 
+      // dependency check: replacement history
+      const swap = await MeterReplacement.findOne({
+        where: { [Op.or]: [{ old_meter_id: meterId }, { new_meter_id: meterId }] },
+        attributes: ['replacement_id'],
+        raw: true
+      });
+      if (swap) {
+        return res.status(400).json({
+          error: `Cannot delete meter. It is part of meter replacement ${swap.replacement_id}`
+        });
+      }
+
       // dependency check: readings
       const readings = await Reading.findAll({ where: { meter_id: meterId }, attributes: ['reading_id'] });
       if (readings.length) {
@@ -400,7 +787,10 @@ router.delete('/:id',
         });
       }
 
-      const deleted = await Meter.destroy({ where: { meter_id: meterId } });
+      const deleted = await sequelize.transaction(async (t) => {
+        await MeterStallShare.destroy({ where: { meter_id: meterId }, transaction: t });
+        return Meter.destroy({ where: { meter_id: meterId }, transaction: t });
+      });
       if (deleted === 0) return res.status(404).json({ error: 'Meter not found' });
 
       res.json({ message: `Meter with ID ${meterId} deleted successfully` });
@@ -0,0 +1,303 @@
+// routes/payments.js
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+const { Op } = require('sequelize');
+
+const getCurrentDateTime = require('../utils/getCurrentDateTime');
+const authenticateToken = require('../middleware/authenticateToken');
+const authorizeRole = require('../middleware/authorizeRole');
+const { attachBuildingScope } = require('../middleware/authorizeBuilding');
+
+const sequelize = require('../models');
+const Tenant = require('../models/Tenant');
+const Payment = require('../models/Payment');
+const PaymentAllocation = require('../models/PaymentAllocation');
+const { todayYMD } = require('../utils/rateHistory');
+const { dec } = require('../utils/money');
+const {
+  PAYMENT_METHODS,
+  allocatePayment,
+  presentReceipt,
+  getReceipts,
+  getTenantBalance,
+  getTenantLedger,
+} = require('../utils/tenantLedger');
+
+// All routes require login
+router.use(authenticateToken);
+
+const isYMD = (s) => typeof s === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(s);
+
+function badRequest(msg) {
+  const err = new Error(msg);
+  err.status = 400;
+  return err;
+}
+
+/** Generate next PAY-<n> (cross-dialect; MSSQL-safe) */
+async function generatePaymentId(t) {
+  const rows = await Payment.findAll({
+    where: { payment_id: { [Op.like]: 'PAY-%' } },
+    attributes: ['payment_id'],
+    transaction: t,
+    raw: true
+  });
+  const maxNum = rows.reduce((max, r) => {
+    const m = String(r.payment_id).match(/^PAY-(\d+)$/);
+    return m ? Math.max(max, Number(m[1])) : max;
+  }, 0);
+  return `PAY-${maxNum + 1}`;
+}
+
+/** Tenant the caller may see; throws 404 / 403 */
+async function loadTenantInScope(req, tenantId) {
+  const tenant = await Tenant.findOne({
+    where: { tenant_id: tenantId },
+    attributes: ['tenant_id', 'tenant_name', 'building_id'],
+    raw: true,
+  });
+  if (!tenant) {
+    const err = new Error('Tenant not found');
+    err.status = 404;
+    throw err;
+  }
+  const allowed = req.restrictToBuildingIds;
+  if (allowed && !allowed.includes(String(tenant.building_id))) {
+    const err = new Error('No access to this building');
+    err.status = 403;
+    throw err;
+  }
+  return tenant;
+}
+
+/** Payment the caller may see, with its allocations; throws 404 / 403 */
+async function loadPaymentInScope(req, paymentId, options = {}) {
+  const payment = await Payment.findOne({
+    where: { payment_id: paymentId },
+    include: [{ model: PaymentAllocation, as: 'allocations' }],
+    transaction: options.transaction,
+  });
+  if (!payment) {
+    const err = new Error('Payment not found');
+    err.status = 404;
+    throw err;
+  }
+  const allowed = req.restrictToBuildingIds;
+  if (allowed && !allowed.includes(String(payment.building_id))) {
+    const err = new Error('No access to this building');
+    err.status = 403;
+    throw err;
+  }
+  return payment;
+}
+
+/** Optional manual allocations: [{ building_billing_id, amount }] | null (oldest first) */
+function parseAllocations(body) {
+  const v = body?.allocations;
+  if (v === undefined || v === null) return null;
+  if (!Array.isArray(v) || !v.length) throw badRequest('allocations must be a non-empty array of { building_billing_id, amount }');
+  return v;
+}
+
+/**
+ * GET /payments?tenant_id=&building_id=&from=&to=
+ * Receipts visible to the caller, newest first.
+ */
+router.get(
+  '/',
+  authorizeRole('admin', 'operator', 'biller'),
+  attachBuildingScope(),
+  async (req, res) => {
+    try {
+      const { tenant_id, building_id, from, to } = req.query;
+      const where = { ...req.buildingWhere('building_id') };
+      if (tenant_id) where.tenant_id = String(tenant_id);
+      if (building_id) {
+        const allowed = req.restrictToBuildingIds;
+        if (allowed && !allowed.includes(String(building_id))) {
+          return res.status(403).json({ error: 'No access to this building' });
+        }
+        where.building_id = String(building_id);
+      }
+      if (from || to) {
+        if ((from && !isYMD(from)) || (to && !isYMD(to))) {
+          return res.status(400).json({ error: 'Invalid date(s). Use YYYY-MM-DD.' });
+        }
+        where.payment_date = {};
+        if (from) where.payment_date[Op.gte] = from;
+        if (to) where.payment_date[Op.lte] = to;
+      }
+
+      const rows = await Payment.findAll({
+        where,
+        include: [{ model: PaymentAllocation, as: 'allocations' }],
+        order: [['payment_date', 'DESC'], ['payment_id', 'DESC']],
+      });
+      res.json(rows.map(presentReceipt));
+    } catch (err) {
+      console.error('GET /payments error:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * GET /payments/tenants/:tenant_id/ledger
+ * Billings, penalties and payments in date order with a running balance.
+ */
+router.get(
+  '/tenants/:tenant_id/ledger',
+  authorizeRole('admin', 'operator', 'biller'),
+  attachBuildingScope(),
+  async (req, res) => {
+    try {
+      const tenant = await loadTenantInScope(req, req.params.tenant_id);
+      res.json({ tenant_name: tenant.tenant_name, ...(await getTenantLedger(tenant)) });
+    } catch (err) {
+      console.error('GET /payments/tenants/:tenant_id/ledger error:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * GET /payments/tenants/:tenant_id/balance
+ * Outstanding balance, unapplied credit and the billings still open.
+ */
+router.get(
+  '/tenants/:tenant_id/balance',
+  authorizeRole('admin', 'operator', 'biller'),
+  attachBuildingScope(),
+  async (req, res) => {
+    try {
+      const tenant = await loadTenantInScope(req, req.params.tenant_id);
+      res.json({ tenant_name: tenant.tenant_name, ...(await getTenantBalance(tenant)) });
+    } catch (err) {
+      console.error('GET /payments/tenants/:tenant_id/balance error:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+/** GET /payments/tenants/:tenant_id/receipts — the tenant's payments with their allocations */
+router.get(
+  '/tenants/:tenant_id/receipts',
+  authorizeRole('admin', 'operator', 'biller'),
+  attachBuildingScope(),
+  async (req, res) => {
+    try {
+      const tenant = await loadTenantInScope(req, req.params.tenant_id);
+      res.json(await getReceipts(tenant));
+    } catch (err) {
+      console.error('GET /payments/tenants/:tenant_id/receipts error:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+/** GET /payments/:payment_id — one receipt */
+router.get(
+  '/:payment_id',
+  authorizeRole('admin', 'operator', 'biller'),
+  attachBuildingScope(),
+  async (req, res) => {
+    try {
+      const payment = await loadPaymentInScope(req, req.params.payment_id);
+      res.json(presentReceipt(payment));
+    } catch (err) {
+      console.error('GET /payments/:payment_id error:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * POST /payments
+ * Body: { tenant_id, amount, method, reference?, payment_date?, notes?, allocations? }
+ *   method: cash | check | bank_transfer | online | other
+ *   allocations: [{ building_billing_id, amount }] — omitted = oldest due first
+ * Whatever is not allocated stays on the tenant's account as a credit.
+ */
+router.post(
+  '/',
+  authorizeRole('admin', 'biller'),
+  attachBuildingScope(),
+  async (req, res) => {
+    try {
+      const body = req.body || {};
+      if (!body.tenant_id) return res.status(400).json({ error: 'tenant_id is required' });
+      const tenant = await loadTenantInScope(req, String(body.tenant_id));
+
+      const amount = dec(body.amount);
+      if (amount.lte(0) || amount.decimalPlaces() > 2) {
+        return res.status(400).json({ error: 'amount must be a positive amount (max 2 decimals)' });
+      }
+      const method = String(body.method || '').trim().toLowerCase();
+      if (!PAYMENT_METHODS.includes(method)) {
+        return res.status(400).json({ error: `method must be one of: ${PAYMENT_METHODS.join(', ')}` });
+      }
+      const paymentDate = body.payment_date ? String(body.payment_date) : todayYMD();
+      if (!isYMD(paymentDate)) {
+        return res.status(400).json({ error: 'Invalid payment_date. Use YYYY-MM-DD.' });
+      }
+      const allocations = parseAllocations(body);
+      const updatedBy = req.user?.user_id || req.user?.username || 'system';
+
+      const paymentId = await sequelize.transaction(async (t) => {
+        const payment = await Payment.create({
+          payment_id: await generatePaymentId(t),
+          tenant_id: tenant.tenant_id,
+          building_id: tenant.building_id,
+          payment_date: paymentDate,
+          amount: amount.toNumber(),
+          method,
+          reference: body.reference ? String(body.reference).trim() : null,
+          notes: body.notes ? String(body.notes).trim() : null,
+          last_updated: getCurrentDateTime(),
+          updated_by: updatedBy,
+        }, { transaction: t });
+
+        await allocatePayment({ payment, tenant, allocations, updatedBy, transaction: t });
+        return payment.payment_id;
+      });
+
+      const saved = await loadPaymentInScope(req, paymentId);
+      res.status(201).json(presentReceipt(saved));
+    } catch (err) {
+      console.error('POST /payments error:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * POST /payments/:payment_id/allocate
+ * Apply a payment's unapplied credit to billings stored since it was received.
+ * Body: { allocations? } — same shape as POST /payments; omitted = oldest due first.
+ */
+router.post(
+  '/:payment_id/allocate',
+  authorizeRole('admin', 'biller'),
+  attachBuildingScope(),
+  async (req, res) => {
+    try {
+      const allocations = parseAllocations(req.body);
+      const updatedBy = req.user?.user_id || req.user?.username || 'system';
+
+      await sequelize.transaction(async (t) => {
+        const payment = await loadPaymentInScope(req, req.params.payment_id, { transaction: t });
+        const tenant = await loadTenantInScope(req, payment.tenant_id);
+        await allocatePayment({ payment, tenant, allocations, updatedBy, transaction: t });
+      });
+
+      res.json(presentReceipt(await loadPaymentInScope(req, req.params.payment_id)));
+    } catch (err) {
+      console.error('POST /payments/:payment_id/allocate error:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+module.exports = router;
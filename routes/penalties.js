@@ -0,0 +1,93 @@
+// routes/penalties.js
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+
+const authenticateToken = require('../middleware/authenticateToken');
+const authorizeRole = require('../middleware/authorizeRole');
+const { attachBuildingScope } = require('../middleware/authorizeBuilding');
+
+const PenaltyCharge = require('../models/PenaltyCharge');
+const { assessPenalties } = require('../utils/penaltyEngine');
+const { todayYMD } = require('../utils/rateHistory');
+
+// All routes require login
+router.use(authenticateToken);
+
+/** GET /penalties?building_billing_id=&tenant_id=&building_id= — posted late-payment charges */
+router.get(
+  '/',
+  authorizeRole('admin', 'operator', 'biller'),
+  attachBuildingScope(),
+  async (req, res) => {
+    try {
+      const { building_billing_id, tenant_id, building_id } = req.query;
+      const where = { ...req.buildingWhere('building_id') };
+      if (building_billing_id) where.building_billing_id = String(building_billing_id);
+      if (tenant_id) where.tenant_id = String(tenant_id);
+      if (building_id) {
+        const allowed = req.restrictToBuildingIds;
+        if (allowed && !allowed.includes(String(building_id))) {
+          return res.status(403).json({ error: 'No access to this building' });
+        }
+        where.building_id = String(building_id);
+      }
+
+      const rows = await PenaltyCharge.findAll({
+        where,
+        order: [['assessed_on', 'DESC'], ['building_billing_id', 'ASC'], ['tenant_id', 'ASC'], ['sequence_no', 'ASC']],
+        raw: true,
+      });
+      res.json(rows);
+    } catch (err) {
+      console.error('GET /penalties error:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * POST /penalties/assess  { as_of?: 'YYYY-MM-DD', building_id? }
+ * Runs the same assessment the daily scheduler does; already posted charges are left alone.
+ * as_of defaults to today and may not be a future date.
+ */
+router.post(
+  '/assess',
+  authorizeRole('admin', 'biller'),
+  attachBuildingScope(),
+  async (req, res) => {
+    try {
+      const today = todayYMD();
+      const asOfDate = req.body?.as_of || today;
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(String(asOfDate))) {
+        return res.status(400).json({ error: 'Invalid as_of date. Use YYYY-MM-DD.' });
+      }
+      // posted charges cannot be undone: nothing may be assessed before it falls due
+      if (asOfDate > today) {
+        return res.status(400).json({ error: `as_of cannot be later than today (${today})` });
+      }
+      const buildingId = req.body?.building_id ? String(req.body.building_id) : null;
+
+      let buildingIds = req.restrictToBuildingIds;
+      if (buildingId) {
+        if (buildingIds && !buildingIds.includes(buildingId)) {
+          return res.status(403).json({ error: 'No access to this building' });
+        }
+        buildingIds = [buildingId];
+      }
+
+      const created = await assessPenalties({
+        asOfDate,
+        buildingIds,
+        updatedBy: req.user?.user_id || req.user?.username || 'system',
+      });
+      res.status(201).json({ as_of: asOfDate, posted: created.length, charges: created });
+    } catch (err) {
+      console.error('POST /penalties/assess error:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+module.exports = router;
@@ -28,8 +28,10 @@ const {
   splitWindowIntoN,
   getMaxReadingInPeriod,
   previousWindowSameLength,
-  monthSpanFor
+  monthSpanFor,
+  resolveIndexDelta
 } = require('../utils/rocUtils');
+const { getRatesInForce } = require('../utils/rateHistory');
 
 /* Middleware */
 router.use(authenticateToken);
@@ -241,7 +243,7 @@ router.get(
 
       const meters = await Meter.findAll({
         where: { stall_id: { [Op.in]: stalls.map(s => s.stall_id) } },
-        attributes: ['meter_id', 'meter_type', 'meter_mult'],
+        attributes: ['meter_id', 'meter_type', 'meter_mult', 'rollover_value'],
         raw: true
       });
       if (!meters.length) return res.status(404).json({ error: 'No meters found for this building' });
@@ -249,6 +251,9 @@ router.get(
       // >>> NEW: use full previous calendar month relative to endDate
       const previous = monthSpanFor(endDate, 1);
 
+      // minimums in force at the end of the window
+      const rates = { ...building, ...(await getRatesInForce(building_id, endDate)) };
+
       const totals = { electric: 0, water: 0, lpg: 0 };
 
       for (const m of meters) {
@@ -260,11 +265,11 @@ router.get(
           if (!currMax || !prevMax) continue;
 
           const t = String(m.meter_type || '').toLowerCase();
-          const raw = (Number(currMax.value) - Number(prevMax.value)) * (Number(m.meter_mult) || 1);
+          const raw = resolveIndexDelta(prevMax.value, currMax.value, m.rollover_value).delta * (Number(m.meter_mult) || 1);
 
           let u = 0;
-          if (t === 'electric') u = raw > 0 ? raw : (Number(building.emin_con) || 0);
-          else if (t === 'water') u = raw > 0 ? raw : (Number(building.wmin_con) || 0);
+          if (t === 'electric') u = raw > 0 ? raw : (Number(rates.emin_con) || 0);
+          else if (t === 'water') u = raw > 0 ? raw : (Number(rates.wmin_con) || 0);
           else if (t === 'lpg') u = raw > 0 ? raw : 0;
 
           totals[t] += Number(u) || 0;
@@ -314,7 +319,7 @@ router.get(
 
       const meters = await Meter.findAll({
         where: { stall_id: { [Op.in]: stalls.map(s => s.stall_id) } },
-        attributes: ['meter_id','meter_type','meter_mult'],
+        attributes: ['meter_id','meter_type','meter_mult','rollover_value'],
         raw: true
       });
       if (!meters.length) return res.status(404).json({ error: 'No meters found for this building' });
@@ -333,6 +338,12 @@ router.get(
         };
       });
 
+      // minimums in force at the end of each month
+      const ratesBySlot = new Map();
+      for (const slot of months) {
+        ratesBySlot.set(slot.label, { ...building, ...(await getRatesInForce(building_id, slot.end)) });
+      }
+
       // ---- Aggregate per meter for each month using "monthly-comparison" math ----
       for (const m of meters) {
         const type = String(m.meter_type || '').toLowerCase();
@@ -346,11 +357,12 @@ router.get(
             ]);
             if (!currMax || !prevMax) continue;
 
-            const raw = (Number(currMax.value) - Number(prevMax.value)) * mult;
+            const raw = resolveIndexDelta(prevMax.value, currMax.value, m.rollover_value).delta * mult;
 
+            const rates = ratesBySlot.get(slot.label);
             let units = 0;
-            if (type === 'electric') units = raw > 0 ? raw : (Number(building.emin_con) || 0);
-            else if (type === 'water') units = raw > 0 ? raw : (Number(building.wmin_con) || 0);
+            if (type === 'electric') units = raw > 0 ? raw : (Number(rates.emin_con) || 0);
+            else if (type === 'water') units = raw > 0 ? raw : (Number(rates.wmin_con) || 0);
             else if (type === 'lpg') units = raw > 0 ? raw : 0;
 
             slot.totals[type] += Number(units) || 0;
@@ -426,7 +438,7 @@ router.get(
 
       const meters = await Meter.findAll({
         where: { stall_id: { [Op.in]: stalls.map(s => s.stall_id) } },
-        attributes: ['meter_id', 'meter_type', 'meter_mult'],
+        attributes: ['meter_id', 'meter_type', 'meter_mult', 'rollover_value'],
         raw: true
       });
       if (!meters.length) return res.status(404).json({ error: 'No meters found for this building' });
@@ -460,6 +472,12 @@ router.get(
         });
       }
 
+      // minimums in force at the end of each month
+      const ratesBySlot = new Map();
+      for (const slot of months) {
+        ratesBySlot.set(slot.label, { ...building, ...(await getRatesInForce(building_id, slot.end)) });
+      }
+
       // Aggregate exactly like monthly-comparison, for each month independently
       for (const m of meters) {
         const type = String(m.meter_type || '').toLowerCase();
@@ -473,11 +491,12 @@ router.get(
             ]);
             if (!currMax || !prevMax) continue;
 
-            const raw = (Number(currMax.value) - Number(prevMax.value)) * mult;
+            const raw = resolveIndexDelta(prevMax.value, currMax.value, m.rollover_value).delta * mult;
 
+            const rates = ratesBySlot.get(slot.label);
             let units = 0;
-            if (type === 'electric') units = raw > 0 ? raw : (Number(building.emin_con) || 0);
-            else if (type === 'water') units = raw > 0 ? raw : (Number(building.wmin_con) || 0);
+            if (type === 'electric') units = raw > 0 ? raw : (Number(rates.emin_con) || 0);
+            else if (type === 'water') units = raw > 0 ? raw : (Number(rates.wmin_con) || 0);
             else if (type === 'lpg') units = raw > 0 ? raw : 0;
 
             slot.totals[type] += Number(units) || 0;
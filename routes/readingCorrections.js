@@ -0,0 +1,152 @@
+// routes/readingCorrections.js
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+
+const authenticateToken = require('../middleware/authenticateToken');
+const authorizeRole = require('../middleware/authorizeRole');
+const { attachBuildingScope } = require('../middleware/authorizeBuilding');
+
+const Reading = require('../models/Reading');
+const ReadingCorrection = require('../models/ReadingCorrection');
+const {
+  CORRECTION_STATUSES,
+  findLockingBilling,
+  requestCorrection,
+  approveCorrection,
+  rejectCorrection,
+} = require('../utils/readingCorrections');
+
+// All routes require login
+router.use(authenticateToken);
+
+const updatedByOf = (req) => req.user?.user_id || req.user?.username || 'system';
+
+/** 403 unless the caller's building scope covers buildingId */
+function assertInScope(req, buildingId) {
+  const allowed = req.restrictToBuildingIds;
+  if (allowed && !allowed.includes(String(buildingId))) {
+    const err = new Error('No access to this building');
+    err.status = 403;
+    throw err;
+  }
+}
+
+/**
+ * GET /reading-corrections?status=&building_id=&meter_id=&reading_id=
+ * Correction requests, newest first.
+ */
+router.get(
+  '/',
+  authorizeRole('admin', 'operator', 'biller', 'reader'),
+  attachBuildingScope(),
+  async (req, res) => {
+    try {
+      const { status, building_id, meter_id, reading_id } = req.query;
+      const where = { ...req.buildingWhere('building_id') };
+      if (status) {
+        if (!CORRECTION_STATUSES.includes(String(status))) {
+          return res.status(400).json({ error: `status must be one of: ${CORRECTION_STATUSES.join(', ')}` });
+        }
+        where.status = String(status);
+      }
+      if (building_id) {
+        assertInScope(req, building_id);
+        where.building_id = String(building_id);
+      }
+      if (meter_id) where.meter_id = String(meter_id);
+      if (reading_id) where.reading_id = String(reading_id);
+
+      const rows = await ReadingCorrection.findAll({
+        where,
+        order: [['requested_at', 'DESC'], ['correction_id', 'DESC']],
+        raw: true,
+      });
+      res.json(rows);
+    } catch (err) {
+      console.error('GET /reading-corrections error:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * POST /reading-corrections
+ * Body: { reading_id, action: 'update' | 'delete', reading_value? (update), reason }
+ * For readings locked by a posted billing; unlocked readings are edited directly.
+ */
+router.post(
+  '/',
+  authorizeRole('admin', 'operator', 'reader'),
+  attachBuildingScope(),
+  async (req, res) => {
+    try {
+      const { reading_id, action, reading_value, reason } = req.body || {};
+      if (!reading_id) return res.status(400).json({ error: 'reading_id is required' });
+
+      const reading = await Reading.findOne({
+        where: { reading_id: String(reading_id) },
+        attributes: ['meter_id', 'lastread_date'],
+        raw: true,
+      });
+      if (!reading) return res.status(404).json({ error: 'Reading not found' });
+      const lock = await findLockingBilling(reading.meter_id, reading.lastread_date);
+      if (lock) assertInScope(req, lock.building_id);
+
+      const correction = await requestCorrection({
+        readingId: String(reading_id),
+        action: String(action || '').toLowerCase(),
+        newValue: reading_value,
+        reason,
+        requestedBy: updatedByOf(req),
+      });
+      res.status(201).json(correction);
+    } catch (err) {
+      console.error('POST /reading-corrections error:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * POST /reading-corrections/:correction_id/approve  { note? }
+ * Applies the change; a corrected closing index is carried to the tenant's next bill
+ * as a billing adjustment, and a later posted bill that opened on it gets the opposite one.
+ */
+router.post(
+  '/:correction_id/approve',
+  authorizeRole('admin'),
+  async (req, res) => {
+    try {
+      const result = await approveCorrection(req.params.correction_id, {
+        note: req.body?.note,
+        updatedBy: updatedByOf(req),
+      });
+      res.json(result);
+    } catch (err) {
+      console.error('POST /reading-corrections/:correction_id/approve error:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+/** POST /reading-corrections/:correction_id/reject  { note? } */
+router.post(
+  '/:correction_id/reject',
+  authorizeRole('admin'),
+  async (req, res) => {
+    try {
+      const correction = await rejectCorrection(req.params.correction_id, {
+        note: req.body?.note,
+        updatedBy: updatedByOf(req),
+      });
+      res.json(correction);
+    } catch (err) {
+      console.error('POST /reading-corrections/:correction_id/reject error:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+module.exports = router;
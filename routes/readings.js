@@ -13,6 +13,7 @@ const authorizeRole = require('../middleware/authorizeRole');
 const Reading = require('../models/Reading');
 const Meter   = require('../models/Meter');
 const Stall   = require('../models/Stall');
+const { assertReadingUnlocked } = require('../utils/readingCorrections');
 
 // ---------------------------------------------------------------------------
 // If you expect image uploads via JSON, consider bumping the parser limits here.
@@ -118,6 +119,23 @@ async function getMeterBuildingId(meterId) {
   return null;
 }
 
+// Meters of a building: sub-meters on its stalls plus its master / common meters
+async function getBuildingMeterIds(buildingId) {
+  const stalls = await Stall.findAll({ where: { building_id: buildingId }, attributes: ['stall_id'], raw: true });
+  const stallIds = stalls.map(s => s.stall_id);
+  const meters = await Meter.findAll({
+    where: {
+      [Op.or]: [
+        ...(stallIds.length ? [{ stall_id: stallIds }] : []),
+        { building_id: buildingId },
+      ],
+    },
+    attributes: ['meter_id'],
+    raw: true,
+  });
+  return meters.map(m => m.meter_id);
+}
+
 // Resolve building_id for a reading
 async function getReadingBuildingId(readingId) {
   const reading = await Reading.findOne({ where: { reading_id: readingId }, attributes: ['meter_id'], raw: true });
@@ -139,6 +157,17 @@ async function generateReadingId() {
   return `MR-${maxNum + 1}`;
 }
 
+// Error body when a reading of meterId on `date` is locked by a posted billing, else null
+async function lockedReadingError(meterId, date) {
+  try {
+    await assertReadingUnlocked(meterId, date);
+    return null;
+  } catch (err) {
+    if (err.status !== 409) throw err;
+    return { error: err.message, building_billing_id: err.building_billing_id };
+  }
+}
+
 // ---------------------------------------------------------------------------
 // Routes
 
@@ -161,12 +190,7 @@ router.get('/',
         return res.status(401).json({ error: 'Unauthorized: No building assigned' });
       }
 
-      const stalls = await Stall.findAll({ where: { building_id: buildingId }, attributes: ['stall_id'], raw: true });
-      const stallIds = stalls.map(s => s.stall_id);
-      if (!stallIds.length) return res.json([]);
-
-      const meters = await Meter.findAll({ where: { stall_id: stallIds }, attributes: ['meter_id'], raw: true });
-      const meterIds = meters.map(m => m.meter_id);
+      const meterIds = await getBuildingMeterIds(buildingId);
       if (!meterIds.length) return res.json([]);
 
       const readings = await Reading.findAll({
@@ -285,12 +309,7 @@ router.get('/by-date/:date',
       const buildingId = getUserBuildingId(req);
       if (!buildingId) return res.status(401).json({ error: 'Unauthorized: No building assigned' });
 
-      const stalls = await Stall.findAll({ where: { building_id: buildingId }, attributes: ['stall_id'], raw: true });
-      const stallIds = stalls.map(s => s.stall_id);
-      if (!stallIds.length) return res.json([]);
-
-      const meters = await Meter.findAll({ where: { stall_id: stallIds }, attributes: ['meter_id'], raw: true });
-      const meterIds = meters.map(m => m.meter_id);
+      const meterIds = await getBuildingMeterIds(buildingId);
       if (!meterIds.length) return res.json([]);
 
       const rows = await Reading.findAll({
@@ -322,12 +341,7 @@ router.get('/today',
       const buildingId = getUserBuildingId(req);
       if (!buildingId) return res.status(401).json({ error: 'Unauthorized: No building assigned' });
 
-      const stalls = await Stall.findAll({ where: { building_id: buildingId }, attributes: ['stall_id'], raw: true });
-      const stallIds = stalls.map(s => s.stall_id);
-      if (!stallIds.length) return res.json([]);
-
-      const meters = await Meter.findAll({ where: { stall_id: stallIds }, attributes: ['meter_id'], raw: true });
-      const meterIds = meters.map(m => m.meter_id);
+      const meterIds = await getBuildingMeterIds(buildingId);
       if (!meterIds.length) return res.json([]);
 
       const rows = await Reading.findAll({
@@ -397,6 +411,7 @@ router.get('/by-meter/:meter_id',
 /**
  * POST /meter_reading
  * Create a new reading (one per meter per date).
+ * A date inside a posted billing window is refused (409); use a correction request.
  * Admin: any meter; Non-admin: only meters under their building.
  * REQUIRED: image (base64/base64url/data URL/hex/Buffer). remarks optional.
  */
@@ -456,6 +471,10 @@ router.post('/',
         return res.status(409).json({ error: `Reading already exists for ${meter_id} on ${dateOnly}` });
       }
 
+      // No back-dated reading inside a posted billing window (it would change the stored snapshot)
+      const lockError = await lockedReadingError(meter_id, dateOnly);
+      if (lockError) return res.status(409).json(lockError);
+
       const newReadingId = await generateReadingId();
       const now = getCurrentDateTime();
       const updatedBy = req.user?.user_fullname || 'System';
@@ -486,6 +505,7 @@ router.post('/',
  * Update an existing reading (partial allowed).
  * Admin: any; Non-admin: only under their building.
  * If 'image' is included, it must be valid and non-empty (cannot be cleared).
+ * 409 when the reading sits inside a posted billing window (use /reading-corrections).
  * remarks is optional; send null to clear remarks.
  */
 router.put('/:id',
@@ -529,6 +549,12 @@ router.put('/:id',
         return res.status(400).json({ message: 'No changes detected in the request body.' });
       }
 
+      // Readings inside a posted billing window are locked (where it is and where it would move)
+      const targetDate = /^\d{4}-\d{2}-\d{2}$/.test(String(lastread_date || '')) ? lastread_date : reading.lastread_date;
+      const lockError = await lockedReadingError(reading.meter_id, reading.lastread_date)
+        || await lockedReadingError(meter_id || reading.meter_id, targetDate);
+      if (lockError) return res.status(409).json(lockError);
+
       if (lastread_date !== undefined) {
         const dateOnly = lastread_date
           ? (/^\d{4}-\d{2}-\d{2}$/.test(String(lastread_date)) ? lastread_date : null)
@@ -600,6 +626,7 @@ router.put('/:id',
 /**
  * DELETE /meter_reading/:id
  * Admin: any; Non-admin: only under their building.
+ * 409 when the reading sits inside a posted billing window (use /reading-corrections).
  */
 router.delete('/:id',
   authorizeRole('admin', 'operator', 'reader'),
@@ -627,6 +654,9 @@ router.delete('/:id',
         }
       }
 
+      const lockError = await lockedReadingError(reading.meter_id, reading.lastread_date);
+      if (lockError) return res.status(409).json(lockError);
+
       const deleted = await Reading.destroy({ where: { reading_id: readingId } });
       if (deleted === 0) {
         return res.status(404).json({ error: 'Reading not found' });
@@ -0,0 +1,217 @@
+// routes/recurringCharges.js
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+
+const getCurrentDateTime = require('../utils/getCurrentDateTime');
+const authenticateToken = require('../middleware/authenticateToken');
+const authorizeRole = require('../middleware/authorizeRole');
+const { authorizeBuildingParam, enforceRecordBuilding } = require('../middleware/authorizeBuilding');
+
+const sequelize = require('../models');
+const Building = require('../models/Building');
+const Tenant = require('../models/Tenant');
+const RecurringCharge = require('../models/RecurringCharge');
+const {
+  CHARGE_TYPES,
+  CHARGE_VAT_MODES,
+  CHARGE_WT_BASES,
+  generateChargeId,
+} = require('../utils/recurringCharges');
+
+// All routes require login
+router.use(authenticateToken);
+
+const METER_TYPES = ['electric', 'water', 'lpg'];
+const isYMD = (s) => typeof s === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(s);
+
+function badRequest(msg) {
+  const err = new Error(msg);
+  err.status = 400;
+  return err;
+}
+
+/** Non-negative number with at most dp decimals → Number; throws 400 */
+function nonNegative(v, field, dp) {
+  const n = Number(v);
+  if (v === '' || v === null || v === undefined || !Number.isFinite(n) || n < 0) {
+    throw badRequest(`${field} must be a non-negative number`);
+  }
+  const f = 10 ** dp;
+  return Math.round(n * f) / f;
+}
+
+function oneOf(v, allowed, field) {
+  const s = String(v).toLowerCase();
+  if (!allowed.includes(s)) throw badRequest(`${field} must be one of: ${allowed.join(', ')}`);
+  return s;
+}
+
+/**
+ * Validate a charge body over the current values (`current` = {} on create).
+ * Returns the columns to write.
+ */
+async function coerceCharge(body, current, buildingId) {
+  const pick = (k) => (body[k] !== undefined ? body[k] : current[k]);
+  const out = {};
+
+  const code = String(pick('charge_code') ?? '').trim().toUpperCase();
+  if (!code) throw badRequest('charge_code is required');
+  if (code.length > 30) throw badRequest('charge_code must be at most 30 characters');
+  out.charge_code = code;
+
+  const description = String(pick('description') ?? '').trim();
+  if (!description) throw badRequest('description is required');
+  if (description.length > 100) throw badRequest('description must be at most 100 characters');
+  out.description = description;
+
+  out.charge_type = oneOf(pick('charge_type') ?? 'fixed', CHARGE_TYPES, 'charge_type');
+  const meterType = pick('meter_type');
+  out.meter_type = out.charge_type === 'per_meter' && meterType
+    ? oneOf(meterType, METER_TYPES, 'meter_type')
+    : null;
+  out.amount = nonNegative(pick('amount'), 'amount', 4);
+
+  out.vat_mode = oneOf(pick('vat_mode') ?? 'exclusive', CHARGE_VAT_MODES, 'vat_mode');
+  out.vat_rate = nonNegative(pick('vat_rate') ?? 0, 'vat_rate', 2);
+  out.wt_base  = oneOf(pick('wt_base') ?? 'vat', CHARGE_WT_BASES, 'wt_base');
+  out.wt_rate  = nonNegative(pick('wt_rate') ?? 0, 'wt_rate', 2);
+
+  const from = pick('effective_from');
+  if (!isYMD(from)) throw badRequest('effective_from is required (YYYY-MM-DD)');
+  const to = pick('effective_to') || null;
+  if (to !== null && (!isYMD(to) || to < from)) throw badRequest('effective_to must be a date on/after effective_from');
+  out.effective_from = from;
+  out.effective_to = to;
+
+  const active = pick('is_active');
+  out.is_active = active === undefined || active === null ? true : !!active;
+
+  const tenantId = pick('tenant_id') || null;
+  if (tenantId) {
+    const tenant = await Tenant.findOne({ where: { tenant_id: tenantId }, attributes: ['building_id'], raw: true });
+    if (!tenant) throw badRequest('Invalid tenant_id: Tenant does not exist.');
+    if (String(tenant.building_id) !== String(buildingId)) {
+      throw badRequest('Tenant must belong to the building of the charge.');
+    }
+  }
+  out.tenant_id = tenantId;
+  return out;
+}
+
+const chargeBuilding = async (req) => {
+  const row = await RecurringCharge.findOne({
+    where: { charge_id: req.params.charge_id },
+    attributes: ['building_id'],
+    raw: true,
+  });
+  return row?.building_id || null;
+};
+
+/**
+ * GET /recurring-charges/buildings/:building_id?tenant_id=&active=true
+ * Charge definitions of a building (building-level and tenant-level).
+ */
+router.get(
+  '/buildings/:building_id',
+  authorizeRole('admin', 'biller', 'operator', 'reader'),
+  authorizeBuildingParam(),
+  async (req, res) => {
+    try {
+      const where = { building_id: req.params.building_id };
+      if (req.query.tenant_id) where.tenant_id = String(req.query.tenant_id);
+      if (req.query.active !== undefined) where.is_active = String(req.query.active).toLowerCase() === 'true';
+      const rows = await RecurringCharge.findAll({
+        where,
+        order: [['tenant_id', 'ASC'], ['charge_code', 'ASC'], ['effective_from', 'ASC']],
+      });
+      res.json(rows);
+    } catch (err) {
+      console.error('GET /recurring-charges/buildings/:building_id error:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * POST /recurring-charges/buildings/:building_id
+ * Body: { charge_code, description, charge_type?, meter_type?, amount, vat_mode?, vat_rate?,
+ *         wt_base?, wt_rate?, effective_from, effective_to?, tenant_id?, is_active? }
+ * vat_rate / wt_rate are percentages (12 = 12%), as on the tax codes.
+ */
+router.post(
+  '/buildings/:building_id',
+  authorizeRole('admin', 'biller'),
+  authorizeBuildingParam(),
+  async (req, res) => {
+    try {
+      const { building_id } = req.params;
+      const building = await Building.findOne({ where: { building_id }, attributes: ['building_id'], raw: true });
+      if (!building) return res.status(404).json({ error: 'Building not found' });
+
+      const fields = await coerceCharge(req.body || {}, {}, building_id);
+      const now = getCurrentDateTime();
+      const updatedBy = req.user?.user_fullname || req.user?.user_id || 'system';
+
+      const created = await sequelize.transaction(async (t) => RecurringCharge.create({
+        charge_id: await generateChargeId(t),
+        building_id,
+        ...fields,
+        last_updated: now,
+        updated_by: updatedBy,
+      }, { transaction: t }));
+      res.status(201).json(created);
+    } catch (err) {
+      console.error('POST /recurring-charges/buildings/:building_id error:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * PUT /recurring-charges/:charge_id
+ * Partial update (same fields as POST). Stored billings keep the charges they were billed with.
+ */
+router.put(
+  '/:charge_id',
+  authorizeRole('admin', 'biller'),
+  enforceRecordBuilding(chargeBuilding),
+  async (req, res) => {
+    try {
+      const charge = await RecurringCharge.findOne({ where: { charge_id: req.params.charge_id } });
+      if (!charge) return res.status(404).json({ error: 'Recurring charge not found' });
+
+      const fields = await coerceCharge(req.body || {}, charge.get({ plain: true }), charge.building_id);
+      await charge.update({
+        ...fields,
+        last_updated: getCurrentDateTime(),
+        updated_by: req.user?.user_fullname || req.user?.user_id || 'system',
+      });
+      res.json(charge);
+    } catch (err) {
+      console.error('PUT /recurring-charges/:charge_id error:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+/** DELETE /recurring-charges/:charge_id (set is_active false instead to keep it on record) */
+router.delete(
+  '/:charge_id',
+  authorizeRole('admin', 'biller'),
+  enforceRecordBuilding(chargeBuilding),
+  async (req, res) => {
+    try {
+      const charge = await RecurringCharge.findOne({ where: { charge_id: req.params.charge_id } });
+      if (!charge) return res.status(404).json({ error: 'Recurring charge not found' });
+      await charge.destroy();
+      res.json({ message: 'Recurring charge deleted', charge_id: charge.charge_id });
+    } catch (err) {
+      console.error('DELETE /recurring-charges/:charge_id error:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+module.exports = router;
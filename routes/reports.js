@@ -0,0 +1,87 @@
+// routes/reports.js
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+
+const authenticateToken = require('../middleware/authenticateToken');
+const authorizeRole = require('../middleware/authorizeRole');
+const { authorizeBuildingParam } = require('../middleware/authorizeBuilding');
+
+const Building = require('../models/Building');
+const { todayYMD } = require('../utils/rateHistory');
+const { toCsv } = require('../utils/csv');
+const { AGING_CSV_COLUMNS, buildAgingReport, agingCsvRows } = require('../utils/agingReport');
+
+// All routes require login
+router.use(authenticateToken);
+
+const isYMD = (s) => typeof s === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(s);
+
+/** ?as_of=YYYY-MM-DD (default today); throws 400 when malformed */
+function parseAsOf(req) {
+  const v = req.query?.as_of;
+  if (v === undefined || v === '') return todayYMD();
+  if (!isYMD(String(v))) {
+    const err = new Error('Invalid as_of. Use YYYY-MM-DD.');
+    err.status = 400;
+    throw err;
+  }
+  return String(v);
+}
+
+/** JSON by default; ?format=csv downloads one line per tenant */
+function sendAging(req, res, report, filename) {
+  if (String(req.query?.format || '').toLowerCase() === 'csv') {
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    return res.send(toCsv(AGING_CSV_COLUMNS, agingCsvRows(report)));
+  }
+  return res.json(report);
+}
+
+/**
+ * GET /reports/aging?as_of=&format=csv
+ * Portfolio-wide receivables aging (every building). Admin only.
+ */
+router.get(
+  '/aging',
+  authorizeRole('admin'),
+  async (req, res) => {
+    try {
+      const asOfDate = parseAsOf(req);
+      const report = await buildAgingReport({ asOfDate });
+      sendAging(req, res, report, `aging-portfolio-${asOfDate}.csv`);
+    } catch (err) {
+      console.error('GET /reports/aging error:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * GET /reports/aging/buildings/:building_id?as_of=&format=csv
+ * Outstanding balance per tenant bucketed into current, 1–30, 31–60, 61–90 and 90+ days past due.
+ */
+router.get(
+  '/aging/buildings/:building_id',
+  authorizeRole('admin', 'operator', 'biller'),
+  authorizeBuildingParam(),
+  async (req, res) => {
+    try {
+      const { building_id } = req.params;
+      const asOfDate = parseAsOf(req);
+
+      const building = await Building.findOne({ where: { building_id }, attributes: ['building_id'], raw: true });
+      if (!building) return res.status(404).json({ error: 'Building not found.' });
+
+      const report = await buildAgingReport({ buildingIds: [building_id], asOfDate });
+      sendAging(req, res, report, `aging-${building_id}-${asOfDate}.csv`);
+    } catch (err) {
+      console.error('GET /reports/aging/buildings/:building_id error:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+module.exports = router;
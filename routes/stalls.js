@@ -15,12 +15,22 @@ const { Op } = require('sequelize');
 const Stall = require('../models/Stall');
 const Tenant = require('../models/Tenant');
 const Meter  = require('../models/Meter');
+const MeterStallShare = require('../models/MeterStallShare');
 
 // All routes require a valid token
 router.use(authenticateToken);
 
 const ALLOWED_STATUS = new Set(['occupied', 'available', 'under maintenance']);
 
+/** Optional floor area (m²): undefined = not given, '' / null = cleared; else a non-negative number */
+function parseFloorArea(v) {
+  if (v === undefined) return undefined;
+  if (v === null || v === '') return null;
+  const n = Number(v);
+  if (!Number.isFinite(n) || n < 0) return NaN;
+  return Math.round(n * 100) / 100;
+}
+
 /**
  * GET /stalls
  * - admin: all stalls
@@ -76,6 +86,7 @@ router.get('/:id',
  *   - if body.building_id is omitted, default to operator's building
  * - if stall_status = 'available', tenant_id is forced to NULL
  * - if tenant_id is provided, tenant must exist AND belong to the same building
+ * - floor_area (m², optional) is used by recurring charges billed per square meter
  */
 router.post('/',
   authorizeRole('admin', 'operator'),
@@ -84,6 +95,7 @@ router.post('/',
     const isAdmin = (req.user?.user_level || '').toLowerCase() === 'admin';
     const { stall_sn, tenant_id, stall_status } = req.body || {};
     const building_id = req.body.building_id || (!isAdmin ? req.user.building_id : undefined);
+    const floorArea = parseFloorArea(req.body?.floor_area);
 
     if (!stall_sn || !building_id || !stall_status) {
       return res.status(400).json({ error: 'stall_sn, building_id, and stall_status are required' });
@@ -91,6 +103,9 @@ router.post('/',
     if (!ALLOWED_STATUS.has(stall_status)) {
       return res.status(400).json({ error: 'stall_status must be one of: occupied, available, under maintenance' });
     }
+    if (Number.isNaN(floorArea)) {
+      return res.status(400).json({ error: 'floor_area must be a non-negative number' });
+    }
 
     try {
       // unique stall_sn
@@ -135,6 +150,7 @@ router.post('/',
         tenant_id: finalTenantId,
         building_id,
         stall_status,
+        floor_area: floorArea ?? null,
         last_updated: getCurrentDateTime(),
         updated_by: req.user.user_fullname
       });
@@ -170,6 +186,10 @@ router.put('/:id',
   async (req, res) => {
     const stallId = req.params.id;
     const { stall_sn, tenant_id, building_id, stall_status } = req.body || {};
+    const floorArea = parseFloorArea(req.body?.floor_area);
+    if (Number.isNaN(floorArea)) {
+      return res.status(400).json({ error: 'floor_area must be a non-negative number' });
+    }
     const updatedBy = req.user.user_fullname;
     const lastUpdated = getCurrentDateTime();
 
@@ -222,6 +242,7 @@ router.put('/:id',
         tenant_id: finalTenantId,
         building_id: finalBuildingId,
         stall_status: finalStallStatus,
+        floor_area: floorArea === undefined ? stall.floor_area : floorArea,
         last_updated: lastUpdated,
         updated_by: updatedBy
       });
@@ -256,9 +277,11 @@ router.delete('/:id',
 
     try {
       const meters = await Meter.findAll({ where: { stall_id: stallId }, attributes: ['meter_id'] });
+      const shares = await MeterStallShare.findAll({ where: { stall_id: stallId }, attributes: ['meter_id'] });
 
       const errors = [];
       if (meters.length) errors.push(`Meter(s): [${meters.map(m => m.meter_id).join(', ')}]`);
+      if (shares.length) errors.push(`Shared meter(s): [${shares.map(m => m.meter_id).join(', ')}]`);
 
       if (errors.length) {
         return res.status(400).json({
@@ -0,0 +1,284 @@
+// routes/tariffs.js
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+const { Op } = require('sequelize');
+
+const getCurrentDateTime = require('../utils/getCurrentDateTime');
+const { todayYMD } = require('../utils/rateHistory');
+const authenticateToken = require('../middleware/authenticateToken');
+const authorizeRole = require('../middleware/authorizeRole');
+const { authorizeBuildingParam } = require('../middleware/authorizeBuilding');
+
+const sequelize = require('../models');
+const Building = require('../models/Building');
+const Tariff = require('../models/Tariff');
+const TariffBlock = require('../models/TariffBlock');
+
+// All routes require login
+router.use(authenticateToken);
+
+const ALLOWED_UTILITIES = new Set(['electric', 'water', 'lpg']);
+const DAY_MS = 24 * 60 * 60 * 1000;
+const dayBefore = (s) => new Date(new Date(s + 'T00:00:00Z').getTime() - DAY_MS).toISOString().slice(0, 10);
+
+/** Generate next TRF-<n> (cross-dialect; MSSQL-safe) */
+async function generateTariffId(t) {
+  const rows = await Tariff.findAll({
+    where: { tariff_id: { [Op.like]: 'TRF-%' } },
+    attributes: ['tariff_id'],
+    transaction: t,
+    raw: true
+  });
+  const maxNum = rows.reduce((max, r) => {
+    const m = String(r.tariff_id).match(/^TRF-(\d+)$/);
+    return m ? Math.max(max, Number(m[1])) : max;
+  }, 0);
+  return `TRF-${maxNum + 1}`;
+}
+
+/** Optional non-negative number → Number | null; throws 400 on bad input */
+function optionalNumber(v, field) {
+  if (v === undefined || v === null || v === '') return null;
+  const n = Number(v);
+  if (!Number.isFinite(n) || n < 0) {
+    const err = new Error(`${field} must be a non-negative number`);
+    err.status = 400;
+    throw err;
+  }
+  return Math.round(n * 100) / 100;
+}
+
+/**
+ * Validate the blocks payload:
+ *   [{ max_units: 10, rate: 20.5 }, { max_units: 20, rate: 25 }, { max_units: null, rate: 30 }]
+ * - at least one block
+ * - max_units strictly ascending
+ * - only the final block may be open-ended (and it must be)
+ */
+function coerceBlocks(input) {
+  if (!Array.isArray(input) || !input.length) {
+    const err = new Error('blocks must be a non-empty array');
+    err.status = 400;
+    throw err;
+  }
+
+  const out = [];
+  let lastMax = 0;
+  input.forEach((b, i) => {
+    const isLast = i === input.length - 1;
+    const rate = optionalNumber(b?.rate, `blocks[${i}].rate`);
+    if (rate === null) {
+      const err = new Error(`blocks[${i}].rate is required`);
+      err.status = 400;
+      throw err;
+    }
+    const maxUnits = optionalNumber(b?.max_units, `blocks[${i}].max_units`);
+
+    if (isLast && maxUnits !== null) {
+      const err = new Error('The last block must be open-ended (max_units: null)');
+      err.status = 400;
+      throw err;
+    }
+    if (!isLast) {
+      if (maxUnits === null) {
+        const err = new Error(`blocks[${i}].max_units is required (only the last block is open-ended)`);
+        err.status = 400;
+        throw err;
+      }
+      if (maxUnits <= lastMax) {
+        const err = new Error('blocks must be ordered by ascending max_units');
+        err.status = 400;
+        throw err;
+      }
+      lastMax = maxUnits;
+    }
+
+    out.push({ block_order: i + 1, max_units: maxUnits, rate });
+  });
+  return out;
+}
+
+/** effective_from of a change (default today); throws 400 when malformed */
+function resolveEffectiveFrom(v) {
+  if (v === undefined || v === null || v === '') return todayYMD();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(v))) {
+    const err = new Error('Invalid effective_from. Use YYYY-MM-DD.');
+    err.status = 400;
+    throw err;
+  }
+  return String(v);
+}
+
+async function findSchedules(where) {
+  return Tariff.findAll({
+    where,
+    include: [{ model: TariffBlock, as: 'blocks' }],
+    order: [
+      ['utility_type', 'ASC'],
+      ['effective_from', 'DESC'],
+      [{ model: TariffBlock, as: 'blocks' }, 'block_order', 'ASC'],
+    ],
+  });
+}
+
+/**
+ * The latest schedule of a building + utility, after checking a change from
+ * effectiveFrom does not reach back before it (409): periods already priced keep their blocks.
+ */
+async function latestSchedule(buildingId, utility, effectiveFrom, transaction) {
+  const latest = await Tariff.findOne({
+    where: { building_id: buildingId, utility_type: utility },
+    order: [['effective_from', 'DESC']],
+    transaction,
+  });
+  if (latest && effectiveFrom < latest.effective_from) {
+    const err = new Error(`The ${utility} tariff has a schedule from ${latest.effective_from}; `
+      + 'changes must take effect on or after it.');
+    err.status = 409;
+    throw err;
+  }
+  // closed before effectiveFrom: nothing to close
+  return latest && (latest.effective_to === null || latest.effective_to >= effectiveFrom) ? latest : null;
+}
+
+/**
+ * GET /tariffs/buildings/:building_id?as_of=YYYY-MM-DD
+ * List tariff schedules (with blocks) for a building, latest first per utility:
+ * every version, or only those in force on as_of.
+ */
+router.get(
+  '/buildings/:building_id',
+  authorizeRole('admin', 'biller', 'operator', 'reader'),
+  authorizeBuildingParam(),
+  async (req, res) => {
+    try {
+      const where = { building_id: req.params.building_id };
+      if (req.query.as_of) {
+        const asOf = resolveEffectiveFrom(req.query.as_of);
+        Object.assign(where, {
+          effective_from: { [Op.lte]: asOf },
+          [Op.or]: [{ effective_to: null }, { effective_to: { [Op.gte]: asOf } }],
+        });
+      }
+      const rows = await findSchedules(where);
+      res.json(rows);
+    } catch (err) {
+      console.error('GET /tariffs/buildings/:building_id error:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * PUT /tariffs/buildings/:building_id/:utility
+ * Set the block tariff for one utility of a building from effective_from (default today).
+ * Body: { blocks: [...], lifeline_limit?, lifeline_rate?, effective_from? }
+ * The schedule in force that day is closed the day before and kept with its blocks.
+ */
+router.put(
+  '/buildings/:building_id/:utility',
+  authorizeRole('admin', 'biller'),
+  authorizeBuildingParam(),
+  async (req, res) => {
+    try {
+      const { building_id } = req.params;
+      const utility = String(req.params.utility || '').toLowerCase();
+      if (!ALLOWED_UTILITIES.has(utility)) {
+        return res.status(400).json({ error: 'utility must be one of: electric, water, lpg' });
+      }
+
+      const building = await Building.findOne({ where: { building_id }, attributes: ['building_id'], raw: true });
+      if (!building) return res.status(404).json({ error: 'Building not found' });
+
+      const body = req.body || {};
+      const blocks = coerceBlocks(body.blocks);
+      const lifelineLimit = optionalNumber(body.lifeline_limit, 'lifeline_limit');
+      const lifelineRate  = optionalNumber(body.lifeline_rate, 'lifeline_rate');
+      if ((lifelineLimit === null) !== (lifelineRate === null)) {
+        return res.status(400).json({ error: 'lifeline_limit and lifeline_rate must be provided together' });
+      }
+      const effectiveFrom = resolveEffectiveFrom(body.effective_from);
+
+      const now = getCurrentDateTime();
+      const updatedBy = req.user?.user_fullname || req.user?.user_id || 'system';
+
+      const tariffId = await sequelize.transaction(async (t) => {
+        const open = await latestSchedule(building_id, utility, effectiveFrom, t);
+        if (open) {
+          // a same-day change leaves the old schedule never in force, but kept
+          await open.update({
+            effective_to: dayBefore(effectiveFrom),
+            last_updated: now,
+            updated_by: updatedBy,
+          }, { transaction: t });
+        }
+
+        const schedule = await Tariff.create({
+          tariff_id: await generateTariffId(t),
+          building_id,
+          utility_type: utility,
+          effective_from: effectiveFrom,
+          effective_to: null,
+          lifeline_limit: lifelineLimit,
+          lifeline_rate: lifelineRate,
+          last_updated: now,
+          updated_by: updatedBy,
+        }, { transaction: t });
+
+        await TariffBlock.bulkCreate(
+          blocks.map(b => ({ ...b, tariff_id: schedule.tariff_id })),
+          { transaction: t }
+        );
+        return schedule.tariff_id;
+      });
+
+      const [saved] = await findSchedules({ tariff_id: tariffId });
+      res.json(saved);
+    } catch (err) {
+      console.error('PUT /tariffs/buildings/:building_id/:utility error:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * DELETE /tariffs/buildings/:building_id/:utility?effective_from=YYYY-MM-DD
+ * End the block tariff from effective_from (default today); the utility goes back to the
+ * flat building rate. The schedule stays for the periods it priced.
+ */
+router.delete(
+  '/buildings/:building_id/:utility',
+  authorizeRole('admin', 'biller'),
+  authorizeBuildingParam(),
+  async (req, res) => {
+    try {
+      const { building_id } = req.params;
+      const utility = String(req.params.utility || '').toLowerCase();
+      const effectiveFrom = resolveEffectiveFrom(req.query.effective_from);
+
+      const schedule = await sequelize.transaction(async (t) => {
+        const open = await latestSchedule(building_id, utility, effectiveFrom, t);
+        if (!open) return null;
+        await open.update({
+          effective_to: dayBefore(effectiveFrom),
+          last_updated: getCurrentDateTime(),
+          updated_by: req.user?.user_fullname || req.user?.user_id || 'system',
+        }, { transaction: t });
+        return open;
+      });
+      if (!schedule) return res.status(404).json({ error: 'Tariff schedule not found' });
+
+      res.json({
+        message: `Tariff for ${utility} ended; flat building rate applies from ${effectiveFrom}`,
+        tariff_id: schedule.tariff_id,
+      });
+    } catch (err) {
+      console.error('DELETE /tariffs/buildings/:building_id/:utility error:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+module.exports = router;
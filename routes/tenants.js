@@ -19,6 +19,10 @@ const { Op } = require('sequelize');
 const sequelize = require('../models');           // your initialized sequelize instance
 const Tenant = require('../models/Tenant');
 const Building = require('../models/Building');   // only used for existence checks (optional)
+const TenantBillingProfile = require('../models/TenantBillingProfile');
+const {
+  loadTenantProfile, listTenantProfileVersions, saveTenantProfile, endTenantProfile,
+} = require('../utils/tenantProfiles');
 
 // -----------------------------------------------------------------------------
 // Helpers
@@ -308,6 +312,7 @@ router.delete(
     try {
       const deleted = await Tenant.destroy({ where: { tenant_id: req.params.id } });
       if (deleted === 0) return res.status(404).json({ error: 'Tenant not found' });
+      await TenantBillingProfile.destroy({ where: { tenant_id: req.params.id } });
       res.json({ message: `Tenant ${req.params.id} deleted successfully` });
     } catch (err) {
       console.error('Error in DELETE /tenants/:id:', err);
@@ -316,4 +321,98 @@ router.delete(
   }
 );
 
+/**
+ * GET /tenants/:id/billing-profile?as_of=YYYY-MM-DD
+ * The tenant's billing terms (negotiated rates, markup, minimums, penalty exemption)
+ * in force on as_of (default today), and every version of them (latest first).
+ * profile is null when the tenant is billed on building terms that day.
+ */
+router.get(
+  '/:id/billing-profile',
+  authenticateToken,
+  authorizeRole('admin', 'operator', 'biller'),
+  enforceRecordBuilding(async (req) => {
+    const rec = await Tenant.findOne({ where: { tenant_id: req.params.id } });
+    return rec?.building_id;
+  }),
+  async (req, res) => {
+    try {
+      const tenant = await Tenant.findOne({ where: { tenant_id: req.params.id }, attributes: ['tenant_id'] });
+      if (!tenant) return res.status(404).json({ error: 'Tenant not found' });
+      const asOf = req.query.as_of ? String(req.query.as_of) : undefined;
+      if (asOf !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(asOf)) {
+        return res.status(400).json({ error: 'Invalid as_of. Use YYYY-MM-DD.' });
+      }
+      res.json({
+        tenant_id: req.params.id,
+        profile: await loadTenantProfile(req.params.id, asOf),
+        versions: await listTenantProfileVersions(req.params.id),
+      });
+    } catch (err) {
+      console.error('Error in GET /tenants/:id/billing-profile:', err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * PUT /tenants/:id/billing-profile
+ * - admin / biller (biller: only within their building)
+ * Body (any subset; null clears an override):
+ *   erate_perKwH, wrate_perCbM, lrate_perKg  negotiated rates (replace building rate and block tariff)
+ *   emin_con, wmin_con, lmin_con             minimum consumption per utility
+ *   apply_markup                             true | false | null (null = as the billing run)
+ *   penalty_exempt                           true | false
+ *   effective_from                           YYYY-MM-DD (default today)
+ * The change is appended as a new version; the terms before effective_from are kept.
+ */
+router.put(
+  '/:id/billing-profile',
+  authenticateToken,
+  authorizeRole('admin', 'biller'),
+  enforceRecordBuilding(async (req) => {
+    const rec = await Tenant.findOne({ where: { tenant_id: req.params.id } });
+    return rec?.building_id;
+  }),
+  async (req, res) => {
+    try {
+      const profile = await saveTenantProfile(req.params.id, req.body, {
+        updatedBy: req.user?.user_fullname || 'system',
+      });
+      res.json({ message: 'Billing profile saved', profile });
+    } catch (err) {
+      console.error('Error in PUT /tenants/:id/billing-profile:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * DELETE /tenants/:id/billing-profile?effective_from=YYYY-MM-DD
+ * Bill the tenant on building terms again from effective_from (default today).
+ * The profile's versions stay for the periods they priced.
+ */
+router.delete(
+  '/:id/billing-profile',
+  authenticateToken,
+  authorizeRole('admin', 'biller'),
+  enforceRecordBuilding(async (req) => {
+    const rec = await Tenant.findOne({ where: { tenant_id: req.params.id } });
+    return rec?.building_id;
+  }),
+  async (req, res) => {
+    try {
+      const ended = await endTenantProfile(req.params.id, {
+        effectiveFrom: req.query.effective_from,
+        updatedBy: req.user?.user_fullname || 'system',
+      });
+      if (!ended) return res.status(404).json({ error: 'Billing profile not found' });
+      res.json({ message: `Billing profile of ${req.params.id} ended`, profile: ended });
+    } catch (err) {
+      console.error('Error in DELETE /tenants/:id/billing-profile:', err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
 module.exports = router;
@@ -9,7 +9,10 @@ const authorizeRole = require('../middleware/authorizeRole');
 const { authorizeBuildingParam } = require('../middleware/authorizeBuilding');
 
 const Tenant = require('../models/Tenant');
+const sequelize = require('../models');
 const VAT = require('../models/VAT');
+const { todayYMD } = require('../utils/rateHistory');
+const { vatHistory, VAT_MODES } = require('../utils/taxHistory');
 
 // All routes require login (same concept as rates.js)
 router.use(authenticateToken);
@@ -31,6 +34,20 @@ function coerceVatNumbers(obj) {
   return { ok: true, data: out };
 }
 
+/** vat_mode from the payload: undefined when not sent, null when invalid */
+function parseVatMode(v) {
+  if (v === undefined || v === null || v === '') return undefined;
+  const mode = String(v).toLowerCase();
+  return VAT_MODES.includes(mode) ? mode : null;
+}
+
+/** effective_from from the payload (defaults to today); null when malformed */
+function resolveEffectiveFrom(body) {
+  const v = body?.effective_from;
+  if (v === undefined || v === null || v === '') return todayYMD();
+  return /^\d{4}-\d{2}-\d{2}$/.test(String(v)) ? String(v) : null;
+}
+
 /** =========================
  *  VAT CODE CATALOG (GLOBAL)
  *  =========================
@@ -57,30 +74,41 @@ router.get('/', authorizeRole('admin', 'biller', 'operator'), async (req, res) =
   }
 });
 
-/** GET /vat/:tax_id — fetch a VAT code by primary key */
+/** GET /vat/:tax_id — fetch a VAT code by primary key, with its percentage history (newest first) */
 router.get('/:tax_id', authorizeRole('admin', 'biller', 'operator'), async (req, res) => {
   try {
     const row = await VAT.findByPk(req.params.tax_id);
     if (!row) return res.status(404).json({ error: 'VAT record not found' });
-    res.json(row);
+    const history = await vatHistory.listHistory(row.tax_id);
+    res.json({ ...row.toJSON(), history });
   } catch (err) {
     console.error('GET /vat/:tax_id error:', err);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-/** POST /vat — create a VAT code (admin & biller) */
+/**
+ * POST /vat — create a VAT code (admin & biller)
+ * vat_mode: exclusive (default) | inclusive | exempt | zero_rated
+ */
 router.post('/', authorizeRole('admin', 'biller'), async (req, res) => {
   try {
     const { vat_code, vat_description, e_vat, w_vat, l_vat } = req.body || {};
     if (!vat_code) {
       return res.status(400).json({ error: 'vat_code is required' });
     }
+    const vatMode = parseVatMode(req.body?.vat_mode);
+    if (vatMode === null) {
+      return res.status(400).json({ error: `vat_mode must be one of: ${VAT_MODES.join(', ')}` });
+    }
 
     // coerce numbers (percent points)
     const coerced = coerceVatNumbers({ e_vat, w_vat, l_vat });
     if (!coerced.ok) return res.status(400).json({ error: coerced.error });
 
+    const effectiveFrom = resolveEffectiveFrom(req.body);
+    if (!effectiveFrom) return res.status(400).json({ error: 'Invalid effective_from. Use YYYY-MM-DD.' });
+
     // Generate next VAT-<n> (cross-dialect; MSSQL-safe)
     const rows = await VAT.findAll({
       where: { tax_id: { [Op.like]: 'VAT-%' } },
@@ -96,13 +124,25 @@ router.post('/', authorizeRole('admin', 'biller'), async (req, res) => {
     const now = getCurrentDateTime();
     const updatedBy = req.user?.user_fullname || 'System Admin';
 
-    const created = await VAT.create({
-      tax_id: newTaxId,
-      vat_code,
-      vat_description: vat_description ?? 'Zero Rated',
-      ...coerced.data,
-      last_updated: now,
-      updated_by: updatedBy,
+    // Catalog row + opening history row in one go
+    const created = await sequelize.transaction(async (t) => {
+      const row = await VAT.create({
+        tax_id: newTaxId,
+        vat_code,
+        vat_description: vat_description ?? 'Zero Rated',
+        vat_mode: vatMode ?? 'exclusive',
+        ...coerced.data,
+        last_updated: now,
+        updated_by: updatedBy,
+      }, { transaction: t });
+      await vatHistory.recordChange({
+        id: row.tax_id,
+        effectiveFrom,
+        changes: row.get({ plain: true }),
+        changedBy: updatedBy,
+        transaction: t,
+      });
+      return row;
     });
 
     res.status(201).json(created);
@@ -116,7 +156,12 @@ router.post('/', authorizeRole('admin', 'biller'), async (req, res) => {
 });
 
 
-/** PUT /vat/:tax_id — update a VAT code (admin & biller) */
+/**
+ * PUT /vat/:tax_id — update a VAT code (admin & biller)
+ * Optional effective_from (YYYY-MM-DD, default today) dates the percentage change;
+ * bills for periods before that date keep using the earlier percentages.
+ * vat_mode changes apply to every bill computed from now on.
+ */
 router.put('/:tax_id', authorizeRole('admin', 'biller'), async (req, res) => {
   try {
     const row = await VAT.findByPk(req.params.tax_id);
@@ -133,18 +178,47 @@ router.put('/:tax_id', authorizeRole('admin', 'biller'), async (req, res) => {
     const coerced = coerceVatNumbers(candidate);
     if (!coerced.ok) return res.status(400).json({ error: coerced.error });
 
+    const vatMode = parseVatMode(req.body?.vat_mode);
+    if (vatMode === null) {
+      return res.status(400).json({ error: `vat_mode must be one of: ${VAT_MODES.join(', ')}` });
+    }
+
+    const effectiveFrom = resolveEffectiveFrom(req.body);
+    if (!effectiveFrom) return res.status(400).json({ error: 'Invalid effective_from. Use YYYY-MM-DD.' });
+
+    // Percentages are versioned: append a history row, then refresh the catalog row
+    // with whatever is in force today (a future-dated change leaves it untouched for now).
+    const pctChanges = {};
+    for (const k of vatHistory.fields) {
+      if (coerced.data[k] !== undefined) pctChanges[k] = coerced.data[k];
+    }
+
     const now = getCurrentDateTime();
     const updatedBy = req.user?.user_fullname || 'System Admin';
 
-    await row.update({
-      ...coerced.data,
-      vat_code: candidate.vat_code ?? row.vat_code,
-      vat_description: candidate.vat_description ?? row.vat_description,
-      last_updated: now,
-      updated_by: updatedBy,
+    await sequelize.transaction(async (t) => {
+      await row.update({
+        vat_code: candidate.vat_code ?? row.vat_code,
+        vat_description: candidate.vat_description ?? row.vat_description,
+        vat_mode: vatMode ?? row.vat_mode,
+        last_updated: now,
+        updated_by: updatedBy,
+      }, { transaction: t });
+
+      if (Object.keys(pctChanges).length) {
+        await vatHistory.recordChange({
+          id: row.tax_id,
+          effectiveFrom,
+          changes: pctChanges,
+          changedBy: updatedBy,
+          transaction: t,
+        });
+        await vatHistory.syncCurrent(row.tax_id, { updatedBy, transaction: t });
+      }
     });
 
-    res.json(row);
+    await row.reload();
+    res.json({ ...row.toJSON(), effective_from: Object.keys(pctChanges).length ? effectiveFrom : null });
   } catch (err) {
     if (String(err?.name) === 'SequelizeUniqueConstraintError') {
       return res.status(409).json({ error: 'vat_code must be unique' });
@@ -184,7 +258,7 @@ router.get(
           {
             model: VAT,
             as: 'vat',
-            attributes: ['vat_code', 'vat_description', 'e_vat', 'w_vat', 'l_vat'],
+            attributes: ['vat_code', 'vat_description', 'vat_mode', 'e_vat', 'w_vat', 'l_vat'],
             required: false, // show tenants even if vat_code is null or missing
           },
         ],
@@ -7,7 +7,10 @@ const getCurrentDateTime = require('../utils/getCurrentDateTime');
 const authenticateToken = require('../middleware/authenticateToken');
 const authorizeRole = require('../middleware/authorizeRole');
 
+const sequelize = require('../models');
 const WT = require('../models/WT');
+const { todayYMD } = require('../utils/rateHistory');
+const { wtHistory, WT_BASES } = require('../utils/taxHistory');
 
 // All routes require login (same concept as rates.js)
 router.use(authenticateToken);
@@ -29,6 +32,20 @@ function coerceWtNumbers(obj) {
   return { ok: true, data: out };
 }
 
+/** wt_base from the payload: undefined when not sent, null when invalid */
+function parseWtBase(v) {
+  if (v === undefined || v === null || v === '') return undefined;
+  const base = String(v).toLowerCase();
+  return WT_BASES.includes(base) ? base : null;
+}
+
+/** effective_from from the payload (defaults to today); null when malformed */
+function resolveEffectiveFrom(body) {
+  const v = body?.effective_from;
+  if (v === undefined || v === null || v === '') return todayYMD();
+  return /^\d{4}-\d{2}-\d{2}$/.test(String(v)) ? String(v) : null;
+}
+
 /** =========================
  *  WT CODE CATALOG (GLOBAL)
  *  =========================
@@ -55,30 +72,41 @@ router.get('/', authorizeRole('admin', 'biller', 'operator'), async (req, res) =
   }
 });
 
-/** GET /wt/:wt_id — fetch a WT code by primary key */
+/** GET /wt/:wt_id — fetch a WT code by primary key, with its percentage history (newest first) */
 router.get('/:wt_id', authorizeRole('admin', 'biller', 'operator'), async (req, res) => {
   try {
     const row = await WT.findByPk(req.params.wt_id);
     if (!row) return res.status(404).json({ error: 'WT record not found' });
-    res.json(row);
+    const history = await wtHistory.listHistory(row.wt_id);
+    res.json({ ...row.toJSON(), history });
   } catch (err) {
     console.error('GET /wt/:wt_id error:', err);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-/** POST /wt — create a WT code (admin & biller) */
+/**
+ * POST /wt — create a WT code (admin & biller)
+ * wt_base: vat (default, WT = VAT × rate) | base (WT = amount net of VAT × rate)
+ */
 router.post('/', authorizeRole('admin', 'biller'), async (req, res) => {
   try {
     const { wt_code, wt_description, e_wt, w_wt, l_wt } = req.body || {};
     if (!wt_code) {
       return res.status(400).json({ error: 'wt_code is required' });
     }
+    const wtBase = parseWtBase(req.body?.wt_base);
+    if (wtBase === null) {
+      return res.status(400).json({ error: `wt_base must be one of: ${WT_BASES.join(', ')}` });
+    }
 
     // coerce numbers (percent points)
     const coerced = coerceWtNumbers({ e_wt, w_wt, l_wt });
     if (!coerced.ok) return res.status(400).json({ error: coerced.error });
 
+    const effectiveFrom = resolveEffectiveFrom(req.body);
+    if (!effectiveFrom) return res.status(400).json({ error: 'Invalid effective_from. Use YYYY-MM-DD.' });
+
     // Generate next WT-<n> (cross-dialect; MSSQL-safe)
     const rows = await WT.findAll({
       where: { wt_id: { [Op.like]: 'WT-%' } },
@@ -94,13 +122,25 @@ router.post('/', authorizeRole('admin', 'biller'), async (req, res) => {
     const now = getCurrentDateTime();
     const updatedBy = req.user?.user_fullname || 'System Admin';
 
-    const created = await WT.create({
-      wt_id: newWtId,
-      wt_code,
-      wt_description: wt_description ?? 'Insert Description',
-      ...coerced.data,
-      last_updated: now,
-      updated_by: updatedBy,
+    // Catalog row + opening history row in one go
+    const created = await sequelize.transaction(async (t) => {
+      const row = await WT.create({
+        wt_id: newWtId,
+        wt_code,
+        wt_description: wt_description ?? 'Insert Description',
+        wt_base: wtBase ?? 'vat',
+        ...coerced.data,
+        last_updated: now,
+        updated_by: updatedBy,
+      }, { transaction: t });
+      await wtHistory.recordChange({
+        id: row.wt_id,
+        effectiveFrom,
+        changes: row.get({ plain: true }),
+        changedBy: updatedBy,
+        transaction: t,
+      });
+      return row;
     });
 
     res.status(201).json(created);
@@ -114,7 +154,12 @@ router.post('/', authorizeRole('admin', 'biller'), async (req, res) => {
 });
 
 
-/** PUT /wt/:wt_id — update a WT code (admin & biller) */
+/**
+ * PUT /wt/:wt_id — update a WT code (admin & biller)
+ * Optional effective_from (YYYY-MM-DD, default today) dates the percentage change;
+ * bills for periods before that date keep using the earlier percentages.
+ * wt_base changes apply to every bill computed from now on.
+ */
 router.put('/:wt_id', authorizeRole('admin', 'biller'), async (req, res) => {
   try {
     const row = await WT.findByPk(req.params.wt_id);
@@ -131,18 +176,47 @@ router.put('/:wt_id', authorizeRole('admin', 'biller'), async (req, res) => {
     const coerced = coerceWtNumbers(candidate);
     if (!coerced.ok) return res.status(400).json({ error: coerced.error });
 
+    const wtBase = parseWtBase(req.body?.wt_base);
+    if (wtBase === null) {
+      return res.status(400).json({ error: `wt_base must be one of: ${WT_BASES.join(', ')}` });
+    }
+
+    const effectiveFrom = resolveEffectiveFrom(req.body);
+    if (!effectiveFrom) return res.status(400).json({ error: 'Invalid effective_from. Use YYYY-MM-DD.' });
+
+    // Percentages are versioned: append a history row, then refresh the catalog row
+    // with whatever is in force today (a future-dated change leaves it untouched for now).
+    const pctChanges = {};
+    for (const k of wtHistory.fields) {
+      if (coerced.data[k] !== undefined) pctChanges[k] = coerced.data[k];
+    }
+
     const now = getCurrentDateTime();
     const updatedBy = req.user?.user_fullname || 'System Admin';
 
-    await row.update({
-      ...coerced.data,
-      wt_code: candidate.wt_code ?? row.wt_code,
-      wt_description: candidate.wt_description ?? row.wt_description,
-      last_updated: now,
-      updated_by: updatedBy,
+    await sequelize.transaction(async (t) => {
+      await row.update({
+        wt_code: candidate.wt_code ?? row.wt_code,
+        wt_description: candidate.wt_description ?? row.wt_description,
+        wt_base: wtBase ?? row.wt_base,
+        last_updated: now,
+        updated_by: updatedBy,
+      }, { transaction: t });
+
+      if (Object.keys(pctChanges).length) {
+        await wtHistory.recordChange({
+          id: row.wt_id,
+          effectiveFrom,
+          changes: pctChanges,
+          changedBy: updatedBy,
+          transaction: t,
+        });
+        await wtHistory.syncCurrent(row.wt_id, { updatedBy, transaction: t });
+      }
     });
 
-    res.json(row);
+    await row.reload();
+    res.json({ ...row.toJSON(), effective_from: Object.keys(pctChanges).length ? effectiveFrom : null });
   } catch (err) {
     if (String(err?.name) === 'SequelizeUniqueConstraintError') {
       return res.status(409).json({ error: 'wt_code must be unique' });
@@ -19,6 +19,12 @@ module.exports = {
         lrate_perKg: 88.00,
         markup_rate: 1.5,
         penalty_rate: 0.2,
+        emarkup_rate: 1.5,
+        wmarkup_rate: 1.5,
+        lmarkup_rate: 1.5,
+        epenalty_rate: 0.2,
+        wpenalty_rate: 0.2,
+        lpenalty_rate: 0.2,
         last_updated: new Date(),
         updated_by: 'System Admin',
       },
@@ -32,6 +38,12 @@ module.exports = {
         lrate_perKg: 88.00,
         markup_rate: 1.5,
         penalty_rate: 0.2,
+        emarkup_rate: 1.5,
+        wmarkup_rate: 1.5,
+        lmarkup_rate: 1.5,
+        epenalty_rate: 0.2,
+        wpenalty_rate: 0.2,
+        lpenalty_rate: 0.2,
         last_updated: new Date(),
         updated_by: 'System Admin',
       }
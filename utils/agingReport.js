@@ -0,0 +1,176 @@
+// utils/agingReport.js
+'use strict';
+
+const { Op } = require('sequelize');
+
+const Building          = require('../models/Building');
+const Tenant            = require('../models/Tenant');
+const Payment           = require('../models/Payment');
+const PaymentAllocation = require('../models/PaymentAllocation');
+const { collectBillingItems } = require('./tenantLedger');
+const { dec, roundNum, sum } = require('./money');
+
+// Days past due → bucket (upper bound inclusive; null = open-ended)
+const AGING_BUCKETS = [
+  { key: 'current',      label: 'Current', max: 0 },
+  { key: 'days_1_30',    label: '1-30',    max: 30 },
+  { key: 'days_31_60',   label: '31-60',   max: 60 },
+  { key: 'days_61_90',   label: '61-90',   max: 90 },
+  { key: 'days_over_90', label: '90+',     max: null },
+];
+
+const DAY_MS  = 24 * 60 * 60 * 1000;
+const fromYMD = (s) => new Date(String(s).slice(0, 10) + 'T00:00:00Z');
+const daysPastDue = (dueDate, asOfDate) => Math.round((fromYMD(asOfDate) - fromYMD(dueDate)) / DAY_MS);
+
+function bucketFor(days) {
+  return AGING_BUCKETS.find(b => b.max === null || days <= b.max).key;
+}
+
+const emptyBuckets = () => Object.fromEntries(AGING_BUCKETS.map(b => [b.key, dec(0)]));
+
+function presentAmounts(acc) {
+  const out = {};
+  for (const [k, v] of Object.entries(acc)) out[k] = roundNum(v);
+  return out;
+}
+
+/** Unapplied payments received on or before asOfDate, per tenant */
+async function unappliedByTenant(buildingId, asOfDate) {
+  const payments = await Payment.findAll({
+    where: { building_id: buildingId, payment_date: { [Op.lte]: asOfDate } },
+    include: [{ model: PaymentAllocation, as: 'allocations', attributes: ['amount'] }],
+  });
+  const out = new Map();
+  for (const p of payments) {
+    const left = dec(p.amount).minus(sum((p.allocations || []).map(a => a.amount)));
+    out.set(p.tenant_id, (out.get(p.tenant_id) || dec(0)).plus(left));
+  }
+  return out;
+}
+
+/**
+ * Aging of one building as of asOfDate.
+ * Each tenant's open billings land in a bucket by days past their due date
+ * (period end when a billing has no due date). Unapplied payments and credit
+ * billings are reported as `credit`, and net_balance = total − credit.
+ */
+async function buildBuildingAging(building, asOfDate) {
+  const [items, unapplied] = await Promise.all([
+    collectBillingItems({ buildingId: building.building_id, asOfDate }),
+    unappliedByTenant(building.building_id, asOfDate),
+  ]);
+
+  const byTenant = new Map();
+  const rowFor = (tenantId, name = null) => {
+    if (!byTenant.has(tenantId)) {
+      byTenant.set(tenantId, { tenant_id: tenantId, tenant_name: name, ...emptyBuckets(), total: dec(0), credit: dec(0) });
+    }
+    const row = byTenant.get(tenantId);
+    if (!row.tenant_name && name) row.tenant_name = name;
+    return row;
+  };
+
+  for (const i of items) {
+    if (i.outstanding.isZero()) continue;
+    const row = rowFor(i.tenant_id, i.tenant_name);
+    if (i.outstanding.lt(0)) {
+      row.credit = row.credit.plus(i.outstanding.neg());
+      continue;
+    }
+    const key = bucketFor(daysPastDue(i.due_date || i.period_end, asOfDate));
+    row[key] = row[key].plus(i.outstanding);
+    row.total = row.total.plus(i.outstanding);
+  }
+  for (const [tenantId, left] of unapplied) {
+    if (left.gt(0)) rowFor(tenantId).credit = rowFor(tenantId).credit.plus(left);
+  }
+
+  // Current names win over the snapshot ones
+  const tenantIds = [...byTenant.keys()];
+  if (tenantIds.length) {
+    const tenants = await Tenant.findAll({
+      where: { tenant_id: { [Op.in]: tenantIds } },
+      attributes: ['tenant_id', 'tenant_name'],
+      raw: true,
+    });
+    for (const t of tenants) byTenant.get(t.tenant_id).tenant_name = t.tenant_name;
+  }
+
+  const totals = { ...emptyBuckets(), total: dec(0), credit: dec(0) };
+  const tenants = [...byTenant.values()]
+    .sort((a, b) => String(a.tenant_name ?? a.tenant_id).localeCompare(String(b.tenant_name ?? b.tenant_id)))
+    .map(({ tenant_id, tenant_name, ...amounts }) => {
+      for (const k of Object.keys(totals)) totals[k] = totals[k].plus(amounts[k]);
+      return {
+        tenant_id,
+        tenant_name,
+        ...presentAmounts(amounts),
+        net_balance: roundNum(amounts.total.minus(amounts.credit)),
+      };
+    });
+
+  // totals stay Decimal so the portfolio sum is exact; presentTotals() rounds them
+  return { building_id: building.building_id, building_name: building.building_name, tenants, totals };
+}
+
+const presentTotals = (acc) => ({ ...presentAmounts(acc), net_balance: roundNum(acc.total.minus(acc.credit)) });
+
+/**
+ * Aging report as of asOfDate for the given buildings (null = every building).
+ * Returns { as_of, buckets, buildings: [...], totals }.
+ */
+async function buildAgingReport({ buildingIds = null, asOfDate }) {
+  const where = Array.isArray(buildingIds) ? { building_id: { [Op.in]: buildingIds } } : {};
+  const buildings = await Building.findAll({
+    where,
+    attributes: ['building_id', 'building_name'],
+    order: [['building_id', 'ASC']],
+    raw: true,
+  });
+
+  const totals = { ...emptyBuckets(), total: dec(0), credit: dec(0) };
+  const out = [];
+  for (const b of buildings) {
+    const report = await buildBuildingAging(b, asOfDate);
+    for (const k of Object.keys(totals)) totals[k] = totals[k].plus(report.totals[k]);
+    out.push({ ...report, totals: presentTotals(report.totals) });
+  }
+
+  return {
+    as_of: asOfDate,
+    buckets: AGING_BUCKETS.map(({ key, label }) => ({ key, label })),
+    buildings: out,
+    totals: presentTotals(totals),
+  };
+}
+
+// Flat columns for the CSV export (one line per tenant)
+const AGING_CSV_COLUMNS = [
+  { key: 'building_id' },
+  { key: 'building_name' },
+  { key: 'tenant_id' },
+  { key: 'tenant_name' },
+  ...AGING_BUCKETS.map(b => ({ key: b.key, header: b.label })),
+  { key: 'total' },
+  { key: 'credit' },
+  { key: 'net_balance' },
+];
+
+function agingCsvRows(report) {
+  const rows = [];
+  for (const b of report.buildings) {
+    for (const t of b.tenants) rows.push({ building_id: b.building_id, building_name: b.building_name, ...t });
+    rows.push({ building_id: b.building_id, building_name: b.building_name, tenant_name: 'TOTAL', ...b.totals });
+  }
+  if (report.buildings.length > 1) rows.push({ building_name: 'GRAND TOTAL', ...report.totals });
+  return rows;
+}
+
+module.exports = {
+  AGING_BUCKETS,
+  AGING_CSV_COLUMNS,
+  bucketFor,
+  buildAgingReport,
+  agingCsvRows,
+};
@@ -0,0 +1,115 @@
+// utils/billingAdjustments.js
+'use strict';
+
+const { Op } = require('sequelize');
+
+const BillingAdjustment = require('../models/BillingAdjustment');
+const getCurrentDateTime = require('./getCurrentDateTime');
+const { dec, roundNum, sum } = require('./money');
+
+/** Generate next ADJ-<n> (cross-dialect; MSSQL-safe) */
+async function generateAdjustmentId(t) {
+  const rows = await BillingAdjustment.findAll({
+    where: { adjustment_id: { [Op.like]: 'ADJ-%' } },
+    attributes: ['adjustment_id'],
+    transaction: t,
+    raw: true
+  });
+  const maxNum = rows.reduce((max, r) => {
+    const m = String(r.adjustment_id).match(/^ADJ-(\d+)$/);
+    return m ? Math.max(max, Number(m[1])) : max;
+  }, 0);
+  return `ADJ-${maxNum + 1}`;
+}
+
+function presentAdjustment(a) {
+  return {
+    adjustment_id: a.adjustment_id,
+    tenant_id: a.tenant_id,
+    tenant_name: a.tenant_name,
+    meter_id: a.meter_id,
+    source_type: a.source_type,
+    source_id: a.source_id,
+    original_billing_id: a.original_billing_id,
+    consumption_delta: roundNum(a.consumption_delta, 4),
+    rate: a.rate === null || a.rate === undefined ? null : Number(a.rate),
+    amount: roundNum(a.amount),
+    description: a.description,
+  };
+}
+
+/**
+ * Take the building's pending adjustments onto a billing, inside the caller's transaction.
+ * Only adjustments of billings that ended before this one starts are taken; adjustments
+ * this billing held before (a recomputed draft) are taken again. Returns them.
+ */
+async function claimAdjustments(header, { updatedBy = 'system', transaction } = {}) {
+  const now = getCurrentDateTime();
+  await BillingAdjustment.update({
+    status: 'applied',
+    applied_billing_id: header.building_billing_id,
+    applied_at: now,
+    last_updated: now,
+    updated_by: updatedBy,
+  }, {
+    where: {
+      building_id: header.building_id,
+      status: 'pending',
+      original_period_end: { [Op.lt]: header.period_start },
+    },
+    transaction,
+  });
+  return BillingAdjustment.findAll({
+    where: { applied_billing_id: header.building_billing_id, status: 'applied' },
+    order: [['adjustment_id', 'ASC']],
+    transaction,
+    raw: true,
+  });
+}
+
+/** Hand a billing's adjustments back to the queue (draft deleted or billing voided) */
+async function releaseAdjustments(buildingBillingId, { updatedBy = 'system', transaction } = {}) {
+  await BillingAdjustment.update({
+    status: 'pending',
+    applied_billing_id: null,
+    applied_at: null,
+    last_updated: getCurrentDateTime(),
+    updated_by: updatedBy,
+  }, {
+    where: { applied_billing_id: buildingBillingId, status: 'applied' },
+    transaction,
+  });
+}
+
+/** Pending adjustments raised against a billing that is voided no longer apply */
+async function cancelAdjustmentsOf(buildingBillingId, { updatedBy = 'system', transaction } = {}) {
+  await BillingAdjustment.update({
+    status: 'cancelled',
+    last_updated: getCurrentDateTime(),
+    updated_by: updatedBy,
+  }, {
+    where: { original_billing_id: buildingBillingId, status: 'pending' },
+    transaction,
+  });
+}
+
+/** Sum of adjustment amounts per tenant_id (Decimal) */
+function adjustmentsByTenant(adjustments) {
+  const out = new Map();
+  for (const a of adjustments) {
+    out.set(a.tenant_id, (out.get(a.tenant_id) || dec(0)).plus(dec(a.amount)));
+  }
+  return out;
+}
+
+const adjustmentTotal = (adjustments) => sum(adjustments.map(a => a.amount));
+
+module.exports = {
+  generateAdjustmentId,
+  presentAdjustment,
+  claimAdjustments,
+  releaseAdjustments,
+  cancelAdjustmentsOf,
+  adjustmentsByTenant,
+  adjustmentTotal,
+};
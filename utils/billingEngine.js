@@ -10,16 +10,30 @@ const Tenant   = require('../models/Tenant');
 const VAT      = require('../models/VAT');
 const WT       = require('../models/WT');
 const Building = require('../models/Building');
-
+const Tariff   = require('../models/Tariff');
+const TariffBlock = require('../models/TariffBlock');
+const MeterReplacement = require('../models/MeterReplacement');
+const BillingMeterIndex = require('../models/BillingMeterIndex');
+
+const { getRatesInForce, getRateSegments, todayYMD } = require('./rateHistory');
+const { vatHistory, wtHistory } = require('./taxHistory');
+const { resolveIndexDelta } = require('./rocUtils');
+const { estimateIndexAt } = require('./readingEstimator');
+const { loadTenantCharges } = require('./recurringCharges');
+const { loadMeterShares, loadStallMeterTargets } = require('./meterShares');
+const {
+  loadTenantProfile, loadTenantProfiles, profileOverrides, negotiatedRate, appliesMarkup, isPenalized,
+} = require('./tenantProfiles');
+const { Money, dec, roundNum, toExact } = require('./money');
+
+// Exact decimal rounding (BILLING_ROUNDING: half_up | half_even); returns a Number
 function round(n, d = 2) {
-  if (n === null || n === undefined || isNaN(n)) return null;
-  const f = Math.pow(10, d);
-  return Math.round((Number(n) || 0) * f) / f;
+  return roundNum(n, d);
 }
 
 const normalizePct = (v) => {
   const n = Number(v) || 0;
-  return n >= 1 ? n / 100 : n;
+  return n >= 1 ? dec(n).div(100).toNumber() : n;
 };
 
 const LPG_MIN_CON = 1;
@@ -96,11 +110,21 @@ async function getMaxReadingInPeriod(meter_id, startStr, endStr) {
   return row ? { value: Number(row.reading_value) || 0, date: row.lastread_date } : null;
 }
 
-async function getTenantTaxKnobs(tenant) {
-  const [vatRow, wtRow] = await Promise.all([
-    tenant?.vat_code ? VAT.findOne({ where: { vat_code: tenant.vat_code }, raw: true }) : null,
-    tenant?.wt_code  ? WT.findOne({ where: { wt_code:  tenant.wt_code  }, raw: true }) : null,
-  ]);
+/**
+ * VAT / WT percentages for a tenant's codes.
+ * With asOfDate (YYYY-MM-DD) the percentages in force on that date are used,
+ * so recomputing an old period is not affected by later code edits.
+ */
+async function getTenantTaxKnobs(tenant, asOfDate = null) {
+  const [vatRow, wtRow] = await Promise.all(asOfDate
+    ? [
+        vatHistory.inForceByCode(tenant?.vat_code, asOfDate),
+        wtHistory.inForceByCode(tenant?.wt_code, asOfDate),
+      ]
+    : [
+        tenant?.vat_code ? VAT.findOne({ where: { vat_code: tenant.vat_code }, raw: true }) : null,
+        tenant?.wt_code  ? WT.findOne({ where: { wt_code:  tenant.wt_code  }, raw: true }) : null,
+      ]);
   const vat = {
     e: normalizePct(vatRow?.e_vat || 0),
     w: normalizePct(vatRow?.w_vat || 0),
@@ -111,16 +135,270 @@ async function getTenantTaxKnobs(tenant) {
     w: normalizePct(wtRow?.w_wt || 0),
     l: normalizePct(wtRow?.l_wt || 0),
   };
-  return { vat, wt };
+  return {
+    vat,
+    wt,
+    vat_mode: vatRow?.vat_mode || 'exclusive',
+    wt_base:  wtRow?.wt_base  || 'vat',
+  };
+}
+
+/**
+ * One utility's tax knobs out of getTenantTaxKnobs, in applyTaxes' argument names:
+ * { vatRate, wtRate, vatMode, wtBase }.
+ */
+function utilityTaxKnobs(mtype, taxKnobs) {
+  const k = { electric: 'e', water: 'w', lpg: 'l' }[String(mtype || '').toLowerCase()] || 'l';
+  return {
+    vatRate: taxKnobs.vat[k],
+    wtRate: taxKnobs.wt[k],
+    vatMode: taxKnobs.vat_mode,
+    wtBase: taxKnobs.wt_base,
+  };
+}
+
+/** A tariff_schedules row (blocks included) as priced, or null when it has no blocks */
+function toTariff(row) {
+  if (!row || !Array.isArray(row.blocks) || !row.blocks.length) return null;
+
+  const toNum = (v) => (v === null || v === undefined ? null : Number(v));
+  return {
+    tariff_id: row.tariff_id,
+    effective_from: row.effective_from,
+    effective_to: row.effective_to ?? null,
+    lifeline_limit: toNum(row.lifeline_limit),
+    lifeline_rate:  toNum(row.lifeline_rate),
+    blocks: [...row.blocks]
+      .sort((a, b) => a.block_order - b.block_order)
+      .map(b => ({
+        block_order: Number(b.block_order),
+        max_units: toNum(b.max_units),
+        rate: Number(b.rate) || 0,
+      })),
+  };
+}
+
+/** Tariff versions in force on dateStr: effective_from <= date <= effective_to (NULL = open) */
+function tariffInForceOn(dateStr) {
+  return {
+    effective_from: { [Op.lte]: dateStr },
+    [Op.or]: [{ effective_to: null }, { effective_to: { [Op.gte]: dateStr } }],
+  };
+}
+
+/**
+ * Load the block tariff for a building + utility in force on asOfDate (blocks ordered ascending).
+ * Returns null when the building bills that utility at its flat rate that day.
+ */
+async function getTariffSchedule(buildingId, mtype, asOfDate = todayYMD()) {
+  const row = await Tariff.findOne({
+    where: { building_id: buildingId, utility_type: String(mtype || '').toLowerCase(), ...tariffInForceOn(asOfDate) },
+    include: [{ model: TariffBlock, as: 'blocks' }],
+    order: [['effective_from', 'DESC'], [{ model: TariffBlock, as: 'blocks' }, 'block_order', 'ASC']],
+  });
+  return toTariff(row);
+}
+
+/**
+ * Split rate segments wherever a block tariff of the utility starts or ends inside
+ * them, and give each the tariff in force: [{ start, end, days, rates, tariff }]
+ * (tariff null = flat building rate).
+ */
+async function withTariffSegments(buildingId, mtype, segments) {
+  if (!segments.length) return segments;
+  const first = segments[0].start;
+  const last = segments[segments.length - 1].end;
+  const rows = await Tariff.findAll({
+    where: {
+      building_id: buildingId,
+      utility_type: String(mtype || '').toLowerCase(),
+      effective_from: { [Op.lte]: last },
+      [Op.or]: [{ effective_to: null }, { effective_to: { [Op.gte]: first } }],
+    },
+    include: [{ model: TariffBlock, as: 'blocks' }],
+    order: [['effective_from', 'ASC']],
+  });
+  const versions = rows.map(r => ({ from: r.effective_from, to: r.effective_to ?? null, tariff: toTariff(r) }));
+  const dayAfter = (d) => ymd(new Date(new Date(d + 'T00:00:00Z').getTime() + DAY_MS));
+  const inForce = (d) => {
+    const hit = versions.filter(v => v.from <= d && (v.to === null || v.to >= d));
+    return hit.length ? hit[hit.length - 1].tariff : null;
+  };
+  const changes = [...new Set(versions.flatMap(v => [v.from, v.to === null ? null : dayAfter(v.to)]))]
+    .filter(d => d && d > first && d <= last)
+    .sort();
+
+  const out = [];
+  for (const sg of segments) {
+    let start = sg.start;
+    for (const d of changes.filter(c => c > sg.start && c <= sg.end)) {
+      const end = ymd(new Date(new Date(d + 'T00:00:00Z').getTime() - DAY_MS));
+      out.push({ ...sg, start, end, days: daysBetween(start, end), tariff: inForce(start) });
+      start = d;
+    }
+    out.push({ ...sg, start, end: sg.end, days: daysBetween(start, sg.end), tariff: inForce(start) });
+  }
+  return out;
+}
+
+/** Days in [start, end], both YYYY-MM-DD, inclusive */
+function daysBetween(start, end) {
+  return Math.floor((new Date(end + 'T00:00:00Z') - new Date(start + 'T00:00:00Z')) / DAY_MS) + 1;
+}
+
+/**
+ * Price consumption either flat (no tariff) or per block.
+ * markup is added on top of every block rate: a per-unit amount, or a markup
+ * { type: 'fixed' | 'percent', value } (see getMarkup).
+ * Returns { tariff_type, base (unrounded Decimal), markup (its marked-up part), blocks: [...display lines] }.
+ */
+function priceConsumption(consumption, flatRate, markup, tariff) {
+  const units = dec(consumption);
+  let marked = dec(0);
+
+  const line = (block, from, to, qty, rate) => {
+    const mk = markupPerUnit(rate, markup);
+    marked = marked.plus(dec(qty).times(mk));
+    return {
+      block,
+      from: round(from),
+      to: to === null ? null : round(to),
+      units: round(qty),
+      utility_rate: rate,
+      markup_rate: round(mk, 4),
+      system_rate: round(dec(rate).plus(mk), 4),
+      amount: round(dec(qty).times(dec(rate).plus(mk))),
+    };
+  };
+
+  if (!tariff) {
+    const rate = Number(flatRate) || 0;
+    const blocks = [line(1, 0, null, units, rate)];
+    return {
+      tariff_type: 'flat',
+      base: units.times(dec(rate).plus(markupPerUnit(rate, markup))),
+      markup: marked,
+      blocks,
+    };
+  }
+
+  const { lifeline_limit, lifeline_rate } = tariff;
+  if (lifeline_limit !== null && lifeline_rate !== null && units.lte(lifeline_limit)) {
+    const blocks = [{ ...line(0, 0, lifeline_limit, units, lifeline_rate), lifeline: true }];
+    return {
+      tariff_type: 'lifeline',
+      base: units.times(dec(lifeline_rate).plus(markupPerUnit(lifeline_rate, markup))),
+      markup: marked,
+      blocks,
+    };
+  }
+
+  const blocks = [];
+  let base = dec(0);
+  let lower = dec(0);
+  let remaining = units;
+  tariff.blocks.forEach((b, i) => {
+    const isLast = i === tariff.blocks.length - 1;
+    const upper = b.max_units;
+    // anything beyond the last block's cap is still priced at the last block
+    const width = (upper === null || isLast) ? null : Money.max(0, dec(upper).minus(lower));
+    const qty = Money.max(0, width === null ? remaining : Money.min(remaining, width));
+    blocks.push(line(b.block_order, lower, upper, qty, b.rate));
+    base = base.plus(qty.times(dec(b.rate).plus(markupPerUnit(b.rate, markup))));
+    remaining = remaining.minus(qty);
+    if (upper !== null) lower = dec(upper);
+  });
+
+  return { tariff_type: 'tiered', base, markup: marked, blocks };
+}
+
+/**
+ * Pricing when the building rate or block tariff changed inside the billing window:
+ * the whole consumption is priced under each segment's rate and tariff (so block caps
+ * and the lifeline limit apply to the period's consumption), and each price counts for
+ * the segment's share of the days.
+ */
+function priceRateSegments(consumption, mtype, segments, withMarkup) {
+  const units = dec(consumption);
+  const totalDays = segments.reduce((acc, sg) => acc + sg.days, 0) || 1;
+
+  let base = dec(0);
+  let marked = dec(0);
+  const types = new Set();
+  const lines = segments.map((sg) => {
+    const rate = getUtilityRate(mtype, sg.rates);
+    const markup = withMarkup ? getMarkup(mtype, sg.rates) : 0;
+    const priced = priceConsumption(units, rate, markup, sg.tariff || null);
+    const part = dec(sg.days).div(totalDays);
+    const qty  = units.times(part);
+    const amount = priced.base.times(part);
+    base = base.plus(amount);
+    marked = marked.plus(priced.markup.times(part));
+    types.add(priced.tariff_type);
+    // a block tariff's rates are the averages over the consumption
+    const averaged = priced.tariff_type !== 'flat' && units.gt(0);
+    const mk = averaged ? priced.markup.div(units) : markupPerUnit(rate, markup);
+    const utilityRate = averaged ? priced.base.minus(priced.markup).div(units) : dec(rate);
+    return {
+      start: sg.start,
+      end: sg.end,
+      days: sg.days,
+      effective_from: sg.rates.effective_from,
+      tariff_id: sg.tariff?.tariff_id ?? null,
+      tariff_type: priced.tariff_type,
+      units: round(qty),
+      utility_rate: averaged ? round(utilityRate, 4) : rate,
+      markup_rate: round(mk, 4),
+      system_rate: round(utilityRate.plus(mk), 4),
+      amount: round(amount),
+    };
+  });
+
+  const tariffType = types.size === 1 ? [...types][0] : 'mixed';
+  return { tariff_type: tariffType, base, markup: marked, blocks: [], segments: lines };
 }
 
-function applyTaxes({ base, vatRate, wtRate, forPenalty, penaltyRate }) {
-  const b = Number(base) || 0;
-  const vat = b * (Number(vatRate) || 0);
-  const wt  = vat * (Number(wtRate) || 0);
-  const pen = forPenalty ? b * (Number(penaltyRate) || 0) : 0;
-  const total = b + vat + pen - wt;
-  return { vat: round(vat), wt: round(wt), penalty: round(pen), total: round(total) };
+/**
+ * VAT / WT / penalty on an exact priced amount, following the tax codes' modes:
+ *   vatMode  exclusive  — VAT = amount × rate, added on top
+ *            inclusive  — amount already includes VAT: base = amount / (1 + rate), VAT = amount − base
+ *            exempt / zero_rated — no VAT; the amount is reported under that bucket
+ *   wtBase   vat  — WT = VAT × wt rate
+ *            base — WT = base (net of VAT) × wt rate
+ * Penalty is always on the base net of VAT; total = base + VAT + penalty − WT.
+ * Returns rounded amounts for display, a breakdown of the sales buckets, and the
+ * unrounded values (exact, as strings) that run totals are summed from.
+ */
+function applyTaxes({ base, vatRate, wtRate, forPenalty, penaltyRate, vatMode = 'exclusive', wtBase = 'vat' }) {
+  const amount = dec(base);
+  const rate = dec(vatRate);
+  const noVat = vatMode === 'exempt' || vatMode === 'zero_rated';
+
+  const net = (vatMode === 'inclusive' && !rate.isZero()) ? amount.div(rate.plus(1)) : amount;
+  const vat = noVat ? dec(0) : (vatMode === 'inclusive' ? amount.minus(net) : net.times(rate));
+  const wt  = (wtBase === 'base' ? net : vat).times(dec(wtRate));
+  const pen = forPenalty ? net.times(dec(penaltyRate)) : dec(0);
+  const total = net.plus(vat).plus(pen).minus(wt);
+
+  const vatable    = noVat ? dec(0) : net;
+  const exempt     = vatMode === 'exempt' ? net : dec(0);
+  const zeroRated  = vatMode === 'zero_rated' ? net : dec(0);
+
+  return {
+    base: round(net), vat: round(vat), wt: round(wt), penalty: round(pen), total: round(total),
+    breakdown: {
+      vat_mode: vatMode,
+      wt_base: wtBase,
+      gross: round(amount), // priced amount before VAT extraction / addition
+      vatable_sales: round(vatable),
+      vat_exempt_sales: round(exempt),
+      zero_rated_sales: round(zeroRated),
+    },
+    exact: {
+      base: toExact(net), vat: toExact(vat), wt: toExact(wt), penalty: toExact(pen), total: toExact(total),
+      vatable_sales: toExact(vatable), vat_exempt_sales: toExact(exempt), zero_rated_sales: toExact(zeroRated),
+    },
+  };
 }
 
 function getUtilityRate(mtype, building) {
@@ -128,59 +406,702 @@ function getUtilityRate(mtype, building) {
   if (t === 'electric') return Number(building.erate_perKwH) || 0;
   if (t === 'water')    return Number(building.wrate_perCbM) || 0;
   if (t === 'lpg')      return Number(building.lrate_perKg)  || 0;
-  throw new Error(`Unsupported meter type: ${t}`);
+  const e = new Error(`Unsupported meter type: ${t}`); e.status = 400; e.code = 'UNSUPPORTED_METER_TYPE'; throw e;
+}
+
+/**
+ * Markup of a utility from a rate set: { type: 'fixed' | 'percent', value }.
+ * Rate sets without per-utility columns fall back to the shared markup_rate (fixed).
+ */
+function getMarkup(mtype, rates) {
+  const u = String(mtype || '').toLowerCase().charAt(0); // e | w | l
+  const value = rates[`${u}markup_rate`];
+  if (value === undefined || value === null) return { type: 'fixed', value: Number(rates.markup_rate) || 0 };
+  return { type: rates[`${u}markup_type`] === 'percent' ? 'percent' : 'fixed', value: Number(value) || 0 };
+}
+
+/** Per-unit markup (Decimal) on a rate: a fixed amount or a percentage of the rate */
+function markupPerUnit(rate, markup) {
+  if (!markup) return dec(0);
+  if (typeof markup !== 'object') return dec(Number(markup) || 0);
+  return markup.type === 'percent' ? dec(rate).times(dec(markup.value)).div(100) : dec(markup.value);
+}
+
+/** Late-payment rate (fraction) of a utility; falls back to the shared penalty_rate */
+function getPenaltyRate(mtype, building) {
+  const u = String(mtype || '').toLowerCase().charAt(0);
+  const v = building[`${u}penalty_rate`];
+  return normalizePct(v === undefined || v === null ? building.penalty_rate : v);
 }
 
 function getMinConsumption(mtype, building) {
   const t = String(mtype || '').toLowerCase();
   if (t === 'electric') return Number(building.emin_con) || 0;
   if (t === 'water')    return Number(building.wmin_con) || 0;
-  if (t === 'lpg')      return LPG_MIN_CON;
-  throw new Error(`Unsupported meter type: ${t}`);
+  // LPG has no building minimum; a tenant profile may set one (lmin_con)
+  if (t === 'lpg')      return building.lmin_con === undefined || building.lmin_con === null
+    ? LPG_MIN_CON : Number(building.lmin_con) || 0;
+  const e = new Error(`Unsupported meter type: ${t}`); e.status = 400; e.code = 'UNSUPPORTED_METER_TYPE'; throw e;
 }
 
-function computeUnitsOnly(meterType, meterMult, building, prevIdx, currIdx) {
-  const t = String(meterType || '').toLowerCase();
-  const mult = Number(meterMult) || 1;
-  const prev = Number(prevIdx) || 0;
-  const curr = Number(currIdx) || 0;
-  const raw = (curr - prev) * mult;
-  if (t === 'electric') {
-    const min = Number(building.emin_con) || 0;
-    return round(raw > 0 ? raw : min);
+/* =========================
+ * Meter replacement (swap) helpers
+ * =======================*/
+
+/** Replacement rows where the meter is the incoming (into) / outgoing (out) side */
+async function getMeterSwaps(meterId) {
+  const [into, out] = await Promise.all([
+    MeterReplacement.findOne({ where: { new_meter_id: meterId }, raw: true }),
+    MeterReplacement.findOne({ where: { old_meter_id: meterId }, raw: true }),
+  ]);
+  return { into, out };
+}
+
+/**
+ * A replaced meter is billed through the meter that replaced it, so:
+ *  - METER_REPLACED: swapped out on/before endDate
+ *  - METER_NOT_INSTALLED: swapped in after endDate
+ * Tenant/building runs skip these; a direct per-meter call reports them.
+ */
+function assertMeterBillable(meterId, swaps, endDate) {
+  if (swaps.out && swaps.out.swap_date <= endDate) {
+    const e = new Error(
+      `Meter ${meterId} was replaced by ${swaps.out.new_meter_id} on ${swaps.out.swap_date}; bill ${swaps.out.new_meter_id} instead`
+    );
+    e.status = 409; e.code = 'METER_REPLACED'; throw e;
+  }
+  if (swaps.into && swaps.into.swap_date > endDate) {
+    const e = new Error(`Meter ${meterId} was only installed on ${swaps.into.swap_date}`);
+    e.status = 409; e.code = 'METER_NOT_INSTALLED'; throw e;
+  }
+}
+
+const SKIPPED_METER_CODES = new Set(['METER_REPLACED', 'METER_NOT_INSTALLED']);
+
+/**
+ * Stall billed for a meter and its share of the consumption (utils/meterShares).
+ * An unshared meter is billed whole on its own stall; a shared meter on stallId
+ * (default: its own stall) for that stall's share_pct.
+ * Returns { stall_id, share_pct (null = whole meter), share (0..1) }.
+ */
+async function resolveMeterShare(meter, stallId = null) {
+  const shares = (await loadMeterShares([meter.meter_id])).get(meter.meter_id);
+  const target = stallId || meter.stall_id;
+  if (!shares) {
+    if (String(target) !== String(meter.stall_id)) {
+      const e = new Error(`Meter ${meter.meter_id} is not shared with stall ${target}`);
+      e.status = 400; e.code = 'STALL_NOT_SHARING'; throw e;
+    }
+    return { stall_id: meter.stall_id, share_pct: null, share: 1 };
   }
-  if (t === 'water') {
-    const min = Number(building.wmin_con) || 0;
-    return round(raw > 0 ? raw : min);
+  const mine = shares.find(sh => String(sh.stall_id) === String(target));
+  if (!mine) {
+    const e = new Error(`Meter ${meter.meter_id} is not shared with stall ${target}`);
+    e.status = 400; e.code = 'STALL_NOT_SHARING'; throw e;
+  }
+  return { stall_id: mine.stall_id, share_pct: mine.share_pct, share: dec(mine.share_pct).div(100) };
+}
+
+const TOTAL_FIELDS = [
+  'base', 'vat', 'wt', 'penalty', 'total',
+  'vatable_sales', 'vat_exempt_sales', 'zero_rated_sales',
+];
+
+/** Zeroed run accumulator (per utility type or grand total) */
+function emptyTotals() {
+  return Object.fromEntries(TOTAL_FIELDS.map(f => [f, 0]));
+}
+
+/** Add a meter's unrounded amounts into a run accumulator (values become Decimal) */
+function addToTotals(acc, exact) {
+  for (const f of TOTAL_FIELDS) acc[f] = dec(acc[f]).plus(dec(exact?.[f]));
+}
+
+/** Round a run accumulator once, after every meter was added */
+function roundTotals(acc) {
+  for (const f of TOTAL_FIELDS) acc[f] = round(acc[f] ?? 0);
+}
+
+/**
+ * Recurring charges (utils/recurringCharges) of the tenants of the given buildings for a
+ * run ending endDate, priced and taxed with each charge's own VAT / WT treatment (never
+ * marked up or penalized on the line). Their exact amounts are added into grand_totals;
+ * returns { charges: [per-tenant charge lines], charge_totals (rounded) }.
+ */
+async function computeRecurringCharges({ buildingIds, tenantIds = null, endDate, grand_totals }) {
+  const charges = [];
+  const charge_totals = emptyTotals();
+
+  for (const buildingId of buildingIds) {
+    const byTenant = await loadTenantCharges({ buildingId, tenantIds, asOfDate: endDate });
+    if (!byTenant.size) continue;
+    const tenants = await Tenant.findAll({
+      where: { tenant_id: { [Op.in]: [...byTenant.keys()] } },
+      attributes: ['tenant_id', 'tenant_sn', 'tenant_name', 'for_penalty'],
+      raw: true,
+    });
+    const profiles = await loadTenantProfiles(tenants.map(t => t.tenant_id), endDate);
+
+    for (const tenant of tenants) {
+      for (const { charge, quantity } of byTenant.get(tenant.tenant_id)) {
+        const taxes = applyTaxes({
+          base: quantity.times(dec(charge.amount)),
+          vatRate: normalizePct(charge.vat_rate),
+          wtRate: normalizePct(charge.wt_rate),
+          forPenalty: false,
+          penaltyRate: 0,
+          vatMode: charge.vat_mode,
+          wtBase: charge.wt_base,
+        });
+        charges.push({
+          building_id: buildingId,
+          tenant_id: tenant.tenant_id,
+          tenant_sn: tenant.tenant_sn,
+          tenant_name: tenant.tenant_name,
+          for_penalty: isPenalized(tenant, profiles.get(tenant.tenant_id)),
+          charge_id: charge.charge_id,
+          charge_code: charge.charge_code,
+          description: charge.description,
+          charge_type: charge.charge_type,
+          quantity: round(quantity, 2),
+          unit_amount: Number(charge.amount),
+          base: taxes.base,
+          vat: taxes.vat,
+          wt: taxes.wt,
+          total: taxes.total,
+          tax_breakdown: taxes.breakdown,
+          exact: taxes.exact,
+        });
+        addToTotals(charge_totals, taxes.exact);
+        addToTotals(grand_totals, taxes.exact);
+      }
+    }
   }
-  if (t === 'lpg') {
-    return round(raw > 0 ? raw : LPG_MIN_CON);
+
+  roundTotals(charge_totals);
+  return { charges, charge_totals };
+}
+
+/**
+ * One meter that failed inside a tenant/building run. The run carries on and
+ * reports it next to the successful lines: { meter_id, meter_sn, meter_type, stall_id, code, status, message }.
+ */
+function meterBillingError(m, e) {
+  const status = Number(e?.status) || 500;
+  return {
+    meter_id:   m.meter_id,
+    meter_sn:   m.meter_sn ?? null,
+    meter_type: m.meter_type ?? null,
+    stall_id:   m.stall_id ?? null,
+    code:       e?.code || (status < 500 ? 'BILLING_ERROR' : 'INTERNAL_ERROR'),
+    status,
+    message:    e?.message || String(e),
+  };
+}
+
+/** Latest reading in [start,end]; an incoming meter not yet read opens at its initial index */
+async function getIndexInPeriod(meterId, swapInto, start, end) {
+  const r = await getMaxReadingInPeriod(meterId, start, end);
+  if (r) return r;
+  if (swapInto && swapInto.swap_date >= start && swapInto.swap_date <= end) {
+    return { value: Number(swapInto.new_initial_index) || 0, date: swapInto.swap_date };
   }
-  throw new Error(`Unsupported meter type: ${t}`);
+  return null;
+}
+
+/**
+ * Index legs from an opening index up to `closing` on `meter`.
+ * getOpening(meterId, swapInto) returns { value, date } or null.
+ * When the meter has no opening of its own but was swapped in, the opening is read
+ * from the outgoing meter and there are two legs: old opening → final, initial → closing.
+ * Returns { opening, openingMeter, legs } or null when no opening index exists.
+ */
+async function resolveMeterLegs(meter, swapInto, getOpening, closing) {
+  const leg = (m, prevIdx, currIdx) => ({
+    meter_id: m.meter_id,
+    prevIdx: Number(prevIdx) || 0,
+    currIdx: Number(currIdx) || 0,
+    mult: Number(m.meter_mult) || 1,
+    rollover: m.rollover_value === null || m.rollover_value === undefined ? null : Number(m.rollover_value),
+  });
+
+  const own = await getOpening(meter.meter_id, swapInto);
+  if (own) {
+    return {
+      opening: own,
+      openingMeter: { ...meter, swapInto },
+      legs: [leg(meter, own.value, closing.value)],
+    };
+  }
+  if (!swapInto) return null;
+
+  const old = await Meter.findOne({
+    where: { meter_id: swapInto.old_meter_id },
+    attributes: ['meter_id', 'meter_mult', 'rollover_value'],
+    raw: true
+  });
+  if (!old) return null;
+  const oldInto = await MeterReplacement.findOne({ where: { new_meter_id: old.meter_id }, raw: true });
+  const opening = await getOpening(old.meter_id, oldInto);
+  if (!opening) return null;
+  return {
+    opening,
+    openingMeter: { ...old, swapInto: oldInto },
+    legs: [
+      leg(old, opening.value, swapInto.old_final_index),
+      leg(meter, swapInto.new_initial_index, closing.value),
+    ],
+  };
+}
+
+const OPENING_MODES = new Set(['calendar', 'continuity']);
+
+/** Closing index of the meter's last stored billing that ended before `beforeDate` */
+async function getLastBilledIndex(meterId, beforeDate) {
+  const row = await BillingMeterIndex.findOne({
+    where: { meter_id: meterId, period_end: { [Op.lt]: beforeDate } },
+    order: [['period_end', 'DESC']],
+    raw: true
+  });
+  return row
+    ? {
+        value: Number(row.closing_index) || 0,
+        date: row.period_end,
+        building_billing_id: row.building_billing_id,
+        billed_estimate: !!row.is_estimated,
+      }
+    : null;
+}
+
+/** Installation index of a meter installed on/before endDate ({ value, date }), or null */
+function getInstallIndex(meter, endDate) {
+  if (meter.install_index === null || meter.install_index === undefined) return null;
+  if (meter.install_date && meter.install_date > endDate) return null;
+  return { value: Number(meter.install_index) || 0, date: meter.install_date || null };
+}
+
+/**
+ * Opening / closing indices for one meter's billing window.
+ *  - calendar:   opening = latest reading in the previous calendar month
+ *  - continuity: opening = closing index of the meter's last stored billing
+ *                (falls back to calendar for a meter that was never billed)
+ *  - installation (automatic): a meter with neither opens at its install_index
+ * If the last stored billing closed on an estimate, the next bill always opens from
+ * that estimate, so the first actual reading trues it up (a negative result is a credit).
+ * With estimate=true a missing index is estimated instead of failing the bill.
+ * ROC always compares calendar months (anchor → previous vs previous → current);
+ * missing calendar readings only blank the ROC.
+ */
+async function resolveBillingIndices({
+  meter, swaps, startDate, endDate, prev, anchor, opening = 'calendar', estimate = false
+}) {
+  if (!OPENING_MODES.has(opening)) {
+    const e = new Error('opening must be one of: calendar, continuity'); e.status = 400; throw e;
+  }
+  const estimates = { closing: null, opening: null, anchor: null };
+
+  // Latest reading in a window; in estimate mode the index at the window end is estimated
+  const inWindow = (start, end, slot) => async (meterId, swapInto) => {
+    const found = await getIndexInPeriod(meterId, swapInto, start, end);
+    if (found || !estimate) return found;
+    const m = meterId === meter.meter_id
+      ? meter
+      : await Meter.findOne({ where: { meter_id: meterId }, attributes: ['meter_id', 'rollover_value'], raw: true });
+    const est = m && await estimateIndexAt(m, end, swapInto);
+    if (est) estimates[slot] = { meter_id: meterId, ...est };
+    return est;
+  };
+
+  const currMax = await inWindow(startDate, endDate, 'closing')(meter.meter_id, swaps.into);
+  if (!currMax) {
+    const e = new Error(`No readings for ${startDate}..${endDate}`); e.status = 400; e.code = 'NO_READINGS'; throw e;
+  }
+
+  const lastBilled = (meterId) => getLastBilledIndex(meterId, startDate);
+  const contLegs = await resolveMeterLegs(meter, swaps.into, lastBilled, currMax);
+  const carryEstimate = !!contLegs?.opening?.billed_estimate;
+
+  let currLegs = null;
+  let openingSource = 'calendar';
+  if (opening === 'continuity' || carryEstimate) {
+    currLegs = contLegs;
+    if (currLegs) openingSource = 'continuity';
+  }
+
+  const calLegs = await resolveMeterLegs(meter, swaps.into, inWindow(prev.start, prev.end, 'opening'), currMax);
+  if (!currLegs) currLegs = calLegs;
+  else if (estimates.opening) estimates.opening = null; // calendar opening only used for ROC
+
+  // First bill of a newly installed meter: open at its installation index
+  if (!currLegs) {
+    const installed = async (meterId) => (meterId === meter.meter_id ? getInstallIndex(meter, endDate) : null);
+    currLegs = await resolveMeterLegs(meter, swaps.into, installed, currMax);
+    if (currLegs) openingSource = 'installation';
+  }
+  if (!currLegs) {
+    const e = new Error(`No readings for ${prev.start}..${prev.end}`); e.status = 400; e.code = 'NO_READINGS'; throw e;
+  }
+
+  // Missing anchor history only omits the ROC percentage; it never blocks the bill
+  const rocLegs = calLegs && await resolveMeterLegs(
+    calLegs.openingMeter, calLegs.openingMeter.swapInto, inWindow(anchor.start, anchor.end, 'anchor'), calLegs.opening
+  );
+
+  // True-up: previous bill closed on an estimate and this one closes on an actual reading
+  const trueUp = carryEstimate && !estimates.closing
+    ? {
+        building_billing_id: currLegs.opening.building_billing_id,
+        estimated_index: round(currLegs.opening.value, 2),
+        actual_index: round(currMax.value, 2),
+      }
+    : null;
+
+  const estimated = !!(estimates.closing || estimates.opening);
+  return {
+    currMax,
+    prevMax: currLegs.opening,
+    currLegs,
+    rocLegs,
+    swapped: currLegs.legs.length > 1,
+    opening: {
+      mode: openingSource,
+      date: currLegs.opening.date,
+      building_billing_id: currLegs.opening.building_billing_id || null,
+    },
+    estimation: {
+      estimated,
+      method: (estimates.closing || estimates.opening)?.method ?? null,
+      closing: estimates.closing,
+      opening: estimates.opening,
+      anchor: estimates.anchor,
+    },
+    trueUp,
+  };
+}
+
+/**
+ * Metered units over one or more index legs: { prevIdx, currIdx, mult, rollover }.
+ * A normal period has one leg; a meter swap has two (outgoing prev → final,
+ * incoming initial → curr). A leg that cannot be explained counts as 0 and is flagged;
+ * the minimum applies to the combined total.
+ * allowCredit (true-up of an estimate): a backwards leg keeps its negative units and
+ * a negative total is returned as-is (no minimum), so the over-estimate is credited.
+ * share (0..1) bills a stall's part of a shared meter: the minimum applies to the whole
+ * meter, which is then split, so a shared meter never bills more than one minimum.
+ */
+function computeLegUnits(meterType, building, legs, allowCredit = false, share = 1) {
+  const min = getMinConsumption(meterType, building);
+  const flags = { rollover: false, suspicious: false, reason: null };
+  const reasons = [];
+  let raw = dec(0);
+  const parts = legs.map((l) => {
+    const d = resolveIndexDelta(l.prevIdx, l.currIdx, l.rollover);
+    const credit = allowCredit && d.suspicious;
+    const units = (d.suspicious && !credit) ? dec(0) : dec(d.delta).times(Number(l.mult) || 1);
+    if (d.rollover) flags.rollover = true;
+    if (d.suspicious && !credit) { flags.suspicious = true; reasons.push(d.reason); }
+    raw = raw.plus(units);
+    return { ...l, units: round(units) };
+  });
+  flags.reason = reasons.length ? reasons.join('; ') : null;
+  if (allowCredit && raw.isNegative()) return { consumption: round(raw.times(share)), flags, legs: parts };
+  return { consumption: round((raw.gt(0) ? raw : dec(min)).times(share)), flags, legs: parts };
+}
+
+function computeUnitsOnly(meterType, meterMult, building, prevIdx, currIdx, rolloverValue = null) {
+  // A register wrap (99999 → 00012) counts the true consumption
+  return computeLegUnits(meterType, building, [
+    { prevIdx, currIdx, mult: meterMult, rollover: rolloverValue }
+  ]).consumption;
+}
+
+/* =========================
+ * Master / common-area meters
+ * =======================*/
+
+const ALLOCATION_KEYS = ['floor_area', 'consumption', 'equal'];
+const METER_ATTRS = [
+  'meter_id', 'meter_sn', 'meter_type', 'meter_mult', 'rollover_value', 'install_index', 'install_date', 'stall_id'
+];
+
+/**
+ * Metered units of a meter over the billing window, with no tenant, pricing or minimum
+ * (master / common-area meters, and sub-meters of vacant stalls).
+ * Returns null for a meter billed through its swap partner.
+ */
+async function computeMeterUnits({ meter, building, startDate, endDate, opening, estimate }) {
+  const swaps = await getMeterSwaps(meter.meter_id);
+  try {
+    assertMeterBillable(meter.meter_id, swaps, endDate);
+  } catch (e) {
+    if (SKIPPED_METER_CODES.has(e?.code)) return null;
+    throw e;
+  }
+  const { prev, preprev } = getPeriodStrings(endDate);
+  const { prevMax, currMax, currLegs, estimation, trueUp } = await resolveBillingIndices({
+    meter, swaps, startDate, endDate, prev, anchor: preprev, opening, estimate,
+  });
+  const metered = computeLegUnits(meter.meter_type, building, currLegs.legs, !!trueUp);
+  return {
+    meter_id: meter.meter_id,
+    meter_sn: meter.meter_sn,
+    prev_index: round(prevMax.value, 2),
+    curr_index: round(currMax.value, 2),
+    units: metered.legs.reduce((acc, l) => acc.plus(dec(l.units)), dec(0)),
+    estimated: estimation.estimated,
+  };
+}
+
+/**
+ * Common-area share of a building run. Per utility:
+ *   pool = master meter − every tenant sub-meter (metered units before minimums, vacant stalls included)
+ *          or, with no master meter, the sum of the common-area meters;
+ * the pool is split among the building's tenants by the allocation_key of the master
+ * (else the first common) meter: stall floor_area, billed consumption, or equal shares.
+ * Each share is priced flat at the building rate in force at endDate, or the tenant's
+ * negotiated rate, plus markup when the tenant's profile (else the run) applies it, and
+ * taxed with the tenant's own codes; exact amounts go into grand_totals.
+ * A pool ≤ 0 is reported but not allocated. A utility whose master / sub-meters could not
+ * be read is left out and reported in `errors` (ALLOCATION_INCOMPLETE).
+ * Building runs only: the pool needs every sub-meter of the building, so live tenant
+ * bills (computeBillingForTenant*) carry no share; it reaches tenants on stored building billings.
+ * Returns { allocations: [per-tenant lines], allocation_totals, common_areas: [per utility] }.
+ */
+async function computeCommonAllocation({
+  buildingId, startDate, endDate, opening, estimate, withMarkup, billed, vacant, errors, grand_totals
+}) {
+  const allocations = [];
+  const allocation_totals = emptyTotals();
+  const common_areas = [];
+
+  const pooled = await Meter.findAll({
+    where: { building_id: buildingId, meter_role: { [Op.in]: ['master', 'common'] } },
+    attributes: [...METER_ATTRS, 'meter_role', 'allocation_key'],
+    order: [['meter_id', 'ASC']],
+    raw: true,
+  });
+  if (!pooled.length) {
+    roundTotals(allocation_totals);
+    return { allocations, allocation_totals, common_areas };
+  }
+
+  const building = await Building.findOne({ where: { building_id: buildingId }, raw: true });
+  Object.assign(building, await getRatesInForce(buildingId, endDate));
+
+  const stalls = await Stall.findAll({
+    where: { building_id: buildingId, tenant_id: { [Op.ne]: null } },
+    attributes: ['stall_id', 'tenant_id', 'floor_area'],
+    raw: true,
+  });
+  const tenants = stalls.length
+    ? await Tenant.findAll({
+        where: { tenant_id: { [Op.in]: [...new Set(stalls.map(s => s.tenant_id))] } },
+        attributes: ['tenant_id', 'tenant_sn', 'tenant_name', 'vat_code', 'wt_code', 'for_penalty'],
+        order: [['tenant_id', 'ASC']],
+        raw: true,
+      })
+    : [];
+  const profiles = await loadTenantProfiles(tenants.map(t => t.tenant_id), endDate);
+  // every tenant sub-meter (billed or vacant) and the part of it each stall takes
+  const subTargets = [
+    ...billed.map(r => ({
+      meter_id: r.meter.meter_id, meter_type: r.meter.meter_type, share_pct: r.share ? r.share.share_pct : null,
+    })),
+    ...vacant.map(v => ({ meter_id: v.meter_id, meter_type: v.meter_type, share_pct: v.share_pct ?? null })),
+  ];
+  const subMeters = new Map((subTargets.length
+    ? await Meter.findAll({
+        where: { meter_id: { [Op.in]: [...new Set(subTargets.map(m => m.meter_id))] } },
+        attributes: METER_ATTRS,
+        raw: true,
+      })
+    : []).map(m => [m.meter_id, m]));
+  const meteredUnits = new Map(); // meter_id → Promise of computeMeterUnits (a shared meter is read once)
+
+  for (const mtype of ['electric', 'water', 'lpg']) {
+    const ofType = pooled.filter(m => String(m.meter_type).toLowerCase() === mtype);
+    if (!ofType.length) continue;
+    const masters = ofType.filter(m => m.meter_role === 'master');
+    const source = masters.length ? masters : ofType;
+    const key = ALLOCATION_KEYS.includes(source[0].allocation_key) ? source[0].allocation_key : 'floor_area';
+    const incomplete = (message) => {
+      errors.push(meterBillingError(source[0], { status: 409, code: 'ALLOCATION_INCOMPLETE', message }));
+    };
+
+    const subFailed = errors.find(e => e.meter_type === mtype && e.code !== 'ALLOCATION_INCOMPLETE');
+    if (masters.length && subFailed) {
+      incomplete(`Common-area ${mtype} not allocated: sub-meter ${subFailed.meter_id} could not be billed`);
+      continue;
+    }
+
+    let readings;
+    try {
+      readings = (await Promise.all(ofType.map(m => computeMeterUnits({
+        meter: m, building, startDate, endDate, opening, estimate,
+      }).then(r => r && { ...r, meter_role: m.meter_role })))).filter(Boolean);
+    } catch (e) {
+      incomplete(`Common-area ${mtype} not allocated: ${e?.message || e}`);
+      continue;
+    }
+
+    const unitsOf = (role) => readings.filter(r => r.meter_role === role).reduce((acc, r) => acc.plus(r.units), dec(0));
+    const masterUnits = unitsOf('master');
+    const commonUnits = unitsOf('common');
+    const billedOfType = billed.filter(r => r.meter.meter_type === mtype);
+    // sub-meters count what they metered, before any minimum consumption is billed;
+    // a share of a shared meter counts only that share
+    let subUnits = dec(0);
+    if (masters.length) {
+      try {
+        for (const sub of subTargets.filter(x => String(x.meter_type).toLowerCase() === mtype)) {
+          const m = subMeters.get(sub.meter_id);
+          if (!m) continue;
+          if (!meteredUnits.has(m.meter_id)) {
+            meteredUnits.set(m.meter_id, computeMeterUnits({ meter: m, building, startDate, endDate, opening, estimate }));
+          }
+          const r = await meteredUnits.get(m.meter_id);
+          if (r) subUnits = subUnits.plus(sub.share_pct === null ? r.units : r.units.times(sub.share_pct).div(100));
+        }
+      } catch (e) {
+        incomplete(`Common-area ${mtype} not allocated: sub-meter: ${e?.message || e}`);
+        continue;
+      }
+    }
+    const pool = masters.length ? masterUnits.minus(subUnits) : commonUnits;
+
+    // weight of each tenant under the allocation key
+    const weights = new Map();
+    for (const t of tenants) {
+      let w = dec(1);
+      if (key === 'floor_area') {
+        w = stalls.filter(s => s.tenant_id === t.tenant_id)
+          .reduce((acc, s) => acc.plus(dec(s.floor_area ?? 0)), dec(0));
+      } else if (key === 'consumption') {
+        w = billedOfType.filter(r => r.tenant.tenant_id === t.tenant_id)
+          .reduce((acc, r) => acc.plus(dec(r.totals.consumption)), dec(0));
+      }
+      if (w.gt(0)) weights.set(t.tenant_id, w);
+    }
+    const totalWeight = [...weights.values()].reduce((acc, w) => acc.plus(w), dec(0));
+
+    let note = null;
+    if (pool.lte(0)) note = masters.length && pool.lt(0) ? 'Sub-meters exceed the master meter' : 'Nothing to allocate';
+    else if (totalWeight.lte(0)) note = `No tenant has a ${key.replace('_', ' ')} to allocate by`;
+
+    common_areas.push({
+      meter_type: mtype,
+      allocation_key: key,
+      meters: readings.map(r => ({ ...r, units: round(r.units, 2) })),
+      master_units: masters.length ? round(masterUnits, 2) : null,
+      sub_meter_units: masters.length ? round(subUnits, 2) : null,
+      common_units: round(commonUnits, 2),
+      pool_units: round(pool, 2),
+      allocated: !note,
+      note,
+    });
+    if (note) continue;
+
+    for (const t of tenants) {
+      const w = weights.get(t.tenant_id);
+      if (!w) continue;
+      const profile = profiles.get(t.tenant_id);
+      const flatRate = negotiatedRate(mtype, profile) ?? getUtilityRate(mtype, building);
+      const markup = appliesMarkup(profile, withMarkup)
+        ? markupPerUnit(flatRate, getMarkup(mtype, building))
+        : dec(0);
+      const share = w.div(totalWeight);
+      const units = pool.times(share);
+      const knobs = await getTenantTaxKnobs(t, endDate);
+      const k = mtype === 'electric' ? 'e' : mtype === 'water' ? 'w' : 'l';
+      const taxes = applyTaxes({
+        base: units.times(dec(flatRate).plus(markup)),
+        vatRate: knobs.vat[k],
+        wtRate: knobs.wt[k],
+        forPenalty: false,
+        penaltyRate: 0,
+        vatMode: knobs.vat_mode,
+        wtBase: knobs.wt_base,
+      });
+      allocations.push({
+        building_id: buildingId,
+        tenant_id: t.tenant_id,
+        tenant_sn: t.tenant_sn,
+        tenant_name: t.tenant_name,
+        for_penalty: isPenalized(t, profile),
+        meter_type: mtype,
+        allocation_key: key,
+        share_pct: round(share.times(100), 4),
+        units: round(units, 2),
+        utility_rate: flatRate,
+        markup_rate: round(markup, 4),
+        system_rate: round(dec(flatRate).plus(markup), 4),
+        penalty_rate: getPenaltyRate(mtype, building),
+        base: taxes.base,
+        vat: taxes.vat,
+        wt: taxes.wt,
+        total: taxes.total,
+        tax_breakdown: taxes.breakdown,
+        exact: taxes.exact,
+      });
+      addToTotals(allocation_totals, taxes.exact);
+      addToTotals(grand_totals, taxes.exact);
+    }
+  }
+
+  roundTotals(allocation_totals);
+  return { allocations, allocation_totals, common_areas };
 }
 
 function computeChargesByType(
-  mtype, mult, building, taxKnobs, prevIdx, currIdx, forPenalty
+  mtype, mult, building, taxKnobs, prevIdx, currIdx, forPenalty, tariff = null, rateSegments = null,
+  rolloverValue = null, legs = null, allowCredit = false, share = 1
 ) {
   const t = String(mtype || '').toLowerCase();
-  const rate = getUtilityRate(t, building);
+  const flatRate = getUtilityRate(t, building);
   const vatR = t === 'electric' ? taxKnobs.vat.e : t === 'water' ? taxKnobs.vat.w : taxKnobs.vat.l;
   const wtR  = t === 'electric' ? taxKnobs.wt.e  : t === 'water' ? taxKnobs.wt.w  : taxKnobs.wt.l;
-  // Use penalty_rate from building instead of parameter
-  const penaltyRate = normalizePct(building.penalty_rate || 0);
-  const consumption = computeUnitsOnly(t, mult, building, prevIdx, currIdx);
-  const base = consumption * rate;
-  const taxes = applyTaxes({ base, vatRate: vatR, wtRate: wtR, forPenalty, penaltyRate });
+  // the utility's own late-payment rate
+  const penaltyRate = getPenaltyRate(t, building);
+  // Explicit legs (meter swap) replace the single prev → curr leg
+  const metered = computeLegUnits(t, building, legs || [
+    { prevIdx, currIdx, mult, rollover: rolloverValue }
+  ], allowCredit, share);
+  const consumption = metered.consumption;
+  // Each rate segment is priced with the block tariff in force for it; a true-up credit is priced flat
+  const credit = consumption < 0;
+  const segmented = !credit && Array.isArray(rateSegments) && rateSegments.length > 1;
+  const priced = segmented
+    ? priceRateSegments(consumption, t, rateSegments, false)
+    : priceConsumption(consumption, flatRate, 0, credit ? null : tariff);
+  const base = priced.base;
+  // For block tariffs / split periods, report the effective (average) rate
+  const rate = (priced.tariff_type === 'flat' && !segmented)
+    ? flatRate
+    : (consumption > 0 ? round(base.div(consumption), 4) : flatRate);
+  // Late-payment penalties are posted as separate charges (utils/penaltyEngine), never on the line
+  const taxes = applyTaxes({
+    base, vatRate: vatR, wtRate: wtR, forPenalty: false, penaltyRate,
+    vatMode: taxKnobs.vat_mode, wtBase: taxKnobs.wt_base,
+  });
   return {
     consumption: round(consumption),
-    base: round(base),
+    base: taxes.base,
     vat: taxes.vat,
     wt: taxes.wt,
     penalty: taxes.penalty,
     total: taxes.total,
+    tax_breakdown: taxes.breakdown,
+    exact: taxes.exact, // unrounded amounts; run totals are summed from these
+    tariff_type: priced.tariff_type,
+    blocks: priced.blocks,
+    segments: priced.segments || [],
+    reading_flags: metered.flags,
+    legs: legs ? metered.legs : [],
     rates: { 
       utility_rate: rate, 
       markup_rate: 0, 
+      markup_type: null,
+      markup_value: 0,
       system_rate: rate,
       penalty_rate: penaltyRate,
       wt_rate: wtR  
@@ -189,29 +1110,59 @@ function computeChargesByType(
 }
 
 function computeChargesByTypeWithMarkup(
-  mtype, mult, building, taxKnobs, prevIdx, currIdx, forPenalty
+  mtype, mult, building, taxKnobs, prevIdx, currIdx, forPenalty, tariff = null, rateSegments = null,
+  rolloverValue = null, legs = null, allowCredit = false, share = 1
 ) {
   const t = String(mtype || '').toLowerCase();
-  const utilityRate = getUtilityRate(t, building);
-  const markup      = Number(building.markup_rate) || 0;
-  // Use penalty_rate from building instead of parameter
-  const penaltyRate = normalizePct(building.penalty_rate || 0);
-  const systemRate  = utilityRate + markup;
+  const flatRate    = getUtilityRate(t, building);
+  // the utility's own markup (fixed per unit or % of the rate) and late-payment rate
+  const markup      = getMarkup(t, building);
+  const penaltyRate = getPenaltyRate(t, building);
   const vatR = t === 'electric' ? taxKnobs.vat.e : t === 'water' ? taxKnobs.vat.w : taxKnobs.vat.l;
   const wtR  = t === 'electric' ? taxKnobs.wt.e  : t === 'water' ? taxKnobs.wt.w  : taxKnobs.wt.l;
-  const consumption = computeUnitsOnly(t, mult, building, prevIdx, currIdx);
-  const base = consumption * systemRate;
-  const taxes = applyTaxes({ base, vatRate: vatR, wtRate: wtR, forPenalty, penaltyRate });
+  // Explicit legs (meter swap) replace the single prev → curr leg
+  const metered = computeLegUnits(t, building, legs || [
+    { prevIdx, currIdx, mult, rollover: rolloverValue }
+  ], allowCredit, share);
+  const consumption = metered.consumption;
+  // Each rate segment is priced with the block tariff in force for it; a true-up credit is priced flat
+  const credit = consumption < 0;
+  const segmented = !credit && Array.isArray(rateSegments) && rateSegments.length > 1;
+  const priced = segmented
+    ? priceRateSegments(consumption, t, rateSegments, true)
+    : priceConsumption(consumption, flatRate, markup, credit ? null : tariff);
+  const base = priced.base;
+  // For block tariffs / split periods, report the effective (average) rates
+  const averaged = !(priced.tariff_type === 'flat' && !segmented) && consumption > 0;
+  const utilityRate = averaged ? round(base.minus(priced.markup).div(consumption), 4) : flatRate;
+  const markupRate  = averaged
+    ? round(priced.markup.div(consumption), 4)
+    : round(markupPerUnit(flatRate, markup), 4);
+  const systemRate  = dec(utilityRate).plus(markupRate).toNumber();
+  // Late-payment penalties are posted as separate charges (utils/penaltyEngine), never on the line
+  const taxes = applyTaxes({
+    base, vatRate: vatR, wtRate: wtR, forPenalty: false, penaltyRate,
+    vatMode: taxKnobs.vat_mode, wtBase: taxKnobs.wt_base,
+  });
   return {
     consumption: round(consumption),
-    base: round(base),
+    base: taxes.base,
     vat: taxes.vat,
     wt: taxes.wt,
     penalty: taxes.penalty,
     total: taxes.total,
+    tax_breakdown: taxes.breakdown,
+    exact: taxes.exact, // unrounded amounts; run totals are summed from these
+    tariff_type: priced.tariff_type,
+    blocks: priced.blocks,
+    segments: priced.segments || [],
+    reading_flags: metered.flags,
+    legs: legs ? metered.legs : [],
     rates: { 
       utility_rate: utilityRate, 
-      markup_rate: markup, 
+      markup_rate: markupRate, // per unit
+      markup_type: markup.type,
+      markup_value: markup.value, // amount per unit, or % of the utility rate
       system_rate: systemRate,
       penalty_rate: penaltyRate,
       wt_rate: wtR  
@@ -221,7 +1172,7 @@ function computeChargesByTypeWithMarkup(
 
 // Remove penaltyRatePct parameter since we get it from Building
 async function computeBillingForMeter({
-  meterId, startDate, endDate, restrictToBuildingIds = null
+  meterId, startDate, endDate, restrictToBuildingIds = null, opening = 'calendar', estimate = false, stallId = null
 }) {
   // --- quick validators ---
   const isYMD = (s) => typeof s === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(s);
@@ -232,17 +1183,27 @@ async function computeBillingForMeter({
 
   const meter = await Meter.findOne({
     where: { meter_id: meterId },
-    attributes: ['meter_id', 'meter_sn', 'meter_type', 'meter_mult', 'stall_id'],
+    attributes: [
+      'meter_id', 'meter_sn', 'meter_type', 'meter_mult', 'rollover_value', 'install_index', 'install_date', 'stall_id',
+      'meter_role'
+    ],
     raw: true
   });
-  if (!meter) { const e = new Error('Meter not found'); e.status = 404; throw e; }
+  if (!meter) { const e = new Error('Meter not found'); e.status = 404; e.code = 'METER_NOT_FOUND'; throw e; }
+  // master / common-area meters are shared through the building run (computeCommonAllocation)
+  if (meter.meter_role && meter.meter_role !== 'tenant') {
+    const e = new Error(`Meter ${meter.meter_id} is a ${meter.meter_role} meter; it is allocated through the building billing`);
+    e.status = 409; e.code = 'NOT_A_TENANT_METER'; throw e;
+  }
 
+  // a shared meter bills the requested stall's share
+  const shared = await resolveMeterShare(meter, stallId);
   const stall = await Stall.findOne({
-    where: { stall_id: meter.stall_id },
+    where: { stall_id: shared.stall_id },
     attributes: ['stall_id', 'stall_sn', 'building_id', 'tenant_id'],
     raw: true
   });
-  if (!stall) { const e = new Error('Stall not found for this meter'); e.status = 404; throw e; }
+  if (!stall) { const e = new Error('Stall not found for this meter'); e.status = 404; e.code = 'STALL_NOT_FOUND'; throw e; }
 
   if (Array.isArray(restrictToBuildingIds) && restrictToBuildingIds.length) {
     if (!restrictToBuildingIds.includes(String(stall.building_id))) {
@@ -251,6 +1212,10 @@ async function computeBillingForMeter({
     }
   }
 
+  // Replaced / not-yet-installed meters are billed through their swap partner
+  const swaps = await getMeterSwaps(meter.meter_id);
+  assertMeterBillable(meter.meter_id, swaps, endDate);
+
   const building = await Building.findOne({
     where: { building_id: stall.building_id },
     attributes: [
@@ -262,17 +1227,27 @@ async function computeBillingForMeter({
     ],
     raw: true
   });
-  if (!building) { const e = new Error('Building not found'); e.status = 404; throw e; }
+  if (!building) { const e = new Error('Building not found'); e.status = 404; e.code = 'BUILDING_NOT_FOUND'; throw e; }
+
+  // Rates in force at the end of the period (flat rate, minimums, markup, penalty),
+  // plus the rate segments if a change took effect inside the window
+  const [ratesAtEnd, rateSegments] = await Promise.all([
+    getRatesInForce(building.building_id, endDate),
+    getRateSegments(building.building_id, startDate, endDate),
+  ]);
+  Object.assign(building, ratesAtEnd);
 
   const tenant = await Tenant.findOne({
     where: { tenant_id: stall.tenant_id },
     attributes: ['tenant_id','tenant_sn','tenant_name','vat_code','wt_code','for_penalty'],
     raw: true
   });
-  if (!tenant) { const e = new Error('Tenant not found'); e.status = 404; throw e; }
+  if (!tenant) { const e = new Error('Tenant not found'); e.status = 404; e.code = 'TENANT_NOT_FOUND'; throw e; }
 
-  const taxKnobs   = await getTenantTaxKnobs(tenant);
-  const forPenalty = !!tenant.for_penalty;
+  const taxKnobs   = await getTenantTaxKnobs(tenant, endDate);
+  // the tenant's billing profile in force at endDate overrides building rates, minimums, markup and penalty
+  const profile    = await loadTenantProfile(tenant.tenant_id, endDate);
+  const forPenalty = isPenalized(tenant, profile);
 
   // --- build previous full calendar month (relative to endDate) + anchor month ---
   const end = new Date(endDate + 'T00:00:00Z');
@@ -292,30 +1267,52 @@ async function computeBillingForMeter({
   const anchorStart = ymd(firstOfMonth(anchorY, anchorM));
   const anchorEnd   = ymd(lastOfMonth (anchorY, anchorM));
 
-  // --- indices from (previous month) and (current custom window) ---
-  const [anchorMax, prevMax, currMax] = await Promise.all([
-    getMaxReadingInPeriod(meterId, anchorStart, anchorEnd),
-    getMaxReadingInPeriod(meterId, prevStart,   prevEnd),
-    getMaxReadingInPeriod(meterId, startDate,   endDate),
-  ]);
-  if (!currMax) { const e = new Error(`No readings for ${startDate}..${endDate}`); e.status = 400; throw e; }
-  if (!prevMax) { const e = new Error(`No readings for ${prevStart}..${prevEnd}`); e.status = 400; throw e; }
-  if (!anchorMax) { const e = new Error(`No readings for ${anchorStart}..${anchorEnd}`); e.status = 400; throw e; }
+  // --- indices from (previous month or last stored billing) and (current custom window) ---
+  // a meter swapped in after the opening opens from the outgoing meter
+  const {
+    currMax, prevMax, currLegs, rocLegs, swapped, opening: openingUsed, estimation, trueUp
+  } = await resolveBillingIndices({
+    meter, swaps, startDate, endDate,
+    prev:   { start: prevStart,   end: prevEnd },
+    anchor: { start: anchorStart, end: anchorEnd },
+    opening,
+    estimate,
+  });
 
   // --- billing (current window = prevMax → currMax) ---
   const mtype = String(meter.meter_type || '').toLowerCase();
   const mult  = Number(meter.meter_mult) || 1;
 
-  const bill = computeChargesByType(
-    mtype, mult, building, taxKnobs, prevMax.value, currMax.value, forPenalty
+  // a negotiated rate replaces the building rate of every segment and any block tariff
+  const overrides = profileOverrides(profile);
+  Object.assign(building, overrides);
+  // otherwise each rate segment is split where the block tariff changes and priced with its own
+  const negotiated = negotiatedRate(mtype, profile) !== null;
+  const segments = (negotiated ? rateSegments : await withTariffSegments(building.building_id, mtype, rateSegments))
+    .map(sg => ({ ...sg, rates: { ...sg.rates, ...overrides }, tariff: negotiated ? null : sg.tariff }));
+  const tariff = segments.length ? segments[segments.length - 1].tariff : null;
+
+  const rollover = meter.rollover_value === null ? null : Number(meter.rollover_value);
+
+  // markup follows the tenant's profile; without one this endpoint bills without markup
+  const withMarkup = appliesMarkup(profile, false);
+  const bill = (withMarkup ? computeChargesByTypeWithMarkup : computeChargesByType)(
+    mtype, mult, building, taxKnobs, prevMax.value, currMax.value, forPenalty, tariff, segments,
+    rollover, swapped ? currLegs.legs : null, !!trueUp, shared.share
   );
 
   // --- ROC-style prev/current units for percentage (anchor→prev, prev→curr) ---
-  const prevUnits = computeUnitsOnly(mtype, mult, building, anchorMax.value, prevMax.value);
+  // previous-month minimums come from the rates in force back then
+  const prevRates = await getRatesInForce(building.building_id, prevEnd);
+  const prevUnits = rocLegs
+    ? computeLegUnits(mtype, { ...building, ...prevRates, ...overrides }, rocLegs.legs, false, shared.share).consumption
+    : null;
   const currUnits = bill.consumption;
-  const rateOfChangePercent = prevUnits > 0
-    ? Math.ceil(((currUnits - prevUnits) / prevUnits) * 100)
-    : 0;
+  const rateOfChangePercent = prevUnits === null
+    ? null // no calendar history (continuity / newly installed meter)
+    : prevUnits > 0
+      ? Math.ceil(((currUnits - prevUnits) / prevUnits) * 100)
+      : 0;
 
   // --- display the exact periods used ---
   const period = {
@@ -329,6 +1326,7 @@ async function computeBillingForMeter({
       meter_sn: meter.meter_sn,
       meter_type: mtype,
       meter_mult: mult,
+      rollover_value: rollover,
     },
     stall: {
       stall_id: stall.stall_id,
@@ -336,6 +1334,14 @@ async function computeBillingForMeter({
       building_id: stall.building_id,
       tenant_id: stall.tenant_id,
     },
+    // shared meter: the stall's part of the metered consumption (null = billed whole)
+    share: shared.share_pct === null ? null : { stall_id: shared.stall_id, share_pct: shared.share_pct },
+    // tenant billing profile terms applied to this line (null = building terms)
+    billing_profile: profile ? {
+      negotiated_rate: negotiatedRate(mtype, profile),
+      markup_applied: withMarkup,
+      penalty_exempt: profile.penalty_exempt,
+    } : null,
     tenant: {
       tenant_id: tenant.tenant_id,
       tenant_sn: tenant.tenant_sn,
@@ -349,6 +1355,17 @@ async function computeBillingForMeter({
       prev_index: round(prevMax.value, 2),
       curr_index: round(currMax.value, 2),
     },
+    opening: openingUsed,
+    estimated: estimation.estimated,
+    estimation,
+    true_up: trueUp ? { ...trueUp, units: bill.consumption, credit: bill.consumption < 0 } : null,
+    replacement: swapped ? {
+      replacement_id:    swaps.into.replacement_id,
+      old_meter_id:      swaps.into.old_meter_id,
+      swap_date:         swaps.into.swap_date,
+      old_final_index:   round(Number(swaps.into.old_final_index), 2),
+      new_initial_index: round(Number(swaps.into.new_initial_index), 2),
+    } : null,
     billing: bill,
     totals: {
       consumption: bill.consumption,
@@ -368,7 +1385,10 @@ async function computeBillingForMeterWithMarkup({
   meterId,
   startDate,
   endDate,
-  restrictToBuildingIds = null
+  restrictToBuildingIds = null,
+  opening = 'calendar',
+  estimate = false,
+  stallId = null
 }) {
   // --- validate dates ---
   const isYMD = (s) => typeof s === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(s);
@@ -383,17 +1403,27 @@ async function computeBillingForMeterWithMarkup({
   // --- resolve records ---
   const meter = await Meter.findOne({
     where: { meter_id: meterId },
-    attributes: ['meter_id', 'meter_sn', 'meter_type', 'meter_mult', 'stall_id'],
+    attributes: [
+      'meter_id', 'meter_sn', 'meter_type', 'meter_mult', 'rollover_value', 'install_index', 'install_date', 'stall_id',
+      'meter_role'
+    ],
     raw: true
   });
-  if (!meter) { const e = new Error('Meter not found'); e.status = 404; throw e; }
+  if (!meter) { const e = new Error('Meter not found'); e.status = 404; e.code = 'METER_NOT_FOUND'; throw e; }
+  // master / common-area meters are shared through the building run (computeCommonAllocation)
+  if (meter.meter_role && meter.meter_role !== 'tenant') {
+    const e = new Error(`Meter ${meter.meter_id} is a ${meter.meter_role} meter; it is allocated through the building billing`);
+    e.status = 409; e.code = 'NOT_A_TENANT_METER'; throw e;
+  }
 
+  // a shared meter bills the requested stall's share
+  const shared = await resolveMeterShare(meter, stallId);
   const stall = await Stall.findOne({
-    where: { stall_id: meter.stall_id },
+    where: { stall_id: shared.stall_id },
     attributes: ['stall_id', 'stall_sn', 'building_id', 'tenant_id'],
     raw: true
   });
-  if (!stall) { const e = new Error('Stall not found for this meter'); e.status = 404; throw e; }
+  if (!stall) { const e = new Error('Stall not found for this meter'); e.status = 404; e.code = 'STALL_NOT_FOUND'; throw e; }
 
   if (Array.isArray(restrictToBuildingIds) && restrictToBuildingIds.length) {
     if (!restrictToBuildingIds.includes(String(stall.building_id))) {
@@ -401,6 +1431,10 @@ async function computeBillingForMeterWithMarkup({
     }
   }
 
+  // Replaced / not-yet-installed meters are billed through their swap partner
+  const swaps = await getMeterSwaps(meter.meter_id);
+  assertMeterBillable(meter.meter_id, swaps, endDate);
+
   const building = await Building.findOne({
     where: { building_id: stall.building_id },
     attributes: [
@@ -412,49 +1446,77 @@ async function computeBillingForMeterWithMarkup({
     ],
     raw: true
   });
-  if (!building) { const e = new Error('Building not found'); e.status = 404; throw e; }
+  if (!building) { const e = new Error('Building not found'); e.status = 404; e.code = 'BUILDING_NOT_FOUND'; throw e; }
+
+  // Rates in force at the end of the period (flat rate, minimums, markup, penalty),
+  // plus the rate segments if a change took effect inside the window
+  const [ratesAtEnd, rateSegments] = await Promise.all([
+    getRatesInForce(building.building_id, endDate),
+    getRateSegments(building.building_id, startDate, endDate),
+  ]);
+  Object.assign(building, ratesAtEnd);
 
   const tenant = await Tenant.findOne({
     where: { tenant_id: stall.tenant_id },
     attributes: ['tenant_id','tenant_sn','tenant_name','vat_code','wt_code','for_penalty'],
     raw: true
   });
-  if (!tenant) { const e = new Error('Tenant not found'); e.status = 404; throw e; }
+  if (!tenant) { const e = new Error('Tenant not found'); e.status = 404; e.code = 'TENANT_NOT_FOUND'; throw e; }
 
-  const taxKnobs   = await getTenantTaxKnobs(tenant);
-  const forPenalty = !!tenant.for_penalty;
+  const taxKnobs   = await getTenantTaxKnobs(tenant, endDate);
+  // the tenant's billing profile in force at endDate overrides building rates, minimums, markup and penalty
+  const profile    = await loadTenantProfile(tenant.tenant_id, endDate);
+  const forPenalty = isPenalized(tenant, profile);
 
   // --- periods: previous full calendar month of endDate + its anchor month ---
-  const { monthSpanFor, getMaxReadingInPeriod } = require('../utils/rocUtils');
+  const { monthSpanFor } = require('../utils/rocUtils');
   const prev   = monthSpanFor(endDate, 1);
   const anchor = monthSpanFor(endDate, 2);
 
-  // --- indices (latest reading within each window) ---
-  const [anchorMax, prevMax, currMax] = await Promise.all([
-    getMaxReadingInPeriod(meter.meter_id, anchor.start, anchor.end),
-    getMaxReadingInPeriod(meter.meter_id, prev.start,   prev.end),
-    getMaxReadingInPeriod(meter.meter_id, startDate,     endDate),
-  ]);
-  if (!currMax) { const e = new Error(`No readings for ${startDate}..${endDate}`); e.status = 400; throw e; }
-  if (!prevMax) { const e = new Error(`No readings for ${prev.start}..${prev.end}`); e.status = 400; throw e; }
-  if (!anchorMax) { const e = new Error(`No readings for ${anchor.start}..${anchor.end}`); e.status = 400; throw e; }
+  // --- indices (latest reading within each window, or last stored billing) ---
+  // a meter swapped in after the opening opens from the outgoing meter
+  const {
+    currMax, prevMax, currLegs, rocLegs, swapped, opening: openingUsed, estimation, trueUp
+  } = await resolveBillingIndices({
+    meter, swaps, startDate, endDate, prev, anchor, opening, estimate,
+  });
 
   // --- billing for CURRENT window (prevMax → currMax) using markup system rate ---
+  // (unless the tenant's profile turns markup off)
   const mtype = String(meter.meter_type || '').toLowerCase();
   const mult  = Number(meter.meter_mult) || 1;
 
-  const bill = computeChargesByTypeWithMarkup(
-    mtype, mult, building, taxKnobs, prevMax.value, currMax.value, forPenalty
+  // a negotiated rate replaces the building rate of every segment and any block tariff
+  const overrides = profileOverrides(profile);
+  Object.assign(building, overrides);
+  // otherwise each rate segment is split where the block tariff changes and priced with its own
+  const negotiated = negotiatedRate(mtype, profile) !== null;
+  const segments = (negotiated ? rateSegments : await withTariffSegments(building.building_id, mtype, rateSegments))
+    .map(sg => ({ ...sg, rates: { ...sg.rates, ...overrides }, tariff: negotiated ? null : sg.tariff }));
+  const tariff = segments.length ? segments[segments.length - 1].tariff : null;
+
+  const rollover = meter.rollover_value === null ? null : Number(meter.rollover_value);
+
+  const withMarkup = appliesMarkup(profile, true);
+  const bill = (withMarkup ? computeChargesByTypeWithMarkup : computeChargesByType)(
+    mtype, mult, building, taxKnobs, prevMax.value, currMax.value, forPenalty, tariff, segments,
+    rollover, swapped ? currLegs.legs : null, !!trueUp, shared.share
   );
 
   // --- ROC-style units for percentage: (anchor→prev) vs (prev→curr) ---
-  const prevUnits = computeUnitsOnly(mtype, mult, building, anchorMax.value, prevMax.value);
+  // previous-month minimums come from the rates in force back then
+  const prevRates = await getRatesInForce(building.building_id, prev.end);
+  const prevUnits = rocLegs
+    ? computeLegUnits(mtype, { ...building, ...prevRates, ...overrides }, rocLegs.legs, false, shared.share).consumption
+    : null;
   const currUnits = bill.consumption;
 
   const rateOfChangePercent =
-    prevUnits > 0
-      ? Math.ceil(((currUnits - prevUnits) / prevUnits) * 100)
-      : 0;
+    prevUnits === null
+      ? null // no calendar history (continuity / newly installed meter)
+      : prevUnits > 0
+        ? Math.ceil(((currUnits - prevUnits) / prevUnits) * 100)
+        : 0;
 
   // --- response ---
   return {
@@ -463,6 +1525,7 @@ async function computeBillingForMeterWithMarkup({
       meter_sn: meter.meter_sn,
       meter_type: mtype,
       meter_mult: mult,
+      rollover_value: rollover,
     },
     stall: {
       stall_id: stall.stall_id,
@@ -470,6 +1533,14 @@ async function computeBillingForMeterWithMarkup({
       building_id: stall.building_id,
       tenant_id: stall.tenant_id,
     },
+    // shared meter: the stall's part of the metered consumption (null = billed whole)
+    share: shared.share_pct === null ? null : { stall_id: shared.stall_id, share_pct: shared.share_pct },
+    // tenant billing profile terms applied to this line (null = building terms)
+    billing_profile: profile ? {
+      negotiated_rate: negotiatedRate(mtype, profile),
+      markup_applied: withMarkup,
+      penalty_exempt: profile.penalty_exempt,
+    } : null,
     tenant: {
       tenant_id: tenant.tenant_id,
       tenant_sn: tenant.tenant_sn || null,
@@ -486,6 +1557,17 @@ async function computeBillingForMeterWithMarkup({
       prev_index: round(prevMax.value, 2),
       curr_index: round(currMax.value, 2),
     },
+    opening: openingUsed,
+    estimated: estimation.estimated,
+    estimation,
+    true_up: trueUp ? { ...trueUp, units: bill.consumption, credit: bill.consumption < 0 } : null,
+    replacement: swapped ? {
+      replacement_id:    swaps.into.replacement_id,
+      old_meter_id:      swaps.into.old_meter_id,
+      swap_date:         swaps.into.swap_date,
+      old_final_index:   round(Number(swaps.into.old_final_index), 2),
+      new_initial_index: round(Number(swaps.into.new_initial_index), 2),
+    } : null,
     billing: bill,
     totals: {
       consumption: bill.consumption,
@@ -503,7 +1585,7 @@ async function computeBillingForMeterWithMarkup({
 
 // Remove penaltyRatePct parameter since we get it from Building
 async function computeBillingForTenant({
-  tenantId, startDate, endDate, restrictToBuildingIds = null
+  tenantId, startDate, endDate, restrictToBuildingIds = null, opening = 'calendar', estimate = false
 }) {
   const isYMD = (s) => typeof s === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(s);
   if (!isYMD(startDate) || !isYMD(endDate)) {
@@ -519,71 +1601,76 @@ async function computeBillingForTenant({
   if (!stalls.length) {
     return {
       meters: [],
+      charges: [],
+      errors: [],
       totals_by_type: {
-        electric: { base:0, vat:0, wt:0, penalty:0, total:0 },
-        water:    { base:0, vat:0, wt:0, penalty:0, total:0 },
-        lpg:      { base:0, vat:0, wt:0, penalty:0, total:0 }
+        electric: emptyTotals(),
+        water:    emptyTotals(),
+        lpg:      emptyTotals()
       },
-      grand_totals: { base:0, vat:0, wt:0, penalty:0, total:0 }
+      charge_totals: emptyTotals(),
+      grand_totals: emptyTotals()
     };
   }
 
-  const meters = await Meter.findAll({
-    where: { stall_id: { [Op.in]: stalls.map(s => s.stall_id) } },
-    attributes: ['meter_id','meter_sn','meter_type','meter_mult','stall_id'],
-    raw: true
-  });
+  // every meter on these stalls; a shared meter once per stall it feeds
+  const targets = await loadStallMeterTargets(
+    stalls.map(s => s.stall_id), ['meter_id','meter_sn','meter_type','meter_mult','stall_id']
+  );
 
   const results = [];
+  const errors = [];
   const totals_by_type = {
-    electric: { base:0, vat:0, wt:0, penalty:0, total:0 },
-    water:    { base:0, vat:0, wt:0, penalty:0, total:0 },
-    lpg:      { base:0, vat:0, wt:0, penalty:0, total:0 }
+    electric: emptyTotals(),
+    water:    emptyTotals(),
+    lpg:      emptyTotals()
   };
-  const grand_totals = { base:0, vat:0, wt:0, penalty:0, total:0 };
-
-  for (const m of meters) {
-    // Call the per-meter **no markup** billing with the SAME window
-    const r = await computeBillingForMeter({
-      meterId: m.meter_id,
-      startDate,
-      endDate,
-      restrictToBuildingIds
-    });
+  const grand_totals = emptyTotals();
+
+  for (const { meter: m, stall_id: stallId } of targets) {
+    // Call the per-meter **no markup** billing with the SAME window (the tenant's profile may add markup)
+    let r;
+    try {
+      r = await computeBillingForMeter({
+        meterId: m.meter_id,
+        stallId,
+        startDate,
+        endDate,
+        restrictToBuildingIds,
+        opening,
+        estimate
+      });
+    } catch (e) {
+      // replaced / not-yet-installed meters are billed through their swap partner
+      if (SKIPPED_METER_CODES.has(e?.code)) continue;
+      errors.push(meterBillingError({ ...m, stall_id: stallId }, e));
+      continue;
+    }
 
     results.push(r);
 
     const k = r.meter.meter_type; // 'electric' | 'water' | 'lpg'
-    totals_by_type[k].base    += r.billing.base;
-    totals_by_type[k].vat     += r.billing.vat;
-    totals_by_type[k].wt      += r.billing.wt;
-    totals_by_type[k].penalty += r.billing.penalty;
-    totals_by_type[k].total   += r.billing.total;
-
-    grand_totals.base    += r.billing.base;
-    grand_totals.vat     += r.billing.vat;
-    grand_totals.wt      += r.billing.wt;
-    grand_totals.penalty += r.billing.penalty;
-    grand_totals.total   += r.billing.total;
-  }
-
-  // Round all totals
-  const roundFields = (o) => {
-    o.base    = round(o.base);
-    o.vat     = round(o.vat);
-    o.wt      = round(o.wt);
-    o.penalty = round(o.penalty);
-    o.total   = round(o.total);
-  };
-  Object.keys(totals_by_type).forEach(k => roundFields(totals_by_type[k]));
-  roundFields(grand_totals);
+    // summed from unrounded amounts; rounded once at the end
+    addToTotals(totals_by_type[k], r.billing.exact);
+    addToTotals(grand_totals, r.billing.exact);
+  }
+
+  // fixed monthly charges of the tenant, in the buildings the caller may bill
+  const buildingIds = [...new Set(stalls.map(s => String(s.building_id)))].filter(b =>
+    !(Array.isArray(restrictToBuildingIds) && restrictToBuildingIds.length) || restrictToBuildingIds.includes(b));
+  const { charges, charge_totals } = await computeRecurringCharges({
+    buildingIds, tenantIds: [tenantId], endDate, grand_totals,
+  });
 
-  return { meters: results, totals_by_type, grand_totals };
+  Object.keys(totals_by_type).forEach(k => roundTotals(totals_by_type[k]));
+  roundTotals(grand_totals);
+
+  return { meters: results, charges, errors, totals_by_type, charge_totals, grand_totals };
 }
 
 // Remove penaltyRatePct parameter since we get it from Building
 async function computeBillingForTenantWithMarkup({
-  tenantId, startDate, endDate, restrictToBuildingIds = null
+  tenantId, startDate, endDate, restrictToBuildingIds = null, opening = 'calendar', estimate = false
 }) {
   const isYMD = (s) => typeof s === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(s);
   if (!isYMD(startDate) || !isYMD(endDate)) {
@@ -599,71 +1686,76 @@ async function computeBillingForTenantWithMarkup({
   if (!stalls.length) {
     return {
       meters: [],
+      charges: [],
+      errors: [],
       totals_by_type: {
-        electric: { base:0, vat:0, wt:0, penalty:0, total:0 },
-        water:    { base:0, vat:0, wt:0, penalty:0, total:0 },
-        lpg:      { base:0, vat:0, wt:0, penalty:0, total:0 }
+        electric: emptyTotals(),
+        water:    emptyTotals(),
+        lpg:      emptyTotals()
       },
-      grand_totals: { base:0, vat:0, wt:0, penalty:0, total:0 }
+      charge_totals: emptyTotals(),
+      grand_totals: emptyTotals()
     };
   }
 
-  const meters = await Meter.findAll({
-    where: { stall_id: { [Op.in]: stalls.map(s => s.stall_id) } },
-    attributes: ['meter_id','meter_sn','meter_type','meter_mult','stall_id'],
-    raw: true
-  });
+  // every meter on these stalls; a shared meter once per stall it feeds
+  const targets = await loadStallMeterTargets(
+    stalls.map(s => s.stall_id), ['meter_id','meter_sn','meter_type','meter_mult','stall_id']
+  );
 
   const results = [];
+  const errors = [];
   const totals_by_type = {
-    electric: { base:0, vat:0, wt:0, penalty:0, total:0 },
-        water:    { base:0, vat:0, wt:0, penalty:0, total:0 },
-        lpg:      { base:0, vat:0, wt:0, penalty:0, total:0 }
+    electric: emptyTotals(),
+        water:    emptyTotals(),
+        lpg:      emptyTotals()
   };
-  const grand_totals = { base:0, vat:0, wt:0, penalty:0, total:0 };
+  const grand_totals = emptyTotals();
 
-  for (const m of meters) {
+  for (const { meter: m, stall_id: stallId } of targets) {
     // Use the meter-level WITH MARKUP function that expects the window
-    const r = await computeBillingForMeterWithMarkup({
-      meterId: m.meter_id,
-      startDate,
-      endDate,
-      restrictToBuildingIds
-    });
+    let r;
+    try {
+      r = await computeBillingForMeterWithMarkup({
+        meterId: m.meter_id,
+        stallId,
+        startDate,
+        endDate,
+        restrictToBuildingIds,
+        opening,
+        estimate
+      });
+    } catch (e) {
+      // replaced / not-yet-installed meters are billed through their swap partner
+      if (SKIPPED_METER_CODES.has(e?.code)) continue;
+      errors.push(meterBillingError({ ...m, stall_id: stallId }, e));
+      continue;
+    }
 
     results.push(r);
 
     const k = r.meter.meter_type; // 'electric' | 'water' | 'lpg'
-    totals_by_type[k].base    += r.billing.base;
-    totals_by_type[k].vat     += r.billing.vat;
-    totals_by_type[k].wt      += r.billing.wt;
-    totals_by_type[k].penalty += r.billing.penalty;
-    totals_by_type[k].total   += r.billing.total;
-
-    grand_totals.base    += r.billing.base;
-    grand_totals.vat     += r.billing.vat;
-    grand_totals.wt      += r.billing.wt;
-    grand_totals.penalty += r.billing.penalty;
-    grand_totals.total   += r.billing.total;
-  }
-
-  // Round out
-  const roundFieldSet = (o) => {
-    o.base    = round(o.base);
-    o.vat     = round(o.vat);
-    o.wt      = round(o.wt);
-    o.penalty = round(o.penalty);
-    o.total   = round(o.total);
-  };
-  Object.keys(totals_by_type).forEach(k => roundFieldSet(totals_by_type[k]));
-  roundFieldSet(grand_totals);
+    // summed from unrounded amounts; rounded once at the end
+    addToTotals(totals_by_type[k], r.billing.exact);
+    addToTotals(grand_totals, r.billing.exact);
+  }
+
+  // fixed monthly charges of the tenant, in the buildings the caller may bill
+  const buildingIds = [...new Set(stalls.map(s => String(s.building_id)))].filter(b =>
+    !(Array.isArray(restrictToBuildingIds) && restrictToBuildingIds.length) || restrictToBuildingIds.includes(b));
+  const { charges, charge_totals } = await computeRecurringCharges({
+    buildingIds, tenantIds: [tenantId], endDate, grand_totals,
+  });
 
-  return { meters: results, totals_by_type, grand_totals };
+  Object.keys(totals_by_type).forEach(k => roundTotals(totals_by_type[k]));
+  roundTotals(grand_totals);
+
+  return { meters: results, charges, errors, totals_by_type, charge_totals, grand_totals };
 }
 
 // Remove penaltyRatePct parameter since we get it from Building
 async function computeBillingForBuilding({
-  buildingId, startDate, endDate, restrictToBuildingIds = null
+  buildingId, startDate, endDate, restrictToBuildingIds = null, opening = 'calendar', estimate = false
 }) {
   const isYMD = (s) => typeof s === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(s);
   if (!isYMD(startDate) || !isYMD(endDate)) {
@@ -684,71 +1776,73 @@ async function computeBillingForBuilding({
     raw: true
   });
 
-  const meters = await Meter.findAll({
-    where: { stall_id: { [Op.in]: stalls.map(s => s.stall_id) } },
-    attributes: ['meter_id','meter_sn','meter_type','meter_mult','stall_id'],
-    raw: true
-  });
+  // every meter on these stalls; a shared meter once per stall it feeds
+  const targets = await loadStallMeterTargets(
+    stalls.map(s => s.stall_id), ['meter_id','meter_sn','meter_type','meter_mult','stall_id']
+  );
 
   const results = [];
+  const errors = [];
   const totals_by_type = {
-    electric: { base:0, vat:0, wt:0, penalty:0, total:0 },
-    water:    { base:0, vat:0, wt:0, penalty:0, total:0 },
-    lpg:      { base:0, vat:0, wt:0, penalty:0, total:0 }
+    electric: emptyTotals(),
+    water:    emptyTotals(),
+    lpg:      emptyTotals()
   };
-  const grand_totals = { base:0, vat:0, wt:0, penalty:0, total:0 };
+  const grand_totals = emptyTotals();
+  const vacant = [];
 
-  for (const m of meters) {
+  for (const { meter: m, stall_id: stallId, share_pct: sharePct } of targets) {
     try {
       const r = await computeBillingForMeter({
         meterId: m.meter_id,
+        stallId,
         startDate,
         endDate,
-        restrictToBuildingIds
+        restrictToBuildingIds,
+        opening,
+        estimate
       });
 
       results.push(r);
 
       const k = r.meter.meter_type; // 'electric' | 'water' | 'lpg'
-      totals_by_type[k].base    += r.billing.base;
-      totals_by_type[k].vat     += r.billing.vat;
-      totals_by_type[k].wt      += r.billing.wt;
-      totals_by_type[k].penalty += r.billing.penalty;
-      totals_by_type[k].total   += r.billing.total;
-
-      grand_totals.base    += r.billing.base;
-      grand_totals.vat     += r.billing.vat;
-      grand_totals.wt      += r.billing.wt;
-      grand_totals.penalty += r.billing.penalty;
-      grand_totals.total   += r.billing.total;
+      // summed from unrounded amounts; rounded once at the end
+      addToTotals(totals_by_type[k], r.billing.exact);
+      addToTotals(grand_totals, r.billing.exact);
     } catch (e) {
-      if (String(e?.message || '').toLowerCase() === 'tenant not found') {
+      // vacant stall: nothing to bill (still metered against a master meter)
+      if (e?.code === 'TENANT_NOT_FOUND') {
+        vacant.push({ ...m, stall_id: stallId, share_pct: sharePct });
         continue;
       }
-      throw e;
+      if (SKIPPED_METER_CODES.has(e?.code)) {
+        continue;
+      }
+      errors.push(meterBillingError({ ...m, stall_id: stallId }, e));
     }
   }
 
-  Object.keys(totals_by_type).forEach(k => {
-    totals_by_type[k].base    = round(totals_by_type[k].base);
-    totals_by_type[k].vat     = round(totals_by_type[k].vat);
-    totals_by_type[k].wt      = round(totals_by_type[k].wt);
-    totals_by_type[k].penalty = round(totals_by_type[k].penalty);
-    totals_by_type[k].total   = round(totals_by_type[k].total);
+  // fixed monthly charges of the building's tenants
+  const { charges, charge_totals } = await computeRecurringCharges({ buildingIds: [bid], endDate, grand_totals });
+
+  // master / common-area meter difference, shared among the tenants
+  const { allocations, allocation_totals, common_areas } = await computeCommonAllocation({
+    buildingId: bid, startDate, endDate, opening, estimate, withMarkup: false,
+    billed: results, vacant, errors, grand_totals,
   });
 
-  grand_totals.base    = round(grand_totals.base);
-  grand_totals.vat     = round(grand_totals.vat);
-  grand_totals.wt      = round(grand_totals.wt);
-  grand_totals.penalty = round(grand_totals.penalty);
-  grand_totals.total   = round(grand_totals.total);
+  Object.keys(totals_by_type).forEach(k => roundTotals(totals_by_type[k]));
+  roundTotals(grand_totals);
 
-  return { meters: results, totals_by_type, grand_totals };
+  return {
+    meters: results, charges, allocations, errors,
+    totals_by_type, charge_totals, allocation_totals, common_areas, grand_totals,
+  };
 }
 
 // Remove penaltyRatePct parameter since we get it from Building
 async function computeBillingForBuildingWithMarkup({
-  buildingId, startDate, endDate, restrictToBuildingIds = null
+  buildingId, startDate, endDate, restrictToBuildingIds = null, opening = 'calendar', estimate = false
 }) {
   const isYMD = (s) => typeof s === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(s);
   if (!isYMD(startDate) || !isYMD(endDate)) {
@@ -771,66 +1865,68 @@ async function computeBillingForBuildingWithMarkup({
     raw: true
   });
 
-  const meters = await Meter.findAll({
-    where: { stall_id: { [Op.in]: stalls.map(s => s.stall_id) } },
-    attributes: ['meter_id','meter_sn','meter_type','meter_mult','stall_id'],
-    raw: true
-  });
+  // every meter on these stalls; a shared meter once per stall it feeds
+  const targets = await loadStallMeterTargets(
+    stalls.map(s => s.stall_id), ['meter_id','meter_sn','meter_type','meter_mult','stall_id']
+  );
 
   const results = [];
+  const errors = [];
   const totals_by_type = {
-    electric: { base:0, vat:0, wt:0, penalty:0, total:0 },
-    water:    { base:0, vat:0, wt:0, penalty:0, total:0 },
-    lpg:      { base:0, vat:0, wt:0, penalty:0, total:0 }
+    electric: emptyTotals(),
+    water:    emptyTotals(),
+    lpg:      emptyTotals()
   };
-  const grand_totals = { base:0, vat:0, wt:0, penalty:0, total:0 };
+  const grand_totals = emptyTotals();
+  const vacant = [];
 
-  for (const m of meters) {
+  for (const { meter: m, stall_id: stallId, share_pct: sharePct } of targets) {
     try {
       const r = await computeBillingForMeterWithMarkup({
         meterId: m.meter_id,
+        stallId,
         startDate,
         endDate,
-        restrictToBuildingIds
+        restrictToBuildingIds,
+        opening,
+        estimate
       });
 
       results.push(r);
 
       const k = r.meter.meter_type; // 'electric' | 'water' | 'lpg'
-      totals_by_type[k].base    += r.billing.base;
-      totals_by_type[k].vat     += r.billing.vat;
-      totals_by_type[k].wt      += r.billing.wt;
-      totals_by_type[k].penalty += r.billing.penalty;
-      totals_by_type[k].total   += r.billing.total;
-
-      grand_totals.base    += r.billing.base;
-      grand_totals.vat     += r.billing.vat;
-      grand_totals.wt      += r.billing.wt;
-      grand_totals.penalty += r.billing.penalty;
-      grand_totals.total   += r.billing.total;
+      // summed from unrounded amounts; rounded once at the end
+      addToTotals(totals_by_type[k], r.billing.exact);
+      addToTotals(grand_totals, r.billing.exact);
     } catch (e) {
-      if (String(e?.message || '').toLowerCase() === 'tenant not found') {
+      // vacant stall: nothing to bill (still metered against a master meter)
+      if (e?.code === 'TENANT_NOT_FOUND') {
+        vacant.push({ ...m, stall_id: stallId, share_pct: sharePct });
         continue;
       }
-      throw e;
+      if (SKIPPED_METER_CODES.has(e?.code)) {
+        continue;
+      }
+      errors.push(meterBillingError({ ...m, stall_id: stallId }, e));
     }
   }
 
-  Object.keys(totals_by_type).forEach(k => {
-    totals_by_type[k].base    = round(totals_by_type[k].base);
-    totals_by_type[k].vat     = round(totals_by_type[k].vat);
-    totals_by_type[k].wt      = round(totals_by_type[k].wt);
-    totals_by_type[k].penalty = round(totals_by_type[k].penalty);
-    totals_by_type[k].total   = round(totals_by_type[k].total);
+  // fixed monthly charges of the building's tenants
+  const { charges, charge_totals } = await computeRecurringCharges({ buildingIds: [bid], endDate, grand_totals });
+
+  // master / common-area meter difference, shared among the tenants
+  const { allocations, allocation_totals, common_areas } = await computeCommonAllocation({
+    buildingId: bid, startDate, endDate, opening, estimate, withMarkup: true,
+    billed: results, vacant, errors, grand_totals,
   });
 
-  grand_totals.base    = round(grand_totals.base);
-  grand_totals.vat     = round(grand_totals.vat);
-  grand_totals.wt      = round(grand_totals.wt);
-  grand_totals.penalty = round(grand_totals.penalty);
-  grand_totals.total   = round(grand_totals.total);
+  Object.keys(totals_by_type).forEach(k => roundTotals(totals_by_type[k]));
+  roundTotals(grand_totals);
 
-  return { meters: results, totals_by_type, grand_totals };
+  return {
+    meters: results, charges, allocations, errors,
+    totals_by_type, charge_totals, allocation_totals, common_areas, grand_totals,
+  };
 }
 
 module.exports = {
@@ -845,6 +1941,14 @@ module.exports = {
   getTwoSegmentWindow,
   getMaxReadingInPeriod,
   getTenantTaxKnobs,
+  utilityTaxKnobs,
   computeChargesByType,
+  computeChargesByTypeWithMarkup,
+  getTariffSchedule,
+  priceConsumption,
+  priceRateSegments,
+  getMarkup,
+  markupPerUnit,
+  getPenaltyRate,
   applyTaxes,
 };
\ No newline at end of file
@@ -0,0 +1,312 @@
+// utils/billingMemos.js
+'use strict';
+
+const { Op } = require('sequelize');
+
+const sequelize   = require('../models');
+const Billing     = require('../models/Billing');
+const Tenant      = require('../models/Tenant');
+const TenantBill  = require('../models/TenantBill');
+const BillingMemo = require('../models/BillingMemo');
+const getCurrentDateTime = require('./getCurrentDateTime');
+const { todayYMD } = require('./rateHistory');
+const { applyTaxes, getTenantTaxKnobs, utilityTaxKnobs } = require('./billingEngine');
+const { dec, roundNum, sum } = require('./money');
+const { memoAmount, refreshTenantBills } = require('./tenantLedger');
+
+const MEMO_TYPES = ['credit', 'debit'];
+const MEMO_STATUSES = ['pending', 'approved', 'rejected'];
+const MEMO_REASON_CODES = ['reading_error', 'rate_error', 'billing_error', 'goodwill', 'dispute', 'other'];
+const TAX_TREATMENTS = ['exclusive', 'inclusive', 'exempt', 'zero_rated'];
+
+function httpError(status, msg) {
+  const err = new Error(msg);
+  err.status = status;
+  return err;
+}
+
+/** Generate next MEMO-<n> (cross-dialect; MSSQL-safe) */
+async function generateMemoId(t) {
+  const rows = await BillingMemo.findAll({
+    where: { memo_id: { [Op.like]: 'MEMO-%' } },
+    attributes: ['memo_id'],
+    transaction: t,
+    raw: true
+  });
+  const maxNum = rows.reduce((max, r) => {
+    const m = String(r.memo_id).match(/^MEMO-(\d+)$/);
+    return m ? Math.max(max, Number(m[1])) : max;
+  }, 0);
+  return `MEMO-${maxNum + 1}`;
+}
+
+/** Positive decimal with at most `dp` places, or a 400 */
+function positive(value, name, dp) {
+  const n = Number(value);
+  if (value === '' || value === null || value === undefined || !Number.isFinite(n) || n <= 0) {
+    throw httpError(400, `${name} must be a positive number`);
+  }
+  if (dec(value).decimalPlaces() > dp) throw httpError(400, `${name} must have at most ${dp} decimal places`);
+  return dec(value);
+}
+
+/**
+ * VAT and WT knobs of a stored bill line: the tenant's VAT / WT codes in force at the
+ * bill's period end, for the line's utility, with the VAT mode / WT base it was taxed with.
+ */
+async function lineTaxKnobs(bill, line) {
+  const tenant = await Tenant.findOne({
+    where: { tenant_id: bill.tenant_id }, attributes: ['vat_code', 'wt_code'], raw: true,
+  });
+  const knobs = utilityTaxKnobs(line.meter_type, await getTenantTaxKnobs(tenant, bill.period_end));
+  return {
+    vat_mode: line.tax_breakdown?.vat_mode || knobs.vatMode,
+    wt_base: line.tax_breakdown?.wt_base || knobs.wtBase,
+    vat_rate: dec(knobs.vatRate),
+    wt_rate: dec(knobs.wtRate),
+  };
+}
+
+function presentMemo(m) {
+  return {
+    ...m,
+    units: m.units === null || m.units === undefined ? null : roundNum(m.units, 4),
+    unit_rate: m.unit_rate === null || m.unit_rate === undefined ? null : Number(m.unit_rate),
+    vat_rate: Number(m.vat_rate),
+    wt_rate: Number(m.wt_rate),
+    net_amount: roundNum(m.net_amount),
+    vat_amount: roundNum(m.vat_amount),
+    wt_amount: roundNum(m.wt_amount),
+    total_amount: roundNum(m.total_amount),
+    signed_amount: roundNum(memoAmount(m)),
+  };
+}
+
+/**
+ * Request a memo against a tenant bill of a posted billing.
+ *   memoType     'credit' | 'debit'
+ *   reasonCode   one of MEMO_REASON_CODES
+ *   amount + (meterId | utility)  net amount against a meter / utility of the bill, or
+ *   units + meterId  units of a meter on the bill, priced at its billed system rate
+ *   taxTreatment defaults to the VAT mode the bill line was taxed with
+ * VAT and WT rates are the tenant's in force at the bill's period end, for that line's
+ * utility. A credit cannot take the bill (with its approved memos) below zero.
+ */
+async function requestMemo({
+  tenantBillId, memoType, reasonCode, description, amount, units, meterId, utility, taxTreatment,
+  requestedBy = 'system',
+}) {
+  if (!MEMO_TYPES.includes(memoType)) throw httpError(400, `memo_type must be one of: ${MEMO_TYPES.join(', ')}`);
+  if (!MEMO_REASON_CODES.includes(reasonCode)) {
+    throw httpError(400, `reason_code must be one of: ${MEMO_REASON_CODES.join(', ')}`);
+  }
+  const note = description === undefined || description === null ? null : String(description).trim();
+  if (note && note.length > 255) throw httpError(400, 'description must be at most 255 characters');
+  if (reasonCode === 'other' && !note) throw httpError(400, "description is required when reason_code is 'other'");
+
+  const byUnits = units !== undefined && units !== null && units !== '';
+  if (byUnits && amount !== undefined && amount !== null && amount !== '') {
+    throw httpError(400, 'Give either amount or units, not both');
+  }
+
+  const bill = await TenantBill.findOne({ where: { tenant_bill_id: tenantBillId }, raw: true });
+  if (!bill) throw httpError(404, 'Tenant bill not found');
+  if (bill.invoice_status === 'void') throw httpError(409, 'Tenant bill is void');
+  const header = await Billing.findOne({ where: { building_billing_id: bill.building_billing_id } });
+  if (header.billing_status !== 'posted') {
+    throw httpError(409, `Building billing is ${header.billing_status}; memos are raised against posted billings only.`);
+  }
+
+  const lines = (header.payload_json?.tenants || [])
+    .filter(t => t.tenant_id === bill.tenant_id)
+    .flatMap(t => t.rows || []);
+  const mtype = utility ? String(utility).toLowerCase() : null;
+  if (byUnits && !meterId) throw httpError(400, 'meter_id is required with units');
+  if (!meterId && !mtype) throw httpError(400, 'meter_id or utility is required');
+  const line = meterId
+    ? lines.find(r => r.meter_id === String(meterId))
+    : lines.find(r => String(r.meter_type || '').toLowerCase() === mtype);
+  if (!line) {
+    throw httpError(400, meterId ? `Meter ${meterId} is not on this tenant bill` : `No ${mtype} line on this tenant bill`);
+  }
+  let base;
+  let unitRate = null;
+  if (byUnits) {
+    unitRate = dec(line.system_rate ?? 0);
+    if (unitRate.lte(0)) throw httpError(409, `Meter ${meterId} has no billed rate to price units at`);
+    base = positive(units, 'units', 4).times(unitRate);
+  } else {
+    base = positive(amount, 'amount', 2);
+  }
+
+  const knobs = await lineTaxKnobs(bill, line);
+  const treatment = taxTreatment ? String(taxTreatment) : knobs.vat_mode;
+  if (!TAX_TREATMENTS.includes(treatment)) {
+    throw httpError(400, `tax_treatment must be one of: ${TAX_TREATMENTS.join(', ')}`);
+  }
+  const taxes = applyTaxes({
+    base,
+    vatRate: knobs.vat_rate,
+    wtRate: knobs.wt_rate,
+    forPenalty: false,
+    penaltyRate: 0,
+    vatMode: treatment,
+    wtBase: knobs.wt_base,
+  });
+  if (dec(taxes.total).lte(0)) throw httpError(400, 'Memo amount rounds to zero');
+
+  return sequelize.transaction(async (t) => {
+    if (memoType === 'credit') {
+      const memos = await BillingMemo.findAll({
+        where: { tenant_bill_id: bill.tenant_bill_id, status: { [Op.in]: ['pending', 'approved'] } },
+        transaction: t,
+        raw: true,
+      });
+      // pending credits count too, so two requests cannot together over-credit the bill
+      const left = dec(bill.total_amount)
+        .plus(sum(memos.filter(m => m.status === 'approved' || m.memo_type === 'credit').map(memoAmount)));
+      if (dec(taxes.total).gt(left)) {
+        throw httpError(400, `Credit of ${taxes.total} exceeds the ${roundNum(left)} left to credit on this bill`);
+      }
+    }
+
+    const now = getCurrentDateTime();
+    const row = await BillingMemo.create({
+      memo_id: await generateMemoId(t),
+      memo_type: memoType,
+      tenant_bill_id: bill.tenant_bill_id,
+      building_billing_id: bill.building_billing_id,
+      building_id: bill.building_id,
+      tenant_id: bill.tenant_id,
+      original_period_end: bill.period_end,
+      reason_code: reasonCode,
+      description: note || null,
+      basis: byUnits ? 'units' : 'amount',
+      meter_id: meterId ? String(meterId) : null,
+      units: byUnits ? roundNum(units, 4) : null,
+      unit_rate: unitRate === null ? null : roundNum(unitRate, 6),
+      tax_treatment: treatment,
+      vat_rate: roundNum(knobs.vat_rate, 6),
+      wt_rate: roundNum(knobs.wt_rate, 6),
+      net_amount: taxes.base,
+      vat_amount: taxes.vat,
+      wt_amount: taxes.wt,
+      total_amount: taxes.total,
+      status: 'pending',
+      requested_by: requestedBy,
+      requested_at: now,
+      last_updated: now,
+      updated_by: requestedBy,
+    }, { transaction: t });
+    return presentMemo(row.get({ plain: true }));
+  });
+}
+
+/** pending → approved | rejected; the status is part of the WHERE so a memo is decided once */
+async function decide(memoId, status, fields, { transaction }) {
+  const [count] = await BillingMemo.update({ status, ...fields }, {
+    where: { memo_id: memoId, status: 'pending' },
+    transaction,
+  });
+  if (!count) throw httpError(409, 'Memo is not pending');
+}
+
+/**
+ * Approve a memo: from its memo date (today) it counts toward the tenant bill's
+ * balance, penalties and the tenant ledger, and the next billing's statement prints it.
+ * The billing must still be posted.
+ */
+async function approveMemo(memoId, { note, updatedBy = 'system' } = {}) {
+  return sequelize.transaction(async (t) => {
+    const memo = await BillingMemo.findOne({ where: { memo_id: memoId }, transaction: t, raw: true });
+    if (!memo) throw httpError(404, 'Memo not found');
+
+    const header = await Billing.findOne({
+      where: { building_billing_id: memo.building_billing_id },
+      attributes: ['billing_status'],
+      transaction: t,
+      raw: true,
+    });
+    if (header?.billing_status !== 'posted') {
+      throw httpError(409, `Building billing is ${header?.billing_status ?? 'gone'}; reject the memo instead.`);
+    }
+
+    const now = getCurrentDateTime();
+    await decide(memoId, 'approved', {
+      approved_by: updatedBy,
+      approved_at: now,
+      memo_date: todayYMD(),
+      review_note: note ? String(note).trim().slice(0, 255) : null,
+      last_updated: now,
+      updated_by: updatedBy,
+    }, { transaction: t });
+
+    await refreshTenantBills([memo], { updatedBy, transaction: t });
+    const approved = await BillingMemo.findOne({ where: { memo_id: memoId }, transaction: t, raw: true });
+    return presentMemo(approved);
+  });
+}
+
+/** Reject a pending memo; nothing is charged or credited */
+async function rejectMemo(memoId, { note, updatedBy = 'system' } = {}) {
+  return sequelize.transaction(async (t) => {
+    const exists = await BillingMemo.count({ where: { memo_id: memoId }, transaction: t });
+    if (!exists) throw httpError(404, 'Memo not found');
+    const now = getCurrentDateTime();
+    await decide(memoId, 'rejected', {
+      approved_by: updatedBy, // who decided
+      approved_at: now,
+      review_note: note ? String(note).trim().slice(0, 255) : null,
+      last_updated: now,
+      updated_by: updatedBy,
+    }, { transaction: t });
+    const rejected = await BillingMemo.findOne({ where: { memo_id: memoId }, transaction: t, raw: true });
+    return presentMemo(rejected);
+  });
+}
+
+/**
+ * Put the building's approved memos not printed yet on the statements of a billing,
+ * inside the caller's transaction. Only memos of bills that ended before this billing
+ * starts are taken; memos it held before (a recomputed draft) stay with it.
+ */
+async function claimMemosForStatement(header, { updatedBy = 'system', transaction } = {}) {
+  await BillingMemo.update({
+    statement_billing_id: header.building_billing_id,
+    last_updated: getCurrentDateTime(),
+    updated_by: updatedBy,
+  }, {
+    where: {
+      building_id: header.building_id,
+      status: 'approved',
+      statement_billing_id: null,
+      original_period_end: { [Op.lt]: header.period_start },
+    },
+    transaction,
+  });
+}
+
+/** Memos a billing was to print go back to wait for the next one (draft deleted or billing voided) */
+async function releaseMemos(buildingBillingId, { updatedBy = 'system', transaction } = {}) {
+  await BillingMemo.update({
+    statement_billing_id: null,
+    last_updated: getCurrentDateTime(),
+    updated_by: updatedBy,
+  }, {
+    where: { statement_billing_id: buildingBillingId },
+    transaction,
+  });
+}
+
+module.exports = {
+  MEMO_TYPES,
+  MEMO_STATUSES,
+  MEMO_REASON_CODES,
+  TAX_TREATMENTS,
+  presentMemo,
+  requestMemo,
+  approveMemo,
+  rejectMemo,
+  claimMemosForStatement,
+  releaseMemos,
+};
@@ -0,0 +1,175 @@
+// utils/billingWorkflow.js
+'use strict';
+
+const { Op } = require('sequelize');
+
+const sequelize         = require('../models');
+const Billing           = require('../models/Billing');
+const BillingMeterIndex = require('../models/BillingMeterIndex');
+const TenantBill        = require('../models/TenantBill');
+const PaymentAllocation = require('../models/PaymentAllocation');
+const getCurrentDateTime = require('./getCurrentDateTime');
+const { releaseAdjustments, cancelAdjustmentsOf } = require('./billingAdjustments');
+const { releaseMemos } = require('./billingMemos');
+
+const BILLING_STATUSES = ['draft', 'reviewed', 'approved', 'posted', 'void'];
+
+// Roles allowed to approve a reviewed billing (comma-separated, e.g. "admin,biller")
+const BILLING_APPROVER_ROLES = String(process.env.BILLING_APPROVER_ROLES || 'admin')
+  .split(',')
+  .map(r => r.trim().toLowerCase())
+  .filter(Boolean);
+
+function httpError(status, msg) {
+  const err = new Error(msg);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Move a billing from one of `from` to `to`, stamping the given fields.
+ * The status is part of the WHERE, so two requests racing on the same step
+ * cannot both win: the loser gets a 409.
+ */
+async function transition(buildingBillingId, from, to, fields, { transaction } = {}) {
+  const header = await Billing.findOne({ where: { building_billing_id: buildingBillingId }, transaction });
+  if (!header) throw httpError(404, 'Building billing not found.');
+  if (!from.includes(header.billing_status)) {
+    throw httpError(409, `Building billing is ${header.billing_status}; it must be ${from.join(' or ')} to become ${to}.`);
+  }
+
+  const [count] = await Billing.update(
+    { billing_status: to, ...fields },
+    { where: { building_billing_id: buildingBillingId, billing_status: header.billing_status }, transaction }
+  );
+  if (!count) throw httpError(409, 'Building billing was changed by another request.');
+  return Billing.findOne({ where: { building_billing_id: buildingBillingId }, transaction });
+}
+
+/** draft → reviewed */
+function reviewBilling(buildingBillingId, { updatedBy = 'system' } = {}) {
+  const now = getCurrentDateTime();
+  return transition(buildingBillingId, ['draft'], 'reviewed', {
+    reviewed_at: now,
+    reviewed_by: updatedBy,
+    last_updated: now,
+    updated_by: updatedBy,
+  });
+}
+
+/** reviewed → approved (route restricts the caller to BILLING_APPROVER_ROLES) */
+function approveBilling(buildingBillingId, { updatedBy = 'system' } = {}) {
+  const now = getCurrentDateTime();
+  return transition(buildingBillingId, ['reviewed'], 'approved', {
+    approved_at: now,
+    approved_by: updatedBy,
+    last_updated: now,
+    updated_by: updatedBy,
+  });
+}
+
+/** approved → posted: from now on it counts toward balances, penalties and reports */
+function postBilling(buildingBillingId, { updatedBy = 'system' } = {}) {
+  const now = getCurrentDateTime();
+  return transition(buildingBillingId, ['approved'], 'posted', {
+    posted_at: now,
+    posted_by: updatedBy,
+    last_updated: now,
+    updated_by: updatedBy,
+  });
+}
+
+/** reviewed | approved → draft, clearing the review and approval so it can be recomputed */
+function reopenBilling(buildingBillingId, { updatedBy = 'system' } = {}) {
+  return transition(buildingBillingId, ['reviewed', 'approved'], 'draft', {
+    reviewed_at: null,
+    reviewed_by: null,
+    approved_at: null,
+    approved_by: null,
+    last_updated: getCurrentDateTime(),
+    updated_by: updatedBy,
+  });
+}
+
+/**
+ * posted → void. The header, its snapshot and its tenant bills stay on record
+ * (numbered invoices keep their numbers and are voided with the same reason);
+ * the meter windows are released so the period can be billed again.
+ * Billings with payments allocated are refused.
+ */
+async function voidBilling(buildingBillingId, { reason, updatedBy = 'system' } = {}) {
+  const why = String(reason ?? '').trim();
+  if (!why) throw httpError(400, 'void_reason is required');
+  if (why.length > 255) throw httpError(400, 'void_reason must be at most 255 characters');
+
+  return sequelize.transaction(async (t) => {
+    const allocated = await PaymentAllocation.count({ where: { building_billing_id: buildingBillingId }, transaction: t });
+    if (allocated > 0) {
+      throw httpError(409, 'Payments are allocated to this building billing; move them off before voiding it.');
+    }
+
+    const now = getCurrentDateTime();
+    const header = await transition(buildingBillingId, ['posted'], 'void', {
+      voided_at: now,
+      voided_by: updatedBy,
+      void_reason: why,
+      last_updated: now,
+      updated_by: updatedBy,
+    }, { transaction: t });
+
+    await TenantBill.update({
+      invoice_status: 'void',
+      voided_at: now,
+      voided_by: updatedBy,
+      void_reason: why,
+      last_updated: now,
+      updated_by: updatedBy,
+    }, {
+      where: { building_billing_id: buildingBillingId, invoice_status: { [Op.ne]: 'void' } },
+      transaction: t,
+    });
+    await BillingMeterIndex.destroy({ where: { building_billing_id: buildingBillingId }, transaction: t });
+
+    // Adjustments it carried wait for the next bill again; those raised against it lapse
+    await releaseAdjustments(buildingBillingId, { updatedBy, transaction: t });
+    await cancelAdjustmentsOf(buildingBillingId, { updatedBy, transaction: t });
+    // memos it was to print wait for the next statement; memos against its bills lapse with them
+    await releaseMemos(buildingBillingId, { updatedBy, transaction: t });
+    return header;
+  });
+}
+
+/** 409 unless the billing is still a draft (recompute) */
+function assertDraft(header) {
+  if (header.billing_status !== 'draft') {
+    throw httpError(409, `Building billing is ${header.billing_status}; only drafts can be recomputed (reopen it first).`);
+  }
+}
+
+/** Workflow fields of a header, for API output */
+function presentWorkflow(header) {
+  return {
+    billing_status: header.billing_status,
+    reviewed_at: header.reviewed_at ?? null,
+    reviewed_by: header.reviewed_by ?? null,
+    approved_at: header.approved_at ?? null,
+    approved_by: header.approved_by ?? null,
+    posted_at: header.posted_at ?? null,
+    posted_by: header.posted_by ?? null,
+    voided_at: header.voided_at ?? null,
+    voided_by: header.voided_by ?? null,
+    void_reason: header.void_reason ?? null,
+  };
+}
+
+module.exports = {
+  BILLING_STATUSES,
+  BILLING_APPROVER_ROLES,
+  reviewBilling,
+  approveBilling,
+  postBilling,
+  reopenBilling,
+  voidBilling,
+  assertDraft,
+  presentWorkflow,
+};
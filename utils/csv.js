@@ -0,0 +1,21 @@
+// utils/csv.js
+'use strict';
+
+/** Quote a value for CSV (RFC 4180): wrap in quotes when it holds a comma, quote or line break */
+function csvCell(v) {
+  if (v === null || v === undefined) return '';
+  const s = String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * rows → CSV text
+ * columns: [{ key, header }] — header defaults to key
+ */
+function toCsv(columns, rows) {
+  const lines = [columns.map(c => csvCell(c.header ?? c.key)).join(',')];
+  for (const r of rows) lines.push(columns.map(c => csvCell(r[c.key])).join(','));
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = { csvCell, toCsv };
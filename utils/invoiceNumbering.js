@@ -0,0 +1,210 @@
+// utils/invoiceNumbering.js
+'use strict';
+
+const { Op } = require('sequelize');
+
+const sequelize     = require('../models');
+const InvoiceSeries = require('../models/InvoiceSeries');
+const Billing       = require('../models/Billing');
+const TenantBill    = require('../models/TenantBill');
+const PaymentAllocation = require('../models/PaymentAllocation');
+const getCurrentDateTime = require('./getCurrentDateTime');
+
+const INVOICE_STATUSES = ['draft', 'finalized', 'void'];
+
+function httpError(status, msg) {
+  const err = new Error(msg);
+  err.status = status;
+  return err;
+}
+
+/** Generate next INVS-<n> (cross-dialect; MSSQL-safe) */
+async function generateSeriesId(t) {
+  const rows = await InvoiceSeries.findAll({
+    where: { series_id: { [Op.like]: 'INVS-%' } },
+    attributes: ['series_id'],
+    transaction: t,
+    raw: true
+  });
+  const maxNum = rows.reduce((max, r) => {
+    const m = String(r.series_id).match(/^INVS-(\d+)$/);
+    return m ? Math.max(max, Number(m[1])) : max;
+  }, 0);
+  return `INVS-${maxNum + 1}`;
+}
+
+/** The series a new building starts with: <building_id>-000001, ... */
+async function createDefaultSeries(buildingId, { updatedBy = 'system', transaction } = {}) {
+  return InvoiceSeries.create({
+    series_id: await generateSeriesId(transaction),
+    building_id: buildingId,
+    prefix: `${buildingId}-`,
+    pad_length: 6,
+    next_number: 1,
+    is_default: true,
+    description: 'Default series',
+    last_updated: getCurrentDateTime(),
+    updated_by: updatedBy,
+  }, { transaction });
+}
+
+/** prefix + zero-padded sequence, e.g. BLDG-1-000042 */
+function formatInvoiceNo(series, seq) {
+  return `${series.prefix}${String(seq).padStart(Number(series.pad_length) || 0, '0')}`;
+}
+
+/**
+ * Series a building's bills are numbered from: the one asked for (it must belong to
+ * the building or be shared), otherwise the building's default series.
+ */
+async function resolveSeries(buildingId, seriesId = null, { transaction } = {}) {
+  if (seriesId) {
+    const series = await InvoiceSeries.findOne({ where: { series_id: seriesId }, transaction, raw: true });
+    if (!series) throw httpError(404, 'Invoice series not found');
+    if (series.building_id && series.building_id !== buildingId) {
+      throw httpError(400, `Invoice series ${seriesId} belongs to another building`);
+    }
+    return series;
+  }
+  const series = await InvoiceSeries.findOne({
+    where: { building_id: buildingId, is_default: true },
+    order: [['series_id', 'ASC']],
+    transaction,
+    raw: true,
+  });
+  if (!series) throw httpError(409, `No default invoice series for building ${buildingId}`);
+  return series;
+}
+
+/**
+ * Reserve `count` consecutive numbers of a series inside the caller's transaction.
+ * The increment runs first, so the row stays locked until commit: concurrent
+ * finalizations queue behind it and a rollback hands the numbers back (no gaps).
+ */
+async function takeNumbers(seriesId, count, { transaction }) {
+  await InvoiceSeries.increment('next_number', { by: count, where: { series_id: seriesId }, transaction });
+  const series = await InvoiceSeries.findOne({ where: { series_id: seriesId }, transaction, raw: true });
+  const first = Number(series.next_number) - count;
+  return Array.from({ length: count }, (_, i) => ({
+    invoice_seq: first + i,
+    invoice_no: formatInvoiceNo(series, first + i),
+  }));
+}
+
+/**
+ * Finalize draft tenant bills: each takes the next number of the series in
+ * tenant_bill_id order. Bills that are already finalized or void are left alone;
+ * bills of a billing that is not posted yet are refused (409).
+ * Returns the bills numbered by this call.
+ */
+async function finalizeTenantBills(tenantBillIds, { seriesId = null, updatedBy = 'system' } = {}) {
+  return sequelize.transaction(async (t) => {
+    const bills = await TenantBill.findAll({
+      where: { tenant_bill_id: { [Op.in]: tenantBillIds }, invoice_status: 'draft' },
+      transaction: t,
+    });
+    if (!bills.length) return [];
+
+    // Only posted billings are invoiced
+    const headers = await Billing.findAll({
+      where: { building_billing_id: { [Op.in]: [...new Set(bills.map(b => b.building_billing_id))] } },
+      attributes: ['building_billing_id', 'billing_status'],
+      transaction: t,
+      raw: true,
+    });
+    const unposted = headers.find(h => h.billing_status !== 'posted');
+    if (unposted) {
+      throw httpError(409, `Building billing ${unposted.building_billing_id} is ${unposted.billing_status}; post it before finalizing its invoices.`);
+    }
+
+    // Claim each bill while it is still a draft: the guarded update locks the row, so a
+    // concurrent finalize waits and then finds it finalized (0 rows) instead of renumbering it
+    const now = getCurrentDateTime();
+    const claimed = [];
+    for (const bill of bills) {
+      const [count] = await TenantBill.update({
+        invoice_status: 'finalized',
+        finalized_at: now,
+        finalized_by: updatedBy,
+        last_updated: now,
+        updated_by: updatedBy,
+      }, {
+        where: { tenant_bill_id: bill.tenant_bill_id, invoice_status: 'draft' },
+        transaction: t,
+      });
+      if (count) claimed.push(bill);
+    }
+
+    // One series per building (the default unless asked otherwise); numbers only for claimed bills
+    const byBuilding = new Map();
+    for (const b of claimed) {
+      if (!byBuilding.has(b.building_id)) byBuilding.set(b.building_id, []);
+      byBuilding.get(b.building_id).push(b);
+    }
+
+    const numbered = [];
+    for (const [buildingId, list] of byBuilding) {
+      const series = await resolveSeries(buildingId, seriesId, { transaction: t });
+      list.sort((a, b) => a.tenant_bill_id.localeCompare(b.tenant_bill_id, undefined, { numeric: true }));
+      const numbers = await takeNumbers(series.series_id, list.length, { transaction: t });
+
+      for (const [i, bill] of list.entries()) {
+        await TenantBill.update({
+          series_id: series.series_id,
+          ...numbers[i],
+        }, {
+          where: { tenant_bill_id: bill.tenant_bill_id, invoice_status: 'finalized', invoice_no: null },
+          transaction: t,
+        });
+        await bill.reload({ transaction: t });
+        numbered.push(bill.get({ plain: true }));
+      }
+    }
+    return numbered;
+  });
+}
+
+/**
+ * Void a finalized invoice. It keeps its number (the series stays gap-free) and
+ * records who voided it, when and why. Invoices with payments allocated are refused.
+ */
+async function voidTenantBill(tenantBillId, { reason, updatedBy = 'system' } = {}) {
+  const why = String(reason ?? '').trim();
+  if (!why) throw httpError(400, 'void_reason is required');
+  if (why.length > 255) throw httpError(400, 'void_reason must be at most 255 characters');
+
+  return sequelize.transaction(async (t) => {
+    const bill = await TenantBill.findOne({ where: { tenant_bill_id: tenantBillId }, transaction: t });
+    if (!bill) throw httpError(404, 'Tenant bill not found');
+    if (bill.invoice_status === 'void') throw httpError(409, `Invoice ${bill.invoice_no} is already void`);
+    if (bill.invoice_status !== 'finalized') throw httpError(409, 'Only finalized invoices can be voided');
+
+    const allocated = await PaymentAllocation.count({
+      where: { building_billing_id: bill.building_billing_id, tenant_id: bill.tenant_id },
+      transaction: t,
+    });
+    if (allocated > 0) throw httpError(409, `Payments are allocated to invoice ${bill.invoice_no}; it cannot be voided`);
+
+    const now = getCurrentDateTime();
+    await bill.update({
+      invoice_status: 'void',
+      voided_at: now,
+      voided_by: updatedBy,
+      void_reason: why,
+      last_updated: now,
+      updated_by: updatedBy,
+    }, { transaction: t });
+    return bill.get({ plain: true });
+  });
+}
+
+module.exports = {
+  INVOICE_STATUSES,
+  generateSeriesId,
+  createDefaultSeries,
+  formatInvoiceNo,
+  resolveSeries,
+  takeNumbers,
+  finalizeTenantBills,
+  voidTenantBill,
+};
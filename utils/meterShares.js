@@ -0,0 +1,152 @@
+// utils/meterShares.js
+'use strict';
+
+const { Op } = require('sequelize');
+
+const sequelize = require('../models');
+const Meter = require('../models/Meter');
+const Stall = require('../models/Stall');
+const MeterStallShare = require('../models/MeterStallShare');
+const getCurrentDateTime = require('./getCurrentDateTime');
+const { dec } = require('./money');
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/** Share rows of the given meters: Map meter_id → [{ stall_id, share_pct (Number) }] */
+async function loadMeterShares(meterIds, { transaction } = {}) {
+  const out = new Map();
+  if (!meterIds.length) return out;
+  const rows = await MeterStallShare.findAll({
+    where: { meter_id: { [Op.in]: meterIds } },
+    attributes: ['meter_id', 'stall_id', 'share_pct'],
+    order: [['meter_id', 'ASC'], ['stall_id', 'ASC']],
+    transaction,
+    raw: true,
+  });
+  for (const r of rows) {
+    if (!out.has(r.meter_id)) out.set(r.meter_id, []);
+    out.get(r.meter_id).push({ stall_id: r.stall_id, share_pct: Number(r.share_pct) });
+  }
+  return out;
+}
+
+/**
+ * What a tenant/building run bills on the given stalls: one target per (meter, stall).
+ * A meter without shares is billed whole on its own stall (share_pct null); a shared meter
+ * once per share on one of these stalls, wherever its home stall is.
+ * Returns [{ meter, stall_id, share_pct }].
+ */
+async function loadStallMeterTargets(stallIds, attributes) {
+  if (!stallIds.length) return [];
+  const sharedIn = await MeterStallShare.findAll({
+    where: { stall_id: { [Op.in]: stallIds } },
+    attributes: ['meter_id'],
+    raw: true,
+  });
+  const meters = await Meter.findAll({
+    where: {
+      [Op.or]: [
+        { stall_id: { [Op.in]: stallIds } },
+        ...(sharedIn.length ? [{ meter_id: { [Op.in]: [...new Set(sharedIn.map(s => s.meter_id))] } }] : []),
+      ],
+    },
+    attributes,
+    raw: true,
+  });
+  const shares = await loadMeterShares(meters.map(m => m.meter_id));
+  const inScope = new Set(stallIds);
+
+  const targets = [];
+  for (const meter of meters) {
+    const mine = shares.get(meter.meter_id);
+    if (!mine) {
+      if (inScope.has(meter.stall_id)) targets.push({ meter, stall_id: meter.stall_id, share_pct: null });
+      continue;
+    }
+    for (const s of mine) {
+      if (inScope.has(s.stall_id)) targets.push({ meter, stall_id: s.stall_id, share_pct: s.share_pct });
+    }
+  }
+  return targets;
+}
+
+/**
+ * Replace the shares of a tenant meter. shares = [{ stall_id, share_pct }]:
+ * two or more distinct stalls of the meter's building, each share > 0, summing to exactly
+ * 100 and including the meter's home stall. An empty list bills the meter whole again.
+ * Returns the stored shares.
+ */
+async function replaceMeterShares(meterId, shares, { updatedBy = 'system' } = {}) {
+  if (!Array.isArray(shares)) throw httpError(400, 'shares must be an array of { stall_id, share_pct }');
+
+  const meter = await Meter.findOne({
+    where: { meter_id: meterId },
+    attributes: ['meter_id', 'stall_id', 'meter_role'],
+    raw: true,
+  });
+  if (!meter) throw httpError(404, 'Meter not found');
+  if ((meter.meter_role || 'tenant') !== 'tenant') {
+    throw httpError(409, `A ${meter.meter_role} meter cannot be shared between stalls`);
+  }
+
+  const rows = shares.map((s, i) => {
+    const stallId = String(s?.stall_id ?? '').trim();
+    const pct = Number(s?.share_pct);
+    if (!stallId) throw httpError(400, `shares[${i}].stall_id is required`);
+    if (!Number.isFinite(pct) || pct <= 0 || pct > 100) {
+      throw httpError(400, `shares[${i}].share_pct must be a number above 0 and up to 100`);
+    }
+    if (!dec(pct).eq(dec(pct).toDecimalPlaces(4))) {
+      throw httpError(400, `shares[${i}].share_pct has more than 4 decimals`);
+    }
+    return { stall_id: stallId, share_pct: pct };
+  });
+
+  if (rows.length) {
+    if (rows.length < 2) throw httpError(400, 'A shared meter needs at least two stalls');
+    const ids = rows.map(r => r.stall_id);
+    if (new Set(ids).size !== ids.length) throw httpError(400, 'Each stall may appear only once');
+    const total = rows.reduce((acc, r) => acc.plus(dec(r.share_pct)), dec(0));
+    if (!total.eq(100)) throw httpError(400, `Shares must sum to 100 (got ${total.toString()})`);
+    if (!ids.includes(meter.stall_id)) {
+      throw httpError(400, `Shares must include the meter's own stall ${meter.stall_id}`);
+    }
+
+    const stalls = await Stall.findAll({
+      where: { stall_id: { [Op.in]: [...ids, meter.stall_id] } },
+      attributes: ['stall_id', 'building_id'],
+      raw: true,
+    });
+    const buildingOf = new Map(stalls.map(s => [s.stall_id, String(s.building_id)]));
+    const missing = ids.find(id => !buildingOf.has(id));
+    if (missing) throw httpError(400, `Invalid stall_id: Stall ${missing} does not exist.`);
+    const home = buildingOf.get(meter.stall_id);
+    const outside = ids.find(id => buildingOf.get(id) !== home);
+    if (outside) throw httpError(400, `Stall ${outside} is not in the meter's building`);
+  }
+
+  const now = getCurrentDateTime();
+  await sequelize.transaction(async (t) => {
+    await MeterStallShare.destroy({ where: { meter_id: meterId }, transaction: t });
+    if (rows.length) {
+      await MeterStallShare.bulkCreate(rows.map(r => ({
+        meter_id: meterId,
+        stall_id: r.stall_id,
+        share_pct: r.share_pct,
+        last_updated: now,
+        updated_by: updatedBy,
+      })), { transaction: t });
+    }
+  });
+  return (await loadMeterShares([meterId])).get(meterId) || [];
+}
+
+module.exports = {
+  loadMeterShares,
+  loadStallMeterTargets,
+  replaceMeterShares,
+};
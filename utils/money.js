@@ -0,0 +1,75 @@
+// utils/money.js
+'use strict';
+
+const Decimal = require('decimal.js');
+
+/**
+ * Exact decimal arithmetic for amounts and consumption.
+ * Values stay Decimal while they are computed and are only rounded for display / storage.
+ *
+ * BILLING_ROUNDING=half_up (default) | half_even (banker's rounding; "bankers" also accepted)
+ */
+const ROUNDING_MODES = {
+  half_up:   Decimal.ROUND_HALF_UP,
+  half_even: Decimal.ROUND_HALF_EVEN,
+};
+
+function resolveRoundingMode(name) {
+  const key = String(name || 'half_up').toLowerCase().replace(/[-\s]/g, '_');
+  if (key === 'bankers' || key === 'banker' || key === 'banker_s') return 'half_even';
+  if (ROUNDING_MODES[key] !== undefined) return key;
+  const err = new Error('BILLING_ROUNDING must be one of: half_up, half_even (bankers)');
+  err.status = 500;
+  throw err;
+}
+
+const ROUNDING = resolveRoundingMode(process.env.BILLING_ROUNDING);
+
+const Money = Decimal.clone({ precision: 40, rounding: ROUNDING_MODES[ROUNDING] });
+
+const isBlank = (v) => v === null || v === undefined || v === '';
+
+/** Any number / numeric string / Decimal → Money; blanks and non-numbers count as 0 */
+function dec(v) {
+  if (v instanceof Decimal) return new Money(v);
+  if (isBlank(v)) return new Money(0);
+  try {
+    const d = new Money(typeof v === 'number' ? v : String(v).trim());
+    return d.isFinite() ? d : new Money(0);
+  } catch {
+    return new Money(0);
+  }
+}
+
+/** Round to dp places with the configured mode; stays Decimal */
+function roundDec(v, dp = 2) {
+  return dec(v).toDecimalPlaces(dp, ROUNDING_MODES[ROUNDING]);
+}
+
+/** Round to dp places and return a Number (null stays null, like the old float round) */
+function roundNum(v, dp = 2) {
+  if (isBlank(v) || Number.isNaN(Number(v))) return null;
+  return roundDec(v, dp).toNumber();
+}
+
+/** Exact sum of a list of values */
+function sum(values) {
+  return (values || []).reduce((acc, v) => acc.plus(dec(v)), new Money(0));
+}
+
+/** Unrounded value as a string (safe to keep in JSON without float drift) */
+function toExact(v) {
+  return dec(v).toFixed();
+}
+
+module.exports = {
+  Money,
+  ROUNDING,
+  ROUNDING_MODES,
+  resolveRoundingMode,
+  dec,
+  roundDec,
+  roundNum,
+  sum,
+  toExact,
+};
@@ -0,0 +1,242 @@
+// utils/penaltyEngine.js
+'use strict';
+
+const { Op } = require('sequelize');
+
+const sequelize     = require('../models');
+const Billing       = require('../models/Billing');
+const BillingMemo   = require('../models/BillingMemo');
+const PenaltyCharge = require('../models/PenaltyCharge');
+const Payment       = require('../models/Payment');
+const PaymentAllocation = require('../models/PaymentAllocation');
+const TenantBill    = require('../models/TenantBill');
+const getCurrentDateTime = require('./getCurrentDateTime');
+const { todayYMD } = require('./rateHistory');
+const { dec, roundDec, sum } = require('./money');
+const { memoAmount, refreshTenantBills } = require('./tenantLedger');
+
+const PENALTY_METHODS = ['one_time', 'monthly_compound'];
+
+const DAY_MS  = 24 * 60 * 60 * 1000;
+const isYMD   = (s) => typeof s === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(s);
+const fromYMD = (s) => new Date(String(s).slice(0, 10) + 'T00:00:00Z');
+const ymd     = (d) => d.toISOString().slice(0, 10);
+const addDays = (s, n) => ymd(new Date(fromYMD(s).getTime() + n * DAY_MS));
+
+/** Same day n months later (clamped to the end of a shorter month) */
+function addMonths(s, n) {
+  const d = fromYMD(s);
+  const target = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + n, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(d.getUTCDate(), lastDay));
+  return ymd(target);
+}
+
+/** Due date of a billing period under a payment term */
+function computeDueDate(periodEnd, paymentTermDays) {
+  return addDays(periodEnd, Math.max(0, Number(paymentTermDays) || 0));
+}
+
+/**
+ * Dates on which penalties fall on a billing, up to asOfDate.
+ * The first one is the day after due date + grace; monthly compounding repeats it every month.
+ */
+function assessmentDates({ due_date, grace_period_days, penalty_method }, asOfDate) {
+  if (!due_date) return [];
+  const first = addDays(due_date, (Number(grace_period_days) || 0) + 1);
+  const dates = [];
+  for (let n = 0; ; n++) {
+    const d = addMonths(first, n);
+    if (d > asOfDate) break;
+    dates.push(d);
+    if (penalty_method !== 'monthly_compound') break;
+  }
+  return dates;
+}
+
+/** percent points (2 = 2%); values under 1 are already a fraction, as in the billing engine */
+const headerRate = (pct) => (pct >= 1 ? dec(pct).div(100) : dec(pct));
+
+/**
+ * Tenant bills of a stored billing that are subject to penalties, with their billed amount
+ * and rate: the bill's own penalty_rate_pct (percent points, from its utilities' rates) or,
+ * on bills stored before per-utility rates, the header's.
+ */
+async function penalizedTenants(header, transaction) {
+  const bills = await TenantBill.findAll({
+    where: {
+      building_billing_id: header.building_billing_id,
+      for_penalty: true,
+      invoice_status: { [Op.ne]: 'void' },
+    },
+    attributes: ['tenant_id', 'total_amount', 'penalty_rate_pct'],
+    transaction,
+    raw: true,
+  });
+  const fallbackPct = Number(header.penalty_rate_pct) || 0;
+  return bills.map((b) => {
+    const own = b.penalty_rate_pct === null || b.penalty_rate_pct === undefined;
+    return {
+      tenant_id: b.tenant_id,
+      billed: dec(b.total_amount),
+      ratePct: own ? fallbackPct : Number(b.penalty_rate_pct),
+      rate: own ? headerRate(fallbackPct) : dec(b.penalty_rate_pct).div(100),
+    };
+  });
+}
+
+/** Generate the next PEN-<n> ids for a run (cross-dialect scan, then increment locally) */
+async function makePenaltyIdGenerator(t) {
+  const rows = await PenaltyCharge.findAll({
+    where: { penalty_id: { [Op.like]: 'PEN-%' } },
+    attributes: ['penalty_id'],
+    transaction: t,
+    raw: true
+  });
+  let maxNum = rows.reduce((max, r) => {
+    const m = String(r.penalty_id).match(/^PEN-(\d+)$/);
+    return m ? Math.max(max, Number(m[1])) : max;
+  }, 0);
+  return () => `PEN-${++maxNum}`;
+}
+
+/**
+ * Post every penalty that has fallen due on or before asOfDate and is not posted yet
+ * (posted billings only).
+ * "Paid" counts the allocations of payments received before the assessment date and
+ * "memos" the credit/debit memos approved before it (debit − credit).
+ *  - one_time:         basis = billed amount + memos − paid, charged once
+ *  - monthly_compound: basis = billed amount + memos + penalties already posted − paid, every month
+ * Safe to re-run: a (billing, tenant, sequence_no) that already has a charge is skipped.
+ * Runs are serialized (see assessPenalties below): PEN-<n> ids come from one scan per run.
+ * Returns the charges created by this run.
+ */
+async function runAssessment({ asOfDate = todayYMD(), buildingIds = null, updatedBy = 'system' } = {}) {
+  if (!isYMD(asOfDate)) {
+    const err = new Error('Invalid as_of date. Use YYYY-MM-DD.');
+    err.status = 400;
+    throw err;
+  }
+
+  const where = { billing_status: 'posted', due_date: { [Op.ne]: null, [Op.lt]: asOfDate } };
+  if (Array.isArray(buildingIds)) where.building_id = { [Op.in]: buildingIds };
+  const headers = await Billing.findAll({ where, order: [['due_date', 'ASC']] });
+
+  return sequelize.transaction(async (t) => {
+    const nextId = await makePenaltyIdGenerator(t);
+    const now = getCurrentDateTime();
+    const created = [];
+
+    for (const header of headers) {
+      const dates = assessmentDates(header, asOfDate);
+      if (!dates.length) continue;
+
+      const posted = await PenaltyCharge.findAll({
+        where: { building_billing_id: header.building_billing_id },
+        transaction: t,
+        raw: true
+      });
+      const allocations = await PaymentAllocation.findAll({
+        where: { building_billing_id: header.building_billing_id },
+        include: [{ model: Payment, as: 'payment', attributes: ['payment_date'] }],
+        transaction: t,
+      });
+      const memos = await BillingMemo.findAll({
+        where: { building_billing_id: header.building_billing_id, status: 'approved' },
+        attributes: ['tenant_id', 'memo_type', 'total_amount', 'memo_date'],
+        transaction: t,
+        raw: true,
+      });
+
+      for (const tenant of await penalizedTenants(header, t)) {
+        const { rate, ratePct } = tenant;
+        if (rate.lte(0)) continue;
+        const mine = posted.filter(p => p.tenant_id === tenant.tenant_id);
+        const bySeq = new Map(mine.map(p => [Number(p.sequence_no), p]));
+        const paidBefore = (date) => sum(allocations
+          .filter(a => a.tenant_id === tenant.tenant_id && a.payment && a.payment.payment_date < date)
+          .map(a => a.amount));
+        const memosBefore = (date) => sum(memos
+          .filter(m => m.tenant_id === tenant.tenant_id && m.memo_date < date)
+          .map(memoAmount));
+        let accrued = dec(0);
+
+        for (let i = 0; i < dates.length; i++) {
+          const seq = i + 1;
+          const existing = bySeq.get(seq);
+          if (existing) { accrued = accrued.plus(dec(existing.amount)); continue; }
+
+          const paid = paidBefore(dates[i]);
+          const owed = tenant.billed.plus(memosBefore(dates[i]));
+          const basis = header.penalty_method === 'monthly_compound'
+            ? owed.plus(accrued).minus(paid)
+            : owed.minus(paid);
+          if (basis.lte(0)) break;
+
+          const amount = roundDec(basis.times(rate));
+          if (amount.lte(0)) break;
+
+          const row = await PenaltyCharge.create({
+            penalty_id: nextId(),
+            building_billing_id: header.building_billing_id,
+            building_id: header.building_id,
+            tenant_id: tenant.tenant_id,
+            sequence_no: seq,
+            assessed_on: dates[i],
+            method: header.penalty_method,
+            basis_amount: roundDec(basis).toNumber(),
+            penalty_rate_pct: ratePct,
+            amount: amount.toNumber(),
+            last_updated: now,
+            updated_by: updatedBy,
+          }, { transaction: t });
+          created.push(row.get({ plain: true }));
+          accrued = accrued.plus(amount);
+        }
+      }
+    }
+    await refreshTenantBills(created, { updatedBy, transaction: t });
+    return created;
+  });
+}
+
+// Tail of the assessment queue: the scheduler and POST /penalties/assess never overlap
+let assessing = Promise.resolve();
+
+/** Queue an assessment behind any run in progress (same options and result as runAssessment) */
+function assessPenalties(options = {}) {
+  const run = assessing.then(() => runAssessment(options));
+  assessing = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Run assessPenalties once a day (PENALTY_ASSESS_INTERVAL_HOURS, default 24; 0 disables).
+ * The first run waits for the database connection; without one it is left to the next tick.
+ * Only failures are logged; the next tick simply tries again.
+ */
+function startPenaltyScheduler() {
+  const hours = process.env.PENALTY_ASSESS_INTERVAL_HOURS === undefined
+    ? 24
+    : Number(process.env.PENALTY_ASSESS_INTERVAL_HOURS);
+  if (!Number.isFinite(hours) || hours <= 0) return null;
+
+  const run = () => assessPenalties()
+    .catch((err) => console.error('Penalty assessment error:', err));
+
+  sequelize.authenticate()
+    .then(run)
+    .catch((err) => console.error('Penalty assessment deferred (database unavailable):', err));
+
+  const timer = setInterval(run, hours * 60 * 60 * 1000);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  PENALTY_METHODS,
+  computeDueDate,
+  assessmentDates,
+  assessPenalties,
+  startPenaltyScheduler,
+};
@@ -0,0 +1,169 @@
+// utils/rateHistory.js
+'use strict';
+
+const { Op } = require('sequelize');
+
+const Building     = require('../models/Building');
+const BuildingRate = require('../models/BuildingRate');
+const getCurrentDateTime = require('./getCurrentDateTime');
+
+// Every rate column that is versioned in building_rate_history
+const RATE_FIELDS = [
+  'erate_perKwH',
+  'emin_con',
+  'wrate_perCbM',
+  'wmin_con',
+  'lrate_perKg',
+  'markup_rate',
+  'penalty_rate',
+  'emarkup_rate',
+  'wmarkup_rate',
+  'lmarkup_rate',
+  'epenalty_rate',
+  'wpenalty_rate',
+  'lpenalty_rate',
+];
+
+// Versioned with the rates: how each utility's markup is applied
+const MARKUP_TYPES = ['fixed', 'percent'];
+const MARKUP_TYPE_FIELDS = ['emarkup_type', 'wmarkup_type', 'lmarkup_type'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const isYMD = (s) => typeof s === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(s);
+const fromYMD = (s) => new Date(s + 'T00:00:00Z');
+const ymd = (d) => d.toISOString().slice(0, 10);
+const todayYMD = () => getCurrentDateTime().slice(0, 10);
+
+function pickRates(row) {
+  const out = {};
+  for (const f of RATE_FIELDS) out[f] = Number(row?.[f]) || 0;
+  for (const f of MARKUP_TYPE_FIELDS) out[f] = row?.[f] === 'percent' ? 'percent' : 'fixed';
+  return out;
+}
+
+/**
+ * Rates in force for a building on dateStr (latest effective_from <= dateStr).
+ * Falls back to the building_list columns when no history row covers the date.
+ * Returns null if the building does not exist.
+ */
+async function getRatesInForce(buildingId, dateStr, options = {}) {
+  const row = await BuildingRate.findOne({
+    where: { building_id: buildingId, effective_from: { [Op.lte]: dateStr } },
+    order: [['effective_from', 'DESC'], ['rate_history_id', 'DESC']],
+    transaction: options.transaction,
+    raw: true,
+  });
+  if (row) {
+    return {
+      building_id: buildingId,
+      ...pickRates(row),
+      effective_from: row.effective_from,
+      rate_history_id: row.rate_history_id,
+    };
+  }
+
+  const b = await Building.findOne({
+    where: { building_id: buildingId },
+    transaction: options.transaction,
+    raw: true,
+  });
+  if (!b) return null;
+  return { building_id: buildingId, ...pickRates(b), effective_from: null, rate_history_id: null };
+}
+
+/**
+ * Split [startDate, endDate] wherever a new rate row takes effect.
+ * Returns [{ start, end, days, rates }] — a single segment when no change falls inside.
+ */
+async function getRateSegments(buildingId, startDate, endDate) {
+  const opening = await getRatesInForce(buildingId, startDate);
+  if (!opening) return [];
+
+  const changes = await BuildingRate.findAll({
+    where: {
+      building_id: buildingId,
+      effective_from: { [Op.gt]: startDate, [Op.lte]: endDate },
+    },
+    order: [['effective_from', 'ASC'], ['rate_history_id', 'ASC']],
+    raw: true,
+  });
+
+  // Several changes on the same day: the last one recorded wins
+  const byDate = new Map();
+  for (const c of changes) byDate.set(c.effective_from, c);
+
+  const seg = (start, end, rates) => ({
+    start,
+    end,
+    days: Math.floor((fromYMD(end) - fromYMD(start)) / DAY_MS) + 1,
+    rates,
+  });
+
+  const segments = [];
+  let segStart = startDate;
+  let rates = opening;
+  for (const [date, row] of byDate) {
+    segments.push(seg(segStart, ymd(new Date(fromYMD(date).getTime() - DAY_MS)), rates));
+    segStart = date;
+    rates = {
+      building_id: buildingId,
+      ...pickRates(row),
+      effective_from: row.effective_from,
+      rate_history_id: row.rate_history_id,
+    };
+  }
+  segments.push(seg(segStart, endDate, rates));
+  return segments;
+}
+
+/**
+ * Append a rate row effective from effectiveFrom.
+ * Fields not in `changes` are carried over from the rates in force on that date,
+ * so every history row is a complete rate set.
+ */
+async function recordRateChange({ buildingId, effectiveFrom, changes, changedBy, transaction }) {
+  if (!isYMD(effectiveFrom)) {
+    const err = new Error('Invalid effective_from. Use YYYY-MM-DD.');
+    err.status = 400;
+    throw err;
+  }
+  const current = await getRatesInForce(buildingId, effectiveFrom, { transaction });
+  if (!current) {
+    const err = new Error('Building not found');
+    err.status = 404;
+    throw err;
+  }
+
+  return BuildingRate.create({
+    building_id: buildingId,
+    effective_from: effectiveFrom,
+    ...pickRates({ ...current, ...changes }),
+    changed_by: changedBy,
+    changed_at: getCurrentDateTime(),
+  }, { transaction });
+}
+
+/** Copy the rates in force today onto building_list (future-dated rows are left for later). */
+async function syncCurrentRates(buildingId, { updatedBy, transaction } = {}) {
+  const today = todayYMD();
+  const rates = await getRatesInForce(buildingId, today, { transaction });
+  if (!rates) return null;
+
+  await Building.update({
+    ...pickRates(rates),
+    last_updated: getCurrentDateTime(),
+    updated_by: updatedBy || 'system',
+  }, { where: { building_id: buildingId }, transaction });
+  return rates;
+}
+
+module.exports = {
+  RATE_FIELDS,
+  MARKUP_TYPES,
+  MARKUP_TYPE_FIELDS,
+  todayYMD,
+  getRatesInForce,
+  getRateSegments,
+  recordRateChange,
+  syncCurrentRates,
+};
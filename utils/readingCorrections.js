@@ -0,0 +1,378 @@
+// utils/readingCorrections.js
+'use strict';
+
+const { Op } = require('sequelize');
+
+const sequelize         = require('../models');
+const Reading           = require('../models/Reading');
+const Meter             = require('../models/Meter');
+const Stall             = require('../models/Stall');
+const Tenant            = require('../models/Tenant');
+const Billing           = require('../models/Billing');
+const BillingMeterIndex = require('../models/BillingMeterIndex');
+const BillingAdjustment = require('../models/BillingAdjustment');
+const ReadingCorrection = require('../models/ReadingCorrection');
+const getCurrentDateTime = require('./getCurrentDateTime');
+const { generateAdjustmentId } = require('./billingAdjustments');
+const { getTenantTaxKnobs, utilityTaxKnobs, applyTaxes } = require('./billingEngine');
+const { dec, roundNum } = require('./money');
+
+const CORRECTION_ACTIONS = ['update', 'delete'];
+const CORRECTION_STATUSES = ['pending', 'approved', 'rejected'];
+
+function httpError(status, msg) {
+  const err = new Error(msg);
+  err.status = status;
+  return err;
+}
+
+/** Generate next RC-<n> (cross-dialect; MSSQL-safe) */
+async function generateCorrectionId(t) {
+  const rows = await ReadingCorrection.findAll({
+    where: { correction_id: { [Op.like]: 'RC-%' } },
+    attributes: ['correction_id'],
+    transaction: t,
+    raw: true
+  });
+  const maxNum = rows.reduce((max, r) => {
+    const m = String(r.correction_id).match(/^RC-(\d+)$/);
+    return m ? Math.max(max, Number(m[1])) : max;
+  }, 0);
+  return `RC-${maxNum + 1}`;
+}
+
+async function meterBuildingId(meterId, { transaction } = {}) {
+  const meter = await Meter.findOne({
+    where: { meter_id: meterId }, attributes: ['stall_id', 'building_id'], transaction, raw: true,
+  });
+  if (meter?.building_id) return meter.building_id; // master / common meter
+  if (!meter?.stall_id) return null;
+  const stall = await Stall.findOne({ where: { stall_id: meter.stall_id }, attributes: ['building_id'], transaction, raw: true });
+  return stall?.building_id || null;
+}
+
+/**
+ * The posted billing that locks a reading of meterId dated `date`: one of the meter's
+ * building whose window [period_start, period_end] holds the date. null = not locked.
+ */
+async function findLockingBilling(meterId, date, { transaction } = {}) {
+  const buildingId = await meterBuildingId(meterId, { transaction });
+  if (!buildingId || !date) return null;
+  return Billing.findOne({
+    where: {
+      building_id: buildingId,
+      billing_status: 'posted',
+      period_start: { [Op.lte]: date },
+      period_end: { [Op.gte]: date },
+    },
+    attributes: ['building_billing_id', 'building_id', 'period_start', 'period_end'],
+    order: [['period_end', 'DESC']],
+    transaction,
+    raw: true,
+  });
+}
+
+/**
+ * 409 when a reading of meterId on `date` is locked by a posted billing.
+ * err.building_billing_id names the billing; changes go through a correction request.
+ */
+async function assertReadingUnlocked(meterId, date) {
+  const lock = await findLockingBilling(meterId, date);
+  if (!lock) return;
+  const err = httpError(409,
+    `Reading period is locked by posted billing ${lock.building_billing_id}; submit a correction request instead.`);
+  err.building_billing_id = lock.building_billing_id;
+  throw err;
+}
+
+/** The stored meter lines of a billing snapshot (one per stall of a shared meter) */
+function storedLinesOf(header, meterId) {
+  const rows = (header.payload_json?.tenants || []).flatMap(t => t.rows || []);
+  return rows.filter(r => r.meter_id === meterId);
+}
+
+/** The (first) stored meter line of a billing snapshot, or null */
+function storedLineOf(header, meterId) {
+  return storedLinesOf(header, meterId)[0] || null;
+}
+
+/** A reading was the billed closing index when the stored line closes on its value */
+function isClosingIndex(line, value) {
+  return !!line && dec(line.reading_present).eq(dec(value));
+}
+
+/**
+ * Posted billings of the building after the locked one whose stored line of meterId
+ * opened on `value` (a continuity bill opens on the last billed closing index):
+ * [{ header, lines }]. Correcting that reading moves their opening index too.
+ */
+async function findOpeningBillings(correction, value, { transaction } = {}) {
+  const headers = await Billing.findAll({
+    where: {
+      building_id: correction.building_id,
+      billing_status: 'posted',
+      building_billing_id: { [Op.ne]: correction.building_billing_id },
+      period_end: { [Op.gt]: correction.reading_date },
+    },
+    order: [['period_start', 'ASC']],
+    transaction,
+  });
+  return headers
+    .map(header => ({ header, lines: storedLinesOf(header, correction.meter_id) }))
+    .filter(({ lines }) => lines.length && dec(lines[0].reading_previous).eq(dec(value)));
+}
+
+/**
+ * Request a change to a locked reading.
+ *   action 'update' needs newValue (non-negative, 2 dp); 'delete' removes the reading.
+ * A reading that was billed as a closing or opening index cannot be deleted (the
+ * billed consumption would have no end or start); correct its value instead.
+ */
+async function requestCorrection({ readingId, action, newValue, reason, requestedBy = 'system' }) {
+  if (!CORRECTION_ACTIONS.includes(action)) {
+    throw httpError(400, `action must be one of: ${CORRECTION_ACTIONS.join(', ')}`);
+  }
+  const why = String(reason ?? '').trim();
+  if (!why) throw httpError(400, 'reason is required');
+  if (why.length > 255) throw httpError(400, 'reason must be at most 255 characters');
+
+  let value = null;
+  if (action === 'update') {
+    const num = Number(newValue);
+    if (newValue === '' || newValue === null || newValue === undefined || !Number.isFinite(num) || num < 0) {
+      throw httpError(400, 'reading_value must be a non-negative number');
+    }
+    value = Math.round(num * 100) / 100; // match DECIMAL(30,2)
+  }
+
+  const reading = await Reading.findOne({
+    where: { reading_id: readingId },
+    attributes: ['reading_id', 'meter_id', 'reading_value', 'lastread_date'],
+    raw: true,
+  });
+  if (!reading) throw httpError(404, 'Reading not found');
+
+  const lock = await findLockingBilling(reading.meter_id, reading.lastread_date);
+  if (!lock) throw httpError(400, 'Reading is not locked by a posted billing; edit it directly.');
+  if (action === 'update' && dec(value).eq(dec(reading.reading_value))) {
+    throw httpError(400, 'reading_value is unchanged');
+  }
+  if (action === 'delete') {
+    const header = await Billing.findOne({ where: { building_billing_id: lock.building_billing_id } });
+    if (isClosingIndex(storedLineOf(header, reading.meter_id), reading.reading_value)) {
+      throw httpError(409, `Reading is the closing index billed on ${lock.building_billing_id}; request a value correction instead.`);
+    }
+    const [opened] = await findOpeningBillings({
+      building_id: lock.building_id,
+      building_billing_id: lock.building_billing_id,
+      meter_id: reading.meter_id,
+      reading_date: reading.lastread_date,
+    }, reading.reading_value);
+    if (opened) {
+      throw httpError(409, `Reading is the opening index billed on ${opened.header.building_billing_id}; request a value correction instead.`);
+    }
+  }
+
+  return sequelize.transaction(async (t) => {
+    const pending = await ReadingCorrection.count({
+      where: { reading_id: readingId, status: 'pending' },
+      transaction: t,
+    });
+    if (pending > 0) throw httpError(409, 'A correction for this reading is already pending');
+
+    const now = getCurrentDateTime();
+    const row = await ReadingCorrection.create({
+      correction_id: await generateCorrectionId(t),
+      reading_id: reading.reading_id,
+      meter_id: reading.meter_id,
+      building_id: lock.building_id,
+      building_billing_id: lock.building_billing_id,
+      action,
+      reading_date: reading.lastread_date,
+      original_value: reading.reading_value,
+      new_value: value,
+      reason: why,
+      status: 'pending',
+      requested_by: requestedBy,
+      requested_at: now,
+      last_updated: now,
+      updated_by: requestedBy,
+    }, { transaction: t });
+    return row.get({ plain: true });
+  });
+}
+
+/** pending → approved | rejected; the status is part of the WHERE so a correction is decided once */
+async function decide(correctionId, status, { note, updatedBy, transaction }) {
+  const now = getCurrentDateTime();
+  const [count] = await ReadingCorrection.update({
+    status,
+    reviewed_by: updatedBy,
+    reviewed_at: now,
+    review_note: note ? String(note).trim().slice(0, 255) : null,
+    last_updated: now,
+    updated_by: updatedBy,
+  }, {
+    where: { correction_id: correctionId, status: 'pending' },
+    transaction,
+  });
+  if (!count) throw httpError(409, 'Correction is not pending');
+}
+
+/**
+ * Carry a consumption delta on a posted billing's meter lines to the tenants' next bills:
+ * each stall's share of the delta at the line's billed system rate, taxed with the
+ * tenant's VAT / WT in force at the billing's period end. Returns the adjustments.
+ */
+async function raiseAdjustments(correction, header, lines, delta, { updatedBy, now, transaction }) {
+  const out = [];
+  for (const l of lines) {
+    const part = l.share_pct === null || l.share_pct === undefined
+      ? delta
+      : delta.times(dec(l.share_pct)).div(100);
+    if (!l.tenant_id || part.isZero()) continue;
+    const rate = dec(l.system_rate ?? 0);
+    const tenant = await Tenant.findOne({
+      where: { tenant_id: l.tenant_id }, attributes: ['vat_code', 'wt_code'], transaction, raw: true,
+    });
+    const knobs = utilityTaxKnobs(l.meter_type, await getTenantTaxKnobs(tenant, header.period_end));
+    const taxes = applyTaxes({
+      ...knobs,
+      base: part.times(rate),
+      forPenalty: false,
+      penaltyRate: 0,
+      vatMode: l.tax_breakdown?.vat_mode || knobs.vatMode,
+      wtBase: l.tax_breakdown?.wt_base || knobs.wtBase,
+    });
+    out.push((await BillingAdjustment.create({
+      adjustment_id: await generateAdjustmentId(transaction),
+      building_id: header.building_id,
+      tenant_id: l.tenant_id,
+      tenant_name: l.tenant_name ?? null,
+      meter_id: correction.meter_id,
+      source_type: 'reading_correction',
+      source_id: correction.correction_id,
+      original_billing_id: header.building_billing_id,
+      original_period_end: header.period_end,
+      consumption_delta: roundNum(part, 4),
+      rate: roundNum(rate, 6),
+      amount: taxes.total,
+      description: `Reading correction ${correction.reading_id} (${correction.meter_id}): `
+        + `${Number(correction.original_value)} → ${Number(correction.new_value)}`,
+      status: 'pending',
+      last_updated: now,
+      updated_by: updatedBy,
+    }, { transaction })).get({ plain: true }));
+  }
+  return out;
+}
+
+/**
+ * Approve a correction: apply it to the reading and carry the difference it makes to
+ * posted bills to the tenants' next bills. The locked billing that closed on the reading
+ * gains the consumption delta; a later posted billing that opened on it loses the same
+ * delta. Their stored meter indexes move to the corrected value so the next continuity
+ * bill opens from it. Deleting a reading a later posted billing opened on is refused.
+ * Returns { correction, adjustment, adjustments } (adjustment null when nothing was billed on it;
+ * a shared meter gets one adjustment per stall share, adjustment being the first).
+ */
+async function approveCorrection(correctionId, { note, updatedBy = 'system' } = {}) {
+  return sequelize.transaction(async (t) => {
+    const correction = await ReadingCorrection.findOne({ where: { correction_id: correctionId }, transaction: t, raw: true });
+    if (!correction) throw httpError(404, 'Correction not found');
+    await decide(correctionId, 'approved', { note, updatedBy, transaction: t });
+
+    const reading = await Reading.findOne({ where: { reading_id: correction.reading_id }, transaction: t });
+    if (!reading) throw httpError(409, 'Reading no longer exists');
+    if (!dec(reading.reading_value).eq(dec(correction.original_value))) {
+      throw httpError(409, 'Reading changed since the correction was requested; reject it and request again.');
+    }
+    const opened = await findOpeningBillings(correction, correction.original_value, { transaction: t });
+
+    const now = getCurrentDateTime();
+    if (correction.action === 'delete') {
+      if (opened.length) {
+        throw httpError(409,
+          `Reading is the opening index billed on ${opened[0].header.building_billing_id}; request a value correction instead.`);
+      }
+      await reading.destroy({ transaction: t });
+    } else {
+      await reading.update({
+        reading_value: correction.new_value,
+        last_updated: now,
+        updated_by: updatedBy,
+      }, { transaction: t });
+    }
+
+    const adjustments = [];
+    const header = await Billing.findOne({ where: { building_billing_id: correction.building_billing_id }, transaction: t });
+    const lines = storedLinesOf(header, correction.meter_id);
+    const line = lines[0] || null;
+    const raw = correction.action === 'update'
+      ? dec(correction.new_value).minus(dec(correction.original_value))
+      : dec(0);
+    const opts = { updatedBy, now, transaction: t };
+    // a billing voided in the meantime is re-billed from the corrected reading instead
+    if (header.billing_status === 'posted' && correction.action === 'update'
+      && isClosingIndex(line, correction.original_value)) {
+      const delta = raw.times(dec(line.mult || 1));
+
+      await BillingMeterIndex.increment('consumption', {
+        by: roundNum(delta, 4),
+        where: { building_billing_id: header.building_billing_id, meter_id: correction.meter_id },
+        transaction: t,
+      });
+      await BillingMeterIndex.update({ closing_index: correction.new_value }, {
+        where: { building_billing_id: header.building_billing_id, meter_id: correction.meter_id },
+        transaction: t,
+      });
+      adjustments.push(...await raiseAdjustments(correction, header, lines, delta, opts));
+    }
+
+    // the later billing opened higher (or lower) by the same amount: the opposite delta
+    for (const { header: later, lines: laterLines } of correction.action === 'update' ? opened : []) {
+      const delta = raw.times(dec(laterLines[0].mult || 1)).negated();
+
+      await BillingMeterIndex.increment('consumption', {
+        by: roundNum(delta, 4),
+        where: { building_billing_id: later.building_billing_id, meter_id: correction.meter_id },
+        transaction: t,
+      });
+      await BillingMeterIndex.update({ opening_index: correction.new_value }, {
+        where: { building_billing_id: later.building_billing_id, meter_id: correction.meter_id },
+        transaction: t,
+      });
+      adjustments.push(...await raiseAdjustments(correction, later, laterLines, delta, opts));
+    }
+
+    if (adjustments.length) {
+      await ReadingCorrection.update({ adjustment_id: adjustments[0].adjustment_id }, {
+        where: { correction_id: correctionId },
+        transaction: t,
+      });
+    }
+
+    const decided = await ReadingCorrection.findOne({ where: { correction_id: correctionId }, transaction: t, raw: true });
+    return { correction: decided, adjustment: adjustments[0] || null, adjustments };
+  });
+}
+
+/** Reject a pending correction; the reading stays as it is */
+async function rejectCorrection(correctionId, { note, updatedBy = 'system' } = {}) {
+  return sequelize.transaction(async (t) => {
+    const exists = await ReadingCorrection.count({ where: { correction_id: correctionId }, transaction: t });
+    if (!exists) throw httpError(404, 'Correction not found');
+    await decide(correctionId, 'rejected', { note, updatedBy, transaction: t });
+    return ReadingCorrection.findOne({ where: { correction_id: correctionId }, transaction: t, raw: true });
+  });
+}
+
+module.exports = {
+  CORRECTION_ACTIONS,
+  CORRECTION_STATUSES,
+  findLockingBilling,
+  assertReadingUnlocked,
+  requestCorrection,
+  approveCorrection,
+  rejectCorrection,
+};
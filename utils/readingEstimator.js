@@ -0,0 +1,117 @@
+// utils/readingEstimator.js
+'use strict';
+
+const { Op } = require('sequelize');
+const Reading = require('../models/Reading');
+const { resolveIndexDelta } = require('./rocUtils');
+
+// How far back (or forward, when back-filling) we look for usage history
+const ESTIMATE_LOOKBACK_DAYS = Number(process.env.ESTIMATE_LOOKBACK_DAYS) || 90;
+
+const DAY_MS  = 24 * 60 * 60 * 1000;
+const fromYMD = (s) => new Date(String(s).slice(0, 10) + 'T00:00:00Z');
+const ymd     = (d) => d.toISOString().slice(0, 10);
+const daysBetween = (a, b) => Math.round((fromYMD(b) - fromYMD(a)) / DAY_MS);
+const round   = (n, d = 2) => Math.round((Number(n) || 0) * 10 ** d) / 10 ** d;
+
+/** Keep an estimated index inside the register (wraps past the rollover value) */
+function wrapIndex(value, rollover) {
+  const size = Number(rollover) || 0;
+  if (size > 0 && value >= size) return value % size;
+  return Math.max(0, value);
+}
+
+/**
+ * Average daily index movement (raw units, before multiplier) over [startStr, endStr].
+ * Backward steps that are not a rollover are ignored. null when fewer than two readings.
+ */
+async function getAverageDailyUsage(meterId, startStr, endStr, rollover = null) {
+  const rows = await Reading.findAll({
+    where: { meter_id: meterId, lastread_date: { [Op.gte]: startStr, [Op.lte]: endStr } },
+    order: [['lastread_date', 'ASC']],
+    attributes: ['reading_value', 'lastread_date'],
+    raw: true
+  });
+  if (rows.length < 2) return null;
+
+  let units = 0;
+  for (let i = 1; i < rows.length; i++) {
+    const d = resolveIndexDelta(rows[i - 1].reading_value, rows[i].reading_value, rollover);
+    if (!d.suspicious) units += d.delta;
+  }
+  const days = daysBetween(rows[0].lastread_date, rows[rows.length - 1].lastread_date);
+  return days > 0 ? units / days : null;
+}
+
+/**
+ * Estimate a meter's index on dateStr.
+ *  - interpolated:           readings on both sides → straight line between them
+ *  - average_daily:          last reading before + average daily usage × elapsed days
+ *  - average_daily_backfill: first reading after − average daily usage × days back
+ * A meter swapped in after dateStr (swapInto.swap_date > dateStr) is never estimated.
+ * Returns { value, date, estimated: true, method, avg_daily, based_on } or null.
+ */
+async function estimateIndexAt(meter, dateStr, swapInto = null) {
+  if (swapInto && swapInto.swap_date > dateStr) return null;
+  const meterId = meter.meter_id;
+  const rollover = meter.rollover_value ?? null;
+
+  const [before, after] = await Promise.all([
+    Reading.findOne({
+      where: { meter_id: meterId, lastread_date: { [Op.lte]: dateStr } },
+      order: [['lastread_date', 'DESC']],
+      attributes: ['reading_value', 'lastread_date'],
+      raw: true
+    }),
+    Reading.findOne({
+      where: { meter_id: meterId, lastread_date: { [Op.gt]: dateStr } },
+      order: [['lastread_date', 'ASC']],
+      attributes: ['reading_value', 'lastread_date'],
+      raw: true
+    }),
+  ]);
+
+  const point = (r) => r && { value: Number(r.reading_value) || 0, date: r.lastread_date };
+  const result = (value, method, avgDaily) => ({
+    value: round(wrapIndex(value, rollover)),
+    date: dateStr,
+    estimated: true,
+    method,
+    avg_daily: avgDaily === null ? null : round(avgDaily, 4),
+    based_on: { before: point(before), after: point(after) },
+  });
+
+  if (before && after) {
+    const d = resolveIndexDelta(before.reading_value, after.reading_value, rollover);
+    if (!d.suspicious) {
+      const span = daysBetween(before.lastread_date, after.lastread_date) || 1;
+      const avgDaily = d.delta / span;
+      const elapsed = daysBetween(before.lastread_date, dateStr);
+      return result(Number(before.reading_value) + avgDaily * elapsed, 'interpolated', avgDaily);
+    }
+  }
+
+  if (before) {
+    const from = ymd(new Date(fromYMD(before.lastread_date) - ESTIMATE_LOOKBACK_DAYS * DAY_MS));
+    const avgDaily = await getAverageDailyUsage(meterId, from, before.lastread_date, rollover);
+    if (avgDaily === null) return null;
+    const elapsed = daysBetween(before.lastread_date, dateStr);
+    return result(Number(before.reading_value) + avgDaily * elapsed, 'average_daily', avgDaily);
+  }
+
+  if (after) {
+    const to = ymd(new Date(fromYMD(after.lastread_date).getTime() + ESTIMATE_LOOKBACK_DAYS * DAY_MS));
+    const avgDaily = await getAverageDailyUsage(meterId, after.lastread_date, to, rollover);
+    if (avgDaily === null) return null;
+    const back = daysBetween(dateStr, after.lastread_date);
+    return result(Number(after.reading_value) - avgDaily * back, 'average_daily_backfill', avgDaily);
+  }
+
+  return null;
+}
+
+module.exports = {
+  ESTIMATE_LOOKBACK_DAYS,
+  getAverageDailyUsage,
+  estimateIndexAt,
+};
@@ -0,0 +1,112 @@
+// utils/recurringCharges.js
+'use strict';
+
+const { Op } = require('sequelize');
+
+const Stall  = require('../models/Stall');
+const Meter  = require('../models/Meter');
+const RecurringCharge = require('../models/RecurringCharge');
+const { dec } = require('./money');
+
+const CHARGE_TYPES = ['fixed', 'per_sqm', 'per_meter'];
+const CHARGE_VAT_MODES = ['exclusive', 'inclusive', 'exempt', 'zero_rated'];
+const CHARGE_WT_BASES = ['vat', 'base'];
+
+/** Generate next CHG-<n> (cross-dialect; MSSQL-safe) */
+async function generateChargeId(t) {
+  const rows = await RecurringCharge.findAll({
+    where: { charge_id: { [Op.like]: 'CHG-%' } },
+    attributes: ['charge_id'],
+    transaction: t,
+    raw: true
+  });
+  const maxNum = rows.reduce((max, r) => {
+    const m = String(r.charge_id).match(/^CHG-(\d+)$/);
+    return m ? Math.max(max, Number(m[1])) : max;
+  }, 0);
+  return `CHG-${maxNum + 1}`;
+}
+
+/** Active charges of a building in force on asOfDate (building-level and tenant-level) */
+function chargesInForce(buildingId, asOfDate) {
+  return RecurringCharge.findAll({
+    where: {
+      building_id: buildingId,
+      is_active: true,
+      effective_from: { [Op.lte]: asOfDate },
+      [Op.or]: [{ effective_to: null }, { effective_to: { [Op.gte]: asOfDate } }],
+    },
+    order: [['charge_code', 'ASC'], ['charge_id', 'ASC']],
+    raw: true,
+  });
+}
+
+/**
+ * The recurring charges each tenant of a building owes for a period ending asOfDate,
+ * with the quantity they are billed on:
+ *   fixed     — 1
+ *   per_sqm   — floor area of the tenant's stalls in the building
+ *   per_meter — number of meters on those stalls (of meter_type, when set)
+ * Tenants are those occupying a stall of the building (optionally only tenantIds).
+ * A tenant-level charge replaces the building-level one with the same charge_code;
+ * charges with nothing to bill (no floor area / no meters) are left out.
+ * Returns Map tenant_id → [{ charge, quantity (Decimal) }].
+ */
+async function loadTenantCharges({ buildingId, tenantIds = null, asOfDate }) {
+  const out = new Map();
+  const charges = await chargesInForce(buildingId, asOfDate);
+  if (!charges.length) return out;
+
+  const stallWhere = { building_id: buildingId, tenant_id: { [Op.ne]: null } };
+  if (Array.isArray(tenantIds)) stallWhere.tenant_id = { [Op.in]: tenantIds };
+  const stalls = await Stall.findAll({
+    where: stallWhere,
+    attributes: ['stall_id', 'tenant_id', 'floor_area'],
+    raw: true,
+  });
+  if (!stalls.length) return out;
+
+  const needsMeters = charges.some(c => c.charge_type === 'per_meter');
+  const meters = needsMeters
+    ? await Meter.findAll({
+        where: { stall_id: { [Op.in]: stalls.map(s => s.stall_id) } },
+        attributes: ['meter_id', 'meter_type', 'stall_id'],
+        raw: true,
+      })
+    : [];
+
+  const tenantOfStall = new Map(stalls.map(s => [s.stall_id, s.tenant_id]));
+  for (const tenantId of new Set(stalls.map(s => s.tenant_id))) {
+    const mine = stalls.filter(s => s.tenant_id === tenantId);
+    const byCode = new Map();
+    for (const c of charges) {
+      if (c.tenant_id && c.tenant_id !== tenantId) continue;
+      // tenant-level rows win over the building default of the same code
+      if (byCode.has(c.charge_code) && !c.tenant_id) continue;
+      byCode.set(c.charge_code, c);
+    }
+
+    const lines = [];
+    for (const charge of byCode.values()) {
+      let quantity = dec(1);
+      if (charge.charge_type === 'per_sqm') {
+        quantity = mine.reduce((acc, s) => acc.plus(dec(s.floor_area ?? 0)), dec(0));
+      } else if (charge.charge_type === 'per_meter') {
+        quantity = dec(meters.filter(m => tenantOfStall.get(m.stall_id) === tenantId
+          && (!charge.meter_type || String(m.meter_type).toLowerCase() === charge.meter_type)).length);
+      }
+      if (quantity.lte(0)) continue;
+      lines.push({ charge, quantity });
+    }
+    if (lines.length) out.set(tenantId, lines);
+  }
+  return out;
+}
+
+module.exports = {
+  CHARGE_TYPES,
+  CHARGE_VAT_MODES,
+  CHARGE_WT_BASES,
+  generateChargeId,
+  loadTenantCharges,
+};
@@ -6,6 +6,8 @@ const Reading  = require('../models/Reading');
 const Meter    = require('../models/Meter');
 const Stall    = require('../models/Stall');
 const Building = require('../models/Building');
+const { getRatesInForce } = require('./rateHistory');
+const { dec, roundNum } = require('./money');
 
 /* =========================
  * Basic utilities
@@ -16,8 +18,8 @@ const ymd     = (d) => d.toISOString().slice(0, 10);
 const ONE_DAY = 24 * 60 * 60 * 1000;
 const addDays = (d, n) => new Date(d.getTime() + n * ONE_DAY);
 const round   = (n, d = 2) => {
-  const f = 10 ** d, x = Number(n);
-  return Number.isFinite(x) ? Math.round(x * f) / f : 0;
+  const x = Number(n);
+  return Number.isFinite(x) ? roundNum(n, d) : 0;
 };
 
 // month span helpers (UTC-safe)
@@ -98,10 +100,47 @@ async function getMaxReadingInPeriod(meter_id, start, end) {
   return row ? { value: Number(row.reading_value) || 0, date: row.lastread_date } : null;
 }
 
+/**
+ * Index movement between two reads, accounting for register rollover.
+ * rolloverValue is the first value the register cannot show (99999 → 00000 ⇒ 100000).
+ * A backwards read counts as a rollover only when both reads fit the register and
+ * the wrapped distance is under half a register turn; anything else is flagged suspicious
+ * (delta stays negative so callers fall back to the minimum as before).
+ * Returns { delta, rollover, suspicious, reason } — delta in raw index units (no multiplier).
+ */
+function resolveIndexDelta(prevIdx, currIdx, rolloverValue = null) {
+  const prev = Number(prevIdx) || 0;
+  const curr = Number(currIdx) || 0;
+  const delta = dec(curr).minus(prev).toNumber();
+  if (delta >= 0) return { delta, rollover: false, suspicious: false, reason: null };
+
+  const size = Number(rolloverValue) || 0;
+  if (size <= 0) {
+    return {
+      delta, rollover: false, suspicious: true,
+      reason: `Index went backwards (${prev} → ${curr}) and the meter has no rollover value`
+    };
+  }
+  if (prev >= size || curr >= size) {
+    return {
+      delta, rollover: false, suspicious: true,
+      reason: `Index went backwards (${prev} → ${curr}) and does not fit the register (rollover at ${size})`
+    };
+  }
+  const wrapped = dec(size).minus(prev).plus(curr).toNumber();
+  if (wrapped > size / 2) {
+    return {
+      delta, rollover: false, suspicious: true,
+      reason: `Index went backwards (${prev} → ${curr}); ${wrapped} units is too large to be a rollover`
+    };
+  }
+  return { delta: wrapped, rollover: true, suspicious: false, reason: null };
+}
+
 const LPG_MIN_CON = 0; // Set to 1 if you want LPG minimum consumption
-function computeUnits({ type, mult, building, prevIdx, currIdx }) {
+function computeUnits({ type, mult, building, prevIdx, currIdx, rollover = null }) {
   const t = String(type || '').toLowerCase();
-  const raw = (Number(currIdx) - Number(prevIdx)) * (Number(mult) || 1);
+  const raw = dec(resolveIndexDelta(prevIdx, currIdx, rollover).delta).times(Number(mult) || 1).toNumber();
   if (t === 'electric') {
     const min = Number(building.emin_con) || 0;
     return round(raw > 0 ? raw : min, 2);
@@ -123,7 +162,7 @@ async function computeROCForMeter({ meterId, startDate, endDate }) {
   // Resolve meter → stall → building (for minimums)
   const meter = await Meter.findOne({
     where: { meter_id: meterId },
-    attributes: ['meter_id','meter_type','meter_mult','stall_id'],
+    attributes: ['meter_id','meter_type','meter_mult','rollover_value','stall_id'],
     raw: true
   });
   if (!meter) { const err = new Error('Meter not found'); err.status = 404; throw err; }
@@ -164,17 +203,30 @@ async function computeROCForMeter({ meterId, startDate, endDate }) {
     err.status = 400; throw err;
   }
 
+  // Minimums in force at the end of each compared window
+  const [ratesPrev, ratesCurr] = await Promise.all([
+    getRatesInForce(building.building_id, previous.end),
+    getRatesInForce(building.building_id, current.end),
+  ]);
+
   // Consumptions (with minimums)
   const anchor_to_previous = computeUnits({
-    type: meter.meter_type, mult: meter.meter_mult, building,
-    prevIdx: anchorMax.value, currIdx: prevMax.value
+    type: meter.meter_type, mult: meter.meter_mult, building: { ...building, ...ratesPrev },
+    prevIdx: anchorMax.value, currIdx: prevMax.value, rollover: meter.rollover_value
   });
 
   const previous_to_current = computeUnits({
-    type: meter.meter_type, mult: meter.meter_mult, building,
-    prevIdx: prevMax.value, currIdx: currMax.value
+    type: meter.meter_type, mult: meter.meter_mult, building: { ...building, ...ratesCurr },
+    prevIdx: prevMax.value, currIdx: currMax.value, rollover: meter.rollover_value
   });
 
+  // Rollover / suspicious-read flags for each step
+  const reading_flags = {
+    anchor_to_previous:  resolveIndexDelta(anchorMax.value, prevMax.value, meter.rollover_value),
+    previous_to_current: resolveIndexDelta(prevMax.value, currMax.value, meter.rollover_value)
+  };
+  for (const f of Object.values(reading_flags)) delete f.delta;
+
   // Rate of change computed without exposing delta
   const rate_of_change = anchor_to_previous > 0
     ? Math.ceil(((previous_to_current - anchor_to_previous) / anchor_to_previous) * 100)
@@ -209,6 +261,8 @@ async function computeROCForMeter({ meterId, startDate, endDate }) {
       previous_to_current
     },
 
+    reading_flags,
+
     // Legacy aggregate fields mirroring the two consumptions
     current_consumption:  previous_to_current,
     previous_consumption: anchor_to_previous,
@@ -284,8 +338,9 @@ function groupMetersByType(perMeterResults) {
 async function getBuildingIdForRequest(req) {
   const meterId = req.params?.meter_id || req.params?.id || req.body?.meter_id;
   if (!meterId) return null;
-  const meter = await Meter.findOne({ where: { meter_id: meterId }, attributes: ['stall_id'], raw: true });
+  const meter = await Meter.findOne({ where: { meter_id: meterId }, attributes: ['stall_id', 'building_id'], raw: true });
   if (!meter) return null;
+  if (meter.building_id) return meter.building_id; // master / common meter
   const stall = await Stall.findOne({ where: { stall_id: meter.stall_id }, attributes: ['building_id'], raw: true });
   return stall?.building_id || null;
 }
@@ -305,6 +360,7 @@ module.exports = {
   // Core compute
   computeROCForMeter,
   computeUnits,
+  resolveIndexDelta,
 
   // Tenant helpers (no delta)
   getTenantPeriods,
@@ -0,0 +1,383 @@
+// utils/statementPdf.js
+'use strict';
+
+const PDFDocument = require('pdfkit');
+const archiver = require('archiver');
+const { Op } = require('sequelize');
+
+const Tenant        = require('../models/Tenant');
+const TenantBill    = require('../models/TenantBill');
+const BillingMemo   = require('../models/BillingMemo');
+const PenaltyCharge = require('../models/PenaltyCharge');
+const PaymentAllocation = require('../models/PaymentAllocation');
+const getCurrentDateTime = require('./getCurrentDateTime');
+const { dec, roundNum, sum } = require('./money');
+const { memoAmount } = require('./tenantLedger');
+
+/**
+ * A statement is the printable view of one tenant's bill:
+ *   { building, tenant, period, invoice_no, due_date, lines: [...], summary }
+ * Lines come either from a live computation (statementFromMeters) or from the rows
+ * of a stored building billing (statementsFromStoredBilling); both render the same way.
+ */
+
+const numOrNull = (v) => (v === null || v === undefined || v === '' ? null : Number(v));
+
+/** Engine or stored recurring charge line → statement charge */
+const chargeOf = (c) => ({
+  charge_code: c.charge_code,
+  description: c.description,
+  quantity: numOrNull(c.quantity),
+  unit_amount: numOrNull(c.unit_amount),
+  amount: numOrNull(c.total_amount ?? c.total),
+});
+
+/** Stored common-area share (master / common meters) → statement line */
+const allocationOf = (a) => ({
+  meter_type: a.meter_type,
+  allocation_key: a.allocation_key,
+  share_pct: numOrNull(a.share_pct),
+  units: numOrNull(a.units),
+  rate: numOrNull(a.system_rate),
+  amount: numOrNull(a.total_amount),
+});
+
+/** Live engine entries (computeBillingForTenantWithMarkup + ROC) → statement */
+function statementFromMeters({ tenant, building = null, period, meters, charges = [] }) {
+  const lines = meters.filter(m => !m?.error).map(m => ({
+    stall_no: m.stall?.stall_sn || m.stall?.stall_id || null,
+    meter_no: m.meter?.meter_sn ?? m.meter?.meter_id ?? null,
+    meter_type: m.meter?.meter_type ?? null,
+    prev_index: numOrNull(m.indices?.prev_index),
+    curr_index: numOrNull(m.indices?.curr_index),
+    mult: numOrNull(m.meter?.meter_mult),
+    consumption: numOrNull(m.totals?.consumption),
+    rate: numOrNull(m.billing?.rates?.system_rate ?? m.billing?.rate),
+    vat: numOrNull(m.totals?.vat),
+    wt: numOrNull(m.totals?.wt),
+    penalty: numOrNull(m.totals?.penalty),
+    roc_pct: numOrNull(m.rate_of_change_percent),
+    amount: numOrNull(m.totals?.total),
+  }));
+  const metered = sum(lines.map(l => l.amount));
+  const fixed = sum(charges.map(c => c.total));
+  return {
+    building,
+    tenant,
+    period,
+    invoice_no: null,
+    due_date: null,
+    lines,
+    charges: charges.map(chargeOf),
+    summary: {
+      current_charges: roundNum(metered),
+      fixed_charges: roundNum(fixed),
+      memos: 0,
+      penalties: 0,
+      payments: 0,
+      amount_due: roundNum(metered.plus(fixed)),
+    },
+  };
+}
+
+/** Rows of a stored building billing → one statement per tenant (optionally only tenantIds) */
+async function statementsFromStoredBilling(header, { tenantIds = null } = {}) {
+  const snapshot = header.payload_json || {};
+  const tenants = (snapshot.tenants || [])
+    .filter(t => t.tenant_id && (!tenantIds || tenantIds.includes(t.tenant_id)));
+  if (!tenants.length) return [];
+
+  const ids = tenants.map(t => t.tenant_id);
+  const where = { building_billing_id: header.building_billing_id, tenant_id: { [Op.in]: ids } };
+  const [details, bills, memos, penalties, allocations] = await Promise.all([
+    Tenant.findAll({
+      where: { tenant_id: { [Op.in]: ids } },
+      attributes: ['tenant_id', 'tenant_sn', 'tenant_name', 'vat_code', 'wt_code'],
+      raw: true,
+    }),
+    TenantBill.findAll({ where, raw: true }),
+    // approved memos on earlier bills, printed on this (the next) statement
+    BillingMemo.findAll({
+      where: { statement_billing_id: header.building_billing_id, tenant_id: { [Op.in]: ids }, status: 'approved' },
+      order: [['memo_date', 'ASC'], ['memo_id', 'ASC']],
+      raw: true,
+    }),
+    PenaltyCharge.findAll({ where, attributes: ['tenant_id', 'amount'], raw: true }),
+    PaymentAllocation.findAll({ where, attributes: ['tenant_id', 'amount'], raw: true }),
+  ]);
+  const detailOf = new Map(details.map(d => [d.tenant_id, d]));
+  const billOf = new Map(bills.map(b => [b.tenant_id, b]));
+
+  return tenants.map(t => {
+    const rows = t.rows || [];
+    const first = rows[0] || {};
+    const d = detailOf.get(t.tenant_id) || {};
+    const bill = billOf.get(t.tenant_id) || {};
+
+    const charges   = sum(rows.map(r => r.total_amount));
+    const fixed     = sum((t.charges || []).map(c => c.total_amount));
+    const common    = sum((t.allocations || []).map(a => a.total_amount));
+    const adjusted  = dec(bill.adjustment_amount);
+    const myMemos   = memos.filter(m => m.tenant_id === t.tenant_id);
+    const memoTotal = sum(myMemos.map(memoAmount));
+    const penalty   = sum(penalties.filter(p => p.tenant_id === t.tenant_id).map(p => p.amount));
+    const paid      = sum(allocations.filter(a => a.tenant_id === t.tenant_id).map(a => a.amount));
+
+    return {
+      building: { building_id: header.building_id, building_name: header.building_name || null },
+      tenant: {
+        tenant_id: t.tenant_id,
+        tenant_sn: d.tenant_sn ?? first.tenant_sn ?? null,
+        tenant_name: d.tenant_name ?? t.tenant_name ?? null,
+        vat_code: first.tax_code ?? d.vat_code ?? null,
+        wt_code: first.whtax_code ?? d.wt_code ?? null,
+      },
+      period: { start: header.period_start, end: header.period_end },
+      invoice_no: bill.invoice_no || null,
+      invoice_status: bill.invoice_status || null,
+      void_reason: bill.void_reason || null,
+      due_date: bill.due_date || header.due_date || null,
+      charges: (t.charges || []).map(chargeOf),
+      allocations: (t.allocations || []).map(allocationOf),
+      memos: myMemos.map(m => ({
+        memo_id: m.memo_id,
+        memo_type: m.memo_type,
+        building_billing_id: m.building_billing_id,
+        reason_code: m.reason_code,
+        description: m.description,
+        memo_date: m.memo_date,
+        amount: roundNum(memoAmount(m)),
+      })),
+      lines: rows.map(r => ({
+        stall_no: r.stall_sn || r.stall_no || null,
+        meter_no: r.meter_no ?? r.meter_id ?? null,
+        meter_type: r.meter_type ?? null,
+        prev_index: numOrNull(r.reading_previous),
+        curr_index: numOrNull(r.reading_present),
+        mult: numOrNull(r.mult),
+        consumption: numOrNull(r.consumed_kwh),
+        rate: numOrNull(r.system_rate),
+        vat: numOrNull(r.vat_amount),   // not kept on billings stored before line amounts were
+        wt: numOrNull(r.wt_amount),
+        penalty: numOrNull(r.penalty_amount),
+        roc_pct: numOrNull(r.rate_of_change_pct),
+        amount: numOrNull(r.total_amount),
+      })),
+      summary: {
+        current_charges: roundNum(charges),
+        fixed_charges: roundNum(fixed), // recurring charges (CAM, garbage, rent...)
+        common_area: roundNum(common), // share of the master / common meter difference
+        adjustments: roundNum(adjusted), // carried from earlier billings
+        memos: roundNum(memoTotal), // credit/debit memos on earlier bills
+        penalties: roundNum(penalty),
+        payments: roundNum(paid),
+        amount_due: roundNum(
+          charges.plus(fixed).plus(common).plus(adjusted).plus(memoTotal).plus(penalty).minus(paid)
+        ),
+      },
+    };
+  });
+}
+
+// ---------- rendering ----------
+
+const fmt = (v, dp = 2) => (v === null || v === undefined || Number.isNaN(Number(v))
+  ? '-'
+  : Number(v).toLocaleString('en-US', { minimumFractionDigits: dp, maximumFractionDigits: dp }));
+
+// Landscape A4: 842 x 595 pt
+const MARGIN = 36;
+const COLUMNS = [
+  { key: 'stall_no',    label: 'Stall',       width: 62, align: 'left' },
+  { key: 'meter_no',    label: 'Meter',       width: 72, align: 'left' },
+  { key: 'meter_type',  label: 'Type',        width: 46, align: 'left' },
+  { key: 'prev_index',  label: 'Previous',    width: 62, dp: 2 },
+  { key: 'curr_index',  label: 'Present',     width: 62, dp: 2 },
+  { key: 'mult',        label: 'Mult',        width: 36, dp: 2 },
+  { key: 'consumption', label: 'Consumption', width: 64, dp: 2 },
+  { key: 'rate',        label: 'Rate',        width: 50, dp: 4 },
+  { key: 'vat',         label: 'VAT',         width: 56, dp: 2 },
+  { key: 'wt',          label: 'WT',          width: 52, dp: 2 },
+  { key: 'penalty',     label: 'Penalty',     width: 52, dp: 2 },
+  { key: 'roc_pct',     label: 'ROC %',       width: 46, dp: 2 },
+  { key: 'amount',      label: 'Amount',      width: 70, dp: 2 },
+];
+
+function cellText(col, line) {
+  const v = line[col.key];
+  if (col.dp === undefined) return v === null || v === undefined ? '' : String(v);
+  return fmt(v, col.dp);
+}
+
+function drawRow(doc, y, values, { bold = false } = {}) {
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+  let x = MARGIN;
+  COLUMNS.forEach((col, i) => {
+    doc.text(values[i], x + 2, y, { width: col.width - 4, align: col.align || 'right', lineBreak: false, ellipsis: true });
+    x += col.width;
+  });
+}
+
+function labelValue(doc, label, value, x, y) {
+  doc.font('Helvetica-Bold').fontSize(9).text(label, x, y, { continued: true })
+    .font('Helvetica').text(` ${value ?? '-'}`);
+}
+
+/** Draw one statement starting on the current page */
+function renderStatement(doc, st) {
+  const right = doc.page.width - MARGIN;
+
+  doc.font('Helvetica-Bold').fontSize(16).text('STATEMENT OF ACCOUNT', MARGIN, MARGIN);
+  doc.font('Helvetica').fontSize(10)
+    .text(st.building?.building_name || st.building?.building_id || '', MARGIN, MARGIN + 20);
+  if (st.invoice_no) {
+    doc.font('Helvetica-Bold').fontSize(11)
+      .text(`Invoice No. ${st.invoice_no}`, MARGIN, MARGIN, { width: right - MARGIN, align: 'right' });
+  }
+  if (st.invoice_status === 'void') {
+    doc.font('Helvetica-Bold').fontSize(11).fillColor('red')
+      .text(`VOID${st.void_reason ? `: ${st.void_reason}` : ''}`, MARGIN, MARGIN + 16, { width: right - MARGIN, align: 'right' })
+      .fillColor('black');
+  }
+
+  let y = MARGIN + 44;
+  labelValue(doc, 'Tenant:', st.tenant?.tenant_name, MARGIN, y);
+  labelValue(doc, 'Billing period:', `${st.period?.start} to ${st.period?.end}`, 430, y);
+  y += 14;
+  labelValue(doc, 'Tenant No.:', st.tenant?.tenant_sn || st.tenant?.tenant_id, MARGIN, y);
+  labelValue(doc, 'Due date:', st.due_date, 430, y);
+  y += 14;
+  labelValue(doc, 'VAT code:', st.tenant?.vat_code, MARGIN, y);
+  labelValue(doc, 'WT code:', st.tenant?.wt_code, 230, y);
+  labelValue(doc, 'Statement date:', getCurrentDateTime().slice(0, 10), 430, y);
+  y += 24;
+
+  const tableWidth = COLUMNS.reduce((w, c) => w + c.width, 0);
+  const header = () => {
+    drawRow(doc, y, COLUMNS.map(c => c.label), { bold: true });
+    y += 12;
+    doc.moveTo(MARGIN, y - 2).lineTo(MARGIN + tableWidth, y - 2).lineWidth(0.5).stroke();
+  };
+  header();
+
+  const bottom = doc.page.height - MARGIN - 90;
+  for (const line of st.lines) {
+    if (y > bottom) {
+      doc.addPage();
+      y = MARGIN;
+      header();
+    }
+    drawRow(doc, y, COLUMNS.map(c => cellText(c, line)));
+    y += 12;
+  }
+  doc.moveTo(MARGIN, y).lineTo(MARGIN + tableWidth, y).lineWidth(0.5).stroke();
+  y += 10;
+
+  // recurring charges, common-area shares, then memos on earlier bills: one labelled amount per line
+  const extras = [
+    ...(st.charges || []).map(c => [
+      `${c.description} (${c.charge_code})${c.quantity !== null && c.quantity !== 1
+        ? ` ${fmt(c.quantity)} × ${fmt(c.unit_amount, 4)}` : ''}`,
+      c.amount,
+    ]),
+    ...(st.allocations || []).map(a => [
+      `Common-area ${a.meter_type} (${String(a.allocation_key).replace('_', ' ')} share ${fmt(a.share_pct, 2)}%)`
+        + ` ${fmt(a.units)} × ${fmt(a.rate, 4)}`,
+      a.amount,
+    ]),
+    ...(st.memos || []).map(m => [
+      `${m.memo_type === 'credit' ? 'Credit' : 'Debit'} memo ${m.memo_id} on ${m.building_billing_id}`
+        + ` (${m.reason_code}${m.description ? `: ${m.description}` : ''})`,
+      m.amount,
+    ]),
+  ];
+  for (const [label, amount] of extras) {
+    if (y > bottom) {
+      doc.addPage();
+      y = MARGIN;
+    }
+    doc.font('Helvetica').fontSize(8).text(label, MARGIN, y, { width: tableWidth - 100, lineBreak: false, ellipsis: true });
+    doc.text(fmt(amount), MARGIN + tableWidth - 100, y, { width: 100, align: 'right' });
+    y += 12;
+  }
+  if (extras.length) y += 6;
+
+  const s = st.summary || {};
+  const summary = [
+    ['Current charges', s.current_charges],
+    ...(s.fixed_charges ? [['Fixed charges', s.fixed_charges]] : []),
+    ...(s.common_area ? [['Common-area share', s.common_area]] : []),
+    ...(s.adjustments ? [['Adjustments', s.adjustments]] : []),
+    ...(s.memos ? [['Credit/debit memos', s.memos]] : []),
+    ['Late-payment penalties', s.penalties],
+    ['Payments received', s.payments ? -s.payments : 0],
+  ];
+  const labelX = MARGIN + tableWidth - 260;
+  for (const [label, value] of summary) {
+    doc.font('Helvetica').fontSize(9).text(label, labelX, y, { width: 160 });
+    doc.text(fmt(value), labelX + 160, y, { width: 100, align: 'right' });
+    y += 13;
+  }
+  doc.font('Helvetica-Bold').fontSize(11).text('AMOUNT DUE', labelX, y + 2, { width: 160 });
+  doc.text(fmt(s.amount_due), labelX + 160, y + 2, { width: 100, align: 'right' });
+}
+
+function newDocument() {
+  return new PDFDocument({ size: 'A4', layout: 'landscape', margin: MARGIN, bufferPages: false });
+}
+
+/** Write statements (one or more pages each) as a single PDF into a writable stream */
+function writeStatementsPdf(statements, stream) {
+  const doc = newDocument();
+  doc.pipe(stream);
+  statements.forEach((st, i) => {
+    if (i > 0) doc.addPage();
+    renderStatement(doc, st);
+  });
+  doc.end();
+}
+
+/** One statement → PDF Buffer */
+function statementPdfBuffer(statement) {
+  return new Promise((resolve, reject) => {
+    const doc = newDocument();
+    const chunks = [];
+    doc.on('data', c => chunks.push(c));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    renderStatement(doc, statement);
+    doc.end();
+  });
+}
+
+/** File name of a statement inside a ZIP */
+function statementFileName(st) {
+  const base = st.invoice_no || `${st.tenant?.tenant_id}_${st.period?.start}_${st.period?.end}`;
+  return `${String(base).replace(/[^A-Za-z0-9._-]+/g, '_')}.pdf`;
+}
+
+/** Write one PDF per statement into a ZIP streamed to `stream` */
+async function writeStatementsZip(statements, stream) {
+  const zip = archiver('zip', { zlib: { level: 9 } });
+  const done = new Promise((resolve, reject) => {
+    zip.on('error', reject);
+    stream.on('close', resolve);
+    stream.on('finish', resolve);
+  });
+  zip.pipe(stream);
+  for (const st of statements) {
+    zip.append(await statementPdfBuffer(st), { name: statementFileName(st) });
+  }
+  await zip.finalize();
+  return done;
+}
+
+module.exports = {
+  statementFromMeters,
+  statementsFromStoredBilling,
+  renderStatement,
+  writeStatementsPdf,
+  writeStatementsZip,
+  statementPdfBuffer,
+  statementFileName,
+};
@@ -0,0 +1,131 @@
+// utils/taxHistory.js
+'use strict';
+
+const { Op } = require('sequelize');
+
+const VAT        = require('../models/VAT');
+const WT         = require('../models/WT');
+const VATHistory = require('../models/VATHistory');
+const WTHistory  = require('../models/WTHistory');
+const getCurrentDateTime = require('./getCurrentDateTime');
+const { todayYMD } = require('./rateHistory');
+
+const VAT_FIELDS = ['e_vat', 'w_vat', 'l_vat'];
+const WT_FIELDS  = ['e_wt', 'w_wt', 'l_wt'];
+
+// Computation modes declared on the code itself (not versioned with the percentages)
+const VAT_MODES = ['exclusive', 'inclusive', 'exempt', 'zero_rated'];
+const WT_BASES  = ['vat', 'base'];
+
+const isYMD = (s) => typeof s === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(s);
+
+/**
+ * VAT and WT codes are versioned the same way; only the tables and columns differ.
+ *   Code      — current catalog model (vat_codes / wt_codes)
+ *   History   — append-only history model
+ *   idField   — primary key shared by both tables
+ *   codeField — code tenants reference (tenant.vat_code / tenant.wt_code)
+ *   modeField — computation mode column on the code (vat_mode / wt_base)
+ */
+function makeTaxHistory({ Code, History, idField, codeField, modeField, fields, label }) {
+  const pick = (row) => {
+    const out = {};
+    for (const f of fields) out[f] = Number(row?.[f]) || 0;
+    return out;
+  };
+
+  /** Percentages in force for a code id on dateStr; falls back to the catalog row. */
+  async function inForceById(id, dateStr, options = {}) {
+    const row = await History.findOne({
+      where: { [idField]: id, effective_from: { [Op.lte]: dateStr } },
+      order: [['effective_from', 'DESC'], ['history_id', 'DESC']],
+      transaction: options.transaction,
+      raw: true,
+    });
+    if (row) return { [idField]: id, ...pick(row), effective_from: row.effective_from };
+
+    const cur = await Code.findOne({ where: { [idField]: id }, transaction: options.transaction, raw: true });
+    if (!cur) return null;
+    return { [idField]: id, ...pick(cur), effective_from: null };
+  }
+
+  /** Same lookup by the code tenants carry (e.g. tenant.vat_code), plus the code's mode. */
+  async function inForceByCode(code, dateStr, options = {}) {
+    if (!code) return null;
+    const cur = await Code.findOne({
+      where: { [codeField]: code },
+      attributes: [idField, codeField, modeField],
+      transaction: options.transaction,
+      raw: true,
+    });
+    if (!cur) return null;
+    const rates = await inForceById(cur[idField], dateStr, options);
+    return rates && { ...rates, [codeField]: cur[codeField], [modeField]: cur[modeField] };
+  }
+
+  /** Append a full percentage set; fields not in `changes` carry over from that date. */
+  async function recordChange({ id, effectiveFrom, changes, changedBy, transaction }) {
+    if (!isYMD(effectiveFrom)) {
+      const err = new Error('Invalid effective_from. Use YYYY-MM-DD.');
+      err.status = 400;
+      throw err;
+    }
+    const current = await inForceById(id, effectiveFrom, { transaction });
+    if (!current) {
+      const err = new Error(`${label} record not found`);
+      err.status = 404;
+      throw err;
+    }
+
+    return History.create({
+      [idField]: id,
+      effective_from: effectiveFrom,
+      ...pick({ ...current, ...changes }),
+      changed_by: changedBy,
+      changed_at: getCurrentDateTime(),
+    }, { transaction });
+  }
+
+  /** Copy today's percentages onto the catalog row (future-dated rows are left for later). */
+  async function syncCurrent(id, { updatedBy, transaction } = {}) {
+    const rates = await inForceById(id, todayYMD(), { transaction });
+    if (!rates) return null;
+
+    await Code.update({
+      ...pick(rates),
+      last_updated: getCurrentDateTime(),
+      updated_by: updatedBy || 'System Admin',
+    }, { where: { [idField]: id }, transaction });
+    return rates;
+  }
+
+  /** Full history for a code id, newest first. */
+  async function listHistory(id) {
+    return History.findAll({
+      where: { [idField]: id },
+      order: [['effective_from', 'DESC'], ['history_id', 'DESC']],
+      raw: true,
+    });
+  }
+
+  return { fields, inForceById, inForceByCode, recordChange, syncCurrent, listHistory };
+}
+
+const vatHistory = makeTaxHistory({
+  Code: VAT, History: VATHistory, idField: 'tax_id', codeField: 'vat_code', modeField: 'vat_mode',
+  fields: VAT_FIELDS, label: 'VAT',
+});
+
+const wtHistory = makeTaxHistory({
+  Code: WT, History: WTHistory, idField: 'wt_id', codeField: 'wt_code', modeField: 'wt_base',
+  fields: WT_FIELDS, label: 'WT',
+});
+
+module.exports = {
+  VAT_FIELDS,
+  WT_FIELDS,
+  VAT_MODES,
+  WT_BASES,
+  vatHistory,
+  wtHistory,
+};
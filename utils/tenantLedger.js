@@ -0,0 +1,429 @@
+// utils/tenantLedger.js
+'use strict';
+
+const { Op } = require('sequelize');
+
+const Billing           = require('../models/Billing');
+const BillingMemo       = require('../models/BillingMemo');
+const TenantBill        = require('../models/TenantBill');
+const PenaltyCharge     = require('../models/PenaltyCharge');
+const Payment           = require('../models/Payment');
+const PaymentAllocation = require('../models/PaymentAllocation');
+const getCurrentDateTime = require('./getCurrentDateTime');
+const { dec, roundNum, sum } = require('./money');
+
+const PAYMENT_METHODS = ['cash', 'check', 'bank_transfer', 'online', 'other'];
+
+/** Sum `amount` per key of a set of rows */
+function sumBy(rows, keyOf) {
+  const out = new Map();
+  for (const r of rows) out.set(keyOf(r), (out.get(keyOf(r)) || dec(0)).plus(dec(r.amount)));
+  return out;
+}
+
+/** Signed amount of a credit/debit memo: debits add to what is owed, credits take off */
+const memoAmount = (m) => (m.memo_type === 'credit' ? dec(m.total_amount).neg() : dec(m.total_amount));
+
+/** unpaid | partially_paid | paid (credits and zero bills count as paid) */
+function paymentStatus({ billed, penalties, memos = dec(0), paid }) {
+  const owed = billed.plus(penalties).plus(memos);
+  if (owed.minus(paid).lte(0)) return 'paid';
+  return paid.gt(0) ? 'partially_paid' : 'unpaid';
+}
+
+const BILL_ORDER = [['due_date', 'ASC'], ['period_end', 'ASC'], ['building_billing_id', 'ASC']];
+
+/**
+ * Tenant bills (tenant_bill_list) with what is still owed on them, oldest due first.
+ * One item per (billing, tenant):
+ *   billed      — the tenant's total on the billing
+ *   penalties   — late-payment charges posted against it
+ *   memos       — approved credit/debit memos against it (debit − credit)
+ *   paid        — payments allocated to it
+ *   outstanding — billed + penalties + memos − paid
+ * Filter by buildingId and/or tenantId. asOfDate limits everything to bills,
+ * penalties, memos and payments dated on or before it. Only posted billings are owed: drafts
+ * in review, void billings and void invoices are left out.
+ * Amounts stay Decimal; use presentItem() for output.
+ */
+async function collectBillingItems({ buildingId = null, tenantId = null, asOfDate = null, transaction } = {}) {
+  const where = { invoice_status: { [Op.ne]: 'void' } };
+  if (buildingId) where.building_id = buildingId;
+  if (tenantId) where.tenant_id = tenantId;
+  if (asOfDate) where.period_end = { [Op.lte]: asOfDate };
+  const bills = await TenantBill.findAll({
+    where,
+    include: [{ model: Billing, as: 'billing', attributes: [], where: { billing_status: 'posted' } }],
+    order: BILL_ORDER,
+    transaction,
+    raw: true,
+  });
+  return itemsForBills(bills, { asOfDate, transaction });
+}
+
+/** Same items for the tenant bills of billing headers already loaded */
+async function itemsForHeaders(headers, { transaction } = {}) {
+  if (!headers.length) return [];
+  const bills = await TenantBill.findAll({
+    where: {
+      building_billing_id: { [Op.in]: headers.map(h => h.building_billing_id) },
+      invoice_status: { [Op.ne]: 'void' },
+    },
+    order: BILL_ORDER,
+    transaction,
+    raw: true,
+  });
+  return itemsForBills(bills, { transaction });
+}
+
+async function itemsForBills(bills, { asOfDate = null, transaction } = {}) {
+  const items = bills.map(b => ({
+    tenant_bill_id: b.tenant_bill_id,
+    invoice_no: b.invoice_no,
+    invoice_status: b.invoice_status,
+    building_billing_id: b.building_billing_id,
+    building_id: b.building_id,
+    tenant_id: b.tenant_id,
+    tenant_name: b.tenant_name,
+    period_start: b.period_start,
+    period_end: b.period_end,
+    due_date: b.due_date,
+    billed: dec(b.total_amount),
+  }));
+  if (!items.length) return items;
+
+  const where = {
+    building_billing_id: { [Op.in]: [...new Set(items.map(i => i.building_billing_id))] },
+    tenant_id: { [Op.in]: [...new Set(items.map(i => i.tenant_id))] },
+  };
+  const [penalties, memos, allocations] = await Promise.all([
+    PenaltyCharge.findAll({
+      where: asOfDate ? { ...where, assessed_on: { [Op.lte]: asOfDate } } : where,
+      attributes: ['building_billing_id', 'tenant_id', 'amount'],
+      transaction,
+      raw: true,
+    }),
+    BillingMemo.findAll({
+      where: {
+        ...where,
+        status: 'approved',
+        ...(asOfDate ? { memo_date: { [Op.lte]: asOfDate } } : {}),
+      },
+      attributes: ['building_billing_id', 'tenant_id', 'memo_type', 'total_amount'],
+      transaction,
+      raw: true,
+    }),
+    PaymentAllocation.findAll({
+      where,
+      attributes: ['building_billing_id', 'tenant_id', 'amount'],
+      include: asOfDate
+        ? [{ model: Payment, as: 'payment', attributes: [], where: { payment_date: { [Op.lte]: asOfDate } } }]
+        : [],
+      transaction,
+      raw: true,
+    }),
+  ]);
+  const keyOf = (r) => `${r.building_billing_id}::${r.tenant_id}`;
+  const penaltyBy = sumBy(penalties, keyOf);
+  const memoBy    = sumBy(memos.map(m => ({ ...m, amount: memoAmount(m) })), keyOf);
+  const paidBy    = sumBy(allocations, keyOf);
+
+  for (const i of items) {
+    i.penalties   = penaltyBy.get(keyOf(i)) || dec(0);
+    i.memos       = memoBy.get(keyOf(i)) || dec(0);
+    i.paid        = paidBy.get(keyOf(i)) || dec(0);
+    i.outstanding = i.billed.plus(i.penalties).plus(i.memos).minus(i.paid);
+    i.payment_status = paymentStatus(i);
+  }
+  return items;
+}
+
+/**
+ * Re-read penalties, memos and allocations of the given (building_billing_id, tenant_id)
+ * pairs and store penalty_amount / memo_amount / amount_paid / balance / status on their
+ * tenant bills.
+ */
+async function refreshTenantBills(keys, { updatedBy = 'system', transaction } = {}) {
+  const pairs = new Map(keys.map(k => [`${k.building_billing_id}::${k.tenant_id}`, k]));
+  if (!pairs.size) return;
+
+  const bills = await TenantBill.findAll({
+    where: {
+      building_billing_id: { [Op.in]: [...new Set(keys.map(k => k.building_billing_id))] },
+      tenant_id: { [Op.in]: [...new Set(keys.map(k => k.tenant_id))] },
+    },
+    transaction,
+    raw: true,
+  });
+  const items = await itemsForBills(
+    bills.filter(b => pairs.has(`${b.building_billing_id}::${b.tenant_id}`)),
+    { transaction }
+  );
+
+  const now = getCurrentDateTime();
+  for (const i of items) {
+    await TenantBill.update({
+      penalty_amount: roundNum(i.penalties),
+      memo_amount: roundNum(i.memos),
+      amount_paid: roundNum(i.paid),
+      balance: roundNum(i.outstanding),
+      status: i.payment_status,
+      last_updated: now,
+      updated_by: updatedBy,
+    }, { where: { tenant_bill_id: i.tenant_bill_id }, transaction });
+  }
+}
+
+/**
+ * Payment status of stored billings, keyed by building_billing_id:
+ *   { payment_status, billed, penalties, memos, paid, outstanding, tenants: [per-tenant items] }
+ * The billing is paid once every tenant on it is, unpaid while nobody has paid anything.
+ */
+async function summarizeBillingPayments(headers) {
+  const items = await itemsForHeaders(headers);
+  const out = new Map();
+  for (const h of headers) {
+    const mine = items.filter(i => i.building_billing_id === h.building_billing_id);
+    const statuses = new Set(mine.map(i => i.payment_status));
+    const payment_status = !mine.length || (statuses.size === 1 && statuses.has('paid'))
+      ? 'paid'
+      : (statuses.size === 1 && statuses.has('unpaid') ? 'unpaid' : 'partially_paid');
+    out.set(h.building_billing_id, {
+      payment_status,
+      billed: roundNum(sum(mine.map(i => i.billed))),
+      penalties: roundNum(sum(mine.map(i => i.penalties))),
+      memos: roundNum(sum(mine.map(i => i.memos))),
+      paid: roundNum(sum(mine.map(i => i.paid))),
+      outstanding: roundNum(sum(mine.map(i => i.outstanding))),
+      tenants: mine.map(({ building_billing_id, building_id, period_start, period_end, due_date, ...i }) => presentItem(i)),
+    });
+  }
+  return out;
+}
+
+/** Every posted bill of the tenant, oldest due first (see collectBillingItems) */
+function getBillingItems(tenant, { asOfDate = null, transaction } = {}) {
+  return collectBillingItems({
+    tenantId: tenant.tenant_id,
+    asOfDate,
+    transaction,
+  });
+}
+
+function presentItem(i) {
+  return {
+    ...i,
+    billed: roundNum(i.billed),
+    penalties: roundNum(i.penalties),
+    memos: roundNum(i.memos),
+    paid: roundNum(i.paid),
+    outstanding: roundNum(i.outstanding),
+  };
+}
+
+/** Amount of a payment not yet allocated to any billing */
+async function getUnappliedAmount(payment, { transaction } = {}) {
+  const rows = await PaymentAllocation.findAll({
+    where: { payment_id: payment.payment_id },
+    attributes: ['amount'],
+    transaction,
+    raw: true,
+  });
+  return dec(payment.amount).minus(sum(rows.map(r => r.amount)));
+}
+
+/**
+ * Apply what is left of a payment to the tenant's billings.
+ *  - allocations = null: oldest due first, until the payment or the open billings run out
+ *  - allocations = [{ building_billing_id, amount }]: exactly those, each within what is owed
+ * Anything not allocated stays on the account as a credit. Returns the rows created.
+ */
+async function allocatePayment({ payment, tenant, allocations = null, updatedBy, transaction }) {
+  const fail = (msg) => {
+    const err = new Error(msg);
+    err.status = 400;
+    throw err;
+  };
+
+  let remaining = await getUnappliedAmount(payment, { transaction });
+  const items = await getBillingItems(tenant, { transaction });
+  const plan = [];
+
+  if (Array.isArray(allocations)) {
+    const byId = new Map(items.map(i => [i.building_billing_id, i]));
+    for (const [n, a] of allocations.entries()) {
+      const item = byId.get(String(a?.building_billing_id || ''));
+      if (!item) fail(`allocations[${n}]: billing not found for this tenant`);
+      const amount = dec(a.amount);
+      if (amount.lte(0) || amount.decimalPlaces() > 2) fail(`allocations[${n}].amount must be a positive amount`);
+      if (amount.gt(item.outstanding)) fail(`allocations[${n}].amount exceeds the ${roundNum(item.outstanding)} outstanding on ${item.building_billing_id}`);
+      if (amount.gt(remaining)) fail('Allocations exceed the unapplied amount of the payment');
+      item.outstanding = item.outstanding.minus(amount);
+      remaining = remaining.minus(amount);
+      plan.push({ item, amount });
+    }
+  } else {
+    for (const item of items) {
+      if (remaining.lte(0)) break;
+      if (item.outstanding.lte(0)) continue;
+      const amount = item.outstanding.lt(remaining) ? item.outstanding : remaining;
+      remaining = remaining.minus(amount);
+      plan.push({ item, amount });
+    }
+  }
+
+  const now = getCurrentDateTime();
+  const created = [];
+  for (const { item, amount } of plan) {
+    const row = await PaymentAllocation.create({
+      payment_id: payment.payment_id,
+      building_billing_id: item.building_billing_id,
+      tenant_id: tenant.tenant_id,
+      amount: roundNum(amount),
+      last_updated: now,
+      updated_by: updatedBy,
+    }, { transaction });
+    created.push(row.get({ plain: true }));
+  }
+  await refreshTenantBills(created, { updatedBy, transaction });
+  return created;
+}
+
+/** Payments of a tenant (newest first) with their allocations and unapplied amount */
+async function getReceipts(tenant, { transaction } = {}) {
+  const payments = await Payment.findAll({
+    where: { tenant_id: tenant.tenant_id },
+    include: [{ model: PaymentAllocation, as: 'allocations' }],
+    order: [['payment_date', 'DESC'], ['payment_id', 'DESC']],
+    transaction,
+  });
+  return payments.map(presentReceipt);
+}
+
+function presentReceipt(payment) {
+  const p = typeof payment.get === 'function' ? payment.get({ plain: true }) : payment;
+  const allocations = p.allocations || [];
+  const applied = sum(allocations.map(a => a.amount));
+  return {
+    ...p,
+    amount: roundNum(p.amount),
+    allocations: allocations.map(a => ({ ...a, amount: roundNum(a.amount) })),
+    applied: roundNum(applied),
+    unapplied: roundNum(dec(p.amount).minus(applied)),
+  };
+}
+
+/**
+ * Outstanding balance of a tenant: everything billed, penalized and debited by memo
+ * minus credit memos and everything paid.
+ * Negative balance = credit on the account.
+ */
+async function getTenantBalance(tenant) {
+  const [items, payments] = await Promise.all([
+    getBillingItems(tenant),
+    Payment.findAll({ where: { tenant_id: tenant.tenant_id }, attributes: ['amount'], raw: true }),
+  ]);
+  const billed    = sum(items.map(i => i.billed));
+  const penalties = sum(items.map(i => i.penalties));
+  const memos     = sum(items.map(i => i.memos));
+  const paid      = sum(payments.map(p => p.amount));
+  const allocated = sum(items.map(i => i.paid));
+
+  return {
+    tenant_id: tenant.tenant_id,
+    building_id: tenant.building_id,
+    billed: roundNum(billed),
+    penalties: roundNum(penalties),
+    memos: roundNum(memos),
+    paid: roundNum(paid),
+    balance: roundNum(billed.plus(penalties).plus(memos).minus(paid)),
+    unapplied_credit: roundNum(paid.minus(allocated)),
+    open_items: items.filter(i => i.outstanding.gt(0)).map(presentItem),
+  };
+}
+
+/**
+ * Chronological ledger of a tenant with a running balance.
+ * Billings are dated on their period end, penalties on their assessment date, memos on
+ * their approval date, payments on their payment date; on the same day charges come
+ * before memos and memos before payments.
+ */
+async function getTenantLedger(tenant) {
+  const [items, penalties, memos, payments] = await Promise.all([
+    getBillingItems(tenant),
+    PenaltyCharge.findAll({ where: { tenant_id: tenant.tenant_id }, raw: true }),
+    BillingMemo.findAll({ where: { tenant_id: tenant.tenant_id, status: 'approved' }, raw: true }),
+    Payment.findAll({ where: { tenant_id: tenant.tenant_id }, raw: true }),
+  ]);
+  // penalties and memos of void invoices go with them
+  const billingIds = new Set(items.map(i => i.building_billing_id));
+
+  const entries = [
+    ...items.map(i => ({
+      date: i.period_end,
+      type: 'billing',
+      ref: i.building_billing_id,
+      description: `${i.invoice_no ? `Invoice ${i.invoice_no}: utilities` : 'Utilities'} ${i.period_start} to ${i.period_end}`,
+      debit: i.billed,
+      credit: dec(0),
+      order: 0,
+    })),
+    ...penalties.filter(p => billingIds.has(p.building_billing_id)).map(p => ({
+      date: p.assessed_on,
+      type: 'penalty',
+      ref: p.penalty_id,
+      description: `Late-payment penalty on ${p.building_billing_id}`,
+      debit: dec(p.amount),
+      credit: dec(0),
+      order: 1,
+    })),
+    ...memos.filter(m => billingIds.has(m.building_billing_id)).map(m => ({
+      date: m.memo_date,
+      type: `${m.memo_type}_memo`,
+      ref: m.memo_id,
+      description: `${m.memo_type === 'credit' ? 'Credit' : 'Debit'} memo on ${m.building_billing_id} (${m.reason_code})`,
+      debit: m.memo_type === 'debit' ? dec(m.total_amount) : dec(0),
+      credit: m.memo_type === 'credit' ? dec(m.total_amount) : dec(0),
+      order: 2,
+    })),
+    ...payments.map(p => ({
+      date: p.payment_date,
+      type: 'payment',
+      ref: p.payment_id,
+      description: `Payment (${p.method}${p.reference ? ` ${p.reference}` : ''})`,
+      debit: dec(0),
+      credit: dec(p.amount),
+      order: 3,
+    })),
+  ].sort((a, b) => String(a.date).localeCompare(String(b.date)) || a.order - b.order || a.ref.localeCompare(b.ref));
+
+  let running = dec(0);
+  const ledger = entries.map(({ order, ...e }) => {
+    running = running.plus(e.debit).minus(e.credit);
+    return { ...e, debit: roundNum(e.debit), credit: roundNum(e.credit), balance: roundNum(running) };
+  });
+
+  return {
+    tenant_id: tenant.tenant_id,
+    building_id: tenant.building_id,
+    entries: ledger,
+    balance: roundNum(running),
+  };
+}
+
+module.exports = {
+  PAYMENT_METHODS,
+  memoAmount,
+  paymentStatus,
+  collectBillingItems,
+  refreshTenantBills,
+  summarizeBillingPayments,
+  getBillingItems,
+  presentItem,
+  allocatePayment,
+  getUnappliedAmount,
+  presentReceipt,
+  getReceipts,
+  getTenantBalance,
+  getTenantLedger,
+};
@@ -0,0 +1,225 @@
+// utils/tenantProfiles.js
+'use strict';
+
+const { Op } = require('sequelize');
+
+const sequelize = require('../models');
+const Tenant = require('../models/Tenant');
+const TenantBillingProfile = require('../models/TenantBillingProfile');
+const getCurrentDateTime = require('./getCurrentDateTime');
+const { todayYMD } = require('./rateHistory');
+
+// Negotiated rate and minimum column of each utility
+const PROFILE_RATE_FIELDS = { electric: 'erate_perKwH', water: 'wrate_perCbM', lpg: 'lrate_perKg' };
+const PROFILE_MIN_FIELDS  = { electric: 'emin_con', water: 'wmin_con', lpg: 'lmin_con' };
+const NUM_FIELDS = [...Object.values(PROFILE_RATE_FIELDS), ...Object.values(PROFILE_MIN_FIELDS)];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const isYMD = (s) => typeof s === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(s);
+const dayBefore = (s) => new Date(new Date(s + 'T00:00:00Z').getTime() - DAY_MS).toISOString().slice(0, 10);
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/** Versions in force on dateStr: effective_from <= date <= effective_to (NULL = open) */
+function inForceOn(dateStr) {
+  return {
+    effective_from: { [Op.lte]: dateStr },
+    [Op.or]: [{ effective_to: null }, { effective_to: { [Op.gte]: dateStr } }],
+  };
+}
+
+/** Plain profile with numbers (null = not overridden) */
+function toProfile(row) {
+  if (!row) return null;
+  const out = {
+    profile_id: row.profile_id,
+    tenant_id: row.tenant_id,
+    effective_from: row.effective_from,
+    effective_to: row.effective_to ?? null,
+    apply_markup: row.apply_markup === null || row.apply_markup === undefined ? null : !!row.apply_markup,
+    penalty_exempt: !!row.penalty_exempt,
+    last_updated: row.last_updated,
+    updated_by: row.updated_by,
+  };
+  for (const f of NUM_FIELDS) out[f] = row[f] === null || row[f] === undefined ? null : Number(row[f]);
+  return out;
+}
+
+/** The tenant's profile in force on asOfDate (default today), or null */
+async function loadTenantProfile(tenantId, asOfDate = todayYMD(), { transaction } = {}) {
+  return toProfile(await TenantBillingProfile.findOne({
+    where: { tenant_id: tenantId, ...inForceOn(asOfDate) },
+    order: [['effective_from', 'DESC'], ['profile_id', 'DESC']],
+    transaction,
+    raw: true,
+  }));
+}
+
+/** Profiles in force on asOfDate: Map tenant_id → profile (tenants without one are absent) */
+async function loadTenantProfiles(tenantIds, asOfDate = todayYMD()) {
+  if (!tenantIds.length) return new Map();
+  const rows = await TenantBillingProfile.findAll({
+    where: { tenant_id: { [Op.in]: [...new Set(tenantIds)] }, ...inForceOn(asOfDate) },
+    order: [['effective_from', 'ASC'], ['profile_id', 'ASC']],
+    raw: true,
+  });
+  // ascending, so the latest version of a tenant wins
+  return new Map(rows.map(r => [r.tenant_id, toProfile(r)]));
+}
+
+/** Every version of a tenant's profile, latest first */
+async function listTenantProfileVersions(tenantId) {
+  const rows = await TenantBillingProfile.findAll({
+    where: { tenant_id: tenantId },
+    order: [['effective_from', 'DESC'], ['profile_id', 'DESC']],
+    raw: true,
+  });
+  return rows.map(toProfile);
+}
+
+/** The profile's rate / minimum columns that are set, to lay over building rates */
+function profileOverrides(profile) {
+  const out = {};
+  if (!profile) return out;
+  for (const f of NUM_FIELDS) if (profile[f] !== null) out[f] = profile[f];
+  return out;
+}
+
+/** Negotiated rate of a utility, or null when the tenant pays the building rate */
+function negotiatedRate(mtype, profile) {
+  const f = PROFILE_RATE_FIELDS[String(mtype || '').toLowerCase()];
+  return profile && f && profile[f] !== null ? profile[f] : null;
+}
+
+/** Markup on this tenant's lines: the profile's choice, else the run's (runDefault) */
+function appliesMarkup(profile, runDefault) {
+  return profile && profile.apply_markup !== null ? profile.apply_markup : !!runDefault;
+}
+
+/** Whether the tenant's bills are penalized: tenant_list.for_penalty unless the profile exempts it */
+function isPenalized(tenant, profile) {
+  return !!tenant?.for_penalty && !profile?.penalty_exempt;
+}
+
+/** null / '' clear a column; anything else must be a non-negative number (2 dp) */
+function parseAmount(field, v) {
+  if (v === null || v === '') return null;
+  const n = Number(v);
+  if (!Number.isFinite(n) || n < 0) throw httpError(400, `${field} must be a non-negative number or null`);
+  return Math.round(n * 100) / 100; // match DECIMAL(10,2)
+}
+
+function parseFlag(field, v, nullable) {
+  if (v === null || v === '') {
+    if (nullable) return null;
+    throw httpError(400, `${field} must be true or false`);
+  }
+  if (typeof v === 'boolean') return v;
+  const s = String(v).trim().toLowerCase();
+  if (['true', '1', 'yes', 'y'].includes(s)) return true;
+  if (['false', '0', 'no', 'n'].includes(s)) return false;
+  throw httpError(400, `${field} must be true or false${nullable ? ' or null' : ''}`);
+}
+
+/** effective_from of a change (default today); 400 when malformed */
+function parseEffectiveFrom(v) {
+  if (v === undefined || v === null || v === '') return todayYMD();
+  if (!isYMD(String(v))) throw httpError(400, 'Invalid effective_from. Use YYYY-MM-DD.');
+  return String(v);
+}
+
+/**
+ * The tenant's latest version, after checking a change from effectiveFrom does not
+ * reach back before it (409): versions already used by billings stay as they were.
+ */
+async function latestVersion(tenantId, effectiveFrom, transaction) {
+  const latest = await TenantBillingProfile.findOne({
+    where: { tenant_id: tenantId },
+    order: [['effective_from', 'DESC'], ['profile_id', 'DESC']],
+    transaction,
+  });
+  if (latest && effectiveFrom < latest.effective_from) {
+    throw httpError(409, `The billing profile has a version from ${latest.effective_from}; `
+      + 'changes must take effect on or after it.');
+  }
+  return latest;
+}
+
+/** Close a version the day before effectiveFrom (a same-day change leaves it never in force) */
+async function closeVersion(row, effectiveFrom, { updatedBy, now, transaction }) {
+  await row.update({ effective_to: dayBefore(effectiveFrom), last_updated: now, updated_by: updatedBy }, { transaction });
+}
+
+/**
+ * Change a tenant's profile from effective_from (body, default today). Only the fields
+ * present in `body` change; null clears an override. The version in force that day is
+ * closed and a new one carrying its other fields is added. Returns the new version.
+ */
+async function saveTenantProfile(tenantId, body, { updatedBy = 'system' } = {}) {
+  const tenant = await Tenant.findOne({ where: { tenant_id: tenantId }, attributes: ['tenant_id'], raw: true });
+  if (!tenant) throw httpError(404, 'Tenant not found');
+
+  const src = body || {};
+  const patch = {};
+  for (const f of NUM_FIELDS) if (f in src) patch[f] = parseAmount(f, src[f]);
+  if ('apply_markup' in src) patch.apply_markup = parseFlag('apply_markup', src.apply_markup, true);
+  if ('penalty_exempt' in src) patch.penalty_exempt = parseFlag('penalty_exempt', src.penalty_exempt, false);
+  if (!Object.keys(patch).length) {
+    throw httpError(400, `Nothing to update. Fields: ${[...NUM_FIELDS, 'apply_markup', 'penalty_exempt'].join(', ')}`);
+  }
+  const effectiveFrom = parseEffectiveFrom(src.effective_from);
+
+  return sequelize.transaction(async (t) => {
+    const now = getCurrentDateTime();
+    const latest = await latestVersion(tenantId, effectiveFrom, t);
+    const open = latest && (latest.effective_to === null || latest.effective_to >= effectiveFrom) ? latest : null;
+    const carried = {};
+    if (open) {
+      for (const f of [...NUM_FIELDS, 'apply_markup', 'penalty_exempt']) carried[f] = open[f];
+      await closeVersion(open, effectiveFrom, { updatedBy, now, transaction: t });
+    }
+    const row = await TenantBillingProfile.create({
+      ...carried,
+      ...patch,
+      tenant_id: tenantId,
+      effective_from: effectiveFrom,
+      effective_to: null,
+      last_updated: now,
+      updated_by: updatedBy,
+    }, { transaction: t });
+    return toProfile(row.get({ plain: true }));
+  });
+}
+
+/**
+ * Bill the tenant on building terms again from effective_from (default today): the
+ * version in force that day is closed. Earlier versions stay for the periods they priced.
+ * Returns the closed version, or null when no profile is in force from that date.
+ */
+async function endTenantProfile(tenantId, { effectiveFrom, updatedBy = 'system' } = {}) {
+  const from = parseEffectiveFrom(effectiveFrom);
+  return sequelize.transaction(async (t) => {
+    const latest = await latestVersion(tenantId, from, t);
+    if (!latest || (latest.effective_to !== null && latest.effective_to < from)) return null;
+    await closeVersion(latest, from, { updatedBy, now: getCurrentDateTime(), transaction: t });
+    return toProfile(latest.get({ plain: true }));
+  });
+}
+
+module.exports = {
+  PROFILE_RATE_FIELDS,
+  PROFILE_MIN_FIELDS,
+  loadTenantProfile,
+  loadTenantProfiles,
+  listTenantProfileVersions,
+  profileOverrides,
+  negotiatedRate,
+  appliesMarkup,
+  isPenalized,
+  saveTenantProfile,
+  endTenantProfile,
+};